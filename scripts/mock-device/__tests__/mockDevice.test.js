@@ -0,0 +1,267 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockDevice } from '../server.js';
+import { API_SCHEMAS, LIVE_EVENTS } from '../../../src/config/apiSchemas.js';
+import { validate } from '../../../src/utils/responseSchema.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json', 'X-Requested-With': 'XMLHttpRequest' };
+
+/** Device on an ephemeral port plus a cookie-keeping fetch, like a browser tab. */
+async function startDevice(options = {}) {
+  let clock = Date.parse('2026-05-11T09:00:00');
+  const device = createMockDevice({ fast: true, now: () => clock, ...options });
+  const { url } = await device.listen(0);
+  let cookie = '';
+  const call = async (method, path, body, headers = {}) => {
+    const res = await fetch(url + path, {
+      method,
+      headers: { ...(method === 'GET' ? {} : JSON_HEADERS), ...(cookie ? { cookie } : {}), ...headers },
+      body: body === undefined ? undefined : (typeof body === 'string' || body instanceof Uint8Array ? body : JSON.stringify(body)),
+    });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.includes('Max-Age=0') ? '' : setCookie.split(';')[0];
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text && text.startsWith('{') ? JSON.parse(text) : text };
+  };
+  const login = (username = 'school', password = 'changeme1') => call('POST', '/api/login', { username, password });
+  return {
+    device, call, login,
+    stream: (path) => fetch(url + path, { headers: cookie ? { cookie } : {} }),
+    advance: (ms) => { clock += ms; },
+    forgetCookie: () => { cookie = ''; },
+    close: () => device.close(),
+  };
+}
+
+/** Reads one Server-Sent Event per call; null once the stream has ended. */
+function eventReader(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  return async function next() {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end >= 0) {
+        const lines = buffer.slice(0, end).split('\n').filter((line) => !line.startsWith(':'));
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(lines.map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.event) return { type: fields.event, data: JSON.parse(fields.data) };
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value, { stream: true });
+    }
+  };
+}
+
+test('sessions, CSRF headers and roles are enforced', async (t) => {
+  const dev = await startDevice();
+  t.after(dev.close);
+
+  assert.equal((await dev.call('GET', '/api/schedule/today')).status, 401);
+  const noCsrf = await dev.call('POST', '/api/login', { username: 'school', password: 'changeme1' },
+    { 'X-Requested-With': '' });
+  assert.equal(noCsrf.status, 403);
+  const wrongType = await dev.call('POST', '/api/login', 'username=school', { 'Content-Type': 'text/plain' });
+  assert.equal(wrongType.status, 415);
+
+  const ok = await dev.login();
+  assert.equal(ok.status, 200);
+  assert.match(ok.headers.get('set-cookie'), /^session=[0-9a-f]{32}; HttpOnly; SameSite=Strict; Path=\//);
+  assert.equal(ok.headers.get('x-frame-options'), 'DENY');
+  assert.deepEqual((await dev.call('GET', '/api/validate-token')).body.user, { username: 'school', role: 'client' });
+  assert.equal((await dev.call('GET', '/api/system/credentials')).status, 403);
+
+  assert.equal((await dev.login('admin', 'service-pass')).status, 200);
+  assert.equal((await dev.call('GET', '/api/system/credentials')).body.clientUsername, 'school');
+
+  dev.advance(60 * 60 * 1000);
+  assert.equal((await dev.call('GET', '/api/validate-token')).status, 401);
+});
+
+test('login and claim share one rate limit with Retry-After', async (t) => {
+  const dev = await startDevice({ unclaimed: true });
+  t.after(dev.close);
+
+  assert.deepEqual((await dev.call('GET', '/api/setup/claim-status')).body, { claimable: true });
+  for (let i = 0; i < 4; i++) assert.equal((await dev.login('school', 'wrong-pass')).status, 401);
+  assert.equal((await dev.call('POST', '/api/setup/claim', { username: 'school', password: 'short' })).status, 400);
+
+  dev.advance(15 * 1000);
+  const limited = await dev.call('POST', '/api/setup/claim', { username: 'school', password: 'changeme1' });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '45');
+
+  dev.advance(45 * 1000);
+  assert.equal((await dev.call('POST', '/api/setup/claim', { username: 'school', password: 'changeme1' })).status, 200);
+  assert.equal((await dev.call('POST', '/api/setup/claim', { username: 'other', password: 'changeme1' })).status, 403);
+  assert.equal((await dev.login()).status, 200);
+});
+
+test('exceptions page, and a today override splits a multi-day exception', async (t) => {
+  const dev = await startDevice();
+  t.after(dev.close);
+  await dev.login();
+
+  const created = await dev.call('POST', '/api/schedule/exceptions', {
+    startDate: '2026-05-08', endDate: '2026-05-13', label: 'Ваканция', action: 'dayOff',
+  });
+  assert.equal(created.status, 201);
+  for (const day of ['2026-06-01', '2026-06-02']) {
+    await dev.call('POST', '/api/schedule/exceptions', { startDate: day, label: day, action: 'custom', customBells: { bells: [{ hour: 9, minute: 0 }] } });
+  }
+  const page = (await dev.call('GET', '/api/schedule/exceptions?offset=0&limit=2')).body;
+  assert.equal(page.total, 3);
+  assert.equal(page.hasMore, true);
+  assert.equal(page.items[0].customBells, undefined);
+  const detail = (await dev.call('GET', `/api/schedule/exceptions/${page.items[1].id}`)).body;
+  assert.deepEqual(detail.customBells.bells, [{ hour: 9, minute: 0, label: '' }]);
+
+  assert.equal((await dev.call('GET', '/api/schedule/today')).body.multiDayException, true);
+  await dev.call('POST', '/api/schedule/today', { action: 'custom', customBells: { bells: [{ hour: 10, minute: 15, label: 'X' }] } });
+  const today = (await dev.call('GET', '/api/schedule/today')).body;
+  assert.equal(today.multiDayException, false);
+  assert.deepEqual(today.bells, [{ hour: 10, minute: 15, label: 'X' }]);
+  const may = (await dev.call('GET', '/api/schedule/exceptions?from=2026-05-01&to=2026-05-31&limit=10')).body.items;
+  assert.deepEqual(may.map((ex) => [ex.startDate, ex.endDate]),
+    [['2026-05-08', '2026-05-10'], ['2026-05-11', '2026-05-11'], ['2026-05-12', '2026-05-13']]);
+
+  assert.equal((await dev.call('DELETE', `/api/schedule/exceptions/${created.body.id}`)).status, 404);
+  assert.equal((await dev.call('DELETE', '/api/schedule/exceptions')).status, 200);
+  assert.equal((await dev.call('GET', '/api/schedule/exceptions')).body.total, 0);
+});
+
+test('template saves with a stale If-Match get 412', async (t) => {
+  const dev = await startDevice();
+  t.after(dev.close);
+  await dev.login();
+
+  const etag = (await dev.call('GET', '/api/schedule/templates')).headers.get('etag');
+  const templates = [{ name: 'Зимно', bells: [{ hour: 8, minute: 30, label: '' }] }];
+  const saved = await dev.call('POST', '/api/schedule/templates', { templates }, { 'If-Match': etag });
+  assert.equal(saved.status, 200);
+  assert.notEqual(saved.headers.get('etag'), etag);
+  assert.equal((await dev.call('POST', '/api/schedule/templates', { templates }, { 'If-Match': etag })).status, 412);
+  assert.equal((await dev.call('POST', '/api/schedule/templates', { templates })).status, 200);
+});
+
+test('holiday preview marks imports; apply clears the pending offer', async (t) => {
+  const dev = await startDevice({ pendingHolidays: 2026 });
+  t.after(dev.close);
+  await dev.login();
+
+  const pending = (await dev.call('GET', '/api/schedule/holidays/pending')).body;
+  assert.equal(pending.year, 2026);
+  assert.ok(pending.items.some((it) => it.startDate === '2026-04-12' && it.source === 'holiday_bg_public'));
+
+  await dev.call('POST', '/api/schedule/exceptions', { startDate: '2026-03-03', label: 'Ръчно', action: 'dayOff' });
+  const items = pending.items.filter((it) => it.startDate <= '2026-05-06');
+  const applied = (await dev.call('POST', '/api/schedule/holidays/apply', {
+    year: 2026, defaultAction: 'dayOff', conflictStrategy: 'skip', items,
+  })).body;
+  assert.deepEqual([applied.created, applied.updated, applied.skipped], [items.length - 1, 0, 1]);
+  assert.equal((await dev.call('GET', '/api/schedule/holidays/pending')).status, 204);
+
+  const preview = (await dev.call('GET', '/api/schedule/holidays/preview?year=2026&lang=EN')).body;
+  const byDate = Object.fromEntries(preview.items.map((it) => [it.startDate, it]));
+  assert.equal(byDate['2026-01-01'].alreadyImported, true);
+  assert.equal(byDate['2026-03-03'].conflict.source, 'manual');
+  assert.equal(byDate['2026-12-25'].alreadyImported, false);
+});
+
+test('a firmware upload reports progress, reboots and ends the session', async (t) => {
+  const dev = await startDevice();
+  t.after(dev.close);
+  await dev.login('admin', 'service-pass');
+
+  const header = Buffer.from(JSON.stringify({
+    bundle_version: 1, device_model: 'ringy-s3', fw_version: '4.4.0', sections: [{ name: 'app', size: 1024 }],
+  }));
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(header.length);
+  const bundle = Buffer.concat([Buffer.from('SBU1'), length, header, Buffer.alloc(1024), Buffer.alloc(32)]);
+  const binary = { 'Content-Type': 'application/octet-stream' };
+
+  assert.equal((await dev.call('POST', '/api/system/update', bundle.subarray(0, 100), binary)).status, 400);
+  assert.equal((await dev.call('GET', '/api/system/update/status')).body.state, 'error');
+  const uploaded = await dev.call('POST', '/api/system/update', bundle, binary);
+  assert.deepEqual(uploaded.body, { success: true, reboot_in_ms: 1500 });
+  assert.equal((await dev.call('GET', '/api/system/update/status')).body.progress, 100);
+
+  await assert.rejects(() => { dev.advance(1500); return dev.call('GET', '/api/health'); });
+  dev.advance(1000);
+  assert.equal((await dev.call('GET', '/api/health')).status, 200);
+  assert.equal((await dev.call('GET', '/api/system/firmware')).status, 401);
+  await dev.login('admin', 'service-pass');
+  const info = (await dev.call('GET', '/api/system/firmware')).body;
+  assert.equal(info.fw_version, '4.4.0');
+  assert.equal(info.rollback_available, true);
+});
+
+test('TLS mode needs a certificate and reboots to apply', async (t) => {
+  const dev = await startDevice();
+  t.after(dev.close);
+  await dev.login('admin', 'service-pass');
+
+  assert.equal((await dev.call('PUT', '/api/system/tls/mode', { mode: 'https' })).status, 409);
+  assert.equal((await dev.call('POST', '/api/system/tls/regenerate', {})).status, 202);
+  assert.equal((await dev.call('PUT', '/api/system/tls/mode', { mode: 'https' })).status, 202);
+  const before = (await dev.call('GET', '/api/system/tls')).body;
+  assert.deepEqual([before.mode_setting, before.mode_active, before.source], ['https', 'http', 'generated']);
+  assert.match((await dev.call('GET', '/api/system/tls/download')).body, /^-----BEGIN CERTIFICATE-----/);
+
+  await assert.rejects(() => { dev.advance(1500); return dev.call('GET', '/api/health'); });
+  dev.advance(1000);
+  await dev.login('admin', 'service-pass');
+  assert.equal((await dev.call('GET', '/api/system/tls')).body.mode_active, 'https');
+});
+
+test('every declared JSON response fits src/config/apiSchemas.js', async (t) => {
+  const dev = await startDevice({ pendingHolidays: 2026 });
+  t.after(dev.close);
+  await dev.login('admin', 'service-pass');
+  const { body: { id } } = await dev.call('POST', '/api/schedule/exceptions', {
+    startDate: '2026-06-01', label: 'Ден', action: 'custom', customBells: { bells: [{ hour: 9, minute: 0 }] },
+  });
+  const query = { '/api/schedule/holidays/preview': '?year=2026' };
+
+  for (const [service, methods] of Object.entries(API_SCHEMAS)) {
+    for (const [name, { method, endpoint, response }] of Object.entries(methods)) {
+      if (method !== 'GET' || !response) continue;
+      const path = endpoint.replace(':id', id);
+      const { status, body } = await dev.call('GET', path + (query[path] ?? ''));
+      assert.equal(status, 200, `${service}.${name}`);
+      assert.equal(validate(response, body), null, `${service}.${name}`);
+    }
+  }
+});
+
+test('/api/events streams bell, panic and schedule changes until the session ends', async (t) => {
+  const dev = await startDevice();
+  t.after(dev.close);
+  assert.equal((await dev.stream('/api/events')).status, 401);
+  await dev.login();
+
+  const res = await dev.stream('/api/events');
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+  const next = eventReader(res);
+  const expectEvent = async (type, data) => {
+    const event = await next();
+    assert.deepEqual([event.type, event.data], [type, data]);
+    assert.equal(validate(LIVE_EVENTS[type], event.data), null);
+  };
+
+  await dev.call('POST', '/api/bell/panic', { enabled: true });
+  await expectEvent('panic', { panicMode: true });
+  await dev.call('POST', '/api/schedule/exceptions', { startDate: '2026-06-01', label: 'Ден', action: 'dayOff' });
+  await expectEvent('schedule', { areas: ['exceptions', 'today'] });
+  assert.equal((await dev.call('POST', '/api/schedule/default', { bells: [{ hour: 25, minute: 0 }] })).status, 400);
+  await dev.call('POST', '/api/system/sync-time', {});
+  assert.equal((await next()).type, 'time');
+
+  await dev.call('POST', '/api/logout', {});
+  await dev.login();
+  await dev.call('POST', '/api/bell/panic', { enabled: false });
+  assert.equal(await next(), null);
+});
@@ -0,0 +1,73 @@
+/**
+ * Live-update streams of the mock device: GET /api/events as Server-Sent
+ * Events, one `event:` / `data:` pair per message. The WebSocket variant
+ * (/api/ws) is not mocked -the UI tries SSE first anyway.
+ *
+ * A stream belongs to the session that opened it and ends once that
+ * session is gone (logout, expiry, reboot). Every stream gets a `time`
+ * event every `heartbeatMs`, which the UI also uses to notice a dead link.
+ */
+
+/**
+ * @param {object} options
+ * @param {object} options.state - device state (sessions)
+ * @param {Record<string, string>} options.headers - sent with every stream
+ * @param {number} options.heartbeatMs
+ * @param {() => [string, object]} options.heartbeat - event sent on the beat
+ */
+export function createEventHub({ state, headers, heartbeatMs, heartbeat }) {
+  const clients = new Set();
+  let beat = null;
+
+  function write(client, type, data) {
+    if (!state.sessions.has(client.token)) {
+      drop(client);
+      return;
+    }
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function drop(client) {
+    clients.delete(client);
+    client.res.end();
+    if (!clients.size) {
+      clearInterval(beat);
+      beat = null;
+    }
+  }
+
+  const hub = {
+    /** Answer GET /api/events: keep the response open as a stream. */
+    open({ req, res, session }) {
+      const client = { res, token: session.token };
+      res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream', Connection: 'keep-alive' });
+      res.write(': ringy mock\n\n');
+      clients.add(client);
+      req.on('close', () => {
+        if (clients.has(client)) drop(client);
+      });
+      if (!beat && heartbeatMs > 0) {
+        beat = setInterval(() => hub.publish(...heartbeat()), heartbeatMs);
+        beat.unref();
+      }
+    },
+
+    publish(type, data) {
+      [...clients].forEach((client) => write(client, type, data));
+    },
+
+    /** Publish what `make()` returns after `ms` (e.g. "ringing stopped"). */
+    later(ms, make) {
+      setTimeout(() => hub.publish(...make()), ms).unref();
+    },
+
+    get size() {
+      return clients.size;
+    },
+
+    closeAll() {
+      [...clients].forEach(drop);
+    },
+  };
+  return hub;
+}
@@ -0,0 +1,106 @@
+/**
+ * Stand-in for the firmware's OpenHolidays import: Bulgarian public and
+ * school holidays of a year, computed locally instead of fetched, and
+ * marked against the stored exceptions the same way the device does.
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+const ymd = (d) => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+
+/** Orthodox Easter Sunday (Meeus' Julian algorithm, +13 days to Gregorian). */
+function orthodoxEaster(year) {
+  const a = year % 4;
+  const b = year % 7;
+  const c = year % 19;
+  const d = (19 * c + 15) % 30;
+  const e = (2 * a + 4 * b - d + 34) % 7;
+  const month = Math.floor((d + e + 114) / 31);
+  const day = ((d + e + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day + 13));
+}
+
+const shift = (date, days) => new Date(date.getTime() + days * 86400000);
+
+const FIXED = [
+  ['01-01', 'Нова година', "New Year's Day"],
+  ['03-03', 'Ден на Освобождението', 'Liberation Day'],
+  ['05-01', 'Ден на труда', 'Labour Day'],
+  ['05-06', 'Гергьовден', "St. George's Day"],
+  ['05-24', 'Ден на светите Кирил и Методий', 'Day of Saints Cyril and Methodius'],
+  ['09-06', 'Ден на Съединението', 'Unification Day'],
+  ['09-22', 'Ден на Независимостта', 'Independence Day'],
+  ['12-24', 'Бъдни вечер', 'Christmas Eve'],
+  ['12-25', 'Рождество Христово', 'Christmas Day'],
+  ['12-26', 'Рождество Христово', 'Christmas Day'],
+];
+
+const EASTER = [
+  [-2, 'Велики петък', 'Good Friday'],
+  [-1, 'Велика събота', 'Holy Saturday'],
+  [0, 'Великден', 'Easter Sunday'],
+  [1, 'Великден', 'Easter Monday'],
+];
+
+const SCHOOL = [
+  ['11-01', '11-01', 'Ден на народните будители', 'Day of the National Awakeners'],
+  ['12-22', '12-31', 'Коледна ваканция', 'Christmas holidays'],
+  ['02-01', '02-04', 'Междусрочна ваканция', 'Mid-year holidays'],
+];
+
+/**
+ * Holidays of `year` in review-table shape (no import status yet).
+ * @param {number} year
+ * @param {'BG'|'EN'} lang
+ */
+export function holidaysOf(year, lang) {
+  const name = (bg, en) => (lang === 'EN' ? en : bg);
+  const items = FIXED.map(([md, bg, en]) => ({
+    startDate: `${year}-${md}`, endDate: `${year}-${md}`, label: name(bg, en),
+    source: 'holiday_bg_public', tag: `public:${md}`,
+  }));
+  const easter = orthodoxEaster(year);
+  for (const [offset, bg, en] of EASTER) {
+    const date = ymd(shift(easter, offset));
+    items.push({ startDate: date, endDate: date, label: name(bg, en), source: 'holiday_bg_public', tag: `easter:${offset}` });
+  }
+  for (const [from, to, bg, en] of SCHOOL) {
+    items.push({
+      startDate: `${year}-${from}`, endDate: `${year}-${to}`, label: name(bg, en),
+      source: 'holiday_bg_school', tag: `school:${from}`,
+    });
+  }
+  return items.sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+const overlaps = (ex, item) =>
+  ex.startDate <= item.endDate && (ex.endDate || ex.startDate) >= item.startDate;
+
+/** The stored exception an item would collide with, and whether it is the
+ *  same holiday already imported. */
+export function matchExisting(item, exceptions) {
+  const overlapping = exceptions.filter((ex) => overlaps(ex, item));
+  const same = overlapping.find((ex) =>
+    (ex.source === item.source && ex.tag && ex.tag === item.tag)
+    || (ex.startDate === item.startDate && ex.endDate === item.endDate
+      && ex.label.trim() === item.label.trim()));
+  return { same: same || null, other: same ? null : overlapping[0] || null };
+}
+
+/** GET /api/schedule/holidays/preview body. */
+export function previewHolidays(year, lang, exceptions, fetchedAt) {
+  const items = holidaysOf(year, lang).map((item) => {
+    const { same, other } = matchExisting(item, exceptions);
+    return {
+      ...item,
+      alreadyImported: Boolean(same),
+      conflict: other ? {
+        source: other.source || 'manual',
+        label: other.label,
+        startDate: other.startDate,
+        endDate: other.endDate,
+        exceptionId: other.id,
+      } : null,
+    };
+  });
+  return { year, fetchedAt, items };
+}
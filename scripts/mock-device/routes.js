@@ -0,0 +1,923 @@
+/**
+ * Route table of the mock device -one entry per endpoint in
+ * docs/ESP32_API_Specification.md and apiConfig.ENDPOINTS.
+ *
+ * Entry: { method, path, access, body?, changes?, stream?, handler }
+ *   path    -'/api/…', `:id` segments become ctx.params
+ *   access  -'public' | 'user' (any session) | 'service' (service role)
+ *   body    -'json' (default) | 'binary' (octet-stream, handler reads req)
+ *   changes -UI cache areas a success invalidates (announced as `schedule`)
+ *   stream  -handler answers ctx.res itself and keeps it open
+ *   handler -(ctx) => body | reply(status, body, headers) | Promise of either
+ */
+import { X509Certificate, createHash, createPrivateKey } from 'node:crypto';
+import { resolveDay } from '../../src/features/Schedule/scheduleResolver.js';
+import { addDays } from '../../src/features/Schedule/icsCalendar.js';
+import {
+  BUILTINS, FACTORY_BELLS, TEMPLATE_COUNT, MAX_EXCEPTIONS, DEVICE_MODEL,
+  cleanBells, cleanSettings, cleanTemplates, cleanWeekPlans, cleanException,
+  exceptionMeta, factoryReset, isDate, log, logBytes, randomHex, LOG_MAX_BYTES,
+} from './state.js';
+import {
+  startSession, refreshSession, endSessions, takeAttempt,
+  sessionCookie, clearedSessionCookie,
+} from './sessions.js';
+import { previewHolidays, matchExisting } from './holidays.js';
+
+const MAX_BUNDLE_BYTES = 8 * 1024 * 1024;
+const REBOOT_IN_MS = 1500;
+
+export const reply = (status, body, headers = {}) => ({ reply: true, status, body, headers });
+export const fail = (status, error, headers) => reply(status, { error }, headers);
+
+const OK = { status: 'ok' };
+const invalid = (result) => typeof result === 'string';
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/* ── Device clock -Node's local time stands in for the POSIX TZ ─────── */
+
+const pad = (n) => String(n).padStart(2, '0');
+const localDate = (ms) => {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+const localTime = (ms) => {
+  const d = new Date(ms);
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+function clock({ state, now }) {
+  return {
+    time: localTime(now),
+    date: localDate(now),
+    timeSynced: true,
+    lastSyncAgeSec: Math.floor((now - state.lastSyncAt) / 1000),
+  };
+}
+
+const uptimeSec = ({ state, now }) => Math.floor((now - state.bootedAt) / 1000);
+
+/* ── Schedule resolution (the client's resolver mirrors the firmware) ── */
+
+function resolveDate(state, date) {
+  return resolveDay(date, {
+    workingDays: state.settings.workingDays,
+    default: { bells: state.defaultBells },
+    templates: state.templates,
+    weekdayPlans: state.weekdayPlans,
+    weekdayCustom: state.weekdayCustom.map((bells) => ({ bells })),
+    exceptions: state.exceptions,
+  });
+}
+
+function todayBody(ctx) {
+  const day = resolveDate(ctx.state, localDate(ctx.now));
+  return {
+    bells: day.bells,
+    dayType: day.dayType,
+    source: day.source,
+    exception: day.exception ? exceptionMeta(day.exception) : null,
+    planIdx: day.planIdx,
+    planName: day.planName,
+    multiDayException: Boolean(day.exception && day.exception.startDate !== day.exception.endDate),
+  };
+}
+
+function nextBell(ctx) {
+  const d = new Date(ctx.now);
+  const nowSec = d.getHours() * 3600 + d.getMinutes() * 60 + d.getSeconds();
+  const bell = resolveDate(ctx.state, localDate(ctx.now)).bells
+    .find((b) => b.hour * 3600 + b.minute * 60 > nowSec);
+  if (!bell) return null;
+  return {
+    ...bell,
+    time: `${pad(bell.hour)}:${pad(bell.minute)}`,
+    inSeconds: bell.hour * 3600 + bell.minute * 60 - nowSec,
+  };
+}
+
+/* ── Versions (ETag / If-Match) ─────────────────────────────────────── */
+
+const etagOf = (state, area) => `"${area}-${state.revisions[area]}"`;
+
+/** 412 when the request's If-Match names an older revision of `area`. */
+function precondition(ctx, area) {
+  const ifMatch = ctx.req.headers['if-match'];
+  if (ifMatch && ifMatch !== '*' && ifMatch !== etagOf(ctx.state, area)) {
+    return fail(412, 'Precondition failed', { ETag: etagOf(ctx.state, area) });
+  }
+  return null;
+}
+
+const bump = (state, ...areas) => areas.forEach((area) => { state.revisions[area] += 1; });
+
+/* ── Auth ──────────────────────────────────────────────────────────── */
+
+const userOf = (account, role) => ({ username: account.username, role });
+
+function rateLimited(ctx) {
+  const retryAfter = takeAttempt(ctx.state, ctx.now);
+  return retryAfter
+    ? fail(429, 'Too many attempts', { 'Retry-After': String(retryAfter) })
+    : null;
+}
+
+function login(ctx) {
+  const limited = rateLimited(ctx);
+  if (limited) return limited;
+  const { username, password } = ctx.body;
+  if (typeof username !== 'string' || typeof password !== 'string') return fail(400, 'Invalid request');
+  const { service, client } = ctx.state.accounts;
+  let user = null;
+  if (username === service.username && password === service.password) user = userOf(service, 'service');
+  else if (client && username === client.username && password === client.password) user = userOf(client, 'client');
+  if (!user) {
+    log(ctx.state, `Login failed for "${username}"`, ctx.now);
+    return fail(401, 'Invalid credentials');
+  }
+  const token = startSession(ctx.state, user, ctx.now);
+  log(ctx.state, `Login ${user.username} (${user.role})`, ctx.now);
+  return reply(200, { user, message: 'Login successful' }, { 'Set-Cookie': sessionCookie(token) });
+}
+
+/** Shared by claim and the service-only credentials POST. */
+function checkClientAccount(state, { username, password } = {}) {
+  const name = typeof username === 'string' ? username.trim() : '';
+  if (!name || name.length > 31) return 'Username must be 1-31 characters';
+  if (name === state.accounts.service.username) return 'Username is reserved';
+  if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters';
+  return { username: name, password };
+}
+
+function claim(ctx) {
+  const limited = rateLimited(ctx);
+  if (limited) return limited;
+  if (ctx.state.accounts.client) return fail(403, 'Device already claimed');
+  const account = checkClientAccount(ctx.state, ctx.body);
+  if (invalid(account)) return fail(400, account);
+  ctx.state.accounts.client = account;
+  log(ctx.state, `Device claimed by ${account.username}`, ctx.now);
+  return { success: true, message: 'Account created' };
+}
+
+/* ── Exceptions ────────────────────────────────────────────────────── */
+
+const findException = (state, id) => state.exceptions.find((ex) => ex.id === Number(id));
+
+function addException(state, record) {
+  if (state.exceptions.length >= MAX_EXCEPTIONS) return null;
+  const stored = { ...record, id: state.nextExceptionId++ };
+  state.exceptions.push(stored);
+  state.exceptions.sort((a, b) => a.startDate.localeCompare(b.startDate) || a.id - b.id);
+  return stored;
+}
+
+function listExceptions(ctx) {
+  const { query, state } = ctx;
+  const offset = Math.max(0, parseInt(query.get('offset'), 10) || 0);
+  const limit = Math.min(50, Math.max(1, parseInt(query.get('limit'), 10) || 10));
+  const from = query.get('from');
+  const to = query.get('to');
+  if ((from && !isDate(from)) || (to && !isDate(to))) return fail(400, 'from/to must be YYYY-MM-DD');
+  const matching = state.exceptions.filter((ex) =>
+    (!from || ex.endDate >= from) && (!to || ex.startDate <= to));
+  const items = matching.slice(offset, offset + limit).map(exceptionMeta);
+  return { items, total: matching.length, offset, limit, hasMore: offset + items.length < matching.length };
+}
+
+/** Single-day override for today; multi-day exceptions covering today are
+ *  split around it, as the firmware does. */
+function saveToday(ctx) {
+  const { state } = ctx;
+  const today = localDate(ctx.now);
+  const body = Array.isArray(ctx.body.bells) && !ctx.body.action
+    ? { action: 'custom', customBells: { bells: ctx.body.bells } }
+    : ctx.body;
+  const record = cleanException({ ...body, startDate: today, endDate: today, label: body.label || 'Днес', source: 'today' });
+  if (invalid(record)) return fail(400, record);
+  const covering = state.exceptions.filter((ex) => ex.startDate <= today && today <= ex.endDate);
+  state.exceptions = state.exceptions.filter((ex) => !covering.includes(ex));
+  for (const ex of covering) {
+    if (ex.startDate < today) addException(state, { ...exceptionMeta(ex), customBells: ex.customBells, endDate: addDays(today, -1) });
+    if (ex.endDate > today) addException(state, { ...exceptionMeta(ex), customBells: ex.customBells, startDate: addDays(today, 1) });
+  }
+  addException(state, record);
+  log(state, `Today overridden (${record.action})`, ctx.now);
+  return { ...OK, ...todayBody(ctx) };
+}
+
+function cancelToday(ctx) {
+  const today = localDate(ctx.now);
+  ctx.state.exceptions = ctx.state.exceptions.filter((ex) =>
+    !(ex.source === 'today' && ex.startDate === today && ex.endDate === today));
+  return OK;
+}
+
+function applyHolidays(ctx) {
+  const { state } = ctx;
+  const { year, defaultAction = 'dayOff', conflictStrategy = 'skip', items } = ctx.body;
+  if (!Array.isArray(items)) return fail(400, 'items must be an array');
+  const records = [];
+  for (const item of items) {
+    const record = cleanException({ ...item, action: item.action || defaultAction });
+    if (invalid(record)) return fail(400, `${item.startDate || '?'}: ${record}`);
+    records.push({ record, item });
+  }
+  const result = { ...OK, created: 0, updated: 0, skipped: 0 };
+  for (const { record, item } of records) {
+    const { same, other } = matchExisting(record, state.exceptions);
+    const strategy = item.conflictAction || conflictStrategy;
+    if (same || (other && strategy === 'skip')) {
+      result.skipped += 1;
+    } else if (other && strategy === 'overwrite') {
+      const target = findException(state, item.conflictExceptionId) || other;
+      Object.assign(target, record);
+      result.updated += 1;
+    } else if (addException(state, record)) {
+      result.created += 1;
+    } else {
+      result.skipped += 1;
+    }
+  }
+  if (state.holidayPending?.year === year) state.holidayPending = null;
+  log(state, `Holidays ${year}: ${result.created} created, ${result.updated} updated, ${result.skipped} skipped`, ctx.now);
+  return result;
+}
+
+/* ── Firmware ──────────────────────────────────────────────────────── */
+
+const firmwareInfo = ({ firmware }) => ({
+  fw_version: firmware.fw_version,
+  device_model: firmware.device_model,
+  running_partition: firmware.running_partition,
+  pending_verify: firmware.pending_verify,
+  rollback_available: Boolean(firmware.previous_version),
+});
+
+/** SBU1 framing check (magic, header, declared sizes) -the same rules as
+ *  the UI preflight, without the signature. */
+function verifyBundle(buf) {
+  if (buf.length < 8 || buf.toString('latin1', 0, 4) !== 'SBU1') return 'Bad bundle magic';
+  const headerLen = buf.readUInt32LE(4);
+  if (!headerLen || headerLen > 4096 || buf.length < 8 + headerLen) return 'Bad bundle header';
+  let header;
+  try {
+    header = JSON.parse(buf.toString('utf8', 8, 8 + headerLen));
+  } catch {
+    return 'Bad bundle header';
+  }
+  if (header.bundle_version !== 1) return 'Unsupported bundle version';
+  if (header.device_model !== DEVICE_MODEL) return `Bundle is for ${header.device_model || 'another device'}`;
+  const sections = Array.isArray(header.sections) ? header.sections : [];
+  const expected = sections.reduce((sum, s) => sum + (Number(s.size) || 0), 8 + headerLen + 32);
+  if (expected !== buf.length) return 'Bundle size mismatch';
+  return header;
+}
+
+/** POST /api/system/update -streams the body, keeping /update/status
+ *  current; `uploadBytesPerSec` slows it to flash-write speed. */
+function receiveBundle(ctx) {
+  const { state, req, options } = ctx;
+  if (state.update.state === 'receiving') return fail(409, 'Update already in progress');
+  const total = Number(req.headers['content-length']) || 0;
+  if (!total) return fail(411, 'Content-Length required');
+  if (total > MAX_BUNDLE_BYTES) return fail(413, 'Bundle too large');
+  state.update = { state: 'receiving', progress: 0, bytes_received: 0, total_bytes: total, last_error: null };
+  log(state, `OTA started (${total} bytes)`, ctx.now);
+
+  return new Promise((resolve) => {
+    const chunks = [];
+    const started = Date.now();
+    let done = false;
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      req.resume();
+      resolve(result);
+    };
+    req.on('data', (chunk) => {
+      if (state.update.state !== 'receiving') {
+        finish(fail(409, 'Update aborted'));
+        return;
+      }
+      chunks.push(chunk);
+      state.update.bytes_received += chunk.length;
+      state.update.progress = Math.floor((state.update.bytes_received * 100) / total);
+      const rate = options.uploadBytesPerSec;
+      const wait = rate ? (state.update.bytes_received * 1000) / rate - (Date.now() - started) : 0;
+      if (wait > 0) {
+        req.pause();
+        setTimeout(() => { if (!done) req.resume(); }, wait);
+      }
+    });
+    req.on('end', () => {
+      if (state.update.state !== 'receiving') {
+        finish(fail(409, 'Update aborted'));
+        return;
+      }
+      const header = verifyBundle(Buffer.concat(chunks));
+      if (invalid(header)) {
+        state.update = { ...state.update, state: 'error', last_error: header };
+        log(state, `OTA rejected: ${header}`, ctx.now);
+        finish(fail(400, header));
+        return;
+      }
+      state.update = { ...state.update, state: 'done', progress: 100 };
+      state.firmware.staged = header.fw_version || state.firmware.fw_version;
+      log(state, `OTA complete (${state.firmware.staged}), rebooting`, ctx.now);
+      ctx.device.reboot(REBOOT_IN_MS);
+      finish({ success: true, reboot_in_ms: REBOOT_IN_MS });
+    });
+    req.on('aborted', () => {
+      state.update = { ...state.update, state: 'error', last_error: 'Upload interrupted' };
+      finish(fail(400, 'Upload interrupted'));
+    });
+  });
+}
+
+/* ── TLS ───────────────────────────────────────────────────────────── */
+
+const DAY_MS = 86400000;
+
+function tlsStatus({ state, now }) {
+  const { cert, mode_setting: modeSetting, mode_active: modeActive, tamper_suspected: tamper } = state.tls;
+  return {
+    enabled: modeActive === 'https',
+    source: cert ? cert.source : 'none',
+    port: 443,
+    subject_cn: cert?.subject_cn ?? null,
+    fingerprint_sha256: cert?.fingerprint_sha256 ?? null,
+    not_before: cert?.not_before ?? null,
+    not_after: cert?.not_after ?? null,
+    days_remaining: cert ? Math.floor((Date.parse(cert.not_after) - now) / DAY_MS) : null,
+    tamper_suspected: tamper,
+    mode_active: modeActive,
+    mode_setting: modeSetting,
+    cert_present: Boolean(cert),
+  };
+}
+
+const colonHex = (hex) => hex.toUpperCase().match(/../g).join(':');
+
+/** A stand-in self-signed certificate -right metadata, placeholder DER. */
+function generatedCert(now) {
+  const der = Buffer.from(randomHex(384), 'hex');
+  const body = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return {
+    source: 'generated',
+    subject_cn: 'ringy.local',
+    fingerprint_sha256: colonHex(createHash('sha256').update(der).digest('hex')),
+    not_before: new Date(now).toISOString(),
+    not_after: new Date(now + 825 * DAY_MS).toISOString(),
+    pem: `-----BEGIN CERTIFICATE-----\n${body}\n-----END CERTIFICATE-----\n`,
+  };
+}
+
+function uploadCertificate(ctx) {
+  const { cert_pem: certPem, key_pem: keyPem } = ctx.body;
+  if (typeof certPem !== 'string' || typeof keyPem !== 'string') return fail(400, 'cert_pem and key_pem are required');
+  let x509;
+  try {
+    x509 = new X509Certificate(certPem);
+    if (!x509.checkPrivateKey(createPrivateKey(keyPem))) return fail(400, 'Key does not match certificate');
+  } catch {
+    return fail(400, 'Invalid certificate or key');
+  }
+  ctx.state.tls.cert = {
+    source: 'uploaded',
+    subject_cn: (x509.subject.match(/CN=([^\n,]+)/) || [])[1] || null,
+    fingerprint_sha256: x509.fingerprint256,
+    not_before: new Date(x509.validFrom).toISOString(),
+    not_after: new Date(x509.validTo).toISOString(),
+    pem: certPem,
+  };
+  log(ctx.state, 'TLS certificate uploaded', ctx.now);
+  return { status: 'ok', message: 'Certificate installed; reboot to apply' };
+}
+
+/* ── Wi-Fi ─────────────────────────────────────────────────────────── */
+
+/** Finish a pending join once its time has come (no timers to clean up). */
+function settleWifi({ state, now }) {
+  const { joining } = state.wifi;
+  if (!joining || now < joining.at) return;
+  const ap = state.networks
+    .filter((n) => n.ssid === joining.ssid && (!joining.bssid || n.bssid === joining.bssid))
+    .sort((a, b) => b.rssi - a.rssi)[0];
+  state.wifi = ap
+    ? { connected: true, ssid: ap.ssid, bssid: ap.bssid, rssi: ap.rssi, joining: null }
+    : { connected: false, ssid: null, bssid: null, rssi: null, joining: null };
+}
+
+const wifiStatus = ({ wifi }) => (wifi.connected
+  ? { connected: true, ssid: wifi.ssid, rssi: wifi.rssi, bssid: wifi.bssid }
+  : { connected: false, ssid: null, rssi: null });
+
+/* ── Bodies shared by several endpoints ────────────────────────────── */
+
+function systemInfo(ctx) {
+  return {
+    uptime: uptimeSec(ctx),
+    uptimeSec: uptimeSec(ctx),
+    freeHeap: 220000,
+    totalHeap: 524288,
+    flashSize: 16777216,
+    idfVersion: 'v5.4.0',
+    firmwareVersion: ctx.state.firmware.fw_version,
+    mac: '24:0A:C4:12:34:56',
+    timezone: ctx.state.settings.timezone,
+    ...clock(ctx),
+  };
+}
+
+const credentialsOf = ({ accounts }) => ({
+  clientExists: Boolean(accounts.client),
+  clientUsername: accounts.client?.username ?? '',
+});
+
+function bellStatus(ctx) {
+  const { state, now } = ctx;
+  const ringing = state.ringingUntil > now;
+  const bellState = state.panicMode ? 'panic' : (ringing ? 'ringing' : 'idle');
+  const { time, date, timeSynced, lastSyncAgeSec } = clock(ctx);
+  return {
+    state: bellState,
+    bellState,
+    panicMode: state.panicMode,
+    dayType: resolveDate(state, date).dayType,
+    nextBell: nextBell(ctx),
+    timeSynced,
+    lastSyncAgeSec,
+    currentTime: time,
+    currentDate: date,
+  };
+}
+
+const weekBody = ({ state }) => ({
+  weekdayPlans: state.weekdayPlans,
+  weekdayCustom: state.weekdayCustom,
+  workingDays: state.settings.workingDays,
+});
+
+const templatesBody = ({ state }) => ({ templates: state.templates, builtins: clone(BUILTINS) });
+
+/* ── Live events (/api/events) ─────────────────────────────────────── */
+
+/** `time` event -also the 30 s heartbeat. */
+export function liveTime(ctx) {
+  const { time, date, timeSynced, lastSyncAgeSec } = clock(ctx);
+  return { currentTime: time, currentDate: date, timeSynced, lastSyncAgeSec };
+}
+
+/** `bell` event -the parts of /api/bell/status that change on their own. */
+function liveBell(ctx) {
+  const { bellState, panicMode, dayType, nextBell: next } = bellStatus(ctx);
+  return { bellState, panicMode, dayType, nextBell: next };
+}
+
+/* ── Route table ───────────────────────────────────────────────────── */
+
+/** What an exception change invalidates (`changes` → `schedule` event). */
+const EXCEPTION_AREAS = ['exceptions', 'today'];
+
+export const ROUTES = [
+  /* Auth */
+  { method: 'POST', path: '/api/login', access: 'public', handler: login },
+  {
+    method: 'POST', path: '/api/logout', access: 'user',
+    handler: (ctx) => {
+      ctx.state.sessions.delete(ctx.session.token);
+      return reply(200, { success: true }, { 'Set-Cookie': clearedSessionCookie() });
+    },
+  },
+  {
+    method: 'GET', path: '/api/validate-token', access: 'user',
+    handler: (ctx) => ({ valid: true, user: ctx.session.user }),
+  },
+  {
+    method: 'POST', path: '/api/refresh-token', access: 'user',
+    handler: (ctx) => {
+      refreshSession(ctx.state, ctx.session.token, ctx.now);
+      return reply(200, { success: true }, { 'Set-Cookie': sessionCookie(ctx.session.token) });
+    },
+  },
+  {
+    method: 'GET', path: '/api/setup/claim-status', access: 'public',
+    handler: (ctx) => ({ claimable: !ctx.state.accounts.client }),
+  },
+  { method: 'POST', path: '/api/setup/claim', access: 'public', handler: claim },
+
+  /* System */
+  {
+    method: 'GET', path: '/api/health', access: 'public',
+    handler: (ctx) => ({ status: 'healthy', uptime: uptimeSec(ctx) }),
+  },
+  {
+    method: 'GET', path: '/api/status', access: 'public',
+    handler: (ctx) => {
+      settleWifi(ctx);
+      const { time, date, timeSynced, lastSyncAgeSec } = clock(ctx);
+      return {
+        device: 'ESP32-S3',
+        version: ctx.state.firmware.fw_version,
+        wifi: wifiStatus(ctx.state),
+        time, date, timeSynced, lastSyncAgeSec,
+      };
+    },
+  },
+  { method: 'GET', path: '/api/system/info', access: 'user', handler: systemInfo },
+  {
+    method: 'GET', path: '/api/system/time', access: 'user',
+    handler: (ctx) => {
+      const { time, date, timeSynced } = clock(ctx);
+      return { time, date, synced: timeSynced, timezone: ctx.state.settings.timezone };
+    },
+  },
+  {
+    method: 'POST', path: '/api/system/reboot', access: 'user',
+    handler: (ctx) => {
+      log(ctx.state, 'Reboot requested', ctx.now);
+      ctx.device.reboot(500);
+      return { success: true };
+    },
+  },
+  {
+    method: 'POST', path: '/api/system/factory-reset', access: 'user',
+    handler: (ctx) => {
+      factoryReset(ctx.state);
+      log(ctx.state, 'Factory reset', ctx.now);
+      return { success: true };
+    },
+  },
+  {
+    method: 'POST', path: '/api/system/sync-time', access: 'user',
+    handler: (ctx) => {
+      ctx.state.lastSyncAt = ctx.now;
+      ctx.events.publish('time', liveTime(ctx));
+      return { success: true, time: clock(ctx).time };
+    },
+  },
+  {
+    method: 'POST', path: '/api/system/pin', access: 'user',
+    handler: (ctx) => {
+      if (typeof ctx.body.pin !== 'string' || !/^\d{4,8}$/.test(ctx.body.pin)) return fail(400, 'PIN must be 4-8 digits');
+      ctx.state.pin = ctx.body.pin;
+      return { success: true };
+    },
+  },
+  { method: 'GET', path: '/api/system/credentials', access: 'service', handler: (ctx) => credentialsOf(ctx.state) },
+  {
+    method: 'POST', path: '/api/system/credentials', access: 'service',
+    handler: (ctx) => {
+      const account = checkClientAccount(ctx.state, ctx.body);
+      if (invalid(account)) return fail(400, account);
+      ctx.state.accounts.client = account;
+      endSessions(ctx.state, (s) => s.user.role === 'client');
+      return { success: true, ...credentialsOf(ctx.state) };
+    },
+  },
+  {
+    method: 'DELETE', path: '/api/system/credentials', access: 'service',
+    handler: (ctx) => {
+      ctx.state.accounts.client = null;
+      endSessions(ctx.state, (s) => s.user.role === 'client');
+      return { success: true };
+    },
+  },
+  { method: 'GET', path: '/api/mode', access: 'user', handler: (ctx) => ({ mode: ctx.state.mode }) },
+  {
+    method: 'POST', path: '/api/mode', access: 'user',
+    handler: (ctx) => {
+      if (typeof ctx.body.mode !== 'string' || ctx.body.mode.length > 31) return fail(400, 'Invalid mode');
+      ctx.state.mode = ctx.body.mode;
+      return { success: true, mode: ctx.state.mode };
+    },
+  },
+
+  /* Settings page bundles */
+  {
+    method: 'GET', path: '/api/ui/settings/core', access: 'user',
+    handler: (ctx) => ({ systemInfo: systemInfo(ctx), scheduleSettings: ctx.state.settings }),
+  },
+  {
+    method: 'GET', path: '/api/ui/settings/access', access: 'user',
+    handler: (ctx) => ({ credentials: ctx.session.user.role === 'service' ? credentialsOf(ctx.state) : null }),
+  },
+  {
+    method: 'GET', path: '/api/ui/settings/maintenance', access: 'user',
+    handler: (ctx) => ({
+      firmware: ctx.session.user.role === 'service' ? firmwareInfo(ctx.state) : null,
+      tls: tlsStatus(ctx),
+    }),
+  },
+
+  /* Firmware */
+  { method: 'GET', path: '/api/system/firmware', access: 'service', handler: (ctx) => firmwareInfo(ctx.state) },
+  { method: 'POST', path: '/api/system/update', access: 'service', body: 'binary', handler: receiveBundle },
+  { method: 'GET', path: '/api/system/update/status', access: 'service', handler: (ctx) => ctx.state.update },
+  {
+    method: 'POST', path: '/api/system/update/abort', access: 'service',
+    handler: (ctx) => {
+      if (ctx.state.update.state !== 'receiving') return fail(409, 'No update in progress');
+      ctx.state.update = { ...ctx.state.update, state: 'aborted', last_error: 'Aborted by user' };
+      log(ctx.state, 'OTA aborted', ctx.now);
+      return { success: true };
+    },
+  },
+  {
+    method: 'POST', path: '/api/system/rollback', access: 'service',
+    handler: (ctx) => {
+      const { firmware } = ctx.state;
+      if (!firmware.previous_version) return fail(409, 'No previous firmware to roll back to');
+      firmware.staged = firmware.previous_version;
+      log(ctx.state, `Rollback to ${firmware.staged}`, ctx.now);
+      ctx.device.reboot(REBOOT_IN_MS);
+      return { success: true, reboot_in_ms: REBOOT_IN_MS };
+    },
+  },
+
+  /* TLS */
+  { method: 'GET', path: '/api/system/tls', access: 'user', handler: tlsStatus },
+  {
+    method: 'POST', path: '/api/system/tls/regenerate', access: 'service',
+    handler: (ctx) => {
+      ctx.state.tls.cert = generatedCert(ctx.now);
+      ctx.state.tls.tamper_suspected = false;
+      log(ctx.state, 'TLS certificate regenerated', ctx.now);
+      return reply(202, { status: 'accepted', message: 'Certificate generated; reboot to apply' });
+    },
+  },
+  { method: 'POST', path: '/api/system/tls/certificate', access: 'service', handler: uploadCertificate },
+  {
+    method: 'PUT', path: '/api/system/tls/mode', access: 'service',
+    handler: (ctx) => {
+      const { mode } = ctx.body;
+      if (mode !== 'http' && mode !== 'https') return fail(400, 'mode must be "http" or "https"');
+      if (mode === 'https' && !ctx.state.tls.cert) return fail(409, 'No certificate installed');
+      ctx.state.tls.mode_setting = mode;
+      log(ctx.state, `Web server mode set to ${mode}, rebooting`, ctx.now);
+      ctx.device.reboot(REBOOT_IN_MS);
+      return reply(202, { status: 'accepted', mode, message: 'Restarting to apply' });
+    },
+  },
+  {
+    method: 'GET', path: '/api/system/tls/download', access: 'user',
+    handler: (ctx) => {
+      const { cert } = ctx.state.tls;
+      if (!cert) return fail(404, 'No certificate installed');
+      return reply(200, cert.pem, {
+        'Content-Type': 'application/x-x509-ca-cert',
+        'Content-Disposition': 'attachment; filename="ringy-cert.crt"',
+      });
+    },
+  },
+
+  /* Logs */
+  {
+    method: 'GET', path: '/api/system/logs', access: 'service',
+    handler: ({ state }) => ({
+      bytes: logBytes(state),
+      max_bytes: LOG_MAX_BYTES,
+      dropped: state.logsDropped,
+      spiffs_free: 1024 * 1024 - logBytes(state),
+      tail: state.logs.slice(-100).join('\n'),
+    }),
+  },
+  {
+    method: 'DELETE', path: '/api/system/logs', access: 'service',
+    handler: ({ state }) => {
+      state.logs = [];
+      state.logsDropped = 0;
+      return { success: true };
+    },
+  },
+  {
+    method: 'GET', path: '/api/system/logs/download', access: 'service',
+    handler: ({ state }) => reply(200, `${state.logs.join('\n')}\n`, {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="ringy-logs.txt"',
+    }),
+  },
+
+  /* Bell */
+  { method: 'GET', path: '/api/bell/status', access: 'user', handler: bellStatus },
+  { method: 'GET', path: '/api/events', access: 'user', stream: true, handler: (ctx) => ctx.events.open(ctx) },
+  {
+    method: 'POST', path: '/api/bell/test', access: 'user',
+    handler: (ctx) => {
+      const sec = ctx.body.durationSec ?? ctx.state.settings.ringDurationSec;
+      if (!Number.isInteger(sec) || sec < 1 || sec > 30) return fail(400, 'durationSec must be 1-30');
+      ctx.state.ringingUntil = ctx.now + sec * 1000;
+      ctx.events.publish('bell', liveBell(ctx));
+      ctx.events.later(sec * 1000, () => ['bell', liveBell({ ...ctx, now: ctx.options.now() })]);
+      return { success: true };
+    },
+  },
+  {
+    method: 'POST', path: '/api/bell/panic', access: 'user',
+    handler: (ctx) => {
+      const on = ctx.body.enabled ?? ctx.body.panic;
+      if (typeof on !== 'boolean') return fail(400, 'enabled must be a boolean');
+      ctx.state.panicMode = on;
+      log(ctx.state, `Panic ${on ? 'on' : 'off'}`, ctx.now);
+      ctx.events.publish('panic', { panicMode: on });
+      return { success: true, panicMode: on };
+    },
+  },
+
+  /* Schedule */
+  { method: 'GET', path: '/api/schedule/settings', access: 'user', handler: (ctx) => ctx.state.settings },
+  {
+    method: 'POST', path: '/api/schedule/settings', access: 'user', changes: ['settings', 'week', 'today'],
+    handler: (ctx) => {
+      const settings = cleanSettings(ctx.body);
+      if (invalid(settings)) return fail(400, settings);
+      ctx.state.settings = settings;
+      bump(ctx.state, 'week');
+      return settings;
+    },
+  },
+  { method: 'GET', path: '/api/schedule/today', access: 'user', handler: todayBody },
+  { method: 'POST', path: '/api/schedule/today', access: 'user', changes: ['today'], handler: saveToday },
+  { method: 'POST', path: '/api/schedule/today/cancel', access: 'user', changes: ['today'], handler: cancelToday },
+  { method: 'GET', path: '/api/schedule/default', access: 'user', handler: (ctx) => ({ bells: ctx.state.defaultBells }) },
+  {
+    method: 'POST', path: '/api/schedule/default', access: 'user', changes: ['default', 'today'],
+    handler: (ctx) => {
+      const bells = cleanBells(ctx.body.bells);
+      if (invalid(bells)) return fail(400, bells);
+      ctx.state.defaultBells = bells;
+      return { bells };
+    },
+  },
+  { method: 'GET', path: '/api/schedule/defaults', access: 'user', handler: () => ({ bells: clone(FACTORY_BELLS) }) },
+  {
+    method: 'GET', path: '/api/schedule/templates', access: 'user',
+    handler: (ctx) => reply(200, templatesBody(ctx), { ETag: etagOf(ctx.state, 'templates') }),
+  },
+  {
+    method: 'POST', path: '/api/schedule/templates', access: 'user', changes: ['templates', 'today'],
+    handler: (ctx) => {
+      const stale = precondition(ctx, 'templates');
+      if (stale) return stale;
+      const templates = cleanTemplates(ctx.body.templates);
+      if (invalid(templates)) return fail(400, templates);
+      ctx.state.templates = templates;
+      bump(ctx.state, 'templates');
+      return reply(200, templatesBody(ctx), { ETag: etagOf(ctx.state, 'templates') });
+    },
+  },
+  {
+    method: 'GET', path: '/api/schedule/week', access: 'user',
+    handler: (ctx) => reply(200, weekBody(ctx), { ETag: etagOf(ctx.state, 'week') }),
+  },
+  {
+    method: 'POST', path: '/api/schedule/week', access: 'user', changes: ['week', 'today'],
+    handler: (ctx) => {
+      const stale = precondition(ctx, 'week');
+      if (stale) return stale;
+      const plans = cleanWeekPlans(ctx.body.weekdayPlans);
+      if (invalid(plans)) return fail(400, plans);
+      const custom = [...ctx.state.weekdayCustom];
+      if (Array.isArray(ctx.body.weekdayCustom)) {
+        for (let day = 0; day < 7; day++) {
+          const entry = ctx.body.weekdayCustom[day];
+          const bells = cleanBells(Array.isArray(entry) ? entry : (entry?.bells ?? []));
+          if (invalid(bells)) return fail(400, `Day ${day}: ${bells}`);
+          custom[day] = bells;
+        }
+      }
+      if (plans.some((plan, day) => plan === -2 && custom[day].length === 0)) {
+        return fail(400, 'Custom weekday requires at least one bell');
+      }
+      if (ctx.body.workingDays !== undefined) {
+        const settings = cleanSettings({ ...ctx.state.settings, workingDays: ctx.body.workingDays });
+        if (invalid(settings)) return fail(400, settings);
+        ctx.state.settings = settings;
+      }
+      ctx.state.weekdayPlans = plans;
+      ctx.state.weekdayCustom = custom;
+      bump(ctx.state, 'week');
+      return reply(200, weekBody(ctx), { ETag: etagOf(ctx.state, 'week') });
+    },
+  },
+  {
+    method: 'POST', path: '/api/schedule/weekday', access: 'user', changes: ['week', 'today'],
+    handler: (ctx) => {
+      const { day, action, templateIdx, customBells } = ctx.body;
+      if (!Number.isInteger(day) || day < 0 || day > 6) return fail(400, 'day must be 0-6');
+      const { state } = ctx;
+      if (action === 'custom') {
+        const bells = cleanBells(customBells?.bells, { allowEmpty: false });
+        if (invalid(bells)) return fail(400, bells);
+        state.weekdayPlans[day] = -2;
+        state.weekdayCustom[day] = bells;
+      } else if (action === 'template') {
+        if (!Number.isInteger(templateIdx) || templateIdx < 0 || templateIdx >= TEMPLATE_COUNT) {
+          return fail(400, 'Invalid templateIdx');
+        }
+        state.weekdayPlans[day] = templateIdx;
+      } else if (action === 'default') {
+        state.weekdayPlans[day] = -1;
+      } else {
+        return fail(400, 'Unknown action');
+      }
+      bump(state, 'week');
+      return OK;
+    },
+  },
+
+  /* Exceptions */
+  { method: 'GET', path: '/api/schedule/exceptions', access: 'user', handler: listExceptions },
+  {
+    method: 'POST', path: '/api/schedule/exceptions', access: 'user', changes: EXCEPTION_AREAS,
+    handler: (ctx) => {
+      const record = cleanException(ctx.body);
+      if (invalid(record)) return fail(400, record);
+      const stored = addException(ctx.state, record);
+      if (!stored) return fail(409, `At most ${MAX_EXCEPTIONS} exceptions`);
+      return reply(201, { ...OK, id: stored.id });
+    },
+  },
+  {
+    method: 'DELETE', path: '/api/schedule/exceptions', access: 'user', changes: EXCEPTION_AREAS,
+    handler: (ctx) => {
+      ctx.state.exceptions = [];
+      return OK;
+    },
+  },
+  {
+    method: 'GET', path: '/api/schedule/exceptions/:id', access: 'user',
+    handler: (ctx) => findException(ctx.state, ctx.params.id) || fail(404, 'Exception not found'),
+  },
+  {
+    method: 'PUT', path: '/api/schedule/exceptions/:id', access: 'user', changes: EXCEPTION_AREAS,
+    handler: (ctx) => {
+      const ex = findException(ctx.state, ctx.params.id);
+      if (!ex) return fail(404, 'Exception not found');
+      const record = cleanException(ctx.body);
+      if (invalid(record)) return fail(400, record);
+      Object.assign(ex, record);
+      ctx.state.exceptions.sort((a, b) => a.startDate.localeCompare(b.startDate) || a.id - b.id);
+      return { ...OK, id: ex.id };
+    },
+  },
+  {
+    method: 'DELETE', path: '/api/schedule/exceptions/:id', access: 'user', changes: EXCEPTION_AREAS,
+    handler: (ctx) => {
+      const ex = findException(ctx.state, ctx.params.id);
+      if (!ex) return fail(404, 'Exception not found');
+      ctx.state.exceptions = ctx.state.exceptions.filter((other) => other !== ex);
+      return OK;
+    },
+  },
+
+  /* Holidays */
+  {
+    method: 'GET', path: '/api/schedule/holidays/preview', access: 'user',
+    handler: (ctx) => {
+      const year = Number(ctx.query.get('year'));
+      if (!Number.isInteger(year) || year < 2024 || year > 2100) return fail(400, 'year must be 2024-2100');
+      const lang = ctx.query.get('lang') === 'EN' ? 'EN' : 'BG';
+      return previewHolidays(year, lang, ctx.state.exceptions, new Date(ctx.now).toISOString());
+    },
+  },
+  { method: 'POST', path: '/api/schedule/holidays/apply', access: 'user', changes: [...EXCEPTION_AREAS, 'holidays'], handler: applyHolidays },
+  {
+    method: 'GET', path: '/api/schedule/holidays/pending', access: 'user',
+    handler: (ctx) => {
+      const pending = ctx.state.holidayPending;
+      if (!pending) return reply(204, null);
+      return previewHolidays(pending.year, pending.lang, ctx.state.exceptions, pending.fetchedAt);
+    },
+  },
+  {
+    method: 'DELETE', path: '/api/schedule/holidays/pending', access: 'user', changes: ['holidays'],
+    handler: (ctx) => {
+      ctx.state.holidayPending = null;
+      return OK;
+    },
+  },
+
+  /* Wi-Fi */
+  {
+    method: 'GET', path: '/api/wifi/scan', access: 'public',
+    handler: (ctx) => new Promise((resolve) => {
+      setTimeout(() => resolve({ networks: clone(ctx.state.networks) }), ctx.options.scanMs);
+    }),
+  },
+  {
+    method: 'POST', path: '/api/wifi/credentials', access: 'public',
+    handler: (ctx) => {
+      const { ssid, password = '', bssid } = ctx.body;
+      if (typeof ssid !== 'string' || !ssid || ssid.length > 32) return fail(400, 'ssid must be 1-32 characters');
+      if (typeof password !== 'string' || password.length > 63) return fail(400, 'Password too long');
+      ctx.state.wifi = {
+        connected: false, ssid: null, bssid: null, rssi: null,
+        joining: { ssid, bssid: typeof bssid === 'string' ? bssid : null, at: ctx.now + ctx.options.wifiJoinMs },
+      };
+      log(ctx.state, `Joining Wi-Fi "${ssid}"`, ctx.now);
+      return { success: true };
+    },
+  },
+];
@@ -0,0 +1,276 @@
+/**
+ * Mock ESP32 -a dependency-free Node stand-in for the device's REST API,
+ * for UI work without hardware (`npm run start:mock`, or `npm run mock`
+ * plus DEVICE_HOST) and for tests (createMockDevice().listen(0)).
+ *
+ * Enforced like the firmware: HttpOnly session cookie, CSRF headers on
+ * POST / PUT / DELETE (403 / 415), the shared login + claim rate limit
+ * (429 + Retry-After), service-only endpoints, ETag / If-Match on the
+ * templates and week map. A reboot (command, OTA, rollback) makes the
+ * device unreachable for `rebootMs`, then drops every session.
+ * GET /api/events streams live updates (events.js); routes with `changes`
+ * announce them there as a `schedule` event.
+ *
+ *   node scripts/mock-device/server.js [--port 8787] [--host 127.0.0.1]
+ *        [--unclaimed] [--pending-holidays <year>] [--fast]
+ */
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { createDeviceState, log } from './state.js';
+import { findSession } from './sessions.js';
+import { ROUTES, fail, liveTime } from './routes.js';
+import { createEventHub } from './events.js';
+
+const MAX_JSON_BYTES = 32 * 1024;
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Cache-Control': 'no-store',
+};
+
+/** Timings close to real hardware; tests pass `fast: true`. */
+const DEFAULTS = {
+  rebootMs: 4000,
+  scanMs: 1500,
+  wifiJoinMs: 3000,
+  uploadBytesPerSec: 256 * 1024,
+  heartbeatMs: 30000,
+};
+
+const FAST = { rebootMs: 50, scanMs: 0, wifiJoinMs: 0, uploadBytesPerSec: 0, heartbeatMs: 0 };
+
+const compiled = ROUTES.map((route) => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`),
+}));
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('Body too large'), { status: 413 }));
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, { status, body, headers = {} }) {
+  const isText = typeof body === 'string';
+  const payload = body == null || status === 204 ? '' : (isText ? body : JSON.stringify(body));
+  res.writeHead(status, {
+    ...SECURITY_HEADERS,
+    ...(payload && !isText ? { 'Content-Type': 'application/json' } : {}),
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers,
+  });
+  res.end(payload);
+}
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.fast] -near-zero delays (tests)
+ * @param {number} [options.rebootMs] -how long a reboot keeps the device offline
+ * @param {number} [options.scanMs] -Wi-Fi scan duration
+ * @param {number} [options.wifiJoinMs] -time until a new network is joined
+ * @param {number} [options.uploadBytesPerSec] -OTA receive speed, 0 = unthrottled
+ * @param {number} [options.heartbeatMs] -`time` event interval on /api/events, 0 = none
+ * @param {boolean} [options.unclaimed] -start without a client account
+ * @param {number} [options.pendingHolidays] -year offered by the pending-import banner
+ * @param {string} [options.servicePassword]
+ * @param {() => number} [options.now] -clock, for tests
+ */
+export function createMockDevice(options = {}) {
+  const opts = { ...DEFAULTS, ...(options.fast ? FAST : {}), now: Date.now, ...options };
+  const state = createDeviceState({
+    servicePassword: opts.servicePassword,
+    client: opts.unclaimed ? null : undefined,
+    bootedAt: opts.now(),
+  });
+  if (opts.pendingHolidays) {
+    state.holidayPending = { year: opts.pendingHolidays, lang: 'BG', fetchedAt: new Date(opts.now()).toISOString() };
+  }
+
+  const events = createEventHub({
+    state,
+    headers: SECURITY_HEADERS,
+    heartbeatMs: opts.heartbeatMs,
+    heartbeat: () => ['time', liveTime({ state, now: opts.now() })],
+  });
+  let server = null;
+
+  /** Finish a reboot whose offline window has passed. */
+  function boot(now) {
+    const { firmware, tls } = state;
+    if (firmware.staged && firmware.staged !== firmware.fw_version) {
+      firmware.previous_version = firmware.fw_version;
+      firmware.fw_version = firmware.staged;
+      firmware.running_partition = firmware.running_partition === 'ota_0' ? 'ota_1' : 'ota_0';
+    }
+    firmware.staged = null;
+    tls.mode_active = tls.mode_setting;
+    Object.assign(state, {
+      rebootAt: 0,
+      rebootingUntil: 0,
+      bootedAt: now,
+      panicMode: false,
+      ringingUntil: 0,
+      update: { state: 'idle', progress: 0, bytes_received: 0, total_bytes: 0, last_error: null },
+    });
+    state.sessions.clear();
+    log(state, `Boot ${firmware.fw_version} (${firmware.running_partition})`, now);
+  }
+
+  async function handle(req, res) {
+    const now = opts.now();
+    if (state.rebootAt && now >= state.rebootAt) {
+      events.closeAll();
+      if (now < state.rebootingUntil) {
+        req.socket.destroy();
+        return;
+      }
+      boot(now);
+    }
+
+    const url = new URL(req.url, 'http://device');
+    const matches = compiled
+      .map((route) => ({ route, match: route.pattern.exec(url.pathname) }))
+      .filter(({ match }) => match);
+    const hit = matches.find(({ route }) => route.method === req.method);
+    if (!hit) {
+      req.resume();
+      send(res, matches.length ? fail(405, 'Method not allowed') : fail(404, 'Not found'));
+      return;
+    }
+    const { route, match } = hit;
+
+    if (req.method !== 'GET') {
+      const type = (req.headers['content-type'] || '').split(';')[0].trim();
+      const expected = route.body === 'binary' ? 'application/octet-stream' : 'application/json';
+      let refused = null;
+      if (req.headers['x-requested-with'] !== 'XMLHttpRequest') refused = fail(403, 'CSRF check failed');
+      else if (type !== expected) refused = fail(415, `Content-Type must be ${expected}`);
+      if (refused) {
+        req.resume();
+        send(res, refused);
+        return;
+      }
+    }
+
+    const session = findSession(state, req.headers.cookie, now);
+    let denied = null;
+    if (route.access !== 'public' && !session) denied = fail(401, 'Authentication required');
+    else if (route.access === 'service' && session.user.role !== 'service') denied = fail(403, 'Service role required');
+    if (denied) {
+      req.resume();
+      send(res, denied);
+      return;
+    }
+
+    let body = {};
+    if (req.method !== 'GET' && route.body !== 'binary') {
+      try {
+        const text = await readBody(req, MAX_JSON_BYTES);
+        body = text ? JSON.parse(text) : {};
+      } catch (err) {
+        send(res, fail(err.status || 400, err.status ? err.message : 'Invalid JSON'));
+        return;
+      }
+      if (!body || typeof body !== 'object') body = {};
+    }
+
+    const ctx = {
+      state, req, body, now, session,
+      query: url.searchParams,
+      params: match.groups || {},
+      options: opts,
+      device,
+      events,
+    };
+    if (route.stream) {
+      route.handler({ ...ctx, res });
+      return;
+    }
+    try {
+      const result = await route.handler(ctx);
+      const response = result?.reply ? result : { status: 200, body: result };
+      send(res, response);
+      if (route.changes && response.status < 300) events.publish('schedule', { areas: route.changes });
+    } catch (err) {
+      log(state, `Handler error on ${route.method} ${route.path}: ${err.message}`, now);
+      send(res, fail(500, 'Internal error'));
+    }
+  }
+
+  const device = {
+    state,
+    options: opts,
+    events,
+    handle,
+
+    /** Go offline `delayMs` from now for `opts.rebootMs`. */
+    reboot(delayMs = 0) {
+      const now = opts.now();
+      state.rebootAt = now + delayMs;
+      state.rebootingUntil = state.rebootAt + opts.rebootMs;
+      setTimeout(() => events.closeAll(), delayMs).unref();
+    },
+
+    /** @returns {Promise<{ port: number, url: string }>} */
+    listen(port = 0, host = '127.0.0.1') {
+      server = http.createServer((req, res) => { handle(req, res); });
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const { port: bound } = server.address();
+          resolve({ port: bound, url: `http://${host}:${bound}` });
+        });
+      });
+    },
+
+    close() {
+      if (!server) return Promise.resolve();
+      const closing = server;
+      server = null;
+      events.closeAll();
+      return new Promise((resolve) => {
+        closing.close(() => resolve());
+        closing.closeAllConnections();
+      });
+    },
+  };
+  return device;
+}
+
+/* ── CLI ───────────────────────────────────────────────────────────── */
+
+function parseArgs(argv) {
+  const args = { port: 8787, host: '127.0.0.1' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') args.port = Number(argv[++i]);
+    else if (arg === '--host') args.host = argv[++i];
+    else if (arg === '--unclaimed') args.unclaimed = true;
+    else if (arg === '--fast') args.fast = true;
+    else if (arg === '--pending-holidays') args.pendingHolidays = Number(argv[++i]);
+  }
+  return args;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { port, host, ...options } = parseArgs(process.argv.slice(2));
+  const device = createMockDevice(options);
+  const { url } = await device.listen(port, host);
+  const { service, client } = device.state.accounts;
+  console.log(`Mock device listening on ${url}`);
+  console.log(`  service: ${service.username} / ${service.password}`);
+  console.log(client ? `  client:  ${client.username} / ${client.password}` : '  client:  none (device is claimable)');
+}
@@ -0,0 +1,70 @@
+/**
+ * Session cookies and the login rate limit, as the firmware does them: one
+ * RAM-only session at a time (a new login ends the previous one), a
+ * one-hour expiry restarted by /api/refresh-token, and one budget of
+ * attempts shared by /api/login and /api/setup/claim.
+ */
+import { randomHex } from './state.js';
+
+export const SESSION_TTL_MS = 60 * 60 * 1000;
+export const LOGIN_ATTEMPT_LIMIT = 5;
+export const LOGIN_WINDOW_MS = 60 * 1000;
+
+const COOKIE_ATTRS = 'HttpOnly; SameSite=Strict; Path=/';
+
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) cookies[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+  }
+  return cookies;
+}
+
+export const sessionCookie = (token) => `session=${token}; ${COOKIE_ATTRS}`;
+export const clearedSessionCookie = () => `session=; ${COOKIE_ATTRS}; Max-Age=0`;
+
+/** Start the only session for `user`; earlier sessions end. */
+export function startSession(state, user, now) {
+  const token = randomHex(16);
+  state.sessions.clear();
+  state.sessions.set(token, { user, expiresAt: now + SESSION_TTL_MS });
+  return token;
+}
+
+/** The live session named by the request's cookie, or null. */
+export function findSession(state, cookieHeader, now) {
+  const token = parseCookies(cookieHeader).session;
+  const session = token ? state.sessions.get(token) : null;
+  if (!session) return null;
+  if (session.expiresAt <= now) {
+    state.sessions.delete(token);
+    return null;
+  }
+  return { token, ...session };
+}
+
+export function refreshSession(state, token, now) {
+  const session = state.sessions.get(token);
+  if (session) session.expiresAt = now + SESSION_TTL_MS;
+}
+
+export function endSessions(state, predicate = () => true) {
+  for (const [token, session] of state.sessions) {
+    if (predicate(session)) state.sessions.delete(token);
+  }
+}
+
+/**
+ * Count one login / claim attempt.
+ * @returns {number} 0 when allowed, else the seconds until the oldest
+ *   attempt leaves the window (the Retry-After value)
+ */
+export function takeAttempt(state, now) {
+  state.loginAttempts = state.loginAttempts.filter((at) => now - at < LOGIN_WINDOW_MS);
+  if (state.loginAttempts.length >= LOGIN_ATTEMPT_LIMIT) {
+    return Math.max(1, Math.ceil((state.loginAttempts[0] + LOGIN_WINDOW_MS - now) / 1000));
+  }
+  state.loginAttempts.push(now);
+  return 0;
+}
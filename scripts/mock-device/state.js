@@ -0,0 +1,234 @@
+/**
+ * In-memory state of the mock device -everything the firmware keeps in
+ * NVS / SPIFFS / RAM, seeded with a plausible school day. Pure data and
+ * validation helpers only; the HTTP side lives in routes.js and server.js.
+ */
+import { randomBytes } from 'node:crypto';
+
+export const TEMPLATE_COUNT = 5;
+export const MAX_BELLS = 60;
+export const MAX_EXCEPTIONS = 200;
+export const EXCEPTION_LABEL_MAX_LEN = 95;
+export const BELL_LABEL_MAX_LEN = 47;
+export const DEVICE_MODEL = 'ringy-s3';
+export const FIRMWARE_VERSION = '4.3.0';
+export const LOG_MAX_BYTES = 64 * 1024;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const randomHex = (bytes) => randomBytes(bytes).toString('hex');
+
+/** Lessons of `lessonMin` from 08:00 with 10-minute breaks (20 after the 2nd). */
+function schoolDay(lessonMin, count = 7) {
+  const bells = [];
+  let at = 8 * 60;
+  for (let lesson = 1; lesson <= count; lesson++) {
+    bells.push({ hour: Math.floor(at / 60), minute: at % 60, label: `Час ${lesson} начало` });
+    at += lessonMin;
+    bells.push({ hour: Math.floor(at / 60), minute: at % 60, label: `Час ${lesson} край` });
+    at += lesson === 2 ? 20 : 10;
+  }
+  return bells;
+}
+
+export const FACTORY_BELLS = schoolDay(40);
+
+/** Read-only templates the firmware ships with. */
+export const BUILTINS = [
+  { name: 'Стандартно', bells: FACTORY_BELLS },
+  { name: 'Съкратено', bells: schoolDay(30) },
+];
+
+const WIFI_NETWORKS = [
+  { ssid: 'School-Staff', rssi: -48, secured: true, bssid: 'AA:BB:CC:00:00:01', channel: 1, auth: 'WPA2_PSK' },
+  { ssid: 'School-Staff', rssi: -71, secured: true, bssid: 'AA:BB:CC:00:00:02', channel: 11, auth: 'WPA2_PSK' },
+  { ssid: 'School-Guest', rssi: -63, secured: false, bssid: 'AA:BB:CC:00:01:01', channel: 6, auth: 'OPEN' },
+  { ssid: 'Library', rssi: -82, secured: true, bssid: 'AA:BB:CC:00:02:01', channel: 6, auth: 'WPA3_PSK' },
+];
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/** The schedule part -what factory reset puts back. */
+function factorySchedule() {
+  return {
+    settings: {
+      timezone: 'EET-2EEST,M3.5.0/3,M10.5.0/4',
+      workingDays: [1, 2, 3, 4, 5],
+      ringDurationSec: 5,
+    },
+    defaultBells: clone(FACTORY_BELLS),
+    templates: Array.from({ length: TEMPLATE_COUNT }, () => null),
+    weekdayPlans: [-1, -1, -1, -1, -1, -1, -1],
+    weekdayCustom: Array.from({ length: 7 }, () => []),
+    exceptions: [],
+    nextExceptionId: 1,
+    holidayPending: null,
+    pin: null,
+    mode: '',
+  };
+}
+
+/**
+ * Fresh device state.
+ * @param {object} [options]
+ * @param {string} [options.servicePassword='service-pass'] -password of `admin`
+ * @param {{ username: string, password: string }|null} [options.client]
+ *   pre-claimed client account; null leaves the device claimable
+ * @param {number} [options.bootedAt] -epoch ms the uptime counts from
+ */
+export function createDeviceState({
+  servicePassword = 'service-pass',
+  client = { username: 'school', password: 'changeme1' },
+  bootedAt = Date.now(),
+} = {}) {
+  return {
+    ...factorySchedule(),
+    accounts: {
+      service: { username: 'admin', password: servicePassword },
+      client: client ? { ...client } : null,
+    },
+    sessions: new Map(),
+    loginAttempts: [],
+    revisions: { templates: 1, week: 1 },
+    bootedAt,
+    rebootAt: 0,
+    rebootingUntil: 0,
+    lastSyncAt: bootedAt,
+    panicMode: false,
+    ringingUntil: 0,
+    wifi: { connected: true, ssid: 'School-Staff', bssid: 'AA:BB:CC:00:00:01', rssi: -48, joining: null },
+    networks: clone(WIFI_NETWORKS),
+    firmware: {
+      fw_version: FIRMWARE_VERSION,
+      previous_version: null,
+      device_model: DEVICE_MODEL,
+      running_partition: 'ota_0',
+      pending_verify: false,
+      staged: null,
+    },
+    update: { state: 'idle', progress: 0, bytes_received: 0, total_bytes: 0, last_error: null },
+    tls: {
+      cert: null,
+      mode_setting: 'http',
+      mode_active: 'http',
+      tamper_suspected: false,
+    },
+    logs: [],
+    logsDropped: 0,
+  };
+}
+
+/** Factory reset: schedules, PIN and client account go; service stays. */
+export function factoryReset(state) {
+  Object.assign(state, factorySchedule());
+  state.accounts.client = null;
+  state.sessions.clear();
+  state.revisions.templates += 1;
+  state.revisions.week += 1;
+}
+
+/* ── Logs ─────────────────────────────────────────────────────────── */
+
+export function log(state, message, now = Date.now()) {
+  state.logs.push(`${new Date(now).toISOString()} I ${message}`);
+  let bytes = logBytes(state);
+  while (bytes > LOG_MAX_BYTES && state.logs.length) {
+    bytes -= Buffer.byteLength(state.logs.shift()) + 1;
+    state.logsDropped += 1;
+  }
+}
+
+export const logBytes = (state) =>
+  state.logs.reduce((sum, line) => sum + Buffer.byteLength(line) + 1, 0);
+
+/* ── Validation -mirrors the firmware's 400 rules ─────────────────── */
+
+export const isDate = (value) => typeof value === 'string' && DATE_RE.test(value)
+  && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+/** Clean bell list, or a string describing what is wrong. */
+export function cleanBells(list, { allowEmpty = true } = {}) {
+  if (!Array.isArray(list)) return 'bells must be an array';
+  if (list.length > MAX_BELLS) return `At most ${MAX_BELLS} bells`;
+  if (!allowEmpty && list.length === 0) return 'At least one bell is required';
+  const out = [];
+  for (const b of list) {
+    const { hour, minute } = b || {};
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) return 'Invalid bell hour';
+    if (!Number.isInteger(minute) || minute < 0 || minute > 59) return 'Invalid bell minute';
+    const label = typeof b.label === 'string' ? b.label : '';
+    if (label.length > BELL_LABEL_MAX_LEN) return 'Bell label too long';
+    out.push({ hour, minute, label });
+  }
+  return out.sort((a, b) => a.hour * 60 + a.minute - (b.hour * 60 + b.minute));
+}
+
+export function cleanSettings(body) {
+  const { timezone, workingDays, ringDurationSec } = body || {};
+  if (typeof timezone !== 'string' || !timezone || timezone.length > 63) return 'Invalid timezone';
+  if (!Array.isArray(workingDays) || workingDays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return 'Invalid workingDays';
+  }
+  if (!Number.isInteger(ringDurationSec) || ringDurationSec < 1 || ringDurationSec > 30) {
+    return 'ringDurationSec must be 1-30';
+  }
+  return { timezone, workingDays: [...new Set(workingDays)].sort(), ringDurationSec };
+}
+
+export function cleanTemplates(list) {
+  if (!Array.isArray(list) || list.length > TEMPLATE_COUNT) return `templates must have at most ${TEMPLATE_COUNT} slots`;
+  const out = Array.from({ length: TEMPLATE_COUNT }, () => null);
+  for (let i = 0; i < list.length; i++) {
+    const tpl = list[i];
+    if (tpl == null) continue;
+    const bells = cleanBells(tpl.bells);
+    if (typeof bells === 'string') return `Template ${i + 1}: ${bells}`;
+    const name = typeof tpl.name === 'string' ? tpl.name.trim() : '';
+    if (name.length > 40) return `Template ${i + 1}: name too long`;
+    out[i] = { name, bells };
+  }
+  return out;
+}
+
+const isPlan = (plan) => Number.isInteger(plan) && plan >= -2 && plan < TEMPLATE_COUNT;
+
+export function cleanWeekPlans(plans) {
+  if (!Array.isArray(plans) || plans.length !== 7 || !plans.every(isPlan)) {
+    return 'weekdayPlans must be 7 plans in -2..4';
+  }
+  return [...plans];
+}
+
+/** Exception body (POST / PUT / holiday apply) → stored record fields. */
+export function cleanException(body) {
+  const { startDate, label = '', action } = body || {};
+  const endDate = body?.endDate || startDate;
+  if (!isDate(startDate) || !isDate(endDate)) return 'Dates must be YYYY-MM-DD';
+  if (endDate < startDate) return 'endDate is before startDate';
+  if (typeof label !== 'string' || label.length > EXCEPTION_LABEL_MAX_LEN) return 'Label too long';
+  if (!['dayOff', 'template', 'custom'].includes(action)) return 'Unknown action';
+  const timeOffsetMin = Number(body.timeOffsetMin) || 0;
+  if (!Number.isInteger(timeOffsetMin) || Math.abs(timeOffsetMin) > 180) return 'timeOffsetMin must be within ±180';
+  const out = {
+    startDate, endDate, label, action,
+    templateIdx: 0,
+    timeOffsetMin,
+    source: typeof body.source === 'string' ? body.source : 'manual',
+    tag: typeof body.tag === 'string' ? body.tag : '',
+    customBells: { bells: [] },
+  };
+  if (action === 'template') {
+    const idx = body.templateIdx ?? 0;
+    if (!Number.isInteger(idx) || idx < 0 || idx >= TEMPLATE_COUNT) return 'Invalid templateIdx';
+    out.templateIdx = idx;
+  }
+  if (action === 'custom') {
+    const bells = cleanBells(body.customBells?.bells ?? body.bells, { allowEmpty: false });
+    if (typeof bells === 'string') return bells;
+    out.customBells = { bells };
+  }
+  return out;
+}
+
+/** List-endpoint metadata: the record without its bells. */
+export const exceptionMeta = ({ customBells, ...meta }) => meta;
@@ -0,0 +1,15 @@
+// src/app/identityActions.js
+
+/**
+ * Actions that change the authenticated identity. The root reducer wipes the
+ * user-scoped slices on these (see store.js) and tabSyncMiddleware tells the
+ * other open tabs about them.
+ */
+export const IDENTITY_CHANGE_ACTIONS = new Set([
+  'auth/loginUser/fulfilled',
+  'auth/claimAccount/fulfilled',
+  'auth/logoutUser/fulfilled',
+  'auth/logoutUser/rejected',
+  'auth/clearAuthToken',
+  'auth/sessionAdopted',
+]);
@@ -5,7 +5,14 @@ import authReducer from '../features/Auth/AuthSlice'
 import dashboardReducer from '../features/Dashboard/DashboardSlice.js'
 import scheduleReducer from '../features/Schedule/ScheduleSlice.js'
 import settingsReducer from '../features/Settings/SettingsSlice.js'
+import setupReducer from '../features/Setup/SetupSlice.js'
+import deviceRestartReducer from '../features/DeviceRestart/DeviceRestartSlice.js'
 import { authMiddleware, tokenValidationMiddleware } from '../middleware/authMiddleware.js';
+import { tabSyncMiddleware } from '../middleware/tabSyncMiddleware.js';
+import { capabilityMiddleware } from '../middleware/capabilityMiddleware.js';
+import { outboxMiddleware } from '../middleware/outboxMiddleware.js';
+import { liveUpdatesMiddleware } from '../middleware/liveUpdatesMiddleware.js';
+import { IDENTITY_CHANGE_ACTIONS } from './identityActions.js';
 
 const appReducer = combineReducers({
   mode: modeReducer,
@@ -13,32 +20,28 @@ const appReducer = combineReducers({
   dashboard: dashboardReducer,
   schedule: scheduleReducer,
   settings: settingsReducer,
+  setup: setupReducer,
+  deviceRestart: deviceRestartReducer,
 });
 
 /*
- * Actions that change the authenticated identity. When any of these fire we
- * wipe the user-scoped data slices (settings, schedule, dashboard) so that
- * role-scoped, cached data from a previous session can never leak into the
- * next one. Without this, the settings slice keeps a cached
+ * When any of IDENTITY_CHANGE_ACTIONS (identityActions.js) fires we wipe the
+ * user-scoped data slices (settings, schedule, dashboard) so that role-scoped,
+ * cached data from a previous session can never leak into the next one.
+ * Without this, the settings slice keeps a cached
  * `clientCredentials` value (guarded by a 60s refetch condition), so an admin
  * who logs back in shortly after an account was created/claimed would still
  * see the stale "no client account" state.
  *
  * `auth` and `mode` are preserved so the triggering action (e.g. login) is
  * still processed normally by their reducers; the other slices reinitialise
- * from `undefined` and refetch on demand.
+ * from `undefined` and refetch on demand. `setup` holds device-level wizard
+ * progress (started by the claim itself), so it survives as well, and so
+ * does `deviceRestart` -the restart overlay outlives the sessions it ends.
  */
-const IDENTITY_CHANGE_ACTIONS = new Set([
-  'auth/loginUser/fulfilled',
-  'auth/claimAccount/fulfilled',
-  'auth/logoutUser/fulfilled',
-  'auth/logoutUser/rejected',
-  'auth/clearAuthToken',
-]);
-
 const rootReducer = (state, action) => {
   if (state && IDENTITY_CHANGE_ACTIONS.has(action.type)) {
-    state = { mode: state.mode, auth: state.auth };
+    state = { mode: state.mode, auth: state.auth, setup: state.setup, deviceRestart: state.deviceRestart };
   }
   return appReducer(state, action);
 };
@@ -51,5 +54,5 @@ export const store = configureStore({
         // Ignore these action types for serializable check
         ignoredActions: ['persist/PERSIST', 'persist/REHYDRATE'],
       },
-    }).concat(authMiddleware, tokenValidationMiddleware),
+    }).prepend(capabilityMiddleware).concat(authMiddleware, tokenValidationMiddleware, tabSyncMiddleware, outboxMiddleware, liveUpdatesMiddleware),
 });
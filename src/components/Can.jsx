@@ -0,0 +1,13 @@
+import React from 'react';
+import useCan from '../hooks/useCan.js';
+
+/**
+ * Renders `children` only when the signed-in user has `capability`,
+ * otherwise `fallback` (nothing by default).
+ *
+ *   <Can capability="logs.read"><LogsPanel /></Can>
+ */
+export default function Can({ capability, fallback = null, children }) {
+  const can = useCan();
+  return <>{can(capability) ? children : fallback}</>;
+}
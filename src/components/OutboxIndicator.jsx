@@ -0,0 +1,138 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import Outbox from '../utils/Outbox.js';
+import useOutbox from '../hooks/useOutbox.js';
+import useLocale from '../hooks/useLocale.jsx';
+
+/**
+ * Header badge for saves kept in the offline outbox; opens a list where
+ * each queued change can be inspected or discarded. Renders nothing while
+ * the outbox is empty. Changes queued under another account are held: the
+ * dialog opens by itself and asks before sending them as the current user.
+ */
+export default function OutboxIndicator() {
+  const { t } = useLocale();
+  const items = useOutbox();
+  const [open, setOpen] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [notice, setNotice] = useState('');
+  const username = useSelector((s) => s.auth.user?.username ?? null);
+  const askedFor = useRef(null);
+
+  const refused = items.filter((item) => item.error).length;
+  const held = items.filter((item) => !item.error && item.owner !== username);
+  const owners = [...new Set(held.map((item) => item.owner || t('outbox.unknownOwner')))].join(', ');
+
+  useEffect(() => {
+    if (held.length && askedFor.current !== username) {
+      askedFor.current = username;
+      setOpen(true);
+    }
+  }, [held.length, username]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handler = (e) => { if (e.key === 'Escape') setOpen(false); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [open]);
+
+  useEffect(() => {
+    if (items.length === 0) setOpen(false);
+  }, [items.length]);
+
+  if (items.length === 0) return null;
+
+  const sendNow = async () => {
+    setSending(true);
+    setNotice('');
+    const result = await Outbox.replay();
+    setSending(false);
+    if (result.remaining > 0 && result.sent === 0) setNotice(t('outbox.stillOffline'));
+  };
+
+  const discardAll = () => {
+    if (window.confirm(t('outbox.discardAllConfirm'))) Outbox.discardAll();
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className={`outbox-indicator${refused ? ' has-refused' : ''}${held.length ? ' has-held' : ''}`}
+        onClick={() => { setNotice(''); setOpen(true); }}
+        title={t('outbox.title')}
+      >
+        <span className="outbox-indicator-dot" aria-hidden="true" />
+        {t('outbox.pending', { count: items.length })}
+      </button>
+
+      {open && (
+        <div className="confirm-modal-backdrop" role="dialog" aria-modal="true" aria-labelledby="outbox-title">
+          <div className="confirm-modal outbox-dialog">
+            <h3 id="outbox-title">{t('outbox.title')}</h3>
+            <p className="card-desc">{t('outbox.desc')}</p>
+            {held.length > 0 && (
+              <div className="warning-banner outbox-held">
+                <p>{t('outbox.heldNotice', { count: held.length, owner: owners, user: username })}</p>
+                <button type="button" className="save-button" onClick={() => Outbox.adopt()}>
+                  {t('outbox.adopt', { user: username })}
+                </button>
+              </div>
+            )}
+            <ul className="outbox-list">
+              {items.map((item) => (
+                <li key={item.id} className={`outbox-item${item.error ? ' refused' : ''}${held.includes(item) ? ' held' : ''}`}>
+                  <div className="outbox-item-head">
+                    <strong>{t(item.label || 'outbox.item.other')}</strong>
+                    <span className="outbox-item-time">
+                      {new Date(item.queuedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  </div>
+                  <div className="outbox-item-status">
+                    {item.error && (item.conflict
+                      ? t('outbox.conflict')
+                      : t('outbox.refused', { error: item.error }))}
+                    {!item.error && (held.includes(item)
+                      ? t('outbox.held', { owner: item.owner || t('outbox.unknownOwner') })
+                      : t('outbox.waiting'))}
+                  </div>
+                  <details className="outbox-item-details">
+                    <summary>{t('outbox.details')}</summary>
+                    <code>{item.method} {item.endpoint}</code>
+                    {item.data !== undefined && (
+                      <pre>{JSON.stringify(item.data, null, 2)}</pre>
+                    )}
+                  </details>
+                  <button type="button" className="outbox-item-discard" onClick={() => Outbox.discard(item.id)}>
+                    {t('outbox.discard')}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            {notice && <div className="info-banner">{notice}</div>}
+            <div className="confirm-modal-actions">
+              <button type="button" className="danger-button" onClick={discardAll}>
+                {t('outbox.discardAll')}
+              </button>
+              <button type="button" className="cancel-button" onClick={() => setOpen(false)}>
+                {t('outbox.close')}
+              </button>
+              {items.length > refused + held.length && (
+                <button
+                  type="button"
+                  className={`save-button${sending ? ' loading' : ''}`}
+                  onClick={sendNow}
+                  disabled={sending}
+                  autoFocus
+                >
+                  {sending ? t('outbox.sending') : t('outbox.sendNow')}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
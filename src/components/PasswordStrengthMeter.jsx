@@ -0,0 +1,42 @@
+import React, { useMemo } from 'react';
+import useLocale from '../hooks/useLocale.jsx';
+import { checkPasswordPolicy } from '../utils/formValidation.js';
+
+/**
+ * Strength bar and policy feedback for a new password
+ * (checkPasswordPolicy in utils/formValidation.js). Renders nothing while
+ * the password is empty.
+ *
+ *   <PasswordStrengthMeter password={pw} username={name} />
+ */
+export default function PasswordStrengthMeter({ password, username = '', id }) {
+  const { t } = useLocale();
+  const result = useMemo(
+    () => checkPasswordPolicy(password, { username }),
+    [password, username],
+  );
+
+  if (!password) return null;
+
+  return (
+    <div className="password-meter" id={id} aria-live="polite">
+      <div className="password-meter-row">
+        <div className="password-meter-track" aria-hidden="true">
+          <span className={`password-meter-bar strength-${result.score}`} />
+        </div>
+        <span className={`password-meter-label strength-${result.score}`}>
+          {t(`password.strength.${result.score}`)}
+        </span>
+      </div>
+      {result.problems.length > 0 ? (
+        <ul className="password-meter-problems">
+          {result.problems.map((problem) => (
+            <li key={problem}>{t(`password.${problem}`)}</li>
+          ))}
+        </ul>
+      ) : result.score < 4 && (
+        <span className="password-meter-hint">{t('password.strongerHint')}</span>
+      )}
+    </div>
+  );
+}
@@ -34,6 +34,8 @@ export const API_CONFIG = {
     BELL_STATUS: '/api/bell/status',
     BELL_PANIC: '/api/bell/panic',
     BELL_TEST: '/api/bell/test',
+    LIVE_EVENTS: '/api/events', // Server-Sent Events
+    LIVE_SOCKET: '/api/ws',     // WebSocket alternative
 
     // System endpoints
     SYSTEM_TIME: '/api/system/time',
@@ -63,6 +65,10 @@ export const API_CONFIG = {
     SYSTEM_TLS_MODE: '/api/system/tls/mode',
     SYSTEM_LOGS: '/api/system/logs',
     SYSTEM_LOGS_DOWNLOAD: '/api/system/logs/download',
+
+    // Wi-Fi endpoints
+    WIFI_SCAN: '/api/wifi/scan',
+    WIFI_CREDENTIALS: '/api/wifi/credentials',
   },
   
   // Public endpoints that don't require authentication
@@ -73,6 +79,8 @@ export const API_CONFIG = {
     '/api/status',
     '/api/setup/claim-status',
     '/api/setup/claim',
+    '/api/wifi/scan',
+    '/api/wifi/credentials',
   ],
   
   // HTTP status codes
@@ -0,0 +1,350 @@
+// src/config/apiSchemas.js
+import { API_CONFIG } from './apiConfig.js';
+import {
+  string, number, integer, boolean, oneOf, array, object, anyOf, nullable, optional,
+} from '../utils/responseSchema.js';
+
+/**
+ * Request and response shapes of the device API, per service method.
+ * HttpRequestAgent checks every JSON response against the entry for its
+ * method + path and throws IncompatibleFirmwareError on a mismatch, so
+ * declare what the UI actually reads -required fields are the ones a
+ * screen would break without; the rest are `optional`. `response: null`
+ * marks a file download (not JSON, not checked); `request: null` a
+ * non-JSON body. Request shapes are checked in development builds only.
+ *
+ * A new service method needs an entry here (and in the mock device).
+ */
+
+const E = API_CONFIG.ENDPOINTS;
+
+const bell = object({ hour: integer, minute: integer, label: optional(string) });
+const bells = array(bell);
+const bellSet = object({ bells });
+const date = string;
+const action = oneOf('dayOff', 'template', 'custom');
+
+/** Save / action acknowledgements ({ status }, { success }, 204). */
+const ack = object();
+
+const settings = object({ timezone: string, workingDays: array(integer), ringDurationSec: number });
+
+const exceptionMeta = object({
+  id: integer,
+  startDate: date,
+  endDate: optional(date),
+  label: optional(string),
+  action,
+  templateIdx: optional(integer),
+  timeOffsetMin: optional(number),
+  source: optional(string),
+});
+
+const exceptionPage = object({
+  items: array(exceptionMeta),
+  total: integer,
+  offset: optional(integer),
+  limit: optional(integer),
+  hasMore: optional(boolean),
+});
+
+const exceptionBody = object({
+  startDate: date,
+  endDate: optional(date),
+  label: optional(string),
+  action,
+  templateIdx: optional(integer),
+  timeOffsetMin: optional(number),
+  customBells: optional(bellSet),
+});
+
+const template = object({ name: string, bells });
+
+const week = object({
+  weekdayPlans: array(integer),
+  // 7 raw bell arrays; older firmware sent { bells } per day
+  weekdayCustom: optional(array(anyOf(bells, bellSet))),
+  workingDays: optional(array(integer)),
+});
+
+const templates = object({ templates: array(nullable(template)), builtins: optional(array(template)) });
+
+const holidayItem = object({ startDate: date, endDate: optional(date), label: optional(string) });
+const holidays = object({ year: integer, fetchedAt: optional(string), items: array(holidayItem) });
+
+export const API_SCHEMAS = {
+  ScheduleService: {
+    getSettings: { method: 'GET', endpoint: E.SCHEDULE_SETTINGS, response: settings },
+    saveSettings: { method: 'POST', endpoint: E.SCHEDULE_SETTINGS, request: settings, response: ack },
+    getDefault: { method: 'GET', endpoint: E.SCHEDULE_DEFAULT, response: bellSet },
+    saveDefault: { method: 'POST', endpoint: E.SCHEDULE_DEFAULT, request: bellSet, response: ack },
+    getToday: {
+      method: 'GET',
+      endpoint: E.SCHEDULE_TODAY,
+      response: object({
+        bells,
+        dayType: optional(nullable(string)),
+        source: optional(string),
+        exception: optional(nullable(object())),
+        planIdx: optional(nullable(integer)),
+        planName: optional(nullable(string)),
+        multiDayException: optional(boolean),
+      }),
+    },
+    saveToday: {
+      method: 'POST',
+      endpoint: E.SCHEDULE_TODAY,
+      request: object({ action, templateIdx: optional(integer), customBells: optional(bellSet) }),
+      response: ack,
+    },
+    cancelToday: { method: 'POST', endpoint: E.SCHEDULE_TODAY_CANCEL, request: object(), response: ack },
+    getWeek: { method: 'GET', endpoint: E.SCHEDULE_WEEK, response: week },
+    getWeekVersioned: { method: 'GET', endpoint: E.SCHEDULE_WEEK, response: week },
+    saveWeek: {
+      method: 'POST',
+      endpoint: E.SCHEDULE_WEEK,
+      request: object({
+        weekdayPlans: array(integer),
+        weekdayCustom: optional(array(anyOf(bells, bellSet))),
+        workingDays: optional(array(integer)),
+      }),
+      response: ack,
+    },
+    saveWeekday: {
+      method: 'POST',
+      endpoint: E.SCHEDULE_WEEKDAY,
+      request: object({
+        day: integer,
+        action: oneOf('default', 'template', 'custom'),
+        templateIdx: optional(integer),
+        customBells: optional(bellSet),
+      }),
+      response: ack,
+    },
+    getExceptions: { method: 'GET', endpoint: E.SCHEDULE_EXCEPTIONS, response: exceptionPage },
+    getAllExceptions: { method: 'GET', endpoint: E.SCHEDULE_EXCEPTIONS, response: exceptionPage },
+    getExceptionById: {
+      method: 'GET',
+      endpoint: `${E.SCHEDULE_EXCEPTIONS}/:id`,
+      response: object({ ...exceptionMeta.fields, customBells: optional(bellSet) }),
+    },
+    createException: {
+      method: 'POST',
+      endpoint: E.SCHEDULE_EXCEPTIONS,
+      request: exceptionBody,
+      response: object({ id: integer }),
+    },
+    updateException: { method: 'PUT', endpoint: `${E.SCHEDULE_EXCEPTIONS}/:id`, request: exceptionBody, response: ack },
+    deleteException: { method: 'DELETE', endpoint: `${E.SCHEDULE_EXCEPTIONS}/:id`, response: ack },
+    deleteAllExceptions: { method: 'DELETE', endpoint: E.SCHEDULE_EXCEPTIONS, response: ack },
+    previewHolidays: {
+      method: 'GET',
+      endpoint: E.SCHEDULE_HOLIDAYS_PREVIEW,
+      response: object({
+        ...holidays.fields,
+        items: array(object({
+          ...holidayItem.fields,
+          alreadyImported: optional(boolean),
+          conflict: optional(nullable(object({ id: optional(integer), label: optional(string) }))),
+        })),
+      }),
+    },
+    applyHolidays: {
+      method: 'POST',
+      endpoint: E.SCHEDULE_HOLIDAYS_APPLY,
+      request: object({
+        year: integer,
+        defaultAction: optional(action),
+        conflictStrategy: optional(oneOf('skip', 'overwrite', 'keepBoth')),
+        items: array(holidayItem),
+      }),
+      response: object({ created: optional(integer), updated: optional(integer), skipped: optional(integer) }),
+    },
+    getPendingHolidays: {
+      method: 'GET',
+      endpoint: E.SCHEDULE_HOLIDAYS_PENDING,
+      // 204 (nothing pending) parses as {}
+      response: object({ year: optional(integer), items: optional(array(holidayItem)) }),
+    },
+    dismissPendingHolidays: { method: 'DELETE', endpoint: E.SCHEDULE_HOLIDAYS_PENDING, response: ack },
+    getTemplates: { method: 'GET', endpoint: E.SCHEDULE_TEMPLATES, response: templates },
+    getTemplatesVersioned: { method: 'GET', endpoint: E.SCHEDULE_TEMPLATES, response: templates },
+    saveTemplates: {
+      method: 'POST',
+      endpoint: E.SCHEDULE_TEMPLATES,
+      request: object({ templates: array(nullable(template)) }),
+      response: ack,
+    },
+    getBellStatus: {
+      method: 'GET',
+      endpoint: E.BELL_STATUS,
+      response: object({
+        bellState: optional(string),
+        panicMode: boolean,
+        dayType: optional(string),
+        timeSynced: optional(boolean),
+        lastSyncAgeSec: optional(nullable(number)),
+        currentTime: optional(string),
+        currentDate: optional(string),
+        nextBell: optional(nullable(object({ time: optional(string) }))),
+      }),
+    },
+    setPanic: { method: 'POST', endpoint: E.BELL_PANIC, request: object({ enabled: boolean }), response: ack },
+    testBell: { method: 'POST', endpoint: E.BELL_TEST, request: object({ durationSec: optional(number) }), response: ack },
+    getSystemTime: {
+      method: 'GET',
+      endpoint: E.SYSTEM_TIME,
+      response: object({
+        time: optional(string),
+        date: optional(string),
+        synced: optional(boolean),
+        timezone: optional(string),
+      }),
+    },
+    getSystemInfo: {
+      method: 'GET',
+      endpoint: E.SYSTEM_INFO,
+      response: object({
+        uptime: optional(number),
+        freeHeap: optional(number),
+        firmwareVersion: optional(string),
+      }),
+    },
+    reboot: { method: 'POST', endpoint: E.SYSTEM_REBOOT, request: object(), response: ack },
+    factoryReset: { method: 'POST', endpoint: E.SYSTEM_FACTORY_RESET, request: object(), response: ack },
+    syncTime: { method: 'POST', endpoint: E.SYSTEM_SYNC_TIME, request: object(), response: ack },
+    getDefaults: { method: 'GET', endpoint: E.SCHEDULE_DEFAULTS, response: bellSet },
+  },
+
+  TlsService: {
+    getStatus: {
+      method: 'GET',
+      endpoint: E.SYSTEM_TLS,
+      response: object({
+        enabled: boolean,
+        cert_present: optional(boolean),
+        source: optional(nullable(string)),
+        port: optional(integer),
+        subject_cn: optional(nullable(string)),
+        fingerprint_sha256: optional(nullable(string)),
+        not_before: optional(nullable(string)),
+        not_after: optional(nullable(string)),
+        days_remaining: nullable(number),
+        tamper_suspected: optional(boolean),
+        mode_active: oneOf('http', 'https'),
+        mode_setting: optional(oneOf('http', 'https')),
+      }),
+    },
+    regenerate: { method: 'POST', endpoint: E.SYSTEM_TLS_REGENERATE, request: object(), response: ack },
+    setMode: { method: 'PUT', endpoint: E.SYSTEM_TLS_MODE, request: object({ mode: oneOf('http', 'https') }), response: ack },
+    uploadCertificate: {
+      method: 'POST',
+      endpoint: E.SYSTEM_TLS_CERTIFICATE,
+      request: object({ cert_pem: string, key_pem: string }),
+      response: ack,
+    },
+    downloadCertificate: { method: 'GET', endpoint: E.SYSTEM_TLS_DOWNLOAD, response: null },
+  },
+
+  FirmwareService: {
+    getFirmwareInfo: {
+      method: 'GET',
+      endpoint: E.SYSTEM_FIRMWARE,
+      response: object({
+        fw_version: string,
+        device_model: string,
+        pending_verify: optional(boolean),
+        running_partition: optional(string),
+        rollback_available: optional(boolean),
+      }),
+    },
+    getUpdateStatus: {
+      method: 'GET',
+      endpoint: E.SYSTEM_UPDATE_STATUS,
+      response: object({ state: string, progress: number, last_error: optional(nullable(string)) }),
+    },
+    abortUpdate: { method: 'POST', endpoint: E.SYSTEM_UPDATE_ABORT, request: object(), response: ack },
+    rollback: { method: 'POST', endpoint: E.SYSTEM_ROLLBACK, request: object(), response: ack },
+    uploadBundle: {
+      method: 'POST',
+      endpoint: E.SYSTEM_UPDATE,
+      request: null,
+      response: object({ success: optional(boolean), reboot_in_ms: optional(number) }),
+    },
+  },
+
+  LogsService: {
+    getLogs: {
+      method: 'GET',
+      endpoint: E.SYSTEM_LOGS,
+      response: object({
+        tail: string,
+        bytes: optional(number),
+        max_bytes: optional(number),
+        dropped: optional(number),
+        spiffs_free: optional(number),
+      }),
+    },
+    clearLogs: { method: 'DELETE', endpoint: E.SYSTEM_LOGS, response: ack },
+    downloadLogs: { method: 'GET', endpoint: E.SYSTEM_LOGS_DOWNLOAD, response: null },
+  },
+
+  CredentialService: {
+    getCredentials: {
+      method: 'GET',
+      endpoint: E.SYSTEM_CREDENTIALS,
+      response: object({ clientExists: boolean, clientUsername: optional(nullable(string)) }),
+    },
+    saveCredentials: {
+      method: 'POST',
+      endpoint: E.SYSTEM_CREDENTIALS,
+      request: object({ username: string, password: string }),
+      response: ack,
+    },
+    deleteCredentials: { method: 'DELETE', endpoint: E.SYSTEM_CREDENTIALS, response: ack },
+  },
+};
+
+/**
+ * Data of the push events on /api/events (SSE) and /api/ws (WebSocket),
+ * by event type. utils/LiveUpdates.js drops an event that does not fit.
+ */
+export const LIVE_EVENTS = {
+  bell: object({
+    bellState: string,
+    panicMode: optional(boolean),
+    dayType: optional(string),
+    nextBell: optional(nullable(object({ time: optional(string) }))),
+  }),
+  panic: object({ panicMode: boolean }),
+  time: object({
+    currentTime: string,
+    currentDate: optional(string),
+    timeSynced: optional(boolean),
+    lastSyncAgeSec: optional(nullable(number)),
+  }),
+  // ScheduleSlice `loadedAt` keys, plus 'holidays' for the pending import
+  schedule: object({ areas: array(string) }),
+};
+
+/** `METHOD /path` → entry; the first declaration of a pair wins. */
+const index = new Map();
+for (const [service, methods] of Object.entries(API_SCHEMAS)) {
+  for (const [name, entry] of Object.entries(methods)) {
+    const key = `${entry.method} ${entry.endpoint}`;
+    if (!index.has(key)) index.set(key, { ...entry, operation: `${service}.${name}` });
+  }
+}
+
+/**
+ * Schema entry for a request, or null for endpoints not declared here
+ * (auth, Wi-Fi, UI bundles -checked by their own callers).
+ * @param {string} method - 'GET', 'POST', …
+ * @param {string} url - endpoint as requested; query and numeric ids are ignored
+ * @returns {{ operation: string, method: string, endpoint: string,
+ *   request?: Object|null, response: Object|null }|null}
+ */
+export function findApiSchema(method, url) {
+  const path = url.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+  return index.get(`${method.toUpperCase()} ${path}`) ?? null;
+}
@@ -1,6 +1,12 @@
 import React from 'react';
 import AuthGuard from '../Auth/components/AuthGuard.jsx';
+import DeviceRestartOverlay from '../DeviceRestart/DeviceRestartOverlay.jsx';
 
 export default function App() {
-  return <AuthGuard />;
+  return (
+    <>
+      <AuthGuard />
+      <DeviceRestartOverlay />
+    </>
+  );
 }
\ No newline at end of file
@@ -3,6 +3,9 @@ import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import HttpRequestAgent from '../../utils/HttpRequestAgent.js';
 import TokenManager from '../../utils/TokenManager.js';
 import AuthService from '../../services/AuthService.js';
+import { startSetup } from '../Setup/SetupSlice.js';
+import { stashDrafts, discardDrafts } from '../../utils/editorDrafts.js';
+import { sessionEndReason } from './sessionTiming.js';
 
 // Async thunk for login
 export const loginUser = createAsyncThunk(
@@ -22,6 +25,8 @@ export const logoutUser = createAsyncThunk(
   'auth/logoutUser',
   async (_, { rejectWithValue }) => {
     try {
+      /* A deliberate sign-out gives up any edits kept from an expired session. */
+      discardDrafts();
       await HttpRequestAgent.logout();
       return {};
     } catch (err) {
@@ -47,13 +52,15 @@ export const initializeAuth = createAsyncThunk(
   }
 );
 
-// Async thunk: first-claim account creation, then auto-login
+// Async thunk: first-claim account creation, then auto-login and the
+// first-run setup wizard
 export const claimAccount = createAsyncThunk(
   'auth/claimAccount',
-  async (credentials, { rejectWithValue }) => {
+  async (credentials, { dispatch, rejectWithValue }) => {
     try {
       await AuthService.claimAccount(credentials);
       const data = await HttpRequestAgent.login(credentials);
+      dispatch(startSetup('claim'));
       return data;
     } catch (err) {
       return rejectWithValue(err.message || 'Account creation failed');
@@ -61,12 +68,46 @@ export const claimAccount = createAsyncThunk(
   }
 );
 
+// Async thunk: extend the device session ("stay signed in" / user activity).
+// An already-expired session ends the same way a 401 does.
+export const refreshSession = createAsyncThunk(
+  'auth/refreshSession',
+  async (_, { dispatch, rejectWithValue }) => {
+    try {
+      const extended = await HttpRequestAgent.refreshSession();
+      if (!extended) {
+        dispatch(expireSession(sessionEndReason(401, TokenManager.getSessionAge())));
+        return rejectWithValue('auth.sessionExpired');
+      }
+      return {};
+    } catch (err) {
+      return rejectWithValue('auth.sessionRefreshFailed');
+    }
+  }
+);
+
+// End a session the user did not sign out of in this tab. Unsaved editor
+// buffers are stashed first, while the editors are still mounted, so they
+// can be restored after the same user signs back in.
+// reason: 'expired' (timeout, 401/403) | 'elsewhere' (replaced by another
+// login) | 'otherTab' (signed out in another tab)
+export const expireSession = (reason = 'expired') => (dispatch, getState) => {
+  const { isAuthenticated, user } = getState().auth;
+  if (!isAuthenticated) {
+    dispatch(clearAuthToken());
+    return;
+  }
+  const keptDrafts = stashDrafts(user?.username);
+  dispatch(clearAuthToken({ reason, keptDrafts }));
+};
+
 const initialState = {
   isAuthenticated: false, // Driven by server session cookie validation
   isLoading: false,       // For login/logout operations
   isInitializing: true,   // For app startup session check
   error: null,            // Authentication error messages
-  user: null              // User information from login response
+  user: null,             // User information from login response
+  sessionEnded: null      // { reason, keptDrafts, acknowledged } after an unrequested sign-out
 };
 
 const authSlice = createSlice({
@@ -78,12 +119,27 @@ const authSlice = createSlice({
       state.error = null;
     },
     
-    // Clear authentication state (for server auth errors)
-    clearAuthToken(state) {
+    // Clear authentication state (for server auth errors and session expiry)
+    clearAuthToken(state, action) {
+      const { reason = null, keptDrafts = 0 } = action.payload || {};
       state.isAuthenticated = false;
       state.user = null;
+      if (reason) state.sessionEnded = { reason, keptDrafts, acknowledged: false };
       TokenManager.clearAuthSession();
     },
+
+    // "Signed in elsewhere" screen dismissed -show the login form
+    acknowledgeSessionEnded(state) {
+      if (state.sessionEnded) state.sessionEnded.acknowledged = true;
+    },
+
+    // Another tab signed in (tab sync); the session cookie is shared
+    sessionAdopted(state, action) {
+      state.isAuthenticated = true;
+      state.user = action.payload.user || null;
+      state.error = null;
+      state.sessionEnded = null;
+    },
     
     // Set authentication from external source
     setAuthFromToken(state, action) {
@@ -104,6 +160,7 @@ const authSlice = createSlice({
         state.isAuthenticated = true;
         state.user = action.payload.user || null;
         state.error = null;
+        state.sessionEnded = null;
       })
       .addCase(loginUser.rejected, (state, action) => {
         state.isLoading = false;
@@ -122,6 +179,7 @@ const authSlice = createSlice({
         state.isAuthenticated = false;
         state.user = null;
         state.error = null;
+        state.sessionEnded = null;
       })
       .addCase(logoutUser.rejected, (state, action) => {
         state.isLoading = false;
@@ -159,6 +217,7 @@ const authSlice = createSlice({
         state.isAuthenticated = true;
         state.user = action.payload.user || null;
         state.error = null;
+        state.sessionEnded = null;
       })
       .addCase(claimAccount.rejected, (state, action) => {
         state.isLoading = false;
@@ -169,5 +228,7 @@ const authSlice = createSlice({
   },
 });
 
-export const { clearAuthError, clearAuthToken, setAuthFromToken } = authSlice.actions;
+export const {
+  clearAuthError, clearAuthToken, acknowledgeSessionEnded, sessionAdopted, setAuthFromToken,
+} = authSlice.actions;
 export default authSlice.reducer;
\ No newline at end of file
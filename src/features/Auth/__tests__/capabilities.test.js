@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createAsyncThunk } from '@reduxjs/toolkit';
+import { can, requireCapability, NOT_PERMITTED } from '../capabilities.js';
+import { capabilityMiddleware } from '../../../middleware/capabilityMiddleware.js';
+
+test('service holds every client capability plus the maintenance ones', () => {
+  assert.equal(can({ role: 'client' }, 'schedule.write'), true);
+  assert.equal(can({ role: 'client' }, 'logs.read'), false);
+  assert.equal(can('service', 'logs.read'), true);
+  assert.equal(can('service', 'schedule.write'), true);
+  assert.equal(can(null, 'schedule.write'), false);
+  assert.equal(can({ role: 'guest' }, 'schedule.write'), false);
+});
+
+test('a guarded thunk is refused without a request for a role that lacks it', async () => {
+  let ran = 0;
+  const readLogs = requireCapability('logs.read',
+    createAsyncThunk('test/readLogs', async () => { ran += 1; return 'ok'; }));
+  assert.equal(readLogs.rejected.type, 'test/readLogs/rejected');
+
+  const dispatched = [];
+  const makeStore = (role) => {
+    const store = {
+      getState: () => ({ auth: { user: { role } } }),
+      dispatch: (action) => {
+        if (typeof action === 'function') return dispatch(action);
+        dispatched.push(action);
+        return action;
+      },
+    };
+    const dispatch = capabilityMiddleware(store)((action) =>
+      (typeof action === 'function' ? action(store.dispatch, store.getState, undefined) : store.dispatch(action)));
+    return dispatch;
+  };
+
+  const refused = makeStore('client')(readLogs());
+  await assert.rejects(refused.unwrap(), { message: NOT_PERMITTED });
+  assert.equal(ran, 0);
+  assert.equal(dispatched.at(-1).type, readLogs.rejected.type);
+
+  assert.equal(await makeStore('service')(readLogs()).unwrap(), 'ok');
+  assert.equal(ran, 1);
+});
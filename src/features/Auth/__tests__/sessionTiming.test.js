@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SESSION_TTL_MS, SESSION_WARN_MS, ACTIVITY_REFRESH_MS,
+  sessionPhase, shouldRefreshOnActivity, formatCountdown, sessionEndReason,
+} from '../sessionTiming.js';
+
+test('session phase follows the one-hour lifetime', () => {
+  assert.equal(sessionPhase(null), null);
+  assert.deepEqual(sessionPhase(0), { phase: 'active', remainingMs: SESSION_TTL_MS });
+  assert.equal(sessionPhase(SESSION_TTL_MS - SESSION_WARN_MS - 1).phase, 'active');
+  assert.deepEqual(sessionPhase(SESSION_TTL_MS - SESSION_WARN_MS), { phase: 'warning', remainingMs: SESSION_WARN_MS });
+  assert.deepEqual(sessionPhase(SESSION_TTL_MS + 5000), { phase: 'expired', remainingMs: 0 });
+});
+
+test('activity refreshes only an older, not yet warned session', () => {
+  assert.equal(shouldRefreshOnActivity(null), false);
+  assert.equal(shouldRefreshOnActivity(ACTIVITY_REFRESH_MS - 1), false);
+  assert.equal(shouldRefreshOnActivity(ACTIVITY_REFRESH_MS), true);
+  assert.equal(shouldRefreshOnActivity(SESSION_TTL_MS - 1000), false);
+});
+
+test('countdown rounds up to whole seconds', () => {
+  assert.equal(formatCountdown(SESSION_WARN_MS), '5:00');
+  assert.equal(formatCountdown(61_001), '1:02');
+  assert.equal(formatCountdown(400), '0:01');
+  assert.equal(formatCountdown(-5), '0:00');
+});
+
+test('a young session refused with 401 was replaced elsewhere', () => {
+  assert.equal(sessionEndReason(401, 10 * 60 * 1000), 'elsewhere');
+  assert.equal(sessionEndReason(401, SESSION_TTL_MS - 1000), 'expired');
+  assert.equal(sessionEndReason(401, null), 'expired');
+  assert.equal(sessionEndReason(403, 1000), 'expired');
+});
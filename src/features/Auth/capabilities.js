@@ -0,0 +1,57 @@
+// src/features/Auth/capabilities.js
+import { nanoid } from '@reduxjs/toolkit';
+
+/*
+ * What each firmware role may do. This is the single place the UI mirrors
+ * the server's role rules (docs/ESP32_API_Specification.md "Access"); pages
+ * ask useCan()/<Can> and guarded thunks are refused by capabilityMiddleware,
+ * so a rule change is a change to this map only.
+ */
+const CLIENT_CAPABILITIES = [
+  'schedule.write',
+  'bell.test',
+  'pin.write',
+  'system.reboot',
+  'system.factoryReset',
+  'system.syncTime',
+];
+
+export const ROLE_CAPABILITIES = {
+  client: CLIENT_CAPABILITIES,
+  service: [
+    ...CLIENT_CAPABILITIES,
+    'credentials.manage',
+    'firmware.update',
+    'logs.read',
+    'tls.write',
+  ],
+};
+
+/** Error message (i18n key) of a thunk refused for lack of a capability. */
+export const NOT_PERMITTED = 'auth.notPermitted';
+
+/**
+ * Whether a user (or a bare role string) has a capability.
+ * Unknown roles and signed-out users have none.
+ * @param {{role?: string}|string|null} userOrRole
+ * @param {string} capability
+ * @returns {boolean}
+ */
+export function can(userOrRole, capability) {
+  const role = typeof userOrRole === 'string' ? userOrRole : userOrRole?.role;
+  return Boolean(ROLE_CAPABILITIES[role]?.includes(capability));
+}
+
+/**
+ * Mark a createAsyncThunk action creator as needing `capability`. The
+ * dispatched thunk carries the capability and a ready-made rejected action,
+ * which capabilityMiddleware dispatches instead of running the request.
+ * The action creator keeps its `pending`/`fulfilled`/`rejected` members.
+ */
+export function requireCapability(capability, thunkActionCreator) {
+  const guarded = (arg) => Object.assign(thunkActionCreator(arg), {
+    capability,
+    refused: () => thunkActionCreator.rejected(new Error(NOT_PERMITTED), nanoid(), arg),
+  });
+  return Object.assign(guarded, thunkActionCreator);
+}
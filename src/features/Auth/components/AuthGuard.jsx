@@ -3,11 +3,15 @@ import React, { useEffect, useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { initializeAuth, logoutUser } from '../AuthSlice.js';
 import LoginPage from './LoginPage.jsx';
+import SessionExpiryWarning from './SessionExpiryWarning.jsx';
 import Navigation from '../../Navigation/Navigation.jsx';
 import DashboardPage from '../../Dashboard/DashboardPage.jsx';
 import SchedulePage from '../../Schedule/SchedulePage.jsx';
 import SettingsPage from '../../Settings/SettingsPage.jsx';
+import SetupWizard from '../../Setup/SetupWizard.jsx';
+import SetupResumeBanner from '../../Setup/components/SetupResumeBanner.jsx';
 import RingyLogo from '../../../components/RingyLogo.jsx';
+import OutboxIndicator from '../../../components/OutboxIndicator.jsx';
 import useTheme from '../../../hooks/useTheme.js';
 import useLocale from '../../../hooks/useLocale.jsx';
 
@@ -24,6 +28,7 @@ const PAGES = {
 export default function AuthGuard() {
   const dispatch = useDispatch();
   const { isAuthenticated, isInitializing, user } = useSelector((state) => state.auth);
+  const setupProgress = useSelector((state) => state.setup.progress);
   const [activeTab, setActiveTab] = useState('dashboard');
   const { theme, toggleTheme } = useTheme();
   const { t, locale, setLocale } = useLocale();
@@ -52,6 +57,7 @@ export default function AuthGuard() {
   if (!isAuthenticated) return <LoginPage />;
 
   const ActivePage = PAGES[activeTab] || DashboardPage;
+  const inSetup = Boolean(setupProgress && !setupProgress.paused);
 
   return (
     <div className="app-shell">
@@ -59,6 +65,7 @@ export default function AuthGuard() {
         <div className="header-content">
           <RingyLogo height="48px" onClick={() => setActiveTab('dashboard')} />
           <div className="user-info">
+            <OutboxIndicator />
             {user && <span className="welcome-text">{t('auth.welcome', { name: user.username || 'Admin' })}</span>}
             <div className="header-toggles">
               <div className="lang-switcher" role="radiogroup" aria-label={t('lang.title')}>
@@ -82,11 +89,19 @@ export default function AuthGuard() {
             <button className="logout-button" onClick={() => dispatch(logoutUser())}>{t('auth.logout')}</button>
           </div>
         </div>
-        <Navigation activeTab={activeTab} onTabChange={setActiveTab} />
+        {!inSetup && <Navigation activeTab={activeTab} onTabChange={setActiveTab} />}
       </header>
       <main className="app-main">
-        <ActivePage />
+        {inSetup ? (
+          <SetupWizard />
+        ) : (
+          <>
+            <SetupResumeBanner />
+            <ActivePage />
+          </>
+        )}
       </main>
+      <SessionExpiryWarning />
     </div>
   );
 }
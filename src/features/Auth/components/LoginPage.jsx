@@ -1,26 +1,29 @@
 // src/features/Auth/components/LoginPage.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { loginUser, claimAccount, clearAuthError } from '../AuthSlice.js';
 import AuthService from '../../../services/AuthService.js';
 import useTheme from '../../../hooks/useTheme.js';
 import useLocale from '../../../hooks/useLocale.jsx';
+import useLoginRateLimit from '../../../hooks/useLoginRateLimit.js';
+import { LOGIN_ATTEMPT_LIMIT } from '../../../utils/LoginRateLimit.js';
+import { formatCountdown } from '../sessionTiming.js';
 import RingyLogo from '../../../components/RingyLogo.jsx';
-
-function passwordStrength(password) {
-  if (!password) return 0;
-  if (password.length < 8) return 1;
-  if (password.length < 12) return 2;
-  return 3;
-}
+import PasswordStrengthMeter from '../../../components/PasswordStrengthMeter.jsx';
+import { checkPasswordPolicy } from '../../../utils/formValidation.js';
+import WifiPanel from '../../Settings/WifiPanel.jsx';
+import SignedInElsewhere from './SignedInElsewhere.jsx';
 
 export default function LoginPage() {
   const dispatch = useDispatch();
-  const { isLoading, error } = useSelector((state) => state.auth);
+  const { isLoading, error, sessionEnded } = useSelector((state) => state.auth);
   const { theme, toggleTheme } = useTheme();
   const { t, locale, setLocale } = useLocale();
+  const rateLimit = useLoginRateLimit();
+  const rateLimited = rateLimit.retryInMs > 0;
+  const wasRateLimited = useRef(rateLimited);
 
-  const [mode, setMode] = useState('login'); // 'login' | 'signup'
+  const [mode, setMode] = useState('login'); // 'login' | 'signup' | 'wifi'
   const [claimable, setClaimable] = useState(false);
   const [claimStatusLoaded, setClaimStatusLoaded] = useState(false);
 
@@ -37,6 +40,8 @@ export default function LoginPage() {
     confirmPassword: false
   });
 
+  const passwordPolicy = checkPasswordPolicy(credentials.password, { username: credentials.username });
+
   useEffect(() => {
     let cancelled = false;
     (async () => {
@@ -56,6 +61,12 @@ export default function LoginPage() {
     }
   }, [credentials.username, credentials.password, credentials.confirmPassword, mode, dispatch]);
 
+  // The 429 message is replaced by the countdown; drop it once the wait is over
+  useEffect(() => {
+    if (wasRateLimited.current && !rateLimited) dispatch(clearAuthError());
+    wasRateLimited.current = rateLimited;
+  }, [rateLimited, dispatch]);
+
   const handleInputChange = (field, value) => {
     setCredentials(prev => ({
       ...prev,
@@ -85,13 +96,14 @@ export default function LoginPage() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (rateLimited) return;
 
     if (mode === 'signup') {
       setTouched({ username: true, password: true, confirmPassword: true });
       if (!credentials.username.trim() || !credentials.password) {
         return;
       }
-      if (credentials.password.length < 8) {
+      if (!passwordPolicy.isValid) {
         return;
       }
       if (credentials.password !== credentials.confirmPassword) {
@@ -130,46 +142,71 @@ export default function LoginPage() {
     }
   };
 
-  const strength = passwordStrength(credentials.password);
-  const passwordTooShort = mode === 'signup' && touched.password && credentials.password.length > 0
-    && credentials.password.length < 8;
+  const passwordRejected = mode === 'signup' && touched.password && credentials.password.length > 0
+    && !passwordPolicy.isValid;
   const passwordsMismatch = mode === 'signup' && touched.confirmPassword
     && credentials.confirmPassword.length > 0
     && credentials.password !== credentials.confirmPassword;
 
   const isFormValid = mode === 'signup'
     ? (credentials.username.trim()
-        && credentials.password.length >= 8
+        && passwordPolicy.isValid
         && credentials.password === credentials.confirmPassword)
     : (credentials.username.trim() && credentials.password);
 
   const showUsernameError = touched.username && !credentials.username.trim();
   const showPasswordError = touched.password && !credentials.password;
 
-  return (
-    <div className="login-container">
-      <div className="login-header">
-        <div className="login-header-toggles">
-          <div className="lang-switcher" role="radiogroup" aria-label={t('lang.title')}>
-            <button
-              className={`lang-switcher-btn${locale === 'bg' ? ' active' : ''}`}
-              onClick={() => setLocale('bg')}
-              aria-checked={locale === 'bg'}
-              role="radio"
-            >BG</button>
-            <button
-              className={`lang-switcher-btn${locale === 'en' ? ' active' : ''}`}
-              onClick={() => setLocale('en')}
-              aria-checked={locale === 'en'}
-              role="radio"
-            >EN</button>
-          </div>
-          <button className="theme-toggle login-theme-toggle" onClick={toggleTheme} title={t('auth.toggleDarkMode')}>
-            {theme === 'dark' ? '☀️' : '🌙'}
-          </button>
+  const header = (
+    <div className="login-header">
+      <div className="login-header-toggles">
+        <div className="lang-switcher" role="radiogroup" aria-label={t('lang.title')}>
+          <button
+            className={`lang-switcher-btn${locale === 'bg' ? ' active' : ''}`}
+            onClick={() => setLocale('bg')}
+            aria-checked={locale === 'bg'}
+            role="radio"
+          >BG</button>
+          <button
+            className={`lang-switcher-btn${locale === 'en' ? ' active' : ''}`}
+            onClick={() => setLocale('en')}
+            aria-checked={locale === 'en'}
+            role="radio"
+          >EN</button>
         </div>
-        <RingyLogo height="72px" />
+        <button className="theme-toggle login-theme-toggle" onClick={toggleTheme} title={t('auth.toggleDarkMode')}>
+          {theme === 'dark' ? '☀️' : '🌙'}
+        </button>
+      </div>
+      <RingyLogo height="72px" />
+    </div>
+  );
+
+  const footer = (
+    <div className="login-footer">
+      <div className="device-info">
+        {t('auth.footer')}
       </div>
+    </div>
+  );
+
+  // Panels that take the place of the form, under the same header and footer
+  const page = (content) => (
+    <div className="login-container">
+      {header}
+      <div className="login-content">
+        {content}
+        {footer}
+      </div>
+    </div>
+  );
+
+  if (sessionEnded?.reason === 'elsewhere' && !sessionEnded.acknowledged) return page(<SignedInElsewhere />);
+  if (mode === 'wifi') return page(<WifiPanel onBack={switchToLogin} />);
+
+  return (
+    <div className="login-container">
+      {header}
 
       <div className="login-content">
         <form
@@ -195,7 +232,18 @@ export default function LoginPage() {
             </div>
           )}
 
-          {error && (
+          {sessionEnded && mode === 'login' && (
+            <div className="info-banner login-session-ended">
+              {t(`auth.sessionEnded.${sessionEnded.reason}`)}
+              {sessionEnded.keptDrafts > 0 && ` ${t('auth.sessionDraftsKept')}`}
+            </div>
+          )}
+
+          {rateLimited ? (
+            <div className="error-message login-rate-limit" role="status">
+              {t('auth.rateLimited', { time: formatCountdown(rateLimit.retryInMs) })}
+            </div>
+          ) : error && (
             <div className="error-message">
               {error}
             </div>
@@ -232,7 +280,7 @@ export default function LoginPage() {
               <input
                 id="password"
                 type={showPassword ? 'text' : 'password'}
-                className={`form-input ${showPasswordError || passwordTooShort ? 'error' : ''}`}
+                className={`form-input ${showPasswordError || passwordRejected ? 'error' : ''}`}
                 value={credentials.password}
                 onChange={(e) => handleInputChange('password', e.target.value)}
                 onBlur={() => handleInputBlur('password')}
@@ -265,16 +313,11 @@ export default function LoginPage() {
             {showPasswordError && (
               <div className="field-error">{t('auth.passwordRequired')}</div>
             )}
-            {passwordTooShort && (
-              <div className="field-error">{t('auth.passwordMinLength')}</div>
-            )}
-            {mode === 'signup' && credentials.password.length > 0 && !passwordTooShort && (
-              <div className="login-password-meter" aria-hidden="true">
-                <div className="login-password-meter-track">
-                  <span className={`login-password-meter-bar strength-${strength}`} />
-                </div>
-                <span className="login-password-meter-hint">{t('auth.passwordHint')}</span>
-              </div>
+            {mode === 'signup' && (
+              <PasswordStrengthMeter
+                password={credentials.password}
+                username={credentials.username}
+              />
             )}
           </div>
 
@@ -304,12 +347,19 @@ export default function LoginPage() {
             <button
               type="submit"
               className={`login-button${isLoading ? ' loading' : ''}`}
-              disabled={!isFormValid || isLoading}
+              disabled={!isFormValid || isLoading || rateLimited}
             >
               {isLoading
                 ? (mode === 'signup' ? t('auth.creatingAccount') : t('auth.connecting'))
-                : (mode === 'signup' ? t('auth.createAccount') : t('auth.connect'))}
+                : rateLimited
+                  ? t('auth.retryIn', { time: formatCountdown(rateLimit.retryInMs) })
+                  : (mode === 'signup' ? t('auth.createAccount') : t('auth.connect'))}
             </button>
+            {!rateLimited && rateLimit.used > 0 && (
+              <div className="login-attempts-left" aria-live="polite">
+                {t('auth.attemptsLeft', { count: rateLimit.remaining, limit: LOGIN_ATTEMPT_LIMIT })}
+              </div>
+            )}
           </div>
 
           {claimStatusLoaded && claimable && mode === 'login' && (
@@ -327,13 +377,20 @@ export default function LoginPage() {
               </button>
             </div>
           )}
+
+          {mode === 'login' && (
+            <button
+              type="button"
+              className="login-wifi-link"
+              onClick={() => { setMode('wifi'); dispatch(clearAuthError()); }}
+              disabled={isLoading}
+            >
+              {t('auth.wifiSetup')}
+            </button>
+          )}
         </form>
 
-        <div className="login-footer">
-          <div className="device-info">
-            {t('auth.footer')}
-          </div>
-        </div>
+        {footer}
       </div>
     </div>
   );
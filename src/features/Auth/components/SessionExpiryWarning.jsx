@@ -0,0 +1,106 @@
+// src/features/Auth/components/SessionExpiryWarning.jsx
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { refreshSession, expireSession, logoutUser } from '../AuthSlice.js';
+import TokenManager from '../../../utils/TokenManager.js';
+import useLocale from '../../../hooks/useLocale.jsx';
+import { sessionPhase, shouldRefreshOnActivity, formatCountdown } from '../sessionTiming.js';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * Watches the device session age (TokenManager) while signed in.
+ * Activity quietly refreshes the session; an idle user gets a countdown
+ * dialog with "stay signed in" before the firmware's one-hour expiry. If the
+ * session runs out anyway, expireSession() keeps unsaved editor buffers.
+ */
+export default function SessionExpiryWarning() {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const [status, setStatus] = useState(() => sessionPhase(TokenManager.getSessionAge()));
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+  const inFlight = useRef(false);
+
+  const refresh = useCallback(async () => {
+    if (inFlight.current) return false;
+    inFlight.current = true;
+    setRefreshing(true);
+    try {
+      await dispatch(refreshSession()).unwrap();
+      setError('');
+      setStatus(sessionPhase(TokenManager.getSessionAge()));
+      return true;
+    } catch (err) {
+      setError(err);
+      return false;
+    } finally {
+      inFlight.current = false;
+      setRefreshing(false);
+    }
+  }, [dispatch]);
+
+  useEffect(() => {
+    const tick = () => setStatus(sessionPhase(TokenManager.getSessionAge()));
+    const id = setInterval(tick, 1000);
+    /* Timers are throttled in background tabs; catch up when shown again. */
+    document.addEventListener('visibilitychange', tick);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener('visibilitychange', tick);
+    };
+  }, []);
+
+  useEffect(() => {
+    const onActivity = () => {
+      if (shouldRefreshOnActivity(TokenManager.getSessionAge())) refresh();
+    };
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, onActivity, { passive: true }));
+    return () => ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, onActivity));
+  }, [refresh]);
+
+  const phase = status?.phase;
+
+  useEffect(() => {
+    if (phase === 'expired') dispatch(expireSession());
+  }, [phase, dispatch]);
+
+  useEffect(() => {
+    if (phase !== 'warning') return undefined;
+    const handler = (e) => { if (e.key === 'Escape') refresh(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [phase, refresh]);
+
+  if (phase !== 'warning') return null;
+
+  return (
+    <div className="confirm-modal-backdrop" role="alertdialog" aria-modal="true"
+      aria-labelledby="session-expiry-title" aria-describedby="session-expiry-desc">
+      <div className="confirm-modal session-expiry-dialog">
+        <h3 id="session-expiry-title">{t('auth.sessionExpiringTitle')}</h3>
+        <p id="session-expiry-desc">
+          {t('auth.sessionExpiringText', { time: formatCountdown(status.remainingMs) })}
+        </p>
+        <p className="session-expiry-countdown" aria-hidden="true">
+          {formatCountdown(status.remainingMs)}
+        </p>
+        {error && <div className="error-message">{t(error)}</div>}
+        <div className="confirm-modal-actions">
+          <button type="button" className="cancel-button" onClick={() => dispatch(logoutUser())}>
+            {t('auth.logout')}
+          </button>
+          <button
+            type="button"
+            className={`save-button${refreshing ? ' loading' : ''}`}
+            onClick={refresh}
+            disabled={refreshing}
+            autoFocus
+          >
+            {refreshing ? t('auth.sessionRefreshing') : t('auth.staySignedIn')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
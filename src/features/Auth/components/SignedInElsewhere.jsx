@@ -0,0 +1,37 @@
+// src/features/Auth/components/SignedInElsewhere.jsx
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { acknowledgeSessionEnded } from '../AuthSlice.js';
+import useLocale from '../../../hooks/useLocale.jsx';
+
+/**
+ * Shown by LoginPage instead of the form when this tab's session was replaced
+ * by a login from another browser or device (the firmware keeps one session).
+ * Signing in here again would in turn sign the other place out, so it is an
+ * explicit choice rather than the default.
+ */
+export default function SignedInElsewhere() {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const keptDrafts = useSelector((state) => state.auth.sessionEnded?.keptDrafts || 0);
+
+  return (
+    <div className="login-form signed-in-elsewhere" role="alert">
+      <div className="signed-in-elsewhere-icon" aria-hidden="true">
+        <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+          <rect x="2" y="4" width="13" height="10" rx="1.5" />
+          <path d="M6 18h5" />
+          <rect x="17" y="8" width="5" height="12" rx="1" />
+        </svg>
+      </div>
+      <h2>{t('auth.elsewhereTitle')}</h2>
+      <p>{t('auth.elsewhereText')}</p>
+      {keptDrafts > 0 && <div className="info-banner">{t('auth.sessionDraftsKept')}</div>}
+      <div className="form-actions">
+        <button type="button" className="login-button" onClick={() => dispatch(acknowledgeSessionEnded())}>
+          {t('auth.elsewhereSignIn')}
+        </button>
+      </div>
+    </div>
+  );
+}
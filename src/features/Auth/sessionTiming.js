@@ -0,0 +1,61 @@
+// src/features/Auth/sessionTiming.js
+// Pure timing rules for the device session (see SessionExpiryWarning.jsx).
+
+/** Firmware session lifetime -sessions live in RAM for one hour. */
+export const SESSION_TTL_MS = 60 * 60 * 1000;
+
+/** How long before expiry the countdown warning is shown. */
+export const SESSION_WARN_MS = 5 * 60 * 1000;
+
+/** User activity refreshes the session at most this often. */
+export const ACTIVITY_REFRESH_MS = 10 * 60 * 1000;
+
+/**
+ * Where a session of the given age stands.
+ * @param {number|null} ageMs - TokenManager.getSessionAge()
+ * @returns {{ phase: 'active'|'warning'|'expired', remainingMs: number }|null}
+ *   null when there is no session metadata
+ */
+export function sessionPhase(ageMs) {
+  if (ageMs == null || !Number.isFinite(ageMs)) return null;
+  const remainingMs = Math.max(0, SESSION_TTL_MS - Math.max(0, ageMs));
+  if (remainingMs === 0) return { phase: 'expired', remainingMs };
+  if (remainingMs <= SESSION_WARN_MS) return { phase: 'warning', remainingMs };
+  return { phase: 'active', remainingMs };
+}
+
+/**
+ * Whether activity at this session age should silently refresh the session.
+ * Once the warning is up, only the explicit "stay signed in" action refreshes.
+ * @param {number|null} ageMs
+ * @returns {boolean}
+ */
+export function shouldRefreshOnActivity(ageMs) {
+  const status = sessionPhase(ageMs);
+  return Boolean(status && status.phase === 'active' && ageMs >= ACTIVITY_REFRESH_MS);
+}
+
+/**
+ * Countdown text, "m:ss" (rounded up so the warning never shows 0:00 early).
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(total / 60);
+  const seconds = total % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Why a request was refused with 401/403. The firmware keeps one session at
+ * a time, so a young session that is suddenly rejected was replaced by a
+ * login elsewhere (or lost to a device restart); an old one simply expired.
+ * @param {number} status - HTTP status
+ * @param {number|null} ageMs - session age just before the refusal
+ * @returns {'elsewhere'|'expired'}
+ */
+export function sessionEndReason(status, ageMs) {
+  const young = ageMs != null && ageMs < SESSION_TTL_MS - 60 * 1000;
+  return status === 401 && young ? 'elsewhere' : 'expired';
+}
@@ -3,6 +3,7 @@ import { useSelector, useDispatch } from 'react-redux';
 import { fetchBellStatus, togglePanic, clearError } from './DashboardSlice.js';
 import { testBell } from '../Settings/SettingsSlice.js';
 import DeviceClock from './DeviceClock.jsx';
+import DayTimeline from './DayTimeline.jsx';
 import useLocale from '../../hooks/useLocale.jsx';
 
 const BELL_STATE_CLASS = {
@@ -13,7 +14,7 @@ const BELL_STATE_CLASS = {
 
 export default function DashboardPage() {
   const dispatch = useDispatch();
-  const { bellState, panicMode, dayType, timeSynced, lastSyncAgeSec, currentTime, currentDate, nextBell, error, loadedAt } =
+  const { bellState, panicMode, dayType, timeSynced, lastSyncAgeSec, currentTime, currentDate, nextBell, error, loadedAt, live } =
     useSelector((s) => s.dashboard);
   const ringDurationSec = useSelector((s) => s.schedule.ringDurationSec);
   const { t } = useLocale();
@@ -34,9 +35,11 @@ export default function DashboardPage() {
     return request;
   }, [dispatch, loadedAt]);
 
+  /* With the device pushing changes (LiveUpdates) there is nothing to poll
+   * for; the 5 s poll only runs while the push channel is down. */
   useEffect(() => {
     refresh();
-    intervalRef.current = setInterval(() => refresh(), 5000);
+    intervalRef.current = live.connected ? null : setInterval(() => refresh(), 5000);
     const onVisibility = () => {
       if (document.visibilityState === 'visible') refresh();
     };
@@ -45,7 +48,7 @@ export default function DashboardPage() {
       clearInterval(intervalRef.current);
       document.removeEventListener('visibilitychange', onVisibility);
     };
-  }, [refresh]);
+  }, [refresh, live.connected]);
 
   const handlePanicToggle = () => {
     if (!panicMode) {
@@ -113,6 +116,9 @@ export default function DashboardPage() {
         </div>
       </div>
 
+      {/* Today's bells */}
+      <DayTimeline serverTime={currentTime} serverDate={currentDate} />
+
       {/* Activate Bell */}
       <div className="dash-card activate-bell-card">
         <h3>{t('dashboard.activateBell')}</h3>
@@ -31,9 +31,24 @@ const dashboardSlice = createSlice({
     timezone: '',
     error: null,
     loadedAt: 0,
+    /** Push channel state (utils/LiveUpdates.js); the page polls unless connected. */
+    live: { transport: null, connected: false },
   },
   reducers: {
     clearError: (state) => { state.error = null; },
+    liveConnection: (state, { payload }) => { state.live = payload; },
+    /** A bell, panic or time event from the device -a partial status. */
+    statusPushed: (state, { payload }) => {
+      ['bellState', 'panicMode', 'dayType', 'timeSynced', 'lastSyncAgeSec', 'currentTime', 'currentDate', 'nextBell']
+        .forEach((key) => {
+          if (payload[key] !== undefined) state[key] = payload[key];
+        });
+      if (payload.panicMode !== undefined && payload.bellState === undefined) {
+        if (payload.panicMode) state.bellState = 'panic';
+        else if (state.bellState === 'panic') state.bellState = 'idle';
+      }
+      state.loadedAt = Date.now();
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -73,5 +88,5 @@ const dashboardSlice = createSlice({
   },
 });
 
-export const { clearError } = dashboardSlice.actions;
+export const { clearError, liveConnection, statusPushed } = dashboardSlice.actions;
 export default dashboardSlice.reducer;
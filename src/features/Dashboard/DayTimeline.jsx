@@ -0,0 +1,108 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchToday } from '../Schedule/ScheduleSlice.js';
+import { useDeviceClock } from './DeviceClock.jsx';
+import {
+  bellSeconds, buildSegments, clockSeconds, locateNow, trackPercent, formatRemaining, formatHm,
+} from './dayTimeline.js';
+import useLocale from '../../hooks/useLocale.jsx';
+
+/**
+ * Today's bells as a horizontal track: lessons and breaks from consecutive
+ * bell pairs, a marker per bell (filled once it has rung), and a "now"
+ * cursor on the device clock. Reloads when today's schedule is marked
+ * stale (save, live `schedule` event) and when the device date changes.
+ */
+export default function DayTimeline({ serverTime, serverDate }) {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const today = useSelector((s) => s.schedule.today);
+  const todayLoadedAt = useSelector((s) => s.schedule.loadedAt.today);
+  const { time, date } = useDeviceClock(serverTime, serverDate);
+
+  useEffect(() => {
+    dispatch(fetchToday());
+  }, [dispatch, todayLoadedAt, date]);
+
+  const bells = today.bells;
+  const now = clockSeconds(time);
+  const segments = buildSegments(bells);
+  const position = locateNow(bells, now);
+  const times = bells.map(bellSeconds);
+  const start = Math.min(...times);
+  const end = Math.max(...times);
+
+  const exception = today.exception;
+  let source = null;
+  if (today.source === 'exception' && exception) {
+    source = t('dashboard.timelineSourceException', {
+      label: exception.label || t(`calendar.action_${exception.action}`),
+    });
+  } else if (today.source === 'template') {
+    source = t('dashboard.timelineSourceTemplate', {
+      name: today.planName || t('calendar.templateSlot', { n: (today.planIdx ?? 0) + 1 }),
+    });
+  } else if (today.source === 'custom') {
+    source = t('dashboard.timelineSourceCustom');
+  }
+
+  let status;
+  if (position.phase === 'before') {
+    status = t('dashboard.timelineStartsIn', { time: formatRemaining(position.startsInSec) });
+  } else if (position.phase === 'during') {
+    const { segment, remainingSec } = position;
+    const name = segment.kind === 'lesson'
+      ? t('dashboard.timelineLesson', { n: segment.lesson })
+      : t('dashboard.timelineBreak');
+    status = t('dashboard.timelineLeft', { name, time: formatRemaining(remainingSec) });
+  } else if (position.phase === 'after') {
+    status = t('dashboard.timelineOver');
+  }
+
+  return (
+    <div className="dash-card timeline-card">
+      <div className="timeline-head">
+        <h3>{t('dashboard.timelineTitle')}</h3>
+        {source && <span className={`timeline-source timeline-source-${today.source}`}>{source}</span>}
+      </div>
+
+      {!bells.length ? (
+        <div className="next-bell-none">{t('dashboard.timelineEmpty')}</div>
+      ) : (
+        <>
+          <div className="timeline-status">{status}</div>
+          <div className="timeline-track" role="img" aria-label={status}>
+            {segments.map((segment) => (
+              <div
+                key={`${segment.start}-${segment.end}`}
+                className={`timeline-segment timeline-${segment.kind}${position.segment?.start === segment.start ? ' current' : ''}`}
+                style={{
+                  left: `${trackPercent(segment.start, start, end)}%`,
+                  width: `${trackPercent(segment.end, start, end) - trackPercent(segment.start, start, end)}%`,
+                }}
+                title={`${segment.kind === 'lesson'
+                  ? t('dashboard.timelineLesson', { n: segment.lesson })
+                  : t('dashboard.timelineBreak')} · ${formatHm(segment.start)}–${formatHm(segment.end)}`}
+              />
+            ))}
+            {times.map((sec, i) => (
+              <span
+                key={bells[i].id ?? i}
+                className={`timeline-bell${now != null && sec <= now ? ' rung' : ''}`}
+                style={{ left: `${trackPercent(sec, start, end)}%` }}
+                title={bells[i].label ? `${formatHm(sec)} · ${bells[i].label}` : formatHm(sec)}
+              />
+            ))}
+            {now != null && now >= start && now <= end && (
+              <span className="timeline-now" style={{ left: `${trackPercent(now, start, end)}%` }} />
+            )}
+          </div>
+          <div className="timeline-scale">
+            <span>{formatHm(start)}</span>
+            <span>{formatHm(end)}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,17 +1,13 @@
 import React, { useState, useEffect, useRef, memo } from 'react';
 import useLocale from '../../hooks/useLocale.jsx';
 
-function DeviceClock({ serverTime, serverDate, timeSynced, lastSyncAgeSec, dayOfWeek, dayType, dayTypeLabel }) {
-  const { t } = useLocale();
-
-  function formatDateLong(dateStr, dow) {
-    if (!dateStr || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return dateStr || '';
-    const [y, m, d] = dateStr.split('-').map(Number);
-    const month = t(`clock.months.${m - 1}`);
-    return dow
-      ? `${dow}, ${d} ${month} ${y}`
-      : `${d} ${month} ${y}`;
-  }
+/**
+ * The device's time, ticking locally between status refreshes: every new
+ * `serverTime` / `serverDate` pair re-anchors the count. Shared by the clock
+ * card and the day timeline so both show the same second.
+ * @returns {{ time: string, date: string }} 'HH:MM:SS', 'YYYY-MM-DD'
+ */
+export function useDeviceClock(serverTime, serverDate) {
   const [display, setDisplay] = useState({ time: serverTime, date: serverDate });
   const baseRef = useRef(null);
 
@@ -61,6 +57,22 @@ function DeviceClock({ serverTime, serverDate, timeSynced, lastSyncAgeSec, dayOf
     return () => clearInterval(id);
   }, []);
 
+  return display;
+}
+
+function DeviceClock({ serverTime, serverDate, timeSynced, lastSyncAgeSec, dayOfWeek, dayType, dayTypeLabel }) {
+  const { t } = useLocale();
+
+  function formatDateLong(dateStr, dow) {
+    if (!dateStr || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return dateStr || '';
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const month = t(`clock.months.${m - 1}`);
+    return dow
+      ? `${dow}, ${d} ${month} ${y}`
+      : `${d} ${month} ${y}`;
+  }
+  const display = useDeviceClock(serverTime, serverDate);
+
   const formattedDate = formatDateLong(display.date, dayOfWeek);
 
   return (
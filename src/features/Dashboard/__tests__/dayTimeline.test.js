@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildSegments, clockSeconds, locateNow, trackPercent, formatRemaining, formatHm,
+} from '../dayTimeline.js';
+
+const at = (hm) => clockSeconds(hm);
+const bells = ['08:00', '08:45', '08:55', '09:40', '10:00'].map((hm) => {
+  const [hour, minute] = hm.split(':').map(Number);
+  return { hour, minute };
+});
+
+test('consecutive bells alternate lessons and breaks', () => {
+  assert.deepEqual(buildSegments(bells).map((s) => [s.kind, s.lesson, formatHm(s.start), formatHm(s.end)]), [
+    ['lesson', 1, '08:00', '08:45'],
+    ['break', 1, '08:45', '08:55'],
+    ['lesson', 2, '08:55', '09:40'],
+    ['break', 2, '09:40', '10:00'],
+  ]);
+  assert.deepEqual(buildSegments([{ hour: 8, minute: 0 }, { hour: 8, minute: 0 }]), []);
+  assert.deepEqual(buildSegments([{ hour: 8, minute: 0 }]), []);
+});
+
+test('locates now before, inside and after the day', () => {
+  assert.deepEqual(locateNow(bells, at('07:58:30')), { phase: 'before', startsInSec: 90 });
+
+  const during = locateNow(bells, at('08:50:00'));
+  assert.equal(during.phase, 'during');
+  assert.deepEqual([during.segment.kind, during.remainingSec], ['break', 300]);
+  // A bell's own second starts the next segment
+  assert.equal(locateNow(bells, at('08:55:00')).segment.kind, 'lesson');
+
+  assert.deepEqual(locateNow(bells, at('10:00:00')), { phase: 'after' });
+  assert.deepEqual(locateNow([], at('09:00')), { phase: 'empty' });
+  assert.deepEqual(locateNow(bells, clockSeconds('--:--:--')), { phase: 'empty' });
+});
+
+test('track positions and remaining-time labels', () => {
+  assert.equal(trackPercent(at('09:00'), at('08:00'), at('10:00')), 50);
+  assert.equal(trackPercent(at('07:00'), at('08:00'), at('10:00')), 0);
+  assert.equal(trackPercent(at('08:00'), at('08:00'), at('08:00')), 0);
+  assert.equal(formatRemaining(75), '1:15');
+  assert.equal(formatRemaining(3725), '1:02:05');
+  assert.equal(formatRemaining(-3), '0:00');
+});
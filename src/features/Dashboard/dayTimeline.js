@@ -0,0 +1,72 @@
+/**
+ * Pure helpers for the Dashboard day timeline. Bells come in pairs: the
+ * first of a pair starts a lesson, the second ends it, and the gap up to
+ * the next pair is a break. Times are seconds since midnight, device time.
+ */
+
+export const bellSeconds = (bell) => bell.hour * 3600 + bell.minute * 60;
+
+/** 'HH:MM[:SS]' → seconds since midnight; null when unknown ('--:--:--'). */
+export function clockSeconds(time) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(time || '');
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+}
+
+/**
+ * Lessons and breaks between consecutive bells. Two bells at the same
+ * minute make no segment.
+ * @param {Array<{ hour: number, minute: number }>} bells
+ * @returns {Array<{ kind: 'lesson'|'break', lesson: number, start: number, end: number }>}
+ *   `lesson` is the lesson's number; a break carries the one before it
+ */
+export function buildSegments(bells) {
+  const times = bells.map(bellSeconds).sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i + 1 < times.length; i++) {
+    if (times[i + 1] > times[i]) {
+      segments.push({
+        kind: i % 2 === 0 ? 'lesson' : 'break',
+        lesson: Math.floor(i / 2) + 1,
+        start: times[i],
+        end: times[i + 1],
+      });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Where `now` falls in the day.
+ * @returns {{ phase: 'empty' }
+ *   | { phase: 'before', startsInSec: number }
+ *   | { phase: 'during', segment: Object, remainingSec: number }
+ *   | { phase: 'after' }}
+ */
+export function locateNow(bells, now) {
+  if (!bells.length || now == null) return { phase: 'empty' };
+  const times = bells.map(bellSeconds);
+  const first = Math.min(...times);
+  if (now < first) return { phase: 'before', startsInSec: first - now };
+  const segment = buildSegments(bells).find((s) => now >= s.start && now < s.end);
+  return segment ? { phase: 'during', segment, remainingSec: segment.end - now } : { phase: 'after' };
+}
+
+/** Position of `sec` on a track running from `start` to `end`, in percent (0–100). */
+export function trackPercent(sec, start, end) {
+  if (end <= start) return 0;
+  return Math.min(100, Math.max(0, ((sec - start) / (end - start)) * 100));
+}
+
+/** 75 → '1:15', 3725 → '1:02:05'. */
+export function formatRemaining(sec) {
+  const s = Math.max(0, Math.floor(sec));
+  const pad = (n) => String(n).padStart(2, '0');
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+/** 29700 → '08:15'. */
+export const formatHm = (sec) =>
+  `${String(Math.floor(sec / 3600)).padStart(2, '0')}:${String(Math.floor((sec % 3600) / 60)).padStart(2, '0')}`;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { watchDeviceRestart, dismissRestart } from './DeviceRestartSlice.js';
+import useLocale from '../../hooks/useLocale.jsx';
+
+/**
+ * Full-screen "device restarting" overlay, shared by every action that
+ * takes the device away (see RESTART_REASONS). While the watch runs it
+ * shows progress; when the device does not come back it lists what to
+ * check and offers to keep waiting or reload.
+ */
+export default function DeviceRestartOverlay() {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const { reason, phase, attempt, url, options } = useSelector((state) => state.deviceRestart);
+
+  if (!reason) return null;
+
+  const stuck = phase === 'timeout' || phase === 'notRestarted';
+  // Keep waiting for the same restart (same scheme): the device may already
+  // be down, so no second drop is required
+  const keepWaiting = () => dispatch(watchDeviceRestart({ ...options, reason, settleMs: 0, expectDown: false }));
+
+  return (
+    <div className="confirm-modal-backdrop device-restart-backdrop" role="alertdialog" aria-modal="true"
+      aria-labelledby="device-restart-title" aria-describedby="device-restart-desc">
+      <div className="confirm-modal device-restart-dialog">
+        {!stuck && (
+          <>
+            <div className="loading-spinner" aria-hidden="true"></div>
+            <h3 id="device-restart-title">{t(`restart.title.${reason}`)}</h3>
+            <p id="device-restart-desc" aria-live="polite">{t(`restart.phase.${phase}`, { attempt, url })}</p>
+          </>
+        )}
+
+        {phase === 'notRestarted' && (
+          <>
+            <h3 id="device-restart-title">{t('restart.notRestartedTitle')}</h3>
+            <p id="device-restart-desc">{t('restart.notRestartedText')}</p>
+          </>
+        )}
+
+        {phase === 'timeout' && (
+          <>
+            <h3 id="device-restart-title">{t('restart.timeoutTitle')}</h3>
+            <p id="device-restart-desc">{t('restart.timeoutText')}</p>
+            <ul className="device-restart-tips">
+              <li>{t('restart.tipPower')}</li>
+              <li>{t('restart.tipNetwork')}</li>
+              {url && <li>{t('restart.tipAddress', { url })}</li>}
+              <li>{t('restart.tipPowerCycle')}</li>
+            </ul>
+          </>
+        )}
+
+        {stuck && (
+          <div className="confirm-modal-actions">
+            {phase === 'notRestarted' && (
+              <button type="button" className="cancel-button" onClick={() => dispatch(dismissRestart())}>
+                {t('restart.dismiss')}
+              </button>
+            )}
+            {url && (
+              <a className="cancel-button" href={url}>{t('restart.openAddress', { url })}</a>
+            )}
+            <button type="button" className="cancel-button" onClick={() => window.location.reload()}>
+              {t('restart.reload')}
+            </button>
+            <button type="button" className="save-button" onClick={keepWaiting} autoFocus>
+              {t('restart.keepWaiting')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
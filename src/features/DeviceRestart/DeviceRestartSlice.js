@@ -0,0 +1,97 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import RestartWatcher from '../../utils/RestartWatcher.js';
+import { initializeAuth } from '../Auth/AuthSlice.js';
+
+/**
+ * How each action takes the device away (RestartWatcher.wait options).
+ * `reload` loads the new web bundle after a firmware update instead of
+ * only re-validating the session.
+ */
+export const RESTART_REASONS = {
+  reboot: { settleMs: 1000 },
+  factoryReset: { settleMs: 2000, expectDown: false },
+  timeSync: { settleMs: 500, expectDown: false },
+  tlsMode: { settleMs: 1500 },
+  tlsCertificate: { settleMs: 1500, scheme: 'https' },
+  firmware: { settleMs: 2000, timeoutMs: 120000, reload: true },
+};
+
+/**
+ * Show the "device restarting" overlay until the device is back, then
+ * re-validate the session (initializeAuth) -or follow it to its new
+ * address after an HTTP↔HTTPS switch.
+ * Arg: { reason, ...RestartWatcher.wait overrides (settleMs, scheme) }.
+ * Resolves with the watch outcome and whether the session survived.
+ */
+export const watchDeviceRestart = createAsyncThunk(
+  'deviceRestart/watch',
+  async ({ reason, ...overrides }, { dispatch, signal }) => {
+    const { reload = false, ...options } = { ...RESTART_REASONS[reason], ...overrides };
+    const target = RestartWatcher.targetOrigin(options.scheme);
+    let authenticated = false;
+    const result = await RestartWatcher.wait({
+      ...options,
+      signal,
+      onProgress: (progress) => dispatch(restartProgress(progress)),
+    });
+
+    if (result.outcome === 'moved') {
+      window.location.assign(result.url);
+    } else if (result.outcome === 'back' && reload) {
+      window.location.reload();
+    } else if (result.outcome === 'back') {
+      dispatch(restartProgress({ phase: 'revalidating' }));
+      authenticated = (await dispatch(initializeAuth())).payload?.authenticated === true;
+    }
+    return { ...result, url: result.url || (target && `${target}/`), reload, authenticated };
+  },
+);
+
+const initialState = {
+  reason: null,     // key of RESTART_REASONS while the overlay is shown
+  phase: null,      // restarting | offline | starting | revalidating | redirecting | reloading | timeout | notRestarted
+  attempt: 0,
+  url: null,        // the device's new address after a scheme switch
+  options: {},      // the watch's overrides (e.g. scheme), reused by "Keep waiting"
+};
+
+const deviceRestartSlice = createSlice({
+  name: 'deviceRestart',
+  initialState,
+  reducers: {
+    restartProgress: (state, { payload }) => {
+      state.phase = payload.phase;
+      if (payload.attempt) state.attempt = payload.attempt;
+    },
+    dismissRestart: () => initialState,
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(watchDeviceRestart.pending, (state, { meta }) => {
+        const { reason, ...options } = meta.arg;
+        // Waiting again for the same restart keeps the address found so far
+        if (state.reason !== reason) state.url = null;
+        state.reason = reason;
+        state.options = options;
+        state.phase = 'restarting';
+        state.attempt = 0;
+      })
+      .addCase(watchDeviceRestart.fulfilled, (state, { payload }) => {
+        // Back (session re-validated) and aborted watches close the overlay
+        const phase = {
+          moved: 'redirecting',
+          back: payload.reload ? 'reloading' : null,
+          timeout: 'timeout',
+          notRestarted: 'notRestarted',
+        }[payload.outcome];
+        if (!phase) return initialState;
+        state.phase = phase;
+        state.url = payload.url;
+        return undefined;
+      })
+      .addCase(watchDeviceRestart.rejected, () => initialState);
+  },
+});
+
+export const { restartProgress, dismissRestart } = deviceRestartSlice.actions;
+export default deviceRestartSlice.reducer;
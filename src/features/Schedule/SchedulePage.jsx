@@ -3,6 +3,7 @@ import { useDispatch, useSelector } from 'react-redux';
 import useLocale from '../../hooks/useLocale.jsx';
 import TodayTab from './subtabs/TodayTab.jsx';
 import WeekTab from './subtabs/WeekTab.jsx';
+import CalendarTab from './subtabs/CalendarTab.jsx';
 import DayPlansTab from './subtabs/DayPlansTab.jsx';
 import ExceptionsTab from './subtabs/ExceptionsTab.jsx';
 import HolidayPendingBanner from './components/HolidayPendingBanner.jsx';
@@ -13,7 +14,7 @@ import {
   clearErrorWeek, clearErrorExceptions,
 } from './ScheduleSlice.js';
 
-const SUBTABS = ['today', 'week', 'dayPlans', 'exceptions'];
+const SUBTABS = ['today', 'week', 'calendar', 'dayPlans', 'exceptions'];
 const BANNER_AUTO_DISMISS_MS = 4000;
 
 export default function SchedulePage() {
@@ -53,6 +54,7 @@ export default function SchedulePage() {
   const SubTabComponent = {
     today: TodayTab,
     week: WeekTab,
+    calendar: CalendarTab,
     dayPlans: DayPlansTab,
     exceptions: ExceptionsTab,
   }[activeSubTab];
@@ -1,5 +1,11 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import ScheduleService from '../../services/ScheduleService.js';
+import { lintBells, BELL_LINT_DEFAULTS } from './bellLint.js';
+import { normalizeShift } from './shiftGenerator.js';
+import { versionOf, hasChanged, snapshotOf, fromWeekSnapshot } from './scheduleMerge.js';
+import { factoryReset } from '../Settings/SettingsSlice.js';
+import { isNetworkError } from '../../utils/Outbox.js';
+import { requireCapability } from '../Auth/capabilities.js';
 
 const TEMPLATE_COUNT = 5;
 
@@ -39,8 +45,79 @@ export function isFactoryDefaultBells(bells) {
   });
 }
 
+/* Bell-lint thresholds are a per-browser preference (the firmware has no
+ * field for them), kept in localStorage next to theme and locale. */
+const LINT_STORAGE_KEY = 'bellLint';
+
+function loadLintConfig() {
+  const out = {
+    minIntervalMin: BELL_LINT_DEFAULTS.minIntervalMin,
+    dayStartMin: BELL_LINT_DEFAULTS.dayStartMin,
+    dayEndMin: BELL_LINT_DEFAULTS.dayEndMin,
+  };
+  try {
+    const stored = JSON.parse(localStorage.getItem(LINT_STORAGE_KEY) || '{}');
+    for (const key of Object.keys(out)) {
+      if (Number.isInteger(stored?.[key]) && stored[key] >= 0 && stored[key] < 1440) out[key] = stored[key];
+    }
+  } catch { /* unavailable or corrupt storage -keep defaults */ }
+  return out;
+}
+
+/* Saved generator presets are per-browser too: [{ name, shifts }]. */
+const PRESETS_STORAGE_KEY = 'generatorPresets';
+
+function loadGeneratorPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '[]');
+    if (!Array.isArray(stored)) return [];
+    return stored
+      .map((p) => ({
+        name: String(p?.name || '').trim(),
+        shifts: (Array.isArray(p?.shifts) ? p.shifts : [])
+          .map(normalizeShift)
+          .filter(Boolean),
+      }))
+      .filter((p) => p.name && p.shifts.length > 0);
+  } catch { /* unavailable or corrupt storage -no saved presets */ }
+  return [];
+}
+
+/** Reject a save whose bells have blocking lint errors (duplicates, too
+ *  many bells). The message is an i18n key. */
+function assertBellsLint(bells, getState) {
+  const { lint } = getState().schedule;
+  if (lintBells(bells, lint).errorCount > 0) {
+    throw new Error('schedule.lint.saveBlocked');
+  }
+}
+
+/** The device's current templates / week map as a version (scheduleMerge.js),
+ *  or null when it cannot be reached -the save then goes to the offline
+ *  outbox with the loaded version, which is checked again before the replay
+ *  (outboxMiddleware). */
+export async function fetchVersion(area, signal) {
+  const load = area === 'templates'
+    ? ScheduleService.getTemplatesVersioned
+    : ScheduleService.getWeekVersioned;
+  try {
+    const { data, etag } = await load({ signal, priority: 'critical' });
+    return versionOf(area, data, etag);
+  } catch (error) {
+    if (isNetworkError(error)) return null;
+    throw error;
+  }
+}
+
+/** Refuse a wholesale save because the device moved on from `loaded`; the
+ *  conflict dialog merges `mine` with `current` against the loaded base. */
+const rejectConflict = (rejectWithValue, area, loaded, mine, current) => rejectWithValue({
+  message: 'schedule.conflict.changed',
+  conflict: { area, base: loaded.base, mine: snapshotOf(area, mine), theirs: current.base, version: current },
+});
+
 const initialState = {
-  today: { bells: [], dayType: null, exception: null, planIdx: null, planName: null },
+  today: { bells: [], dayType: null, source: null, exception: null, planIdx: null, planName: null },
   default: { bells: [] },
   templates: Array.from({ length: TEMPLATE_COUNT }, () => null),
   builtins: [],
@@ -62,6 +139,10 @@ const initialState = {
   timezone: '',
   workingDays: [1, 2, 3, 4, 5],
   ringDurationSec: 3,
+  /** Bell-lint thresholds: { minIntervalMin, dayStartMin, dayEndMin } */
+  lint: loadLintConfig(),
+  /** Saved auto-generate presets: [{ name, shifts }] */
+  generatorPresets: loadGeneratorPresets(),
   loading: false,
   // Generic saving/error/success -used by saveSettings only.
   saving: false,
@@ -74,80 +155,143 @@ const initialState = {
   savingWeek: false,      errorWeek: null,      saveSuccessWeek: false,
   savingExceptions: false, errorExceptions: null, saveSuccessExceptions: false,
   loadedAt: { settings: 0, today: 0, default: 0, templates: 0, exceptions: 0, week: 0 },
+  /** What the templates / week editors were loaded from: { etag, hash, base }
+   *  (scheduleMerge.js). Their wholesale saves check the device against it. */
+  versions: { templates: null, week: null },
+  /** A save refused because the device changed since it was loaded:
+   *  { area, base, mine, theirs, version } -ScheduleConflictDialog. */
+  conflict: null,
 };
 
 export const fetchSettings = createAsyncThunk('schedule/fetchSettings', async (_, { signal }) => ScheduleService.getSettings(signal));
-export const saveSettings  = createAsyncThunk('schedule/saveSettings',  async (payload, { signal }) => ScheduleService.saveSettings(payload, signal));
+export const saveSettings  = requireCapability('schedule.write', createAsyncThunk(
+  'schedule/saveSettings',
+  async (payload, { signal }) => ScheduleService.saveSettings(payload, signal),
+));
 export const fetchToday = createAsyncThunk(
   'schedule/fetchToday',
   async (_, { signal }) => ScheduleService.getToday({ signal, priority: 'visible' }),
   { condition: (_, { getState }) => Date.now() - getState().schedule.loadedAt.today >= 10000 },
 );
-export const saveToday = createAsyncThunk('schedule/saveToday', async (payload, { signal }) => {
+export const saveToday = requireCapability('schedule.write', createAsyncThunk('schedule/saveToday', async (payload, { signal, getState }) => {
+  if (payload?.customBells?.bells) assertBellsLint(payload.customBells.bells, getState);
   const cleaned = payload?.customBells?.bells
     ? { ...payload, customBells: { ...payload.customBells, bells: sortAndStrip(payload.customBells.bells) } }
     : payload;
   return ScheduleService.saveToday(cleaned, signal);
-});
-export const cancelToday = createAsyncThunk(
+}));
+export const cancelToday = requireCapability('schedule.write', createAsyncThunk(
   'schedule/cancelToday',
   async (_, { signal }) => ScheduleService.cancelToday(signal),
-);
+));
 export const fetchDefault = createAsyncThunk(
   'schedule/fetchDefault',
   async (_, { signal }) => ScheduleService.getDefault({ signal, priority: 'visible' }),
   { condition: (_, { getState }) => Date.now() - getState().schedule.loadedAt.default >= 60000 },
 );
-export const saveDefault   = createAsyncThunk('schedule/saveDefault',   async (bells, { signal }) => ScheduleService.saveDefault(sortAndStrip(bells), signal));
+export const saveDefault   = requireCapability('schedule.write', createAsyncThunk('schedule/saveDefault',   async (bells, { signal, getState }) => {
+  assertBellsLint(bells, getState);
+  return ScheduleService.saveDefault(sortAndStrip(bells), signal);
+}));
 export const fetchTemplates = createAsyncThunk(
   'schedule/fetchTemplates',
-  async (_, { signal }) => ScheduleService.getTemplates({ signal, priority: 'supporting' }),
+  async (_, { signal, fulfillWithValue }) => {
+    const { data, etag } = await ScheduleService.getTemplatesVersioned({ signal, priority: 'supporting' });
+    return fulfillWithValue(data, { etag });
+  },
   { condition: (_, { getState }) => Date.now() - getState().schedule.loadedAt.templates >= 60000 },
 );
-export const saveTemplates = createAsyncThunk('schedule/saveTemplates', async (templates, { signal }) => {
+/** Templates are saved wholesale, so the save is conditional: with the
+ *  device's ETag via If-Match (412 → conflict), without one by re-fetching
+ *  and comparing content hashes first. */
+export const saveTemplates = requireCapability('schedule.write', createAsyncThunk('schedule/saveTemplates', async (templates, { signal, getState, rejectWithValue }) => {
+  templates.forEach((tpl) => tpl && assertBellsLint(tpl.bells, getState));
   const cleaned = templates.map((tpl) => tpl ? { ...tpl, bells: sortAndStrip(tpl.bells) } : null);
-  return ScheduleService.saveTemplates(cleaned, signal);
-});
+  const loaded = getState().schedule.versions.templates;
+  if (loaded && !loaded.etag) {
+    const current = await fetchVersion('templates', signal);
+    if (current && hasChanged(loaded, current)) {
+      return rejectConflict(rejectWithValue, 'templates', loaded, { templates: cleaned }, current);
+    }
+  }
+  try {
+    return await ScheduleService.saveTemplates(cleaned, signal, loaded);
+  } catch (error) {
+    if (error.status !== 412) throw error;
+    const current = await fetchVersion('templates', signal);
+    if (!current) throw error;
+    return rejectConflict(rejectWithValue, 'templates', loaded, { templates: cleaned }, current);
+  }
+}));
 export const fetchWeek = createAsyncThunk(
   'schedule/fetchWeek',
-  async (_, { signal }) => ScheduleService.getWeek({ signal, priority: 'supporting' }),
+  async (_, { signal, fulfillWithValue }) => {
+    const { data, etag } = await ScheduleService.getWeekVersioned({ signal, priority: 'supporting' });
+    return fulfillWithValue(data, { etag });
+  },
   { condition: (_, { getState }) => Date.now() - getState().schedule.loadedAt.week >= 60000 },
 );
-export const saveWeek = createAsyncThunk('schedule/saveWeek', async (payload, { signal }) => ScheduleService.saveWeek(payload, signal));
+export const saveWeek = requireCapability('schedule.write', createAsyncThunk(
+  'schedule/saveWeek',
+  async (payload, { signal }) => ScheduleService.saveWeek(payload, signal),
+));
 
 /** Save one weekday atomically (default / template / custom). Payload:
  *  { day: 0..6, action: 'default'|'template'|'custom', templateIdx?, customBells? } */
-export const saveWeekday = createAsyncThunk('schedule/saveWeekday', async (payload, { signal }) => {
+export const saveWeekday = requireCapability('schedule.write', createAsyncThunk('schedule/saveWeekday', async (payload, { signal, getState }) => {
+  if (payload?.customBells?.bells) assertBellsLint(payload.customBells.bells, getState);
   const cleaned = payload?.customBells?.bells
     ? { ...payload, customBells: { ...payload.customBells, bells: sortAndStrip(payload.customBells.bells) } }
     : payload;
-  await ScheduleService.saveWeekday(cleaned, signal);
-  return cleaned;
-});
+  const result = await ScheduleService.saveWeekday(cleaned, signal);
+  return result?.queued ? { ...cleaned, queued: true } : cleaned;
+}));
 
 /** Persist the week map: write each Custom day's bells first (so bulk -2 is
  *  valid), then one bulk /week save for the full plan map.
- *  Avoids 7 flash writes and reduces partial-save windows. */
-export const saveWeekFull = createAsyncThunk(
+ *  Avoids 7 flash writes and reduces partial-save windows. Those writes move
+ *  the device's ETag themselves, so instead of If-Match the week is
+ *  re-fetched first and compared with what the editor was loaded from. */
+export const saveWeekFull = requireCapability('schedule.write', createAsyncThunk(
   'schedule/saveWeekFull',
-  async ({ weekdayPlans, weekdayCustom }, { signal }) => {
+  async ({ weekdayPlans, weekdayCustom }, { signal, getState, rejectWithValue }) => {
     const plans = weekdayPlans || [];
+    plans.forEach((plan, day) => {
+      if (plan === -2) assertBellsLint(weekdayCustom?.[day]?.bells || [], getState);
+    });
+    const loaded = getState().schedule.versions.week;
+    if (loaded) {
+      const current = await fetchVersion('week', signal);
+      if (current && hasChanged(loaded, current)) {
+        return rejectConflict(rejectWithValue, 'week', loaded, { weekdayPlans: plans, weekdayCustom }, current);
+      }
+    }
+    /* Queued parts replay as one batch: the first carries the loaded
+     * version, and a conflict there refuses the rest as well. */
+    const batch = `week-${Date.now().toString(36)}`;
+    let guard = loaded
+      ? { batch, version: { area: 'week', etag: loaded.etag, hash: loaded.hash } }
+      : { batch };
+    let queued = false;
     for (let day = 0; day < 7; day++) {
       if ((plans[day] ?? -1) !== -2) continue;
       const bells = weekdayCustom?.[day]?.bells || [];
       if (!bells.length) {
         throw new Error('Custom weekday requires at least one bell');
       }
-      await ScheduleService.saveWeekday({
+      const result = await ScheduleService.saveWeekday({
         day,
         action: 'custom',
         customBells: { bells: sortAndStrip(bells) },
-      }, signal);
+      }, signal, guard);
+      queued = queued || Boolean(result?.queued);
+      guard = { batch };
     }
-    await ScheduleService.saveWeek({ weekdayPlans: plans }, signal);
-    return { weekdayPlans: plans, weekdayCustom };
+    const result = await ScheduleService.saveWeek({ weekdayPlans: plans }, signal, guard);
+    queued = queued || Boolean(result?.queued);
+    return { weekdayPlans: plans, weekdayCustom, ...(queued && { queued }) };
   },
-);
+));
 
 export const fetchExceptions = createAsyncThunk(
   'schedule/fetchExceptions',
@@ -160,24 +304,30 @@ export const fetchExceptionById = createAsyncThunk(
   async (id, { signal }) => ScheduleService.getExceptionById(id, signal)
 );
 
-export const createException = createAsyncThunk(
+export const createException = requireCapability('schedule.write', createAsyncThunk(
   'schedule/createException',
-  async (data, { signal }) => ScheduleService.createException(data, signal)
-);
+  async (data, { signal, getState }) => {
+    if (data?.customBells?.bells) assertBellsLint(data.customBells.bells, getState);
+    return ScheduleService.createException(data, signal);
+  }
+));
 
-export const updateException = createAsyncThunk(
+export const updateException = requireCapability('schedule.write', createAsyncThunk(
   'schedule/updateException',
-  async ({ id, data }, { signal }) => ScheduleService.updateException(id, data, signal)
-);
+  async ({ id, data }, { signal, getState }) => {
+    if (data?.customBells?.bells) assertBellsLint(data.customBells.bells, getState);
+    return ScheduleService.updateException(id, data, signal);
+  }
+));
 
-export const deleteException = createAsyncThunk(
+export const deleteException = requireCapability('schedule.write', createAsyncThunk(
   'schedule/deleteException',
   async (id, { signal }) => ScheduleService.deleteException(id, signal)
-);
-export const deleteAllExceptions = createAsyncThunk(
+));
+export const deleteAllExceptions = requireCapability('schedule.write', createAsyncThunk(
   'schedule/deleteAllExceptions',
   async (_, { signal }) => ScheduleService.deleteAllExceptions(signal)
-);
+));
 export const fetchDefaults = createAsyncThunk('schedule/fetchDefaults', async (_, { signal }) => {
   try { return await ScheduleService.getDefaults(signal); } catch { return CLIENT_DEFAULTS; }
 });
@@ -192,12 +342,30 @@ const ap = (builder, thunk, mapFulfilled) => {
 /** Per-area save lifecycle. `savingKey`/`errorKey`/`successKey` are the state
  *  field names (e.g. 'savingToday'); `mapFulfilled(state, action)` may apply
  *  the *sent* payload (action.meta.arg) to local state and/or invalidate a
- *  loadedAt cache entry so the next fetch re-syncs authoritative data. */
+ *  loadedAt cache entry so the next fetch re-syncs authoritative data.
+ *  A save kept in the offline outbox (payload `{ queued: true }`) sets the
+ *  success flag to 'queued' so the banner can say it is not on the device yet.
+ *  A save refused as a conflict (rejectConflict) sets `conflict` instead of
+ *  the error. */
 const apSave = (builder, thunk, savingKey, errorKey, successKey, mapFulfilled) => {
   builder
     .addCase(thunk.pending,   (s) => { s[savingKey] = true;  s[errorKey] = null; })
-    .addCase(thunk.fulfilled, (s, action) => { s[savingKey] = false; s[successKey] = true; mapFulfilled && mapFulfilled(s, action); })
-    .addCase(thunk.rejected,  (s, { error }) => { s[savingKey] = false; s[errorKey] = error.message; });
+    .addCase(thunk.fulfilled, (s, action) => {
+      s[savingKey] = false;
+      s[successKey] = action.payload?.queued ? 'queued' : true;
+      mapFulfilled && mapFulfilled(s, action);
+    })
+    .addCase(thunk.rejected,  (s, { error, payload }) => {
+      s[savingKey] = false;
+      if (payload?.conflict) s.conflict = payload.conflict;
+      else s[errorKey] = error.message;
+    });
+};
+
+/** The week map as it now stands is the base for the next wholesale save
+ *  (not after a queued save: the device still holds the loaded version). */
+const rebaseWeek = (s) => {
+  s.versions.week = versionOf('week', { weekdayPlans: s.weekdayPlans, weekdayCustom: s.weekdayCustom });
 };
 
 const scheduleSlice = createSlice({
@@ -230,6 +398,7 @@ const scheduleSlice = createSlice({
       state.saveSuccessWeek = false;
       state.errorExceptions = null;
       state.saveSuccessExceptions = false;
+      state.conflict = null;
     },
     setWorkingDays(state, { payload }) { state.workingDays = payload; },
     setTimezone(state, { payload })    { state.timezone = payload; },
@@ -237,12 +406,44 @@ const scheduleSlice = createSlice({
       const v = parseInt(payload, 10);
       state.ringDurationSec = Number.isFinite(v) ? Math.min(30, Math.max(1, v)) : 1;
     },
+    setLintConfig(state, { payload }) { state.lint = { ...state.lint, ...payload }; },
+    setGeneratorPresets(state, { payload }) { state.generatorPresets = payload; },
     setTodayBells(state, { payload })   { state.today.bells = payload; },
     setDefaultBells(state, { payload }) { state.default.bells = payload; },
     setTemplates(state, { payload })    { state.templates = payload; },
     setWeekdayPlans(state, { payload }) { state.weekdayPlans = payload; },
     setWeekdayCustom(state, { payload }) { state.weekdayCustom = payload; },
     clearExceptionDetail(state, { payload: id }) { delete state.exceptionDetail[id]; },
+    /** Another tab saved these areas (tab sync) -drop their fetch caches. */
+    markStale(state, { payload: areas }) {
+      (areas || []).forEach((area) => {
+        if (area in state.loadedAt) state.loadedAt[area] = 0;
+      });
+    },
+    /** Close the conflict dialog and keep editing (the next save checks again). */
+    dismissConflict(state) { state.conflict = null; },
+    /** Take the device's version from the conflict as the new base; with
+     *  'theirs' the editor shows it too and the user's edits are dropped. */
+    settleConflict(state, { payload: choice }) {
+      const { conflict } = state;
+      if (!conflict) return;
+      state.versions[conflict.area] = conflict.version;
+      if (choice === 'theirs') {
+        if (conflict.area === 'templates') {
+          state.templates = conflict.theirs.map((tpl) => (tpl ? { ...tpl, bells: assignIds(tpl.bells) } : null));
+        } else {
+          const week = fromWeekSnapshot(conflict.theirs);
+          state.weekdayPlans = week.weekdayPlans;
+          state.weekdayCustom = week.weekdayCustom.map((slot) => ({ bells: assignIds(slot.bells) }));
+        }
+        state.loadedAt[conflict.area] = Date.now();
+      }
+      state.conflict = null;
+    },
+    /** The next save of these areas overwrites the device unchecked (backup restore). */
+    forgetVersions(state, { payload: areas }) {
+      (areas || []).forEach((area) => { state.versions[area] = null; });
+    },
     hydrateSettings(state, { payload }) {
       if (payload?.timezone !== undefined) state.timezone = payload.timezone;
       if (payload?.workingDays !== undefined) state.workingDays = payload.workingDays;
@@ -256,7 +457,8 @@ const scheduleSlice = createSlice({
       if (p?.workingDays !== undefined) s.workingDays = p.workingDays;
       if (p?.ringDurationSec !== undefined) s.ringDurationSec = p.ringDurationSec;
     });
-    apSave(builder, saveSettings, 'saving', 'error', 'saveSuccess', (s, { payload: p }) => {
+    apSave(builder, saveSettings, 'saving', 'error', 'saveSuccess', (s, { payload, meta }) => {
+      const p = payload?.queued ? meta.arg : payload;
       if (p?.timezone !== undefined) s.timezone = p.timezone;
       if (p?.workingDays !== undefined) s.workingDays = p.workingDays;
       if (p?.ringDurationSec !== undefined) s.ringDurationSec = p.ringDurationSec;
@@ -267,6 +469,7 @@ const scheduleSlice = createSlice({
       s.loadedAt.today = Date.now();
       s.today.bells    = assignIds(sortBells(p?.bells ?? []));
       s.today.dayType  = p?.dayType ?? null;
+      s.today.source   = p?.source ?? null;
       s.today.exception= p?.exception ?? null;
       s.today.planIdx  = p?.planIdx ?? null;
       s.today.planName = p?.planName ?? null;
@@ -298,23 +501,27 @@ const scheduleSlice = createSlice({
     });
 
     // ── Day-plan templates (5 slots) ─────────────────────────────────
-    ap(builder, fetchTemplates, (s, { payload: p }) => {
+    ap(builder, fetchTemplates, (s, { payload: p, meta }) => {
       s.loadedAt.templates = Date.now();
+      s.versions.templates = versionOf('templates', p, meta.etag);
       s.templates = (p?.templates ?? Array.from({ length: TEMPLATE_COUNT }, () => null)).map((tpl) =>
         tpl ? { ...tpl, bells: assignIds(tpl.bells || []) } : null
       );
       s.builtins  = p?.builtins ?? [];
     });
-    apSave(builder, saveTemplates, 'savingTemplates', 'errorTemplates', 'saveSuccessTemplates', (s, { meta }) => {
+    apSave(builder, saveTemplates, 'savingTemplates', 'errorTemplates', 'saveSuccessTemplates', (s, { meta, payload }) => {
       s.templates = (meta.arg ?? []).map((tpl) =>
         tpl ? { ...tpl, bells: assignIds(sortBells(tpl.bells || [])) } : null
       );
+      // A queued save has not reached the device: it still holds the loaded version
+      if (!payload?.queued) s.versions.templates = versionOf('templates', { templates: meta.arg });
       s.loadedAt.templates = 0;
     });
 
     // ── Week map ──────────────────────────────────────────────────────
-    ap(builder, fetchWeek, (s, { payload: p }) => {
+    ap(builder, fetchWeek, (s, { payload: p, meta }) => {
       s.loadedAt.week = Date.now();
+      s.versions.week = versionOf('week', p, meta.etag);
       s.weekdayPlans = p?.weekdayPlans ?? [-1, -1, -1, -1, -1, -1, -1];
       // API returns weekdayCustom as 7 raw bell arrays: [[{hour,minute,label},...], ...]
       const raw = Array.isArray(p?.weekdayCustom) ? p.weekdayCustom : [];
@@ -327,13 +534,14 @@ const scheduleSlice = createSlice({
       });
       if (p?.workingDays !== undefined) s.workingDays = p.workingDays;
     });
-    apSave(builder, saveWeek, 'savingWeek', 'errorWeek', 'saveSuccessWeek', (s, { meta }) => {
+    apSave(builder, saveWeek, 'savingWeek', 'errorWeek', 'saveSuccessWeek', (s, { meta, payload }) => {
       const sent = meta.arg;
       if (sent?.weekdayPlans) s.weekdayPlans = sent.weekdayPlans;
       if (sent?.workingDays !== undefined) s.workingDays = sent.workingDays;
+      if (!payload?.queued) rebaseWeek(s);
       s.loadedAt.week = 0;
     });
-    apSave(builder, saveWeekday, 'savingWeek', 'errorWeek', 'saveSuccessWeek', (s, { meta }) => {
+    apSave(builder, saveWeekday, 'savingWeek', 'errorWeek', 'saveSuccessWeek', (s, { meta, payload }) => {
       const sent = meta.arg;
       if (sent?.day == null) return;
       const day = sent.day;
@@ -347,9 +555,10 @@ const scheduleSlice = createSlice({
       } else {
         s.weekdayPlans[day] = -1;
       }
+      if (!payload?.queued) rebaseWeek(s);
       s.loadedAt.week = 0;
     });
-    apSave(builder, saveWeekFull, 'savingWeek', 'errorWeek', 'saveSuccessWeek', (s, { meta }) => {
+    apSave(builder, saveWeekFull, 'savingWeek', 'errorWeek', 'saveSuccessWeek', (s, { meta, payload }) => {
       const sent = meta.arg;
       if (sent?.weekdayPlans) s.weekdayPlans = sent.weekdayPlans;
       if (sent?.weekdayCustom) {
@@ -357,6 +566,7 @@ const scheduleSlice = createSlice({
           bells: assignIds(sortBells(sent.weekdayCustom[i]?.bells ?? [])),
         }));
       }
+      if (!payload?.queued) rebaseWeek(s);
       s.loadedAt.week = 0;
     });
 
@@ -415,6 +625,11 @@ const scheduleSlice = createSlice({
     builder.addCase(fetchDefaults.fulfilled, (s, { payload }) => {
       if (payload?.bells) s.default.bells = assignIds(sortBells(payload.bells));
     });
+    // A factory reset rewrites every schedule area on the device; drop the
+    // fetch caches so the setup wizard and the tabs reload it.
+    builder.addCase(factoryReset.fulfilled, (s) => {
+      Object.keys(s.loadedAt).forEach((key) => { s.loadedAt[key] = 0; });
+    });
   },
 });
 
@@ -426,9 +641,49 @@ export const {
   clearErrorWeek, clearSaveSuccessWeek,
   clearErrorExceptions, clearSaveSuccessExceptions,
   clearAllScheduleBanners,
-  setWorkingDays, setTimezone, setRingDurationSec,
+  setWorkingDays, setTimezone, setRingDurationSec, setLintConfig, setGeneratorPresets,
   setTodayBells, setDefaultBells, setTemplates, setWeekdayPlans, setWeekdayCustom,
-  clearExceptionDetail, hydrateSettings,
+  clearExceptionDetail, hydrateSettings, markStale,
+  dismissConflict, settleConflict, forgetVersions,
 } = scheduleSlice.actions;
 
+/** Settle a save conflict (ScheduleConflictDialog): 'theirs' drops the
+ *  user's edits for the device's version; 'merge' saves `merged` (a
+ *  scheduleMerge.js snapshot) on top of it. */
+export const resolveConflict = (choice, merged) => (dispatch, getState) => {
+  const area = getState().schedule.conflict?.area;
+  if (!area) return undefined;
+  dispatch(settleConflict(choice));
+  if (choice !== 'merge') return undefined;
+  return dispatch(area === 'templates' ? saveTemplates(merged) : saveWeekFull(fromWeekSnapshot(merged)));
+};
+
+/** Update the bell-lint thresholds and remember them in this browser. */
+export const updateLintConfig = (patch) => (dispatch, getState) => {
+  dispatch(setLintConfig(patch));
+  try {
+    localStorage.setItem(LINT_STORAGE_KEY, JSON.stringify(getState().schedule.lint));
+  } catch { /* storage unavailable -the change still applies to this session */ }
+};
+
+const persistGeneratorPresets = (dispatch, getState, list) => {
+  dispatch(setGeneratorPresets(list));
+  try {
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(getState().schedule.generatorPresets));
+  } catch { /* storage unavailable -the change still applies to this session */ }
+};
+
+/** Save (or overwrite, by name) a generator preset in this browser. */
+export const saveGeneratorPreset = ({ name, shifts }) => (dispatch, getState) => {
+  const preset = { name: name.trim(), shifts: shifts.map(normalizeShift).filter(Boolean) };
+  const rest = getState().schedule.generatorPresets.filter((p) => p.name !== preset.name);
+  persistGeneratorPresets(dispatch, getState, [...rest, preset]);
+};
+
+/** Forget a saved generator preset. */
+export const deleteGeneratorPreset = (name) => (dispatch, getState) => {
+  persistGeneratorPresets(dispatch, getState,
+    getState().schedule.generatorPresets.filter((p) => p.name !== name));
+};
+
 export default scheduleSlice.reducer;
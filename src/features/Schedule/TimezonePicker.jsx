@@ -1,25 +1,6 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import useLocale from '../../hooks/useLocale.jsx';
-
-const TIMEZONE_OPTIONS = [
-  { label: 'UTC (GMT+0)',                           value: 'GMT0' },
-  { label: 'London (GMT / BST)',                     value: 'GMT0BST,M3.5.0/1,M10.5.0' },
-  { label: 'Paris / Berlin / Rome (CET / CEST)',     value: 'CET-1CEST,M3.5.0,M10.5.0/3' },
-  { label: 'Helsinki / Sofia / Athens (EET / EEST)', value: 'EET-2EEST,M3.5.0/3,M10.5.0/4' },
-  { label: 'Moscow (MSK)',                           value: 'MSK-3' },
-  { label: 'Dubai (GST, +4)',                        value: 'GST-4' },
-  { label: 'Karachi (PKT, +5)',                      value: 'PKT-5' },
-  { label: 'Kolkata (IST, +5:30)',                   value: 'IST-5:30' },
-  { label: 'Bangkok (ICT, +7)',                      value: 'ICT-7' },
-  { label: 'Singapore / Beijing (CST, +8)',          value: 'CST-8' },
-  { label: 'Tokyo / Seoul (JST, +9)',                value: 'JST-9' },
-  { label: 'Sydney (AEST / AEDT)',                   value: 'AEST-10AEDT,M10.1.0,M4.1.0/3' },
-  { label: 'US Eastern (EST / EDT)',                 value: 'EST5EDT,M3.2.0,M11.1.0' },
-  { label: 'US Central (CST / CDT)',                 value: 'CST6CDT,M3.2.0,M11.1.0' },
-  { label: 'US Mountain (MST / MDT)',                value: 'MST7MDT,M3.2.0,M11.1.0' },
-  { label: 'US Pacific (PST / PDT)',                 value: 'PST8PDT,M3.2.0,M11.1.0' },
-  { label: 'São Paulo (BRT, -3)',                    value: 'BRT3' },
-];
+import { TIMEZONE_OPTIONS } from './timezones.js';
 
 export { TIMEZONE_OPTIONS };
 
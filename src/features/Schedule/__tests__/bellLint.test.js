@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { lintBells, issuesByIndex, MAX_BELLS } from '../bellLint.js';
+
+const bell = (hour, minute) => ({ hour, minute });
+const codes = (result) => result.issues.map((x) => `${x.index}:${x.code}`);
+
+test('a well-formed day has no issues', () => {
+  const result = lintBells([bell(8, 0), bell(8, 45), bell(8, 55), bell(9, 40)]);
+  assert.deepEqual(result, { issues: [], errorCount: 0, warningCount: 0 });
+});
+
+test('duplicate times flag every row involved, regardless of input order', () => {
+  const result = lintBells([bell(9, 0), bell(8, 0), bell(9, 0), bell(9, 0)]);
+  assert.deepEqual(codes(result).sort(), ['0:duplicate', '2:duplicate', '3:duplicate']);
+  assert.equal(result.errorCount, 3);
+  assert.equal(result.issues[0].params.time, '09:00');
+});
+
+test('bells a minute apart are only a short interval, even at the longest ring', () => {
+  const result = lintBells([bell(8, 0), bell(8, 1), bell(8, 3)], { ringDurationSec: 30 });
+  assert.deepEqual(codes(result), ['1:shortInterval', '2:shortInterval']);
+  assert.equal(result.errorCount, 0);
+});
+
+test('short intervals and bells outside school hours are warnings', () => {
+  const result = lintBells([bell(5, 30), bell(8, 0), bell(8, 3), bell(21, 0)], {
+    minIntervalMin: 5, dayStartMin: 7 * 60, dayEndMin: 20 * 60,
+  });
+  assert.deepEqual(codes(result), ['0:outsideHours', '2:shortInterval', '3:outsideHours']);
+  assert.deepEqual(result.issues[1].params, { prev: '08:00', gap: 3, min: 5 });
+  assert.deepEqual(result.issues[0].params, { from: '07:00', to: '20:00' });
+  assert.equal(result.errorCount, 0);
+});
+
+test('a minimum interval of zero disables the short-interval warning', () => {
+  assert.deepEqual(codes(lintBells([bell(8, 0), bell(8, 1)], { minIntervalMin: 0 })), []);
+});
+
+test('set size warns near the firmware limit and errors past it', () => {
+  const many = (n) => Array.from({ length: n }, (_, i) => bell(6 + Math.floor(i * 10 / 60), (i * 10) % 60));
+  const near = lintBells(many(MAX_BELLS - 2), { dayEndMin: 24 * 60 });
+  assert.deepEqual(codes(near), ['null:nearLimit']);
+  const over = lintBells(many(MAX_BELLS + 1), { dayEndMin: 24 * 60 });
+  assert.deepEqual(codes(over), ['null:tooMany']);
+  assert.equal(over.errorCount, 1);
+});
+
+test('issuesByIndex groups row issues and skips set-level ones', () => {
+  const { issues } = lintBells([bell(8, 0), bell(8, 0), bell(23, 0)]);
+  const map = issuesByIndex([...issues, { index: null, code: 'nearLimit' }]);
+  assert.deepEqual([...map.keys()].sort(), [0, 1, 2]);
+  assert.equal(map.get(2)[0].code, 'outsideHours');
+});
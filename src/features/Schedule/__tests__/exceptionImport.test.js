@@ -0,0 +1,165 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseExceptionFile, parseCsv, parseDateCell, detectFileFormat,
+} from '../exceptionImport.js';
+import { buildIcs, parseIcs } from '../icsCalendar.js';
+import { ianaTimeZoneOf } from '../timezones.js';
+
+const ics = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test('all-day ICS events use the exclusive DTEND', () => {
+  const { events, skipped } = parseIcs(ics(
+    'BEGIN:VEVENT',
+    'UID:winter@example.org',
+    'DTSTART;VALUE=DATE:20261224',
+    'DTEND;VALUE=DATE:20270103',
+    'SUMMARY:Коледна ваканция',
+    'END:VEVENT',
+  ));
+  assert.equal(skipped, 0);
+  assert.deepEqual(events, [{
+    uid: 'winter@example.org',
+    startDate: '2026-12-24',
+    endDate: '2027-01-02',
+    label: 'Коледна ваканция',
+  }]);
+});
+
+test('ICS parsing unfolds lines, unescapes text and skips cancelled events', () => {
+  const { events, skipped } = parseIcs(ics(
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260301',
+    'SUMMARY:Exam\\, math\\; room 2',
+    '  and 3',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260302',
+    'STATUS:CANCELLED',
+    'SUMMARY:Gone',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:No start',
+    'END:VEVENT',
+  ));
+  assert.equal(skipped, 2);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].label, 'Exam, math; room 2 and 3');
+  assert.equal(events[0].endDate, '2026-03-01');
+});
+
+test('timed ICS events and DURATION map to the days they cover', () => {
+  const { events } = parseIcs(ics(
+    'BEGIN:VEVENT',
+    'DTSTART:20260415T080000Z',
+    'DTEND:20260415T120000Z',
+    'SUMMARY:Timed',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260420',
+    'DURATION:P3D',
+    'SUMMARY:Three days',
+    'END:VEVENT',
+  ), { timeZone: 'Europe/Sofia' });
+  assert.deepEqual(events.map((e) => [e.startDate, e.endDate]), [
+    ['2026-04-15', '2026-04-15'],
+    ['2026-04-20', '2026-04-22'],
+  ]);
+});
+
+test('UTC times are read in the given zone before taking the date', () => {
+  const text = ics(
+    'BEGIN:VEVENT',
+    'DTSTART:20261224T230000Z',
+    'DTEND:20261225T220000Z',
+    'SUMMARY:Christmas Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;TZID=Europe/Sofia:20261224T230000',
+    'SUMMARY:Christmas Eve, late',
+    'END:VEVENT',
+  );
+  const sofia = parseIcs(text, { timeZone: 'Europe/Sofia' }).events;
+  assert.deepEqual(sofia.map((e) => [e.startDate, e.endDate]), [
+    ['2026-12-25', '2026-12-25'], // ends at midnight Sofia time: exclusive
+    ['2026-12-24', '2026-12-24'],
+  ]);
+  const newYork = parseIcs(text, { timeZone: 'America/New_York' }).events;
+  assert.deepEqual([newYork[0].startDate, newYork[0].endDate], ['2026-12-24', '2026-12-25']);
+});
+
+test('an imported file is dated in the device zone, not the browser zone', () => {
+  const text = ics('BEGIN:VEVENT', 'DTSTART:20261224T230000Z', 'SUMMARY:Christmas Day', 'END:VEVENT');
+  const deviceZone = ianaTimeZoneOf('EET-2EEST,M3.5.0/3,M10.5.0/4');
+  assert.equal(deviceZone, 'Europe/Sofia');
+  const parsed = parseExceptionFile('holidays.ics', text, { timeZone: deviceZone });
+  assert.equal(parsed.drafts[0].startDate, '2026-12-25');
+  assert.equal(parseExceptionFile('holidays.ics', text, { timeZone: ianaTimeZoneOf('EST5EDT,M3.2.0,M11.1.0') })
+    .drafts[0].startDate, '2026-12-24');
+  assert.equal(ianaTimeZoneOf('XYZ-7'), undefined);
+});
+
+test('exported .ics files parse back to the same exceptions', () => {
+  const exceptions = [
+    { id: 1, startDate: '2026-06-01', endDate: '2026-06-01', label: 'Детски ден', action: 'dayOff' },
+    { id: 2, startDate: '2026-12-24', endDate: '2027-01-02', label: 'Winter, long break', action: 'dayOff' },
+  ];
+  const text = buildIcs({ exceptions, exceptionSummary: (ex) => ex.label, now: new Date(0) });
+  const { events } = parseIcs(text);
+  assert.deepEqual(
+    events.map(({ startDate, endDate, label }) => ({ startDate, endDate, label })),
+    exceptions.map(({ startDate, endDate, label }) => ({ startDate, endDate, label })),
+  );
+});
+
+test('date cells accept ISO and day-first forms and reject impossible dates', () => {
+  assert.equal(parseDateCell('2026-12-24'), '2026-12-24');
+  assert.equal(parseDateCell('24.12.2026'), '2026-12-24');
+  assert.equal(parseDateCell('3/9/2026'), '2026-09-03');
+  assert.equal(parseDateCell('24.12.2026 г.'), '2026-12-24');
+  assert.equal(parseDateCell('31.02.2026'), null);
+  assert.equal(parseDateCell('Exam'), null);
+});
+
+test('CSV with a Bulgarian header and semicolons', () => {
+  const { events, skipped } = parseCsv(
+    'Начало;Край;Описание\r\n'
+    + '01.11.2026;02.11.2026;Есенна ваканция\r\n'
+    + 'not a date;;Broken\r\n'
+    + '"15.06.2026";;"Матура; БЕЛ"\r\n',
+  );
+  assert.equal(skipped, 1);
+  assert.deepEqual(events.map(({ startDate, endDate, label }) => [startDate, endDate, label]), [
+    ['2026-11-01', '2026-11-02', 'Есенна ваканция'],
+    ['2026-06-15', '2026-06-15', 'Матура; БЕЛ'],
+  ]);
+});
+
+test('CSV without a header reads date,label and date,end,label rows', () => {
+  assert.deepEqual(
+    parseCsv('2026-03-03,National day\n').events.map((e) => [e.startDate, e.endDate, e.label]),
+    [['2026-03-03', '2026-03-03', 'National day']],
+  );
+  assert.deepEqual(
+    parseCsv('2026-04-10,2026-04-13,"Easter ""break"""\n').events.map((e) => [e.startDate, e.endDate, e.label]),
+    [['2026-04-10', '2026-04-13', 'Easter "break"']],
+  );
+});
+
+test('file parsing detects the format, sorts and drops duplicates', () => {
+  assert.equal(detectFileFormat('holidays.ICS', ''), 'ics');
+  assert.equal(detectFileFormat('exams.csv', ''), 'csv');
+  assert.equal(detectFileFormat('export', 'BEGIN:VCALENDAR\r\n'), 'ics');
+  assert.deepEqual(parseExceptionFile('picture.png', 'x'), {
+    ok: false, errorKey: 'schedule.holidayImport.errFileFormat',
+  });
+  assert.deepEqual(parseExceptionFile('empty.csv', 'Date,Label\n'), {
+    ok: false, errorKey: 'schedule.holidayImport.errFileEmpty',
+  });
+
+  const res = parseExceptionFile('exams.csv', 'Date,Label\n2026-05-20,B\n2026-05-18,A\n2026-05-20,B\n');
+  assert.equal(res.ok, true);
+  assert.equal(res.format, 'csv');
+  assert.equal(res.skipped, 1);
+  assert.deepEqual(res.drafts.map((d) => d.label), ['A', 'B']);
+});
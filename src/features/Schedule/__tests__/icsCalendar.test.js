@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIcs, escapeText, foldLine, addDays, daySpan, weekdayOf } from '../icsCalendar.js';
+
+const octets = (text) => new TextEncoder().encode(text).length;
+/** The VEVENTs of an .ics document, unfolded, as arrays of lines. */
+const events = (text) => text.replace(/\r\n /g, '').split('\r\n').join('\n')
+  .split('BEGIN:VEVENT\n').slice(1)
+  .map((block) => block.split('\nEND:VEVENT')[0].split('\n'));
+
+test('text values escape backslashes, separators and newlines', () => {
+  assert.equal(escapeText('a\\b; c, d\ne\r\nf'), 'a\\\\b\\; c\\, d\\ne\\nf');
+  assert.equal(escapeText(null), '');
+});
+
+test('long lines fold at 75 octets without splitting a Cyrillic letter', () => {
+  assert.equal(foldLine('SUMMARY:short'), 'SUMMARY:short');
+  const line = `SUMMARY:${'Коледна ваканция '.repeat(6)}`;
+  const parts = foldLine(line).split('\r\n');
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every((part) => octets(part) <= 75), parts.map(octets).join());
+  assert.ok(parts.slice(1).every((part) => part.startsWith(' ')));
+  assert.equal(parts.map((part, i) => (i ? part.slice(1) : part)).join(''), line);
+});
+
+test('exceptions are all-day events with an exclusive end date', () => {
+  const text = buildIcs({
+    exceptions: [
+      { id: 7, startDate: '2026-12-24', endDate: '2026-12-31', label: 'Winter, break', action: 'dayOff' },
+      { startDate: '2026-10-05', label: 'Custom day', action: 'custom' },
+    ],
+    exceptionSummary: (ex) => ex.label,
+    exceptionCategory: (ex) => ex.action,
+    now: new Date(Date.UTC(2026, 8, 1, 7, 0, 0)),
+  });
+  assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+  const [winter, custom] = events(text);
+  assert.deepEqual(winter, [
+    'UID:exception-7@ringy.local',
+    'DTSTAMP:20260901T070000Z',
+    'DTSTART;VALUE=DATE:20261224',
+    'DTEND;VALUE=DATE:20270101',
+    'SUMMARY:Winter\\, break',
+    'CATEGORIES:dayOff',
+    'TRANSP:TRANSPARENT',
+  ]);
+  assert.ok(custom.includes('UID:exception-20261005-1@ringy.local'));
+  assert.ok(custom.includes('DTEND;VALUE=DATE:20261006'));
+});
+
+test('bells are floating timed events with the ring duration', () => {
+  const text = buildIcs({
+    bellDays: [{ date: '2026-10-05', bells: [{ hour: 8, minute: 0, label: 'Start' }, { hour: 8, minute: 0, label: 'Assembly' }] }],
+    ringDurationSec: 4.6,
+    now: new Date(0),
+  });
+  const bells = events(text);
+  assert.equal(bells.length, 2);
+  assert.ok(bells[0].includes('DTSTART:20261005T080000'));
+  assert.ok(bells[0].includes('DURATION:PT5S'));
+  assert.ok(bells[1].includes('SUMMARY:Assembly'));
+  // Two bells in the same minute still get distinct UIDs
+  const uids = bells.map((lines) => lines.find((line) => line.startsWith('UID:')));
+  assert.equal(new Set(uids).size, 2);
+});
+
+test('calendar-date helpers cross month, year and DST boundaries', () => {
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2026-03-29', 1), '2026-03-30');
+  assert.equal(daySpan('2026-10-24', '2026-10-26'), 3);
+  assert.equal(weekdayOf('2026-10-05'), 1);
+});
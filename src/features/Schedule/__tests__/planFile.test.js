@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildPlanFile, parsePlanFile, planFileName, PLAN_FILE_FORMAT, PLAN_FILE_SCHEMA_VERSION,
+} from '../planFile.js';
+
+const file = (overrides = {}) => JSON.stringify({
+  format: PLAN_FILE_FORMAT,
+  schemaVersion: PLAN_FILE_SCHEMA_VERSION,
+  name: 'Short day',
+  bells: [{ hour: 8, minute: 0, label: 'Start' }, { hour: 8, minute: 40, label: 'End' }],
+  ...overrides,
+});
+
+test('an exported plan parses back to the same name and bells', () => {
+  const built = buildPlanFile('Exam day', [
+    { hour: 9, minute: 30, label: 'B', _id: 's-2' },
+    { hour: 8, minute: 0, label: '', _id: 's-1' },
+  ]);
+  assert.equal(built.format, PLAN_FILE_FORMAT);
+  assert.deepEqual(built.bells, [{ hour: 8, minute: 0, label: '' }, { hour: 9, minute: 30, label: 'B' }]);
+  const parsed = parsePlanFile(JSON.stringify(built));
+  assert.deepEqual(parsed, { ok: true, plan: { name: 'Exam day', bells: built.bells } });
+});
+
+test('foreign files and other schema versions are rejected', () => {
+  assert.equal(parsePlanFile('not json').errorKey, 'schedule.planFile.errNotJson');
+  assert.equal(parsePlanFile(file({ format: 'ringy-schedule-backup' })).errorKey, 'schedule.planFile.errNotPlan');
+  assert.deepEqual(parsePlanFile(file({ schemaVersion: 2 })), {
+    ok: false, errorKey: 'schedule.planFile.errVersion', params: { version: '2' },
+  });
+});
+
+test('bells are checked against the editor limits', () => {
+  assert.equal(parsePlanFile(file({ bells: [] })).errorKey, 'schedule.planFile.errNoBells');
+  assert.deepEqual(parsePlanFile(file({ bells: [{ hour: 8, minute: 0 }, { hour: 24, minute: 0 }] })), {
+    ok: false, errorKey: 'schedule.planFile.errBell', params: { n: 2 },
+  });
+  assert.equal(
+    parsePlanFile(file({ bells: [{ hour: 8, minute: 0, label: 'x'.repeat(48) }] })).errorKey,
+    'schedule.planFile.errLabel',
+  );
+  const many = Array.from({ length: 61 }, (_, i) => ({ hour: 6 + Math.floor(i / 6), minute: (i % 6) * 10 }));
+  assert.equal(parsePlanFile(file({ bells: many })).errorKey, 'schedule.planFile.errTooMany');
+  assert.deepEqual(parsePlanFile(file({ bells: [{ hour: 8, minute: 0 }, { hour: 8, minute: 0 }] })), {
+    ok: false, errorKey: 'schedule.planFile.errDuplicate', params: { time: '08:00' },
+  });
+});
+
+test('file names keep letters of any script and carry the date', () => {
+  assert.equal(planFileName('Кратък ден / exams', '2026-10-19'), 'ringy-plan-Кратък-ден-exams-2026-10-19.json');
+  assert.equal(planFileName('', '2026-10-19'), 'ringy-plan-2026-10-19.json');
+});
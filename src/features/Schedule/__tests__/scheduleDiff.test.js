@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffBells, diffTemplates, diffWeek } from '../scheduleDiff.js';
+
+const bell = (hour, minute, label = '', _id) => ({ hour, minute, label, ...(_id ? { _id } : {}) });
+const summary = (diff) => diff.changes.map((c) => {
+  const b = c.after || c.before;
+  return `${c.type}@${b.hour}:${String(b.minute).padStart(2, '0')}`;
+});
+
+test('identical sets produce no changes', () => {
+  const bells = [bell(8, 0, 'A'), bell(8, 45, 'B')];
+  assert.deepEqual(diffBells(bells, [...bells]), { changes: [], unchanged: 2 });
+});
+
+test('rows kept by the editor pair by _id even when moved and renamed', () => {
+  const before = [bell(8, 0, 'Start', 's-1'), bell(8, 45, 'End', 's-2')];
+  const after = [bell(8, 5, 'Begin', 's-1'), bell(8, 45, 'Finish', 's-2')];
+  const diff = diffBells(before, after);
+  assert.deepEqual(summary(diff), ['retimed@8:05', 'relabelled@8:45']);
+  assert.equal(diff.changes[0].before.label, 'Start');
+  assert.equal(diff.changes[0].after.label, 'Begin');
+});
+
+test('rows without ids pair by time, then by label', () => {
+  const before = [bell(8, 0, 'Class 1 start'), bell(8, 45, 'Class 1 end'), bell(12, 0, 'Lunch')];
+  const after = [bell(8, 0, 'Class 1 start'), bell(8, 40, 'Class 1 end'), bell(12, 0, 'Break')];
+  assert.deepEqual(summary(diffBells(before, after)), ['retimed@8:40', 'relabelled@12:00']);
+});
+
+test('unpaired rows are reported as added or removed, in time order', () => {
+  const diff = diffBells([bell(8, 0), bell(9, 0)], [bell(7, 30), bell(9, 0)]);
+  assert.deepEqual(summary(diff), ['added@7:30', 'removed@8:00']);
+  assert.equal(diff.unchanged, 1);
+});
+
+test('template slots report created, cleared, renamed and edited slots only', () => {
+  const before = [
+    { name: 'Short', bells: [bell(9, 0)] },
+    { name: 'Exam', bells: [bell(10, 0)] },
+    null,
+    { name: 'Same', bells: [bell(11, 0)] },
+  ];
+  const after = [
+    { name: 'Shorter', bells: [bell(9, 0)] },
+    null,
+    { name: 'New', bells: [bell(7, 0)] },
+    { name: 'Same', bells: [bell(11, 0)] },
+  ];
+  const diff = diffTemplates(before, after);
+  assert.deepEqual(diff.map((d) => [d.idx, d.status]), [[0, 'changed'], [1, 'cleared'], [2, 'created']]);
+  assert.equal(diff[0].nameAfter, 'Shorter');
+  assert.deepEqual(summary(diff[1].bells), ['removed@10:00']);
+  assert.deepEqual(summary(diff[2].bells), ['added@7:00']);
+});
+
+test('week diff lists plan reassignments and custom-set edits per weekday', () => {
+  const empty = () => Array.from({ length: 7 }, () => ({ bells: [] }));
+  const beforeCustom = empty();
+  beforeCustom[2] = { bells: [bell(8, 0, 'A')] };
+  const afterCustom = empty();
+  afterCustom[2] = { bells: [bell(8, 10, 'A')] };
+  afterCustom[3] = { bells: [bell(9, 0)] };
+  const diff = diffWeek(
+    { weekdayPlans: [-1, -1, -2, -1, -1, -1, -1], weekdayCustom: beforeCustom },
+    { weekdayPlans: [-1, -1, -2, -2, 0, -1, -1], weekdayCustom: afterCustom },
+  );
+  assert.deepEqual(diff.map((d) => [d.day, d.planBefore, d.planAfter]), [[2, -2, -2], [3, -1, -2], [4, -1, 0]]);
+  assert.deepEqual(summary(diff[0].bells), ['retimed@8:10']);
+  assert.deepEqual(summary(diff[1].bells), ['added@9:00']);
+  assert.equal(diff[2].bells, null);
+});
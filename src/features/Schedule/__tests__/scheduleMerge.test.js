@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  contentHash, templatesSnapshot, weekSnapshot, fromWeekSnapshot,
+  versionOf, hasChanged, mergeSlots,
+} from '../scheduleMerge.js';
+
+const bell = (hour, minute, label = '', _id) => ({ hour, minute, label, ...(_id ? { _id } : {}) });
+
+test('the content hash ignores editor ids, key order and bell order', () => {
+  const loaded = [{ name: 'Short', bells: [bell(9, 0, 'B', 's-2'), bell(8, 0, 'A', 's-1')] }, null];
+  const fetched = [{ bells: [{ label: 'A', minute: 0, hour: 8 }, bell(9, 0, 'B')], name: 'Short' }, null];
+  assert.equal(contentHash(templatesSnapshot(loaded)), contentHash(templatesSnapshot(fetched)));
+  assert.notEqual(
+    contentHash(templatesSnapshot(loaded)),
+    contentHash(templatesSnapshot([{ name: 'Short', bells: [bell(8, 0, 'A')] }, null])),
+  );
+});
+
+test('week snapshots only count custom bells on custom days', () => {
+  const raw = {
+    weekdayPlans: [-1, -2, 0, -1, -1, -1, -1],
+    weekdayCustom: [[bell(8, 0)], [bell(9, 0)], [], [], [], [], []],
+  };
+  const days = weekSnapshot(raw);
+  assert.deepEqual(days.slice(0, 3), [{ plan: -1 }, { plan: -2, bells: [bell(9, 0)] }, { plan: 0 }]);
+  assert.deepEqual(fromWeekSnapshot(days).weekdayPlans, raw.weekdayPlans);
+  assert.equal(fromWeekSnapshot(days).weekdayCustom[1].bells.length, 1);
+});
+
+test('ETags decide when both sides have one, hashes otherwise', () => {
+  const data = { templates: [{ name: 'A', bells: [] }] };
+  assert.equal(hasChanged(versionOf('templates', data, '"v1"'), versionOf('templates', data, '"v2"')), true);
+  assert.equal(hasChanged(versionOf('templates', data), versionOf('templates', data, '"v2"')), false);
+  assert.equal(hasChanged(versionOf('templates', data), versionOf('templates', { templates: [] })), true);
+});
+
+test('non-overlapping edits merge; overlapping ones are conflicts', () => {
+  const base = [{ plan: -1 }, { plan: -1 }, { plan: 0 }, { plan: -1 }];
+  const mine = [{ plan: 1 }, { plan: -1 }, { plan: 2 }, { plan: 3 }];
+  const theirs = [{ plan: -1 }, { plan: 4 }, { plan: 1 }, { plan: 3 }];
+  const { merged, conflicts, fromTheirs } = mergeSlots(base, mine, theirs);
+  assert.deepEqual(merged, [{ plan: 1 }, { plan: 4 }, { plan: 2 }, { plan: 3 }]);
+  assert.deepEqual(conflicts, [2]);
+  assert.deepEqual(fromTheirs, [1]);
+});
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveDay, resolveRange, shiftBells, findException, PLAN_DEFAULT, PLAN_CUSTOM,
+} from '../scheduleResolver.js';
+
+const bell = (hour, minute, label = '') => ({ hour, minute, label });
+const times = (day) => day.bells.map((b) => `${b.hour}:${String(b.minute).padStart(2, '0')}`);
+
+/* 2026-12-03 is a Thursday (4); 2026-12-05 a Saturday (6). */
+const base = () => ({
+  workingDays: [1, 2, 3, 4, 5],
+  default: { bells: [bell(8, 0, 'Start'), bell(8, 45, 'End')] },
+  templates: [
+    { name: 'Short', bells: [bell(9, 0), bell(9, 30)] },
+    { name: 'Empty', bells: [] },
+    null, null, null,
+  ],
+  weekdayPlans: [-1, -1, -1, -1, -1, -1, -1],
+  weekdayCustom: Array.from({ length: 7 }, () => ({ bells: [] })),
+  exceptions: [],
+});
+
+test('a plain working day rings the default set', () => {
+  const day = resolveDay('2026-12-03', base());
+  assert.equal(day.weekday, 4);
+  assert.equal(day.dayType, 'working');
+  assert.equal(day.source, 'default');
+  assert.equal(day.planIdx, PLAN_DEFAULT);
+  assert.deepEqual(times(day), ['8:00', '8:45']);
+  assert.equal(day.exception, null);
+});
+
+test('days outside workingDays are off with no bells', () => {
+  const day = resolveDay('2026-12-05', base());
+  assert.equal(day.dayType, 'off');
+  assert.equal(day.source, null);
+  assert.deepEqual(day.bells, []);
+});
+
+test('weekday plans pick the inline custom set or a named template', () => {
+  const cfg = base();
+  cfg.weekdayPlans[4] = PLAN_CUSTOM;
+  cfg.weekdayCustom[4] = { bells: [bell(10, 15, 'B'), bell(7, 30, 'A')] };
+  cfg.weekdayPlans[3] = 0;
+  const thu = resolveDay('2026-12-03', cfg);
+  assert.equal(thu.source, 'custom');
+  assert.equal(thu.planIdx, PLAN_CUSTOM);
+  assert.deepEqual(times(thu), ['7:30', '10:15']);
+
+  const wed = resolveDay('2026-12-02', cfg);
+  assert.equal(wed.source, 'template');
+  assert.equal(wed.planIdx, 0);
+  assert.equal(wed.planName, 'Short');
+  assert.deepEqual(times(wed), ['9:00', '9:30']);
+});
+
+test('a weekday bound to an empty or missing template falls back to the default', () => {
+  const cfg = base();
+  cfg.weekdayPlans[3] = 1;
+  cfg.weekdayPlans[4] = 3;
+  assert.equal(resolveDay('2026-12-02', cfg).source, 'default');
+  assert.equal(resolveDay('2026-12-03', cfg).source, 'default');
+});
+
+test('a dayOff exception wins over the weekday plan', () => {
+  const cfg = base();
+  cfg.exceptions = [{ id: 7, startDate: '2026-12-01', endDate: '2026-12-04', label: 'Flu', action: 'dayOff' }];
+  const day = resolveDay('2026-12-03', cfg);
+  assert.equal(day.dayType, 'exceptionHoliday');
+  assert.equal(day.source, 'exception');
+  assert.equal(day.exception.id, 7);
+  assert.deepEqual(day.bells, []);
+  assert.equal(resolveDay('2026-12-04', cfg).dayType, 'exceptionHoliday');
+  assert.equal(resolveDay('2026-12-07', cfg).dayType, 'working');
+});
+
+test('template exceptions apply the time offset and make an off day a working one', () => {
+  const cfg = base();
+  cfg.exceptions = [{
+    startDate: '2026-12-05', endDate: '2026-12-05', action: 'template', templateIdx: 0, timeOffsetMin: -30,
+  }];
+  const day = resolveDay('2026-12-05', cfg);
+  assert.equal(day.dayType, 'exceptionWorking');
+  assert.equal(day.source, 'exception');
+  assert.equal(day.planIdx, 0);
+  assert.deepEqual(times(day), ['8:30', '9:00']);
+});
+
+test('custom exceptions read detail or inline bells and flag missing ones', () => {
+  const cfg = base();
+  cfg.exceptions = [
+    { startDate: '2026-12-01', action: 'custom', customBells: { bells: [bell(11, 0)] } },
+    { startDate: '2026-12-02', action: 'custom', bells: [bell(12, 0)], timeOffsetMin: 15 },
+    { startDate: '2026-12-03', action: 'custom', bellCount: 4 },
+  ];
+  assert.deepEqual(times(resolveDay('2026-12-01', cfg)), ['11:00']);
+  assert.deepEqual(times(resolveDay('2026-12-02', cfg)), ['12:15']);
+  const meta = resolveDay('2026-12-03', cfg);
+  assert.equal(meta.incomplete, true);
+  assert.deepEqual(meta.bells, []);
+});
+
+test('the first covering exception in list order wins', () => {
+  const exceptions = [
+    { id: 1, startDate: '2026-12-01', endDate: '2026-12-10', action: 'dayOff' },
+    { id: 2, startDate: '2026-12-03', endDate: '2026-12-03', action: 'template', templateIdx: 0 },
+  ];
+  assert.equal(findException('2026-12-03', exceptions).id, 1);
+  assert.equal(findException('2026-12-11', exceptions), null);
+});
+
+test('shiftBells drops bells pushed past midnight', () => {
+  assert.deepEqual(shiftBells([bell(0, 10), bell(23, 50)], 20), [bell(0, 30)]);
+  assert.deepEqual(shiftBells([bell(0, 10), bell(23, 50)], -20), [bell(23, 30)]);
+});
+
+test('resolveRange walks every date inclusively across a month end', () => {
+  const days = resolveRange('2026-11-29', '2026-12-02', base());
+  assert.deepEqual(days.map((d) => d.date), ['2026-11-29', '2026-11-30', '2026-12-01', '2026-12-02']);
+  assert.deepEqual(days.map((d) => d.dayType), ['off', 'working', 'working', 'working']);
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  makeShift, normalizeShift, setLessonCount, shiftSpan,
+  buildGeneratorBells, validateShifts, previewShifts, BUILTIN_GENERATOR_PRESETS,
+} from '../shiftGenerator.js';
+
+const times = (bells) => bells.map((b) => `${b.hour}:${String(b.minute).padStart(2, '0')}`);
+const label = (s, kind, n) => `${s + 1}/${kind}/${n}`;
+
+test('makeShift places long breaks after the given lesson numbers', () => {
+  const shift = makeShift(8, 0, 4, 40, 10, { 2: 20 });
+  assert.deepEqual(shift.lessons, [40, 40, 40, 40]);
+  assert.deepEqual(shift.breaks, [10, 20, 10]);
+});
+
+test('each lesson rings at start and end with its own length', () => {
+  const shift = { startHour: 8, startMinute: 0, lessons: [45, 30], breaks: [15] };
+  const bells = buildGeneratorBells([shift], label);
+  assert.deepEqual(times(bells), ['8:00', '8:45', '9:00', '9:30']);
+  assert.deepEqual(bells.map((b) => b.label), ['1/start/1', '1/end/1', '1/start/2', '1/end/2']);
+});
+
+test('bells from several shifts come out sorted by time', () => {
+  const bells = buildGeneratorBells([
+    makeShift(13, 0, 1, 40, 10),
+    makeShift(8, 0, 1, 40, 10),
+  ], label);
+  assert.deepEqual(times(bells), ['8:00', '8:40', '13:00', '13:40']);
+  assert.equal(bells[0].label, '2/start/1');
+});
+
+test('setLessonCount grows by repeating the last lengths and shrinks from the end', () => {
+  const shift = { startHour: 8, startMinute: 0, lessons: [45, 30], breaks: [20] };
+  const grown = setLessonCount(shift, 4);
+  assert.deepEqual(grown.lessons, [45, 30, 30, 30]);
+  assert.deepEqual(grown.breaks, [20, 20, 20]);
+  const shrunk = setLessonCount(grown, 1);
+  assert.deepEqual(shrunk.lessons, [45]);
+  assert.deepEqual(shrunk.breaks, []);
+});
+
+test('overlapping or touching shifts are rejected', () => {
+  const first = makeShift(8, 0, 2, 45, 10); // 08:00–09:40
+  const issues = validateShifts([first, makeShift(9, 40, 2, 45, 10), makeShift(12, 0, 1, 45, 0)]);
+  assert.deepEqual(issues, [{ code: 'shiftOverlap', params: { a: 1, b: 2, end: '09:40' } }]);
+  assert.deepEqual(validateShifts([first, makeShift(9, 45, 2, 45, 10)]), []);
+});
+
+test('shifts past midnight and sets over the bell limit are rejected', () => {
+  const late = makeShift(23, 0, 2, 45, 10);
+  assert.deepEqual(validateShifts([late]), [{ code: 'pastMidnight', params: { shift: 1 } }]);
+  const big = [makeShift(6, 0, 16, 20, 5), makeShift(14, 0, 16, 20, 5)];
+  assert.deepEqual(validateShifts(big).map((x) => x.code), ['tooMany']);
+  assert.equal(validateShifts(big)[0].params.count, 64);
+});
+
+test('any number of shifts is accepted while the bells fit', () => {
+  const sixShifts = Array.from({ length: 6 }, (_, i) => makeShift(7 + i * 2, 0, 2, 40, 10));
+  assert.deepEqual(validateShifts(sixShifts), []);
+  assert.equal(buildGeneratorBells(sixShifts, label).length, 24);
+});
+
+test('previewShifts combines counts and spans across shifts', () => {
+  const preview = previewShifts([makeShift(7, 30, 2, 40, 10), makeShift(13, 0, 3, 40, 5)]);
+  assert.equal(preview.count, 10);
+  assert.equal(preview.classCount, 5);
+  assert.equal(preview.from, '07:30');
+  assert.equal(preview.to, '15:10');
+  assert.deepEqual(preview.shifts.map((p) => [p.from, p.to]), [['07:30', '09:00'], ['13:00', '15:10']]);
+});
+
+test('normalizeShift clamps stored values and repairs the break list', () => {
+  const shift = normalizeShift({ startHour: 30, startMinute: -5, lessons: [1, 45, 500], breaks: [15] });
+  assert.deepEqual(shift, { startHour: 23, startMinute: 0, lessons: [5, 45, 120], breaks: [15, 10] });
+  /* A zero break would make an end bell and the next start bell the same minute. */
+  assert.deepEqual(normalizeShift({ lessons: [45, 45], breaks: [0] }).breaks, [1]);
+  assert.equal(normalizeShift({ lessons: [] }), null);
+});
+
+test('every built-in preset is valid', () => {
+  for (const preset of BUILTIN_GENERATOR_PRESETS) {
+    assert.deepEqual(validateShifts(preset.shifts), [], preset.id);
+    for (const shift of preset.shifts) assert.equal(shift.breaks.length, shift.lessons.length - 1);
+  }
+  const fullDay = BUILTIN_GENERATOR_PRESETS.find((p) => p.id === 'fullDay');
+  assert.deepEqual(shiftSpan(fullDay.shifts[0]), { fromMin: 8 * 60, toMin: 14 * 60 + 40 });
+});
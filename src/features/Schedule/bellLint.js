@@ -0,0 +1,88 @@
+/**
+ * Bell-set lint -sanity checks that run in BellSetEditor (inline, per row)
+ * and in every schedule save thunk. Pure functions only (no DOM, no Redux).
+ *
+ * Errors block a save: duplicate times and sets over MAX_BELLS. Warnings
+ * are advisory: bells outside school hours, lessons/breaks shorter than the
+ * configured minimum, and sets approaching MAX_BELLS.
+ *
+ * There is no check for a bell starting while the previous one still
+ * rings: bells are minute-granular, so distinct bells are at least 60 s
+ * apart, and the firmware caps the ring duration at 30 s.
+ *
+ * Issues: { index, code, severity: 'error'|'warning', params }. `index`
+ * points into the array as given (the editor keeps unsorted rows), or is
+ * null for set-level issues. The i18n key is `schedule.lint.<code>`.
+ */
+
+/** Firmware limit on bells per set. */
+export const MAX_BELLS = 60;
+
+/** Longest bell label the firmware stores (characters). */
+export const BELL_LABEL_MAX_LEN = 47;
+
+export const BELL_LINT_DEFAULTS = {
+  /** Shortest lesson or break, in minutes, before a warning is raised. */
+  minIntervalMin: 5,
+  /** School hours as minutes of the day; bells outside them are flagged. */
+  dayStartMin: 6 * 60,
+  dayEndMin: 20 * 60,
+  /** Warn once a set is within this many bells of MAX_BELLS. */
+  nearLimitMargin: 5,
+};
+
+const fmt = (mins) => `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+
+/**
+ * Lint one bell set.
+ *
+ * @param {Array<{ hour, minute }>} bells
+ * @param {object} [opts]  BELL_LINT_DEFAULTS overrides
+ * @returns {{ issues: Array, errorCount: number, warningCount: number }}
+ */
+export function lintBells(bells, opts = {}) {
+  const cfg = { ...BELL_LINT_DEFAULTS, ...opts };
+  const list = (bells || [])
+    .map((b, index) => ({ index, mins: b.hour * 60 + b.minute }))
+    .sort((a, b) => a.mins - b.mins || a.index - b.index);
+  const issues = [];
+  const add = (index, code, severity, params = {}) => issues.push({ index, code, severity, params });
+
+  if (list.length > MAX_BELLS) {
+    add(null, 'tooMany', 'error', { count: list.length, max: MAX_BELLS });
+  } else if (list.length >= MAX_BELLS - cfg.nearLimitMargin) {
+    add(null, 'nearLimit', 'warning', { count: list.length, max: MAX_BELLS });
+  }
+
+  list.forEach((cur, i) => {
+    if (cur.mins < cfg.dayStartMin || cur.mins > cfg.dayEndMin) {
+      add(cur.index, 'outsideHours', 'warning', { from: fmt(cfg.dayStartMin), to: fmt(cfg.dayEndMin) });
+    }
+    const prev = list[i - 1];
+    if (!prev) return;
+    const gap = cur.mins - prev.mins;
+    if (gap === 0) {
+      /* Flag both rows of a duplicate pair (a triple flags each once). */
+      if (!issues.some((x) => x.index === prev.index && x.code === 'duplicate')) {
+        add(prev.index, 'duplicate', 'error', { time: fmt(cur.mins) });
+      }
+      add(cur.index, 'duplicate', 'error', { time: fmt(cur.mins) });
+    } else if (gap < cfg.minIntervalMin) {
+      add(cur.index, 'shortInterval', 'warning', { prev: fmt(prev.mins), gap, min: cfg.minIntervalMin });
+    }
+  });
+
+  const errorCount = issues.filter((x) => x.severity === 'error').length;
+  return { issues, errorCount, warningCount: issues.length - errorCount };
+}
+
+/** Group row issues by bell index: Map<index, issue[]>. */
+export function issuesByIndex(issues) {
+  const map = new Map();
+  for (const issue of issues) {
+    if (issue.index == null) continue;
+    if (!map.has(issue.index)) map.set(issue.index, []);
+    map.get(issue.index).push(issue);
+  }
+  return map;
+}
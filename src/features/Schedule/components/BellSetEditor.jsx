@@ -1,59 +1,29 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import useLocale from '../../../hooks/useLocale.jsx';
 import TimePicker24 from './TimePicker24.jsx';
-import { fetchDefault } from '../ScheduleSlice.js';
-
-const MAX_BELLS = 60;
-
-function sortBells(bells) {
-  return [...bells].sort((a, b) => a.hour * 60 + a.minute - (b.hour * 60 + b.minute));
-}
+import { fetchDefault, saveGeneratorPreset, deleteGeneratorPreset } from '../ScheduleSlice.js';
+import { MAX_BELLS, BELL_LABEL_MAX_LEN, lintBells, issuesByIndex } from '../bellLint.js';
+import {
+  GENERATOR_LIMITS, BUILTIN_GENERATOR_PRESETS,
+  makeShift, setLessonCount, lessonTimes, shiftSpan,
+  buildGeneratorBells, validateShifts, previewShifts,
+} from '../shiftGenerator.js';
 
 let _bellIdCounter = 0;
 const newBellId = () => `b-${++_bellIdCounter}`;
 
-const DEFAULT_SHIFT_CONFIG = {
-  startHour: 7,
-  startMinute: 30,
-  classDuration: 45,
-  breakDuration: 5,
-  bigBreakDuration: 15,
-  bigBreakAfterClass: 3,
-  classCount: 6,
-};
-
-/** Normalize a signed minute-of-day offset into 0..1439. */
-function normMinutes(m) {
-  return ((m % 1440) + 1440) % 1440;
-}
+/** Undo steps kept per editor instance. */
+const HISTORY_LIMIT = 50;
+const EMPTY_HISTORY = { past: [], future: [] };
 
-function fmtMinutes(m) {
-  const n = normMinutes(m);
-  return `${String(Math.floor(n / 60)).padStart(2, '0')}:${String(n % 60).padStart(2, '0')}`;
-}
+/** Matches the single-shift generator the editor always opened with. */
+const DEFAULT_SHIFTS = [makeShift(7, 30, 6, 45, 5, { 3: 15 })];
 
-/** Compute preview stats { count, classCount, from, to } for a shift config. */
-function shiftPreview(cfg) {
-  const start = cfg.startHour * 60 + cfg.startMinute;
-  let cursor = start;
-  let last = start;
-  for (let i = 0; i < cfg.classCount; i++) {
-    cursor += cfg.classDuration;
-    last = cursor;
-    if (i < cfg.classCount - 1) {
-      cursor += (i + 1 === cfg.bigBreakAfterClass) ? cfg.bigBreakDuration : cfg.breakDuration;
-    }
-  }
-  return {
-    count: cfg.classCount * 2,
-    classCount: cfg.classCount,
-    fromMin: start,
-    toMin: last,
-    from: fmtMinutes(start),
-    to: fmtMinutes(last),
-  };
-}
+const fmtMinutes = (m) => `${String(Math.floor(m / 60) % 24).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+
+/** Shared value of a list, or null when the entries differ. */
+const uniformValue = (list) => (list.length > 0 && list.every((v) => v === list[0]) ? list[0] : null);
 
 /**
  * Reusable bell-set editor.
@@ -81,8 +51,17 @@ export default function BellSetEditor({
   const { t } = useLocale();
   const dispatch = useDispatch();
   const defaultBells = useSelector((s) => s.schedule?.default?.bells ?? []);
+  const lintConfig = useSelector((s) => s.schedule?.lint);
   const bells = value?.bells || [];
 
+  const lint = useMemo(
+    () => lintBells(bells, lintConfig),
+    [bells, lintConfig],
+  );
+  const rowIssues = useMemo(() => issuesByIndex(lint.issues), [lint]);
+  const setIssues = lint.issues.filter((x) => x.index == null);
+  const lintText = (issue) => t(`schedule.lint.${issue.code}`, issue.params);
+
   // Built-in "Day On" template resolves to the current default schedule at
   // apply-time. Make sure the default schedule is loaded so applying it does
   // not silently produce an empty bell list.
@@ -97,17 +76,82 @@ export default function BellSetEditor({
   const [applyTplIdx, setApplyTplIdx] = useState('');
   const [showSaveHint, setShowSaveHint] = useState(false);
 
-  const [twoShifts, setTwoShifts] = useState(false);
-  const [shift1, setShift1] = useState({ ...DEFAULT_SHIFT_CONFIG });
-  const [shift2, setShift2] = useState({ ...DEFAULT_SHIFT_CONFIG, startHour: 13, startMinute: 30 });
+  const savedPresets = useSelector((s) => s.schedule?.generatorPresets ?? []);
+  const [shifts, setShifts] = useState(DEFAULT_SHIFTS);
+  const [presetKey, setPresetKey] = useState(`builtin:${BUILTIN_GENERATOR_PRESETS[0].id}`);
+  const [presetName, setPresetName] = useState('');
 
-  // ── helpers ──────────────────────────────────────────────────────────────
+  // ── undo / redo ──────────────────────────────────────────────────────────
+  // past/future hold whole bell arrays. The parent owns `value`, so any
+  // bells that did not come from this editor (a reload after save, another
+  // day selected) start a fresh history.
+
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const lastEmitted = useRef(bells);
+  // Consecutive keystrokes in one label field collapse into one undo step.
+  const lastMergeKey = useRef(null);
 
-  const emit = (newBells) => onChange({ ...(value || {}), bells: newBells });
+  useEffect(() => {
+    if (bells === lastEmitted.current) return;
+    lastEmitted.current = bells;
+    lastMergeKey.current = null;
+    setHistory((h) => (h.past.length || h.future.length ? EMPTY_HISTORY : h));
+  }, [bells]);
+
+  const send = (newBells) => {
+    lastEmitted.current = newBells;
+    onChange({ ...(value || {}), bells: newBells });
+  };
+
+  /** Emit a user change and record the current bells as an undo step. */
+  const emit = (newBells, mergeKey = null) => {
+    if (!mergeKey || mergeKey !== lastMergeKey.current) {
+      setHistory((h) => ({ past: [...h.past, bells].slice(-HISTORY_LIMIT), future: [] }));
+    }
+    lastMergeKey.current = mergeKey;
+    send(newBells);
+  };
+
+  const undo = () => {
+    if (history.past.length === 0) return;
+    const prev = history.past[history.past.length - 1];
+    setHistory({ past: history.past.slice(0, -1), future: [bells, ...history.future] });
+    lastMergeKey.current = null;
+    setShowSaveHint(false);
+    send(prev);
+  };
+
+  const redo = () => {
+    if (history.future.length === 0) return;
+    const [next, ...rest] = history.future;
+    setHistory({ past: [...history.past, bells].slice(-HISTORY_LIMIT), future: rest });
+    lastMergeKey.current = null;
+    setShowSaveHint(false);
+    send(next);
+  };
+
+  /* Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS; Ctrl+Y too) while focus is inside
+   * the table. The generator and template panels keep native text undo. */
+  const handleKeyDown = (e) => {
+    if (readOnly || mode !== 'manual' || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  };
+
+  // ── helpers ──────────────────────────────────────────────────────────────
 
   const updateBell = (idx, patch) => {
     setShowSaveHint(false);
-    emit(bells.map((b, i) => (i === idx ? { ...b, ...patch } : b)));
+    emit(
+      bells.map((b, i) => (i === idx ? { ...b, ...patch } : b)),
+      'label' in patch ? `label-${bells[idx]?._id ?? idx}` : null,
+    );
   };
 
   const removeBell = (idx) => {
@@ -120,48 +164,68 @@ export default function BellSetEditor({
     emit([...bells, { hour: 8, minute: 0, label: '', _id: newBellId() }]);
   };
 
-  const setShiftField = (setter, field, v) => setter((p) => ({ ...p, [field]: v }));
-
   // ── auto-generate ────────────────────────────────────────────────────────
 
-  const buildShiftBells = (cfg, shiftLabel) => {
-    const out = [];
-    let mins = cfg.startHour * 60 + cfg.startMinute;
-    for (let i = 0; i < cfg.classCount; i++) {
-      out.push({
-        hour: Math.floor(mins / 60) % 24,
-        minute: mins % 60,
-        label: shiftLabel
-          ? t('auto.shiftClassStart', { shift: shiftLabel, n: i + 1 })
-          : t('schedule.classStart', { n: i + 1 }),
-      });
-      mins += cfg.classDuration;
-      out.push({
-        hour: Math.floor(mins / 60) % 24,
-        minute: mins % 60,
-        label: shiftLabel
-          ? t('auto.shiftClassEnd', { shift: shiftLabel, n: i + 1 })
-          : t('schedule.classEnd', { n: i + 1 }),
-      });
-      if (i < cfg.classCount - 1) {
-        mins += (i + 1 === cfg.bigBreakAfterClass) ? cfg.bigBreakDuration : cfg.breakDuration;
-      }
-    }
-    return out;
-  };
+  const patchShift = (idx, patch) =>
+    setShifts((prev) => prev.map((sh, i) => (i === idx ? { ...sh, ...patch } : sh)));
+
+  /** Set one lesson/break length (`pos`), or all of them when `pos` is null. */
+  const setLength = (idx, field, pos, v) =>
+    setShifts((prev) => prev.map((sh, i) => (i === idx
+      ? { ...sh, [field]: sh[field].map((x, j) => (pos == null || j === pos ? v : x)) }
+      : sh)));
+
+  /* A new shift copies the last one and starts half an hour after it ends. */
+  const addShift = () => setShifts((prev) => {
+    const last = prev[prev.length - 1];
+    const start = shiftSpan(last).toMin + 30;
+    return [...prev, { ...last, startHour: Math.floor(start / 60) % 24, startMinute: start % 60 }];
+  });
+
+  const removeShift = (idx) => setShifts((prev) => prev.filter((_, i) => i !== idx));
+
+  const shiftName = (idx) => t('auto.shiftN', { n: idx + 1 });
+  const generatorIssues = validateShifts(shifts);
 
   const generateBells = () => {
-    let generated = buildShiftBells(shift1, twoShifts ? t('auto.firstShift') : null);
-    if (twoShifts) {
-      generated = generated.concat(buildShiftBells(shift2, t('auto.secondShift')));
-    }
-    generated = sortBells(generated).slice(0, MAX_BELLS);
-    emit(generated);
+    if (generatorIssues.length > 0) return;
+    const multi = shifts.length > 1;
+    emit(buildGeneratorBells(shifts, (idx, kind, n) => (multi
+      ? t(kind === 'start' ? 'auto.shiftClassStart' : 'auto.shiftClassEnd', { shift: shiftName(idx), n })
+      : t(kind === 'start' ? 'schedule.classStart' : 'schedule.classEnd', { n }))));
     setMode('manual');
     setShowSaveHint(true);
     if (typeof onGenerated === 'function') onGenerated();
   };
 
+  // ── generator presets (built-in + saved in this browser) ─────────────────
+
+  const presetOptions = [
+    ...BUILTIN_GENERATOR_PRESETS.map((p) => ({
+      key: `builtin:${p.id}`, label: t(`auto.preset.${p.id}`), shifts: p.shifts,
+    })),
+    ...savedPresets.map((p) => ({ key: `saved:${p.name}`, label: p.name, shifts: p.shifts, saved: true })),
+  ];
+  const selectedPreset = presetOptions.find((o) => o.key === presetKey) || null;
+
+  const loadPreset = () => {
+    if (selectedPreset) setShifts(selectedPreset.shifts);
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    dispatch(saveGeneratorPreset({ name, shifts }));
+    setPresetKey(`saved:${name}`);
+    setPresetName('');
+  };
+
+  const deletePreset = () => {
+    if (!selectedPreset?.saved) return;
+    dispatch(deleteGeneratorPreset(selectedPreset.label));
+    setPresetKey(presetOptions[0].key);
+  };
+
   // ── apply template ────────────────────────────────────────────────────────
 
   // Built-ins arrive from the API without any bells payload -they are
@@ -210,151 +274,150 @@ export default function BellSetEditor({
 
   // ── preview calc ──────────────────────────────────────────────────────────
 
-  const preview1 = shiftPreview(shift1);
-  const preview2 = twoShifts ? shiftPreview(shift2) : null;
-  const combinedPreview = preview2
-    ? {
-        count: Math.min(MAX_BELLS, preview1.count + preview2.count),
-        classCount: preview1.classCount + preview2.classCount,
-        from: fmtMinutes(Math.min(preview1.fromMin, preview2.fromMin)),
-        to: fmtMinutes(Math.max(preview1.toMin, preview2.toMin)),
-      }
-    : preview1;
-
-  // ── shift parameter grid (shared markup for shift 1 / shift 2) ───────────
-
-  const renderShiftGrid = (cfg, setCfg) => (
-    <>
-      <div className="ag-start-row">
-        <div className="ag-start-label">
-          <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
-            <circle cx="12" cy="12" r="9"/><path d="M12 7v5l3 3"/>
-          </svg>
-          {t('auto.startTime')}
-        </div>
-        <TimePicker24
-          value={{ hour: cfg.startHour, minute: cfg.startMinute }}
-          onChange={({ hour, minute }) => setCfg((p) => ({ ...p, startHour: hour, startMinute: minute }))}
-        />
-      </div>
+  const preview = previewShifts(shifts);
 
-      <div className="ag-grid">
-        <div className="ag-card">
-          <div className="ag-card-icon">
-            <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
-              <rect x="3" y="3" width="7" height="7" rx="1"/>
-              <rect x="14" y="3" width="7" height="7" rx="1"/>
-              <rect x="3" y="14" width="7" height="7" rx="1"/>
-              <rect x="14" y="14" width="7" height="7" rx="1"/>
-            </svg>
-          </div>
-          <div className="ag-card-label">{t('auto.numClasses')}</div>
-          <div className="ag-stepper">
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'classCount', Math.max(1, cfg.classCount - 1))}>−</button>
-            <span className="ag-step-val">{cfg.classCount}</span>
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'classCount', Math.min(20, cfg.classCount + 1))}>+</button>
-          </div>
-        </div>
+  // ── one shift: start time, bulk steppers, then every lesson and break ────
 
-        <div className="ag-card">
-          <div className="ag-card-icon">
-            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-              <path d="M5 2h14M5 22h14M7 2c0 4.5 10 4.5 10 9S7 17.5 7 22M17 2c0 4.5-10 4.5-10 9s10 7.5 10 12"/>
-            </svg>
-          </div>
-          <div className="ag-card-label">{t('auto.classDuration')}</div>
-          <div className="ag-stepper">
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'classDuration', Math.max(5, cfg.classDuration - 5))}>−</button>
-            <span className="ag-step-val">{cfg.classDuration}<span className="ag-step-unit">{t('calendar.min')}</span></span>
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'classDuration', Math.min(120, cfg.classDuration + 5))}>+</button>
-          </div>
-        </div>
+  const renderStepper = (value, onStep, { step, min, max, unit = true }) => (
+    <div className="ag-stepper">
+      <button type="button" className="ag-step-btn"
+        onClick={() => onStep(Math.max(min, (value ?? min) - step))}>−</button>
+      <span className="ag-step-val">
+        {value ?? '—'}{unit && <span className="ag-step-unit">{t('calendar.min')}</span>}
+      </span>
+      <button type="button" className="ag-step-btn"
+        onClick={() => onStep(Math.min(max, (value ?? min) + step))}>+</button>
+    </div>
+  );
 
-        <div className="ag-card">
-          <div className="ag-card-icon">
-            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-              <path d="M18 8h1a4 4 0 0 1 0 8h-1"/>
-              <path d="M2 8h16v9a4 4 0 0 1-4 4H6a4 4 0 0 1-4-4Z"/>
-            </svg>
+  const renderShift = (cfg, idx) => {
+    const times = lessonTimes(cfg);
+    const lessonStep = { step: 5, min: GENERATOR_LIMITS.lessonMin, max: GENERATOR_LIMITS.lessonMax };
+    const breakStep = { step: 1, min: GENERATOR_LIMITS.breakMin, max: GENERATOR_LIMITS.breakMax };
+    return (
+      <div className="ag-shift-block" key={idx}>
+        {shifts.length > 1 && (
+          <div className="ag-shift-heading">
+            <span>{shiftName(idx)}</span>
+            <button type="button" className="delete-btn" onClick={() => removeShift(idx)}
+              title={t('auto.removeShift')} aria-label={t('auto.removeShift')}>×</button>
           </div>
-          <div className="ag-card-label">{t('auto.breakDuration')}</div>
-          <div className="ag-stepper">
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'breakDuration', Math.max(0, cfg.breakDuration - 1))}>−</button>
-            <span className="ag-step-val">{cfg.breakDuration}<span className="ag-step-unit">{t('calendar.min')}</span></span>
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'breakDuration', Math.min(60, cfg.breakDuration + 1))}>+</button>
+        )}
+        <div className="ag-start-row">
+          <div className="ag-start-label">
+            <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
+              <circle cx="12" cy="12" r="9"/><path d="M12 7v5l3 3"/>
+            </svg>
+            {t('auto.startTime')}
           </div>
+          <TimePicker24
+            value={{ hour: cfg.startHour, minute: cfg.startMinute }}
+            onChange={({ hour, minute }) => patchShift(idx, { startHour: hour, startMinute: minute })}
+          />
         </div>
 
-        <div className="ag-card">
-          <div className="ag-card-icon">
-            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round">
-              <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/>
-            </svg>
-          </div>
-          <div className="ag-card-label">{t('auto.bigBreakDuration')}</div>
-          <div className="ag-stepper">
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'bigBreakDuration', Math.max(0, cfg.bigBreakDuration - 5))}>−</button>
-            <span className="ag-step-val">{cfg.bigBreakDuration}<span className="ag-step-unit">{t('calendar.min')}</span></span>
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'bigBreakDuration', Math.min(60, cfg.bigBreakDuration + 5))}>+</button>
+        <div className="ag-grid">
+          <div className="ag-card ag-card--span2">
+            <div className="ag-card-icon">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                <rect x="3" y="3" width="7" height="7" rx="1"/>
+                <rect x="14" y="3" width="7" height="7" rx="1"/>
+                <rect x="3" y="14" width="7" height="7" rx="1"/>
+                <rect x="14" y="14" width="7" height="7" rx="1"/>
+              </svg>
+            </div>
+            <div className="ag-card-label">{t('auto.numClasses')}</div>
+            {renderStepper(cfg.lessons.length,
+              (n) => setShifts((prev) => prev.map((sh, i) => (i === idx ? setLessonCount(sh, n) : sh))),
+              { step: 1, min: 1, max: GENERATOR_LIMITS.maxLessons, unit: false })}
           </div>
-        </div>
 
-        <div className="ag-card ag-card--span2">
-          <div className="ag-card-icon">
-            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-              <path d="M3 6h18M3 12h10M3 18h10"/><path d="M16 16l3 3 3-3"/>
-            </svg>
+          <div className="ag-card">
+            <div className="ag-card-icon">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M5 2h14M5 22h14M7 2c0 4.5 10 4.5 10 9S7 17.5 7 22M17 2c0 4.5-10 4.5-10 9s10 7.5 10 12"/>
+              </svg>
+            </div>
+            <div className="ag-card-label">{t('auto.allClasses')}</div>
+            {renderStepper(uniformValue(cfg.lessons), (v) => setLength(idx, 'lessons', null, v), lessonStep)}
           </div>
-          <div className="ag-card-label">{t('auto.bigBreakAfterClass')}</div>
-          <div className="ag-stepper">
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'bigBreakAfterClass', Math.max(1, cfg.bigBreakAfterClass - 1))}>−</button>
-            <span className="ag-step-val">{cfg.bigBreakAfterClass}</span>
-            <button type="button" className="ag-step-btn"
-              onClick={() => setShiftField(setCfg, 'bigBreakAfterClass', Math.min(Math.max(1, cfg.classCount - 1), cfg.bigBreakAfterClass + 1))}>+</button>
+
+          <div className="ag-card">
+            <div className="ag-card-icon">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M18 8h1a4 4 0 0 1 0 8h-1"/>
+                <path d="M2 8h16v9a4 4 0 0 1-4 4H6a4 4 0 0 1-4-4Z"/>
+              </svg>
+            </div>
+            <div className="ag-card-label">{t('auto.allBreaks')}</div>
+            {renderStepper(uniformValue(cfg.breaks), (v) => setLength(idx, 'breaks', null, v), breakStep)}
           </div>
         </div>
+
+        <ol className="ag-lesson-list">
+          {cfg.lessons.map((len, i) => (
+            <React.Fragment key={i}>
+              <li className="ag-lesson-row">
+                <span className="ag-lesson-name">{t('auto.lessonN', { n: i + 1 })}</span>
+                <span className="ag-lesson-time">{fmtMinutes(times[i].start)}–{fmtMinutes(times[i].end)}</span>
+                {renderStepper(len, (v) => setLength(idx, 'lessons', i, v), lessonStep)}
+              </li>
+              {i < cfg.breaks.length && (
+                <li className="ag-lesson-row ag-break-row">
+                  <span className="ag-lesson-name">{t('auto.breakN', { n: i + 1 })}</span>
+                  {renderStepper(cfg.breaks[i], (v) => setLength(idx, 'breaks', i, v), breakStep)}
+                </li>
+              )}
+            </React.Fragment>
+          ))}
+        </ol>
       </div>
-    </>
-  );
+    );
+  };
 
   // ── render ────────────────────────────────────────────────────────────────
 
   return (
-    <div className="bell-set-editor">
+    <div className="bell-set-editor" onKeyDown={handleKeyDown}>
       {!readOnly && (
-        <div className="mode-tabs">
-          <button
-            type="button"
-            className={`mode-tab${mode === 'manual' ? ' active' : ''}`}
-            onClick={() => setMode('manual')}
-          >
-            {t('schedule.manual')}
-          </button>
-          {allowApplyTemplate && allTemplateOptions.length > 0 && (
+        <div className="bell-editor-toolbar">
+          <div className="mode-tabs">
             <button
               type="button"
-              className={`mode-tab${mode === 'applyTpl' ? ' active' : ''}`}
-              onClick={() => setMode('applyTpl')}
+              className={`mode-tab${mode === 'manual' ? ' active' : ''}`}
+              onClick={() => setMode('manual')}
             >
-              {t('schedule.applyTemplate')}
+              {t('schedule.manual')}
             </button>
-          )}
-          <button
-            type="button"
-            className={`mode-tab${mode === 'auto' ? ' active' : ''}`}
-            onClick={() => setMode('auto')}
-          >
-            {t('schedule.autoGenerate')}
-          </button>
+            {allowApplyTemplate && allTemplateOptions.length > 0 && (
+              <button
+                type="button"
+                className={`mode-tab${mode === 'applyTpl' ? ' active' : ''}`}
+                onClick={() => setMode('applyTpl')}
+              >
+                {t('schedule.applyTemplate')}
+              </button>
+            )}
+            <button
+              type="button"
+              className={`mode-tab${mode === 'auto' ? ' active' : ''}`}
+              onClick={() => setMode('auto')}
+            >
+              {t('schedule.autoGenerate')}
+            </button>
+          </div>
+          <div className="bell-history-actions">
+            <button type="button" className="secondary-btn" onClick={undo}
+              disabled={history.past.length === 0}
+              title={t('schedule.undoHint')}>
+              ↶ {t('schedule.undo')}
+            </button>
+            <button type="button" className="secondary-btn" onClick={redo}
+              disabled={history.future.length === 0}
+              title={t('schedule.redoHint')}>
+              ↷ {t('schedule.redo')}
+            </button>
+          </div>
         </div>
       )}
 
@@ -385,26 +448,45 @@ export default function BellSetEditor({
       {mode === 'auto' && !readOnly && (
         <div className="ag-panel">
 
-          <label className="ag-shift-toggle">
-            <input
-              type="checkbox"
-              checked={twoShifts}
-              onChange={(e) => setTwoShifts(e.target.checked)}
-            />
-            {t('auto.secondShiftToggle')}
-          </label>
-
-          <div className="ag-shift-block">
-            {twoShifts && <div className="ag-shift-heading">{t('auto.firstShift')}</div>}
-            {renderShiftGrid(shift1, setShift1)}
+          <div className="ag-preset-bar">
+            <label className="ag-start-label" htmlFor="ag-preset-select">{t('auto.presets')}</label>
+            <select id="ag-preset-select" className="form-select" value={presetKey}
+              onChange={(e) => setPresetKey(e.target.value)}>
+              <optgroup label={t('auto.presetsBuiltin')}>
+                {presetOptions.filter((o) => !o.saved).map((o) => (
+                  <option key={o.key} value={o.key}>{o.label}</option>
+                ))}
+              </optgroup>
+              {savedPresets.length > 0 && (
+                <optgroup label={t('auto.presetsSaved')}>
+                  {presetOptions.filter((o) => o.saved).map((o) => (
+                    <option key={o.key} value={o.key}>{o.label}</option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            <button type="button" className="secondary-btn" onClick={loadPreset} disabled={!selectedPreset}>
+              {t('auto.presetLoad')}
+            </button>
+            {selectedPreset?.saved && (
+              <button type="button" className="secondary-btn" onClick={deletePreset}>
+                {t('auto.presetDelete')}
+              </button>
+            )}
+            <input type="text" className="form-input" value={presetName} maxLength={40}
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); savePreset(); } }}
+              placeholder={t('auto.presetNamePlaceholder')} aria-label={t('auto.presetNamePlaceholder')} />
+            <button type="button" className="secondary-btn" onClick={savePreset} disabled={!presetName.trim()}>
+              {t('auto.presetSave')}
+            </button>
           </div>
 
-          {twoShifts && (
-            <div className="ag-shift-block">
-              <div className="ag-shift-heading">{t('auto.secondShift')}</div>
-              {renderShiftGrid(shift2, setShift2)}
-            </div>
-          )}
+          {shifts.map(renderShift)}
+
+          <div className="ag-add-shift">
+            <button type="button" className="add-btn" onClick={addShift}>{t('auto.addShift')}</button>
+          </div>
 
           {/* Preview hero banner -3 chips */}
           <div className="ag-preview-hero">
@@ -415,7 +497,7 @@ export default function BellSetEditor({
                   <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/>
                   <path d="M13.73 21a2 2 0 0 1-3.46 0"/>
                 </svg>
-                <span className="ag-chip-count">{combinedPreview.count}</span>
+                <span className="ag-chip-count">{preview.count}</span>
                 <span className="ag-chip-label">{t('auto.chip.bells')}</span>
               </div>
               <span className="ag-chip-sep">·</span>
@@ -426,7 +508,7 @@ export default function BellSetEditor({
                   <rect x="3" y="14" width="7" height="7" rx="1"/>
                   <rect x="14" y="14" width="7" height="7" rx="1"/>
                 </svg>
-                <span className="ag-chip-count">{combinedPreview.classCount}</span>
+                <span className="ag-chip-count">{preview.classCount}</span>
                 <span className="ag-chip-label">{t('auto.chip.classes')}</span>
               </div>
               <span className="ag-chip-sep">·</span>
@@ -434,14 +516,30 @@ export default function BellSetEditor({
                 <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.3" strokeLinecap="round">
                   <circle cx="12" cy="12" r="9"/><path d="M12 7v5l3 3"/>
                 </svg>
-                <span className="ag-chip-time">{combinedPreview.from} → {combinedPreview.to}</span>
+                <span className="ag-chip-time">{preview.from} → {preview.to}</span>
               </div>
             </div>
+            {shifts.length > 1 && (
+              <ul className="ag-preview-shifts">
+                {preview.shifts.map((p, i) => (
+                  <li key={i}>
+                    {t('auto.previewShift', { shift: shiftName(i), from: p.from, to: p.to, count: p.count })}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
 
           {/* Footer: CTA + warning */}
           <div className="ag-footer">
-            <button type="button" className="ag-cta-btn" onClick={generateBells}>
+            {generatorIssues.map((issue) => (
+              <div key={`${issue.code}-${issue.params.shift ?? issue.params.b ?? ''}`}
+                className="bell-lint-banner bell-lint-error" role="alert">
+                {t(`auto.issue.${issue.code}`, issue.params)}
+              </div>
+            ))}
+            <button type="button" className="ag-cta-btn" onClick={generateBells}
+              disabled={generatorIssues.length > 0}>
               {t('auto.generateApply')}
             </button>
             <p className="ag-warning">{t('auto.replaceWarningSimple')}</p>
@@ -460,6 +558,11 @@ export default function BellSetEditor({
       {/* ── Manual table ─────────────────────────────────────────── */}
       {(mode === 'manual' || readOnly) && (
         <>
+          {!readOnly && setIssues.map((issue) => (
+            <div key={issue.code} className={`bell-lint-banner bell-lint-${issue.severity}`} role="status">
+              {lintText(issue)}
+            </div>
+          ))}
           {bells.length === 0 ? (
             <p className="empty-text">{t('schedule.noBells')}</p>
           ) : (
@@ -473,46 +576,57 @@ export default function BellSetEditor({
                   </tr>
                 </thead>
                 <tbody>
-                  {bells.map((b, i) => (
-                    <tr key={b._id || i}>
-                      <td>
-                        {readOnly ? (
-                          <span className="bell-time-ro">
-                            {String(b.hour).padStart(2, '0')}:{String(b.minute).padStart(2, '0')}
-                          </span>
-                        ) : (
-                          <TimePicker24
-                            id={`bell-time-${i}`}
-                            value={{ hour: b.hour, minute: b.minute }}
-                            onChange={({ hour, minute }) => updateBell(i, { hour, minute })}
-                          />
-                        )}
-                      </td>
-                      <td>
-                        {readOnly ? (
-                          <span className="bell-label-ro">{b.label || '—'}</span>
-                        ) : (
-                          <input
-                            className="label-input"
-                            value={b.label || ''}
-                            onChange={(e) => updateBell(i, { label: e.target.value })}
-                            placeholder={t('schedule.labelPlaceholder')}
-                            maxLength={47}
-                          />
-                        )}
-                      </td>
-                      {!readOnly && (
+                  {bells.map((b, i) => {
+                    const issues = readOnly ? null : rowIssues.get(i);
+                    const severity = issues?.some((x) => x.severity === 'error') ? 'error' : 'warning';
+                    return (
+                      <tr key={b._id || i} className={issues ? `bell-row-${severity}` : undefined}>
                         <td>
-                          <button
-                            type="button"
-                            className="delete-btn"
-                            onClick={() => removeBell(i)}
-                            title={t('schedule.removeBell')}
-                          >×</button>
+                          {readOnly ? (
+                            <span className="bell-time-ro">
+                              {String(b.hour).padStart(2, '0')}:{String(b.minute).padStart(2, '0')}
+                            </span>
+                          ) : (
+                            <TimePicker24
+                              id={`bell-time-${i}`}
+                              value={{ hour: b.hour, minute: b.minute }}
+                              onChange={({ hour, minute }) => updateBell(i, { hour, minute })}
+                            />
+                          )}
                         </td>
-                      )}
-                    </tr>
-                  ))}
+                        <td>
+                          {readOnly ? (
+                            <span className="bell-label-ro">{b.label || '—'}</span>
+                          ) : (
+                            <input
+                              className="label-input"
+                              value={b.label || ''}
+                              onChange={(e) => updateBell(i, { label: e.target.value })}
+                              placeholder={t('schedule.labelPlaceholder')}
+                              maxLength={BELL_LABEL_MAX_LEN}
+                            />
+                          )}
+                          {issues && (
+                            <ul className="bell-lint-list">
+                              {issues.map((issue) => (
+                                <li key={issue.code} className={`bell-lint-${issue.severity}`}>{lintText(issue)}</li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                        {!readOnly && (
+                          <td>
+                            <button
+                              type="button"
+                              className="delete-btn"
+                              onClick={() => removeBell(i)}
+                              title={t('schedule.removeBell')}
+                            >×</button>
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
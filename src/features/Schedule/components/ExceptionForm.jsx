@@ -0,0 +1,130 @@
+import React from 'react';
+import BellSetEditor from './BellSetEditor.jsx';
+import useLocale from '../../../hooks/useLocale.jsx';
+
+export const EXCEPTION_ACTIONS = ['dayOff', 'template', 'custom'];
+
+/** Client-side validation mirroring the firmware's own checks, so users get
+ *  immediate feedback instead of a round-trip 400. Returns a translation key
+ *  (or null when the form is valid). */
+export function validateExceptionForm(form, templates) {
+  if (!form.startDate) return 'schedule.exceptions.errStartRequired';
+  if (form.endDate && form.endDate < form.startDate) return 'schedule.exceptions.errEndBeforeStart';
+  if (form.action === 'custom' && !(form.customBells?.bells?.length > 0)) {
+    return 'schedule.exceptions.errCustomEmpty';
+  }
+  if (form.action === 'template') {
+    const tpl = templates?.[form.templateIdx ?? 0];
+    if (!tpl || !(tpl.bells?.length > 0)) return 'schedule.exceptions.errTemplateEmpty';
+  }
+  return null;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/** Blank create form; `date` (YYYY-MM-DD) prefills both ends of the range. */
+export function emptyExceptionForm(date = today()) {
+  return {
+    startDate: date,
+    endDate: date,
+    label: '',
+    action: 'dayOff',
+    templateIdx: 0,
+    customBells: { bells: [] },
+    timeOffsetMin: 0,
+  };
+}
+
+/** Merge metadata item with detail (if loaded) into an edit form */
+export function mergeDetail(meta, detail) {
+  if (!detail) return { ...meta, customBells: meta.customBells ?? { bells: [] } };
+  return { ...meta, ...detail };
+}
+
+/** Create/update request body for a form. */
+export function toExceptionPayload(form) {
+  return {
+    startDate:     form.startDate,
+    endDate:       form.endDate,
+    label:         form.label,
+    action:        form.action,
+    templateIdx:   form.templateIdx ?? 0,
+    timeOffsetMin: 0,
+    customBells:   form.action === 'custom'
+                     ? { bells: (form.customBells?.bells ?? []).map(({ _id, ...b }) => b) }
+                     : undefined,
+  };
+}
+
+/**
+ * ExceptionForm -the exception editor fields (dates, label, action and the
+ * template picker or custom bell set). Used by the Exceptions list cards and
+ * the Calendar day dialog.
+ */
+export default function ExceptionForm({ form, onPatch, templates, builtins }) {
+  const { t, bellWord } = useLocale();
+
+  const actionLabel = (action) => t(`calendar.action_${action}`) || action;
+
+  const templateOptions = templates
+    .map((tpl, i) => tpl ? { idx: i, label: tpl.name || t('calendar.templateSlot', { n: i + 1 }) } : null)
+    .filter(Boolean);
+
+  return (
+    <>
+      <div className="form-group">
+        <label className="form-label">{t('calendar.startDate')}</label>
+        <input type="date" className="form-input" value={form.startDate}
+          onChange={(e) => onPatch({ startDate: e.target.value })} />
+      </div>
+      <div className="form-group">
+        <label className="form-label">{t('calendar.endDate')}</label>
+        <input type="date" className="form-input" value={form.endDate}
+          onChange={(e) => onPatch({ endDate: e.target.value })} />
+      </div>
+      <div className="form-group">
+        <label className="form-label">{t('calendar.label')}</label>
+        <input type="text" className="form-input" value={form.label}
+          onChange={(e) => onPatch({ label: e.target.value })}
+          placeholder={t('calendar.exHolPlaceholder')} maxLength={95} />
+      </div>
+      <div className="form-group">
+        <label className="form-label">{t('calendar.action')}</label>
+        <select className="form-select" value={form.action}
+          onChange={(e) => onPatch({ action: e.target.value })}>
+          {EXCEPTION_ACTIONS.map((a) => <option key={a} value={a}>{actionLabel(a)}</option>)}
+        </select>
+      </div>
+      {form.action === 'template' && (
+        <div className="form-group">
+          <label className="form-label">{t('calendar.selectTemplate')}</label>
+          <select className="form-select" value={form.templateIdx ?? 0}
+            onChange={(e) => onPatch({ templateIdx: parseInt(e.target.value, 10) })}>
+            {templateOptions.length > 0
+              ? templateOptions.map((o) => <option key={o.idx} value={o.idx}>{o.label}</option>)
+              : <option disabled>{t('calendar.noTemplates')}</option>}
+          </select>
+        </div>
+      )}
+      {form.action === 'custom' && (
+        <div className="form-group">
+          <label className="form-label">
+            {t('calendar.customBells', {
+              count: form.customBells?.bells?.length ?? 0,
+              bellWord: bellWord(form.customBells?.bells?.length ?? 0),
+            })}
+          </label>
+          <BellSetEditor
+            value={form.customBells || { bells: [] }}
+            onChange={(bellSet) => onPatch({ customBells: bellSet })}
+            allowApplyTemplate
+            templates={templates}
+            builtins={builtins}
+          />
+        </div>
+      )}
+    </>
+  );
+}
@@ -1,7 +1,11 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
-import { useSelector } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import ScheduleService from '../../../services/ScheduleService.js';
 import useLocale from '../../../hooks/useLocale.jsx';
+import { readFileAsText } from '../../../utils/fileDownload.js';
+import { parseExceptionFile } from '../exceptionImport.js';
+import { ianaTimeZoneOf } from '../timezones.js';
+import { fetchSettings } from '../ScheduleSlice.js';
 
 /* ------------------------------------------------------------------ */
 /* Constants & helpers                                                 */
@@ -10,8 +14,13 @@ import useLocale from '../../../hooks/useLocale.jsx';
 const SOURCE_LABEL = {
   holiday_bg_public: 'schedule.holidayImport.sourcePublic',
   holiday_bg_school: 'schedule.holidayImport.sourceSchool',
+  file_ics: 'schedule.holidayImport.sourceIcs',
+  file_csv: 'schedule.holidayImport.sourceCsv',
 };
 
+/** Where the review table rows come from. */
+const SOURCE_MODES = ['online', 'file'];
+
 const STRATEGIES = ['skip', 'overwrite', 'keepBoth'];
 
 /** Backend cap: SCHEDULE_EXCEPTION_LABEL_MAX_LEN (96) minus 1 for NUL terminator. */
@@ -50,6 +59,40 @@ function makeRowKey(item, idx) {
   return `${item.source}:${item.tag || `${item.startDate}:${idx}`}`;
 }
 
+/**
+ * Build review-table items from file drafts, marking each one against the
+ * exceptions already on the device the same way the firmware's preview
+ * does: an identical range + label is "already imported", any other
+ * overlap is a conflict with that exception.
+ */
+function markFileDrafts(drafts, format, existing) {
+  return drafts.map((d, i) => {
+    const label = (d.label || '').trim();
+    const overlapping = existing.filter((ex) =>
+      ex.startDate <= d.endDate && (ex.endDate || ex.startDate) >= d.startDate);
+    const same = overlapping.find((ex) =>
+      ex.startDate === d.startDate
+      && (ex.endDate || ex.startDate) === d.endDate
+      && (ex.label || '').trim() === label);
+    const other = same ? null : overlapping[0];
+    return {
+      source: `file_${format}`,
+      tag: `${d.uid || d.startDate}:${i}`,
+      startDate: d.startDate,
+      endDate: d.endDate,
+      label,
+      alreadyImported: Boolean(same),
+      conflict: other ? {
+        source: other.source || 'manual',
+        label: other.label || '',
+        startDate: other.startDate,
+        endDate: other.endDate || other.startDate,
+        exceptionId: other.id,
+      } : null,
+    };
+  });
+}
+
 function clampYear(y) {
   if (!Number.isFinite(y)) return new Date().getFullYear();
   return Math.max(YEAR_MIN, Math.min(YEAR_MAX, y));
@@ -80,6 +123,15 @@ function IconDownload() {
     </svg>
   );
 }
+function IconUpload() {
+  return (
+    <svg className="hid-icon" width="14" height="14" viewBox="0 0 24 24"
+         fill="none" stroke="currentColor" strokeWidth="2.2"
+         strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+      <path d="M12 20V8" /><path d="M6 12l6-6 6 6" /><path d="M5 4h14" />
+    </svg>
+  );
+}
 function IconClock() {
   return (
     <svg className="hid-icon" width="13" height="13" viewBox="0 0 24 24"
@@ -157,6 +209,10 @@ function InlineSpinner({ size = 14 }) {
  *  - initialYear: number (defaults to current year)
  *  - preloaded: { year, fetchedAt, items } | null  (skips initial fetch)
  *  - onClose(refresh?: boolean)
+ *
+ * Rows come either from the firmware's OpenHolidays preview (applied in
+ * one /holidays/apply call) or from an .ics / CSV file picked by the user
+ * (created one by one through the exceptions API).
  */
 export default function HolidayImportDialog({
   open,
@@ -175,6 +231,10 @@ export default function HolidayImportDialog({
   const [fetchedAt, setFetchedAt] = useState(preloaded?.fetchedAt ?? '');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [sourceMode, setSourceMode] = useState('online');
+  /** Picked file: { name, format, skipped } */
+  const [fileInfo, setFileInfo] = useState(null);
+  const fileInputRef = useRef(null);
 
   const [selection, setSelection] = useState(() => new Set());
   const [globalAction, setGlobalAction] = useState('dayOff');
@@ -185,6 +245,12 @@ export default function HolidayImportDialog({
 
   /** Shared Schedule cache; the dialog never starts its own templates GET. */
   const templates = useSelector((state) => state.schedule.templates);
+  /** The device's zone dates UTC times in an imported .ics file. */
+  const deviceTimezone = useSelector((state) => state.schedule.timezone);
+  const dispatch = useDispatch();
+  useEffect(() => {
+    if (open && !deviceTimezone) dispatch(fetchSettings());
+  }, [open, deviceTimezone, dispatch]);
 
   const [submitting, setSubmitting] = useState(false);
   const [resultMsg, setResultMsg] = useState('');
@@ -198,6 +264,8 @@ export default function HolidayImportDialog({
     setError('');
     setResultMsg('');
     setOverrides(new Map());
+    setSourceMode('online');
+    setFileInfo(null);
     if (preloaded) {
       setYear(clampYear(preloaded.year));
       setItems(preloaded.items);
@@ -281,6 +349,69 @@ export default function HolidayImportDialog({
     }
   };
 
+  /* ---------- Load from file ---------- */
+  const switchSource = (mode) => {
+    if (mode === sourceMode) return;
+    if (abortRef.current) abortRef.current.abort();
+    abortRef.current = null;
+    setSourceMode(mode);
+    setLoading(false);
+    setError('');
+    setResultMsg('');
+    setItems(null);
+    setFetchedAt('');
+    setFileInfo(null);
+    setSelection(new Set());
+    setOverrides(new Map());
+  };
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    if (abortRef.current) abortRef.current.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+
+    setLoading(true);
+    setError('');
+    setResultMsg('');
+    setItems(null);
+    setOverrides(new Map());
+    setFileInfo({ name: file.name, format: null, skipped: 0 });
+    try {
+      let text;
+      try {
+        text = await readFileAsText(file);
+      } catch (_) {
+        setError(t('schedule.holidayImport.errFileRead'));
+        return;
+      }
+      const parsed = parseExceptionFile(file.name, text, { timeZone: ianaTimeZoneOf(deviceTimezone) });
+      if (!parsed.ok) {
+        setError(t(parsed.errorKey));
+        return;
+      }
+      const from = parsed.drafts[0].startDate;
+      const to = parsed.drafts.reduce((max, d) => (d.endDate > max ? d.endDate : max), from);
+      const existing = await ScheduleService.getAllExceptions({ from, to }, ctrl.signal);
+      if (ctrl.signal.aborted) return;
+      const next = markFileDrafts(parsed.drafts, parsed.format, existing);
+      setItems(next);
+      setFileInfo({ name: file.name, format: parsed.format, skipped: parsed.skipped });
+      const sel = new Set();
+      next.forEach((it, i) => {
+        if (!it.alreadyImported) sel.add(makeRowKey(it, i));
+      });
+      setSelection(sel);
+    } catch (e) {
+      if (ctrl.signal.aborted || e?.name === 'AbortError') return;
+      setError(e?.message || t('schedule.holidayImport.errFetch'));
+    } finally {
+      if (abortRef.current === ctrl) abortRef.current = null;
+      setLoading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
   const cancelLoading = () => {
     if (abortRef.current) abortRef.current.abort();
     abortRef.current = null;
@@ -374,6 +505,10 @@ export default function HolidayImportDialog({
     setSubmitting(true);
     setError('');
     setResultMsg('');
+    if (sourceMode === 'file') {
+      await applyFileRows();
+      return;
+    }
     try {
       const payload = {
         year,
@@ -438,6 +573,58 @@ export default function HolidayImportDialog({
     }
   };
 
+  /* File rows have no bulk endpoint: each selected row is created (or, for
+   * an "overwrite" conflict, written over the conflicting exception) on its
+   * own. A failing row does not stop the rest; failures are listed after. */
+  const applyFileRows = async () => {
+    let created = 0;
+    let updated = 0;
+    let skipped = 0;
+    const failed = [];
+    for (const r of rows) {
+      if (!selection.has(r.key)) continue;
+      const ov = overrides.get(r.key) || {};
+      const startDate = (ov.startDate || r.item.startDate || '').trim();
+      const endDate = (ov.endDate || r.item.endDate || startDate).trim();
+      const action = ov.action || globalAction;
+      const data = {
+        startDate,
+        endDate,
+        label: ((ov.label != null ? ov.label : r.item.label) || '').trim(),
+        action,
+        templateIdx: action === 'template'
+          ? (Number.isFinite(ov.templateIdx) ? ov.templateIdx : globalTemplateIdx)
+          : 0,
+        timeOffsetMin: 0,
+      };
+      const conflict = r.item.conflict;
+      const strategy = !conflict
+        ? 'keepBoth'
+        : conflictKind(conflict.source) === 'holiday'
+          ? 'skip'
+          : (ov.conflictAction || globalStrategy);
+      if (strategy === 'skip') { skipped++; continue; }
+      try {
+        if (strategy === 'overwrite' && conflict.exceptionId != null) {
+          await ScheduleService.updateException(conflict.exceptionId, data);
+          updated++;
+        } else {
+          await ScheduleService.createException(data);
+          created++;
+        }
+      } catch (e) {
+        failed.push(`${fmtDateRange(startDate, endDate)} ${data.label}: ${e?.message || e}`);
+      }
+    }
+    setSubmitting(false);
+    setResultMsg(t('schedule.holidayImport.applyResult', { created, updated, skipped }));
+    if (failed.length) {
+      setError(`${t('schedule.holidayImport.errFileRows', { n: failed.length })}\n${failed.join('\n')}`);
+      return;
+    }
+    setTimeout(() => onClose?.(true), 1200);
+  };
+
   /* Count selected rows with validation problems so we can disable Apply
    * and surface a friendly hint in the footer. Computed before the early
    * `open` guard so hook order stays stable across renders. */
@@ -475,7 +662,11 @@ export default function HolidayImportDialog({
         <header className="hid-header">
           <div className="hid-header-text">
             <h3 id="hid-title">{t('schedule.holidayImport.title')}</h3>
-            <p className="hid-subtitle">{t('schedule.holidayImport.subtitle')}</p>
+            <p className="hid-subtitle">
+              {sourceMode === 'file'
+                ? t('schedule.holidayImport.fileSubtitle')
+                : t('schedule.holidayImport.subtitle')}
+            </p>
           </div>
           <button
             type="button"
@@ -487,91 +678,147 @@ export default function HolidayImportDialog({
           >×</button>
         </header>
 
-        {/* ---------- Year bar ---------- */}
-        <div className="hid-yearbar">
-          <div className="hid-yearbar-left">
-            <label htmlFor="hid-year-input" className="hid-yearbar-label">
-              {t('schedule.holidayImport.year')}
-            </label>
-            <div className="hid-year-stepper" role="group">
-              <button
-                type="button"
-                className="hid-year-step"
-                onClick={() => {
-                  const ny = clampYear(year - 1);
-                  setYear(ny);
-                  if (!busy) runPreview(ny);
-                }}
-                disabled={busy || year <= YEAR_MIN}
-                aria-label={t('schedule.holidayImport.prevYear')}
-                title={t('schedule.holidayImport.prevYear')}
-              ><IconChevronLeft /></button>
+        {/* ---------- Source switch ---------- */}
+        <div className="hid-source-switch" role="tablist">
+          {SOURCE_MODES.map((mode) => (
+            <button
+              key={mode}
+              type="button"
+              role="tab"
+              aria-selected={sourceMode === mode}
+              className={`hid-source-tab${sourceMode === mode ? ' active' : ''}`}
+              onClick={() => switchSource(mode)}
+              disabled={busy}
+            >
+              {mode === 'file' ? <IconUpload /> : <IconDownload />}
+              <span>{t(`schedule.holidayImport.source_${mode}`)}</span>
+            </button>
+          ))}
+        </div>
+
+        {/* ---------- File bar ---------- */}
+        {sourceMode === 'file' && (
+          <div className="hid-yearbar hid-filebar">
+            <div className="hid-yearbar-left">
               <input
-                id="hid-year-input"
-                type="number"
-                min={YEAR_MIN}
-                max={YEAR_MAX}
-                value={year}
-                onChange={(e) => {
-                  const v = parseInt(e.target.value, 10);
-                  setYear(Number.isFinite(v) ? v : year);
-                }}
-                onBlur={() => setYear((y) => clampYear(y))}
-                onKeyDown={(e) => {
-                  if (e.key === 'Enter' && !busy) runPreview(year);
-                }}
-                disabled={busy}
-                className="hid-year-input"
-                inputMode="numeric"
+                ref={fileInputRef}
+                type="file"
+                accept=".ics,.csv,text/calendar,text/csv"
+                hidden
+                onChange={(e) => loadFile(e.target.files?.[0])}
               />
               <button
                 type="button"
-                className="hid-year-step"
-                onClick={() => {
-                  const ny = clampYear(year + 1);
-                  setYear(ny);
-                  if (!busy) runPreview(ny);
-                }}
-                disabled={busy || year >= YEAR_MAX}
-                aria-label={t('schedule.holidayImport.nextYear')}
-                title={t('schedule.holidayImport.nextYear')}
-              ><IconChevronRight /></button>
+                className="hid-fetch-btn"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={busy}
+              >
+                {loading ? <InlineSpinner /> : <IconUpload />}
+                <span>
+                  {loading
+                    ? t('schedule.holidayImport.readingFile')
+                    : t('schedule.holidayImport.chooseFile')}
+                </span>
+              </button>
+              {fileInfo && (
+                <span className="hid-file-name" title={fileInfo.name}>{fileInfo.name}</span>
+              )}
             </div>
-            <button
-              type="button"
-              className="hid-fetch-btn"
-              onClick={() => runPreview(year)}
-              disabled={busy}
-              title={t('schedule.holidayImport.fetchTooltip')}
-            >
-              {loading
-                ? <InlineSpinner />
-                : <IconDownload />}
-              <span>
-                {loading
-                  ? t('schedule.holidayImport.loading')
-                  : hasItems
-                    ? t('schedule.holidayImport.refresh')
-                    : t('schedule.holidayImport.fetch')}
+            {fileInfo?.skipped > 0 && !loading && (
+              <span className="hid-fetched">
+                {t('schedule.holidayImport.fileSkipped', { n: fileInfo.skipped })}
               </span>
-            </button>
-            {loading && (
+            )}
+          </div>
+        )}
+
+        {/* ---------- Year bar ---------- */}
+        {sourceMode === 'online' && (
+          <div className="hid-yearbar">
+            <div className="hid-yearbar-left">
+              <label htmlFor="hid-year-input" className="hid-yearbar-label">
+                {t('schedule.holidayImport.year')}
+              </label>
+              <div className="hid-year-stepper" role="group">
+                <button
+                  type="button"
+                  className="hid-year-step"
+                  onClick={() => {
+                    const ny = clampYear(year - 1);
+                    setYear(ny);
+                    if (!busy) runPreview(ny);
+                  }}
+                  disabled={busy || year <= YEAR_MIN}
+                  aria-label={t('schedule.holidayImport.prevYear')}
+                  title={t('schedule.holidayImport.prevYear')}
+                ><IconChevronLeft /></button>
+                <input
+                  id="hid-year-input"
+                  type="number"
+                  min={YEAR_MIN}
+                  max={YEAR_MAX}
+                  value={year}
+                  onChange={(e) => {
+                    const v = parseInt(e.target.value, 10);
+                    setYear(Number.isFinite(v) ? v : year);
+                  }}
+                  onBlur={() => setYear((y) => clampYear(y))}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !busy) runPreview(year);
+                  }}
+                  disabled={busy}
+                  className="hid-year-input"
+                  inputMode="numeric"
+                />
+                <button
+                  type="button"
+                  className="hid-year-step"
+                  onClick={() => {
+                    const ny = clampYear(year + 1);
+                    setYear(ny);
+                    if (!busy) runPreview(ny);
+                  }}
+                  disabled={busy || year >= YEAR_MAX}
+                  aria-label={t('schedule.holidayImport.nextYear')}
+                  title={t('schedule.holidayImport.nextYear')}
+                ><IconChevronRight /></button>
+              </div>
               <button
                 type="button"
-                className="hid-cancel-fetch"
-                onClick={cancelLoading}
+                className="hid-fetch-btn"
+                onClick={() => runPreview(year)}
+                disabled={busy}
+                title={t('schedule.holidayImport.fetchTooltip')}
               >
-                {t('schedule.cancel')}
+                {loading
+                  ? <InlineSpinner />
+                  : <IconDownload />}
+                <span>
+                  {loading
+                    ? t('schedule.holidayImport.loading')
+                    : hasItems
+                      ? t('schedule.holidayImport.refresh')
+                      : t('schedule.holidayImport.fetch')}
+                </span>
               </button>
+              {loading && (
+                <button
+                  type="button"
+                  className="hid-cancel-fetch"
+                  onClick={cancelLoading}
+                >
+                  {t('schedule.cancel')}
+                </button>
+              )}
+            </div>
+            {fetchedAt && !loading && (
+              <span className="hid-fetched" title={fetchedAt}>
+                <IconClock />
+                {t('schedule.holidayImport.fetchedAt')}: {formatFetchedAt(fetchedAt, locale)}
+              </span>
             )}
           </div>
-          {fetchedAt && !loading && (
-            <span className="hid-fetched" title={fetchedAt}>
-              <IconClock />
-              {t('schedule.holidayImport.fetchedAt')}: {formatFetchedAt(fetchedAt, locale)}
-            </span>
-          )}
-        </div>
+        )}
 
         {/* ---------- Messages ---------- */}
         {error && <div className="error-message hid-error">{error}</div>}
@@ -587,7 +834,9 @@ export default function HolidayImportDialog({
                 {t('schedule.holidayImport.emptyTitle')}
               </p>
               <p className="hid-empty-help">
-                {t('schedule.holidayImport.help')}
+                {sourceMode === 'file'
+                  ? t('schedule.holidayImport.fileHelp')
+                  : t('schedule.holidayImport.help')}
               </p>
             </div>
           )}
@@ -597,10 +846,14 @@ export default function HolidayImportDialog({
             <div className="hid-loading-state" aria-busy="true" aria-live="polite">
               <div className="loading-spinner" />
               <p className="hid-loading-title">
-                {t('schedule.holidayImport.fetchingTitle')}
+                {sourceMode === 'file'
+                  ? t('schedule.holidayImport.readingFile')
+                  : t('schedule.holidayImport.fetchingTitle')}
               </p>
               <p className="hid-loading-sub">
-                {t('schedule.holidayImport.fetchingSub')}
+                {sourceMode === 'file'
+                  ? t('schedule.holidayImport.checkingExisting')
+                  : t('schedule.holidayImport.fetchingSub')}
               </p>
             </div>
           )}
@@ -1,11 +1,13 @@
 import React, { useEffect, useState, useCallback } from 'react';
 import ScheduleService from '../../../services/ScheduleService.js';
+import LiveUpdates from '../../../utils/LiveUpdates.js';
 import useLocale from '../../../hooks/useLocale.jsx';
 import HolidayImportDialog from './HolidayImportDialog.jsx';
 
 /**
  * Renders nothing unless `/api/schedule/holidays/pending` returns content.
- * When present, shows a banner with Review / Dismiss actions.
+ * When present, shows a banner with Review / Dismiss actions. Re-checked
+ * when a live "schedule" event names the `holidays` area.
  *
  * Props:
  *  - refreshKey (any): change this to force a re-poll (e.g. after dialog applies).
@@ -33,6 +35,11 @@ export default function HolidayPendingBanner({ refreshKey }) {
 
   useEffect(() => { poll(); }, [poll, refreshKey]);
 
+  // The device announces a new offer (or another client's dismissal) itself
+  useEffect(() => LiveUpdates.subscribe(({ type, data }) => {
+    if (type === 'resync' || (type === 'schedule' && data.areas.includes('holidays'))) poll();
+  }), [poll]);
+
   const onReview = () => setDialogOpen(true);
 
   const onDismiss = async () => {
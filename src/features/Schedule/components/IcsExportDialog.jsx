@@ -0,0 +1,153 @@
+import React, { useEffect, useRef, useState } from 'react';
+import ScheduleService from '../../../services/ScheduleService.js';
+import BackupService from '../../../services/BackupService.js';
+import {
+  buildIcs, addDays, daySpan, ICS_MAX_RANGE_DAYS,
+} from '../icsCalendar.js';
+import { resolveRange } from '../scheduleResolver.js';
+import { downloadBlob, fileDateStamp } from '../../../utils/fileDownload.js';
+import useLocale from '../../../hooks/useLocale.jsx';
+
+const DEFAULT_RANGE_DAYS = 30;
+
+function localToday() {
+  return fileDateStamp();
+}
+
+/**
+ * IcsExportDialog -download the exceptions (and optionally every effective
+ * bell in a date range) as an RFC 5545 .ics file.
+ */
+export default function IcsExportDialog({ open, onClose }) {
+  const { t } = useLocale();
+  const [includeBells, setIncludeBells] = useState(false);
+  const [from, setFrom] = useState(localToday);
+  const [to, setTo] = useState(() => addDays(localToday(), DEFAULT_RANGE_DAYS - 1));
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) {
+      abortRef.current?.abort();
+      setError('');
+    }
+  }, [open]);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  if (!open) return null;
+
+  const rangeError = (() => {
+    if (!includeBells) return null;
+    if (!from || !to) return 'schedule.icsExport.errRangeRequired';
+    if (to < from) return 'schedule.exceptions.errEndBeforeStart';
+    if (daySpan(from, to) > ICS_MAX_RANGE_DAYS) return 'schedule.icsExport.errRangeTooLong';
+    return null;
+  })();
+
+  const actionLabel = (action) => t(`calendar.action_${action}`) || action;
+
+  const handleExport = async () => {
+    if (rangeError) return;
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setBusy(true);
+    setError('');
+    try {
+      let exceptions;
+      let bellDays = [];
+      let ringDurationSec = 3;
+      if (includeBells) {
+        const snap = await BackupService.collect(ctrl.signal);
+        exceptions = snap.exceptions;
+        ringDurationSec = snap.settings.ringDurationSec;
+        bellDays = resolveRange(from, to, {
+          workingDays: snap.settings.workingDays,
+          default: snap.default,
+          templates: snap.templates,
+          weekdayPlans: snap.week.weekdayPlans,
+          weekdayCustom: snap.week.weekdayCustom,
+          exceptions: snap.exceptions,
+        }).filter((day) => day.bells.length > 0);
+      } else {
+        exceptions = await ScheduleService.getAllExceptions({}, ctrl.signal);
+      }
+
+      const text = buildIcs({
+        exceptions,
+        bellDays,
+        ringDurationSec,
+        calendarName: t('schedule.icsExport.calendarName'),
+        exceptionSummary: (ex) => ex.label || actionLabel(ex.action),
+        exceptionCategory: (ex) => actionLabel(ex.action),
+        bellSummary: (bell) => bell.label || t('schedule.icsExport.bellEvent'),
+      });
+      downloadBlob(
+        new Blob([text], { type: 'text/calendar;charset=utf-8' }),
+        `ringy-calendar-${fileDateStamp()}.ics`,
+      );
+      onClose?.();
+    } catch (e) {
+      if (e.name !== 'AbortError') setError(e.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="confirm-modal-backdrop" role="dialog" aria-modal="true"
+      aria-labelledby="ics-export-title"
+      onClick={(e) => { if (e.target === e.currentTarget && !busy) onClose?.(); }}>
+      <div className="confirm-modal ics-export-dialog">
+        <h3 id="ics-export-title">{t('schedule.icsExport.title')}</h3>
+        <p>{t('schedule.icsExport.desc')}</p>
+
+        <label className="ics-export-option">
+          <input
+            type="checkbox"
+            checked={includeBells}
+            disabled={busy}
+            onChange={(e) => setIncludeBells(e.target.checked)}
+          />
+          {t('schedule.icsExport.includeBells')}
+        </label>
+
+        {includeBells && (
+          <div className="ics-export-range">
+            <div className="form-group">
+              <label className="form-label">{t('calendar.startDate')}</label>
+              <input type="date" className="form-input" value={from} disabled={busy}
+                onChange={(e) => setFrom(e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">{t('calendar.endDate')}</label>
+              <input type="date" className="form-input" value={to} disabled={busy}
+                onChange={(e) => setTo(e.target.value)} />
+            </div>
+            <p className="hint-text">{t('schedule.icsExport.bellsHint', { max: ICS_MAX_RANGE_DAYS })}</p>
+          </div>
+        )}
+
+        {rangeError && (
+          <div className="error-message">{t(rangeError, { max: ICS_MAX_RANGE_DAYS })}</div>
+        )}
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="confirm-modal-actions">
+          <button type="button" className="cancel-button" onClick={() => onClose?.()} disabled={busy}>
+            {t('schedule.cancel')}
+          </button>
+          <button
+            type="button"
+            className={`save-button${busy ? ' loading' : ''}`}
+            onClick={handleExport}
+            disabled={busy || Boolean(rangeError)}
+          >
+            {busy ? t('schedule.icsExport.exporting') : t('schedule.icsExport.download')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
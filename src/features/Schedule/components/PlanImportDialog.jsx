@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import useLocale from '../../../hooks/useLocale.jsx';
+
+const fmtTime = (b) => `${String(b.hour).padStart(2, '0')}:${String(b.minute).padStart(2, '0')}`;
+
+/**
+ * PlanImportDialog -choose where an imported day-plan file goes: the
+ * default plan or one of the named template slots. The caller applies the
+ * choice to its edit buffer and runs the usual save review.
+ *
+ * Props:
+ *   plan       -{ name, bells } from parsePlanFile(), or null when closed
+ *   fileName   -picked file name (shown for reference)
+ *   slots      -current local template slots ([{ name, bells } | null])
+ *   onConfirm  -({ target: 'default' | slotIdx, name }) => void
+ *   onCancel   -() => void
+ */
+export default function PlanImportDialog({ plan, fileName, slots, onConfirm, onCancel }) {
+  const { t, bellWord } = useLocale();
+  const [target, setTarget] = useState('0');
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    if (!plan) return;
+    const firstEmpty = slots.findIndex((s) => !s);
+    setTarget(String(firstEmpty >= 0 ? firstEmpty : 0));
+    setName(plan.name);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [plan]);
+
+  useEffect(() => {
+    if (!plan) return;
+    const handler = (e) => { if (e.key === 'Escape') onCancel?.(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [plan, onCancel]);
+
+  if (!plan) return null;
+
+  const slotLabel = (idx) => slots[idx]?.name || t('calendar.templateSlot', { n: idx + 1 });
+  const isDefault = target === 'default';
+  const occupied = isDefault || Boolean(slots[Number(target)]);
+  const first = plan.bells[0];
+  const last = plan.bells[plan.bells.length - 1];
+
+  return (
+    <div className="confirm-modal-backdrop" role="dialog" aria-modal="true" aria-labelledby="plan-import-title"
+      onClick={(e) => { if (e.target === e.currentTarget) onCancel?.(); }}>
+      <div className="confirm-modal plan-import-dialog">
+        <h3 id="plan-import-title">{t('schedule.planFile.importTitle')}</h3>
+        <p>
+          {t('schedule.planFile.importSummary', {
+            name: plan.name || fileName,
+            count: plan.bells.length,
+            bellWord: bellWord(plan.bells.length),
+            from: fmtTime(first),
+            to: fmtTime(last),
+          })}
+        </p>
+        <div className="form-group">
+          <label className="form-label" htmlFor="plan-import-target">{t('schedule.planFile.target')}</label>
+          <select id="plan-import-target" className="form-select" value={target}
+            onChange={(e) => setTarget(e.target.value)}>
+            <option value="default">{t('schedule.default')}</option>
+            {slots.map((slot, idx) => (
+              <option key={idx} value={String(idx)}>
+                {`${idx + 1}. ${slotLabel(idx)}${slot ? '' : ` (${t('schedule.planFile.emptySlot')})`}`}
+              </option>
+            ))}
+          </select>
+        </div>
+        {!isDefault && (
+          <div className="form-group">
+            <label className="form-label" htmlFor="plan-import-name">{t('schedule.planFile.name')}</label>
+            <input id="plan-import-name" type="text" className="form-input" value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t('calendar.templateSlot', { n: Number(target) + 1 })} />
+          </div>
+        )}
+        {occupied && (
+          <div className="warning-banner">
+            {t('schedule.planFile.replaceWarning', { name: isDefault ? t('schedule.default') : slotLabel(Number(target)) })}
+          </div>
+        )}
+        <div className="confirm-modal-actions">
+          <button type="button" className="cancel-button" onClick={onCancel}>
+            {t('schedule.cancel')}
+          </button>
+          <button type="button" className="save-button"
+            onClick={() => onConfirm({ target: isDefault ? 'default' : Number(target), name: name.trim() })}>
+            {t('schedule.planFile.importContinue')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useEffect } from 'react';
+import useLocale from '../../../hooks/useLocale.jsx';
+
+const fmtTime = (b) => `${String(b.hour).padStart(2, '0')}:${String(b.minute).padStart(2, '0')}`;
+
+/**
+ * SaveDiffDialog -"review changes" step in front of a schedule save. Shows
+ * what the local edit buffer would change against the last fetched store
+ * value and only calls `onConfirm` once the user accepts.
+ *
+ * Props:
+ *   open       -boolean
+ *   title      -dialog heading
+ *   sections   -[{ key, heading, lines?: string[], bells?: diffBells() result }]
+ *                (scheduleDiff.js); an empty list means "nothing changed"
+ *   onConfirm  -() => void, dispatches the save
+ *   onCancel   -() => void
+ */
+export default function SaveDiffDialog({ open, title, sections, onConfirm, onCancel }) {
+  const { t } = useLocale();
+
+  useEffect(() => {
+    if (!open) return;
+    const handler = (e) => { if (e.key === 'Escape') onCancel?.(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [open, onCancel]);
+
+  if (!open) return null;
+
+  const label = (b) => (b.label || '').trim() || t('schedule.diff.noLabel');
+
+  const describe = ({ type, before, after }) => {
+    switch (type) {
+      case 'added':      return `${fmtTime(after)} · ${label(after)}`;
+      case 'removed':    return `${fmtTime(before)} · ${label(before)}`;
+      case 'relabelled': return `${fmtTime(after)} · ${label(before)} → ${label(after)}`;
+      default:
+        return label(before) === label(after)
+          ? `${fmtTime(before)} → ${fmtTime(after)} · ${label(after)}`
+          : `${fmtTime(before)} → ${fmtTime(after)} · ${label(before)} → ${label(after)}`;
+    }
+  };
+
+  return (
+    <div className="confirm-modal-backdrop" role="dialog" aria-modal="true" aria-labelledby="save-diff-title"
+      onClick={(e) => { if (e.target === e.currentTarget) onCancel?.(); }}>
+      <div className="confirm-modal save-diff-dialog">
+        <h3 id="save-diff-title">{title}</h3>
+        {sections.length === 0 ? (
+          <p>{t('schedule.diff.noChanges')}</p>
+        ) : (
+          <div className="save-diff-body">
+            {sections.map((section) => (
+              <section key={section.key} className="save-diff-section">
+                <h4>{section.heading}</h4>
+                {(section.lines || []).map((line, i) => (
+                  <p key={i} className="save-diff-line">{line}</p>
+                ))}
+                {section.bells?.changes.length > 0 && (
+                  <ul className="save-diff-list">
+                    {section.bells.changes.map((change, i) => (
+                      <li key={i} className={`save-diff-item save-diff-${change.type}`}>
+                        <span className="save-diff-badge">{t(`schedule.diff.${change.type}`)}</span>
+                        <span className="save-diff-text">{describe(change)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {section.bells?.unchanged > 0 && (
+                  <p className="save-diff-unchanged">
+                    {t('schedule.diff.unchanged', { count: section.bells.unchanged })}
+                  </p>
+                )}
+              </section>
+            ))}
+          </div>
+        )}
+        <div className="confirm-modal-actions">
+          <button type="button" className="cancel-button" onClick={onCancel}>
+            {t('schedule.cancel')}
+          </button>
+          <button type="button" className="save-button" onClick={onConfirm}>
+            {t('schedule.diff.confirm')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { mergeSlots } from '../scheduleMerge.js';
+import useLocale from '../../../hooks/useLocale.jsx';
+
+/**
+ * ScheduleConflictDialog -shown instead of a save when the device's copy
+ * changed since the editor loaded it (ScheduleSlice `conflict`). Slots /
+ * weekdays changed on one side only are combined; for each one changed on
+ * both, the user picks their version or the device's.
+ *
+ * Props:
+ *   conflict     -{ area, base, mine, theirs } from the store, or null
+ *   what         -what was edited, for the description ("the day plans")
+ *   itemLabel    -(idx) => heading for a slot / weekday
+ *   describe     -(entry) => one-line summary of a snapshot entry
+ *   order        -optional display order of indices (Monday-first week)
+ *   onMerge      -(merged) => void, saves the combined snapshot
+ *   onTakeTheirs -() => void, drops the user's edits
+ *   onCancel     -() => void, back to editing
+ */
+export default function ScheduleConflictDialog({
+  conflict, what, itemLabel, describe, order, onMerge, onTakeTheirs, onCancel,
+}) {
+  const { t } = useLocale();
+  const [picks, setPicks] = useState({});
+
+  const merge = useMemo(
+    () => (conflict ? mergeSlots(conflict.base, conflict.mine, conflict.theirs) : null),
+    [conflict],
+  );
+
+  useEffect(() => { setPicks({}); }, [conflict]);
+
+  useEffect(() => {
+    if (!conflict) return;
+    const handler = (e) => { if (e.key === 'Escape') onCancel?.(); };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [conflict, onCancel]);
+
+  if (!conflict) return null;
+
+  const inOrder = (indices) => (order ? order.filter((i) => indices.includes(i)) : indices);
+
+  const save = () => {
+    const merged = merge.merged.map((entry, i) => (picks[i] === 'theirs' ? conflict.theirs[i] ?? null : entry));
+    onMerge(merged);
+  };
+
+  return (
+    <div className="confirm-modal-backdrop" role="dialog" aria-modal="true" aria-labelledby="conflict-title">
+      <div className="confirm-modal save-diff-dialog conflict-dialog">
+        <h3 id="conflict-title">{t('schedule.conflict.title')}</h3>
+        <p>{t('schedule.conflict.desc', { what })}</p>
+        {merge.fromTheirs.length > 0 && (
+          <p className="save-diff-line">
+            {t('schedule.conflict.keptTheirs', { items: inOrder(merge.fromTheirs).map(itemLabel).join(', ') })}
+          </p>
+        )}
+        {merge.conflicts.length === 0 ? (
+          <p className="save-diff-unchanged">{t('schedule.conflict.noOverlap')}</p>
+        ) : (
+          <div className="save-diff-body">
+            {inOrder(merge.conflicts).map((idx) => {
+              const pick = picks[idx] || 'mine';
+              const choose = (side) => setPicks((prev) => ({ ...prev, [idx]: side }));
+              return (
+                <section key={idx} className="save-diff-section conflict-section">
+                  <h4>{itemLabel(idx)}</h4>
+                  <p className="conflict-base">
+                    <span className="conflict-side">{t('schedule.conflict.base')}</span>
+                    {describe(conflict.base[idx] ?? null)}
+                  </p>
+                  {['mine', 'theirs'].map((side) => (
+                    <label key={side} className={`conflict-option${pick === side ? ' selected' : ''}`}>
+                      <input
+                        type="radio"
+                        name={`conflict-${idx}`}
+                        checked={pick === side}
+                        onChange={() => choose(side)}
+                      />
+                      <span className="conflict-side">{t(`schedule.conflict.${side}`)}</span>
+                      {describe(conflict[side][idx] ?? null)}
+                    </label>
+                  ))}
+                </section>
+              );
+            })}
+          </div>
+        )}
+        <div className="confirm-modal-actions">
+          <button type="button" className="cancel-button" onClick={onCancel}>
+            {t('schedule.conflict.back')}
+          </button>
+          <button type="button" className="cancel-button" onClick={onTakeTheirs}>
+            {t('schedule.conflict.takeTheirs')}
+          </button>
+          <button type="button" className="save-button" onClick={save} autoFocus>
+            {t('schedule.conflict.saveMerged')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+/**
+ * Turn a user-supplied .ics or CSV file into exception drafts for the
+ * holiday import review table. Pure functions -no DOM, no Redux.
+ *
+ * Draft shape: { uid, startDate, endDate, label } with YYYY-MM-DD dates.
+ */
+import { parseIcs } from './icsCalendar.js';
+
+const HEADER_ALIASES = {
+  start: ['start', 'startdate', 'start date', 'from', 'date', 'начало', 'начална дата', 'от', 'дата'],
+  end:   ['end', 'enddate', 'end date', 'to', 'until', 'край', 'крайна дата', 'до'],
+  label: ['label', 'name', 'title', 'summary', 'description', 'event', 'описание', 'име', 'събитие', 'заглавие'],
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Parse a date cell. Accepts ISO (2026-12-24) and the day-first forms used
+ * by Bulgarian spreadsheets (24.12.2026, 24/12/2026, 24-12-2026). Returns
+ * YYYY-MM-DD or null for anything else, including impossible dates.
+ */
+export function parseDateCell(value) {
+  const v = String(value ?? '').trim().replace(/\s*г\.?$/, '');
+  let y; let m; let d;
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(v);
+  if (match) {
+    [, y, m, d] = match;
+  } else {
+    match = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(v);
+    if (!match) return null;
+    [, d, m, y] = match;
+  }
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) return null;
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+/** RFC 4180-style row splitter with quoted fields and "" escapes. */
+export function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
+
+/** Pick the delimiter that splits the first line into the most columns
+ *  (Excel in a Bulgarian locale writes ';', most other tools ','). */
+function detectDelimiter(text) {
+  const firstLine = String(text ?? '').split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+  for (const candidate of [',', ';', '\t']) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) { best = candidate; bestCount = count; }
+  }
+  return best;
+}
+
+function findColumn(header, key) {
+  return header.findIndex((h) => HEADER_ALIASES[key].includes(h.trim().toLowerCase()));
+}
+
+/**
+ * Parse CSV text. A header row is optional: without one the columns are
+ * read as `start, label` or `start, end, label`.
+ * Returns { events, skipped } like parseIcs().
+ */
+export function parseCsv(text) {
+  const rows = parseCsvRows(text, detectDelimiter(text));
+  if (rows.length === 0) return { events: [], skipped: 0 };
+
+  let cols;
+  let body = rows;
+  const first = rows[0];
+  if (!first.some((c) => parseDateCell(c))) {
+    cols = {
+      start: findColumn(first, 'start'),
+      end:   findColumn(first, 'end'),
+      label: findColumn(first, 'label'),
+    };
+    body = rows.slice(1);
+    if (cols.start < 0) return { events: [], skipped: body.length };
+  } else {
+    /* Second column is the end date when it holds a date (or is left blank
+     * for single-day rows); otherwise it is already the label. */
+    const hasEnd = Boolean(parseDateCell(first[1])) || (first.length > 2 && !String(first[1]).trim());
+    cols = { start: 0, end: hasEnd ? 1 : -1, label: hasEnd ? 2 : 1 };
+  }
+
+  const events = [];
+  let skipped = 0;
+  body.forEach((row) => {
+    const startDate = parseDateCell(row[cols.start]);
+    if (!startDate) { skipped++; return; }
+    const endCell = cols.end >= 0 ? row[cols.end] : '';
+    const endDate = String(endCell ?? '').trim() ? parseDateCell(endCell) : startDate;
+    if (!endDate) { skipped++; return; }
+    events.push({
+      uid: '',
+      startDate,
+      endDate,
+      label: cols.label >= 0 ? String(row[cols.label] ?? '').trim() : '',
+    });
+  });
+  return { events, skipped };
+}
+
+/** 'ics' | 'csv' | null, from the file name first and the content second. */
+export function detectFileFormat(fileName, text) {
+  const name = String(fileName || '').toLowerCase();
+  if (/\.(ics|ical|ifb|icalendar)$/.test(name)) return 'ics';
+  if (/\.(csv|tsv|txt)$/.test(name)) return 'csv';
+  if (/^\s*BEGIN:VCALENDAR/i.test(String(text || ''))) return 'ics';
+  return null;
+}
+
+/**
+ * Parse an uploaded file. Returns
+ *   { ok: true, format, drafts, skipped }   or
+ *   { ok: false, errorKey }                 (errorKey is an i18n key)
+ * Drafts are sorted by start date; exact duplicates are dropped.
+ * `timeZone` (IANA) is the device's zone: UTC times in an .ics file are
+ * dated there, not in the browser's zone.
+ */
+export function parseExceptionFile(fileName, text, { timeZone } = {}) {
+  const format = detectFileFormat(fileName, text);
+  if (!format) return { ok: false, errorKey: 'schedule.holidayImport.errFileFormat' };
+
+  const { events, skipped } = format === 'ics' ? parseIcs(text, { timeZone }) : parseCsv(text);
+  if (events.length === 0) return { ok: false, errorKey: 'schedule.holidayImport.errFileEmpty' };
+
+  const seen = new Set();
+  const drafts = [];
+  let dupes = 0;
+  for (const ev of events) {
+    const key = `${ev.startDate}|${ev.endDate}|${ev.label}`;
+    if (seen.has(key)) { dupes++; continue; }
+    seen.add(key);
+    drafts.push(ev);
+  }
+  drafts.sort((a, b) => (a.startDate < b.startDate ? -1 : a.startDate > b.startDate ? 1 : 0));
+  return { ok: true, format, drafts, skipped: skipped + dupes };
+}
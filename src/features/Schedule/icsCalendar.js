@@ -0,0 +1,272 @@
+/**
+ * iCalendar (RFC 5545) helpers for the Exceptions tab.
+ *
+ * Pure functions only -no DOM, no Redux -so they can be unit tested under
+ * plain Node. Dates are handled as YYYY-MM-DD calendar strings and bell
+ * times are written as *floating* local times (no TZID): the device keeps a
+ * POSIX TZ string, not an IANA zone, and floating times show up at the same
+ * wall-clock time in any calendar app, which is what a school bell means.
+ */
+
+const PRODID = '-//Ringy//School Bell//EN';
+const UID_DOMAIN = 'ringy.local';
+/** RFC 5545 §3.1: content lines SHOULD NOT exceed 75 octets. */
+const FOLD_OCTETS = 75;
+/** Hard cap on the bell-event range so an export stays a sane file size. */
+export const ICS_MAX_RANGE_DAYS = 366;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/* ── Calendar-date arithmetic (UTC-based, so DST never shifts a day) ── */
+
+function toUtcDate(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function fromUtcDate(date) {
+  return `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())}`;
+}
+
+export function addDays(ymd, n) {
+  const d = toUtcDate(ymd);
+  d.setUTCDate(d.getUTCDate() + n);
+  return fromUtcDate(d);
+}
+
+/** Inclusive day count between two YYYY-MM-DD dates. */
+export function daySpan(from, to) {
+  return Math.round((toUtcDate(to) - toUtcDate(from)) / 86400000) + 1;
+}
+
+/** 0 = Sun .. 6 = Sat, matching the firmware's weekday indices. */
+export function weekdayOf(ymd) {
+  return toUtcDate(ymd).getUTCDay();
+}
+
+/* ── Content-line encoding ─────────────────────────────────────────── */
+
+/** Escape a TEXT value (RFC 5545 §3.3.11). */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line at 75 UTF-8 octets without splitting a character. */
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= FOLD_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    /* Continuation lines start with a space, which counts toward the limit. */
+    const limit = parts.length === 0 ? FOLD_OCTETS : FOLD_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const icsDate = (ymd) => ymd.replace(/-/g, '');
+const icsLocalDateTime = (ymd, hour, minute) => `${icsDate(ymd)}T${pad2(hour)}${pad2(minute)}00`;
+
+function icsUtcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+}
+
+/* ── Builder ───────────────────────────────────────────────────────── */
+
+/**
+ * Build an .ics document.
+ *
+ * @param {object}   opts
+ * @param {Array}    opts.exceptions  [{ id?, startDate, endDate, label, action }]
+ * @param {Array}    [opts.bellDays]  [{ date, bells: [{ hour, minute, label }] }]
+ * @param {number}   [opts.ringDurationSec=3]
+ * @param {string}   [opts.calendarName]
+ * @param {(ex) => string} opts.exceptionSummary  SUMMARY text for an exception
+ * @param {(ex) => string} [opts.exceptionCategory]  CATEGORIES text
+ * @param {(bell) => string} [opts.bellSummary]  SUMMARY text for a bell event
+ * @param {Date}     [opts.now]  DTSTAMP source (injectable for tests)
+ * @returns {string} CRLF-delimited VCALENDAR text
+ */
+export function buildIcs({
+  exceptions = [],
+  bellDays = [],
+  ringDurationSec = 3,
+  calendarName,
+  exceptionSummary,
+  exceptionCategory,
+  bellSummary = (bell) => bell.label || '',
+  now = new Date(),
+}) {
+  const stamp = icsUtcStamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (calendarName) lines.push(`X-WR-CALNAME:${escapeText(calendarName)}`);
+
+  exceptions.forEach((ex, i) => {
+    const end = ex.endDate || ex.startDate;
+    const uidKey = ex.id != null ? ex.id : `${icsDate(ex.startDate)}-${i}`;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:exception-${uidKey}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(ex.startDate)}`,
+      /* DTEND of an all-day event is exclusive -the day after the last day. */
+      `DTEND;VALUE=DATE:${icsDate(addDays(end, 1))}`,
+      `SUMMARY:${escapeText(exceptionSummary(ex))}`,
+    );
+    if (exceptionCategory) lines.push(`CATEGORIES:${escapeText(exceptionCategory(ex))}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  const ring = Math.max(1, Math.round(Number(ringDurationSec) || 1));
+  for (const day of bellDays) {
+    day.bells.forEach((bell, i) => {
+      const start = icsLocalDateTime(day.date, bell.hour, bell.minute);
+      lines.push(
+        'BEGIN:VEVENT',
+        /* The index keeps two bells in the same minute apart. */
+        `UID:bell-${start}-${i}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${start}`,
+        `DURATION:PT${ring}S`,
+        `SUMMARY:${escapeText(bellSummary(bell))}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+      );
+    });
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/* ── Parser ────────────────────────────────────────────────────────── */
+
+/** Reverse of escapeText(). */
+export function unescapeText(value) {
+  return String(value ?? '').replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/** Split "NAME;PARAM=x:VALUE" at the first colon outside a quoted param. */
+function splitContentLine(line) {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') quoted = !quoted;
+    else if (ch === ':' && !quoted) {
+      const head = line.slice(0, i);
+      const [name, ...params] = head.split(';');
+      return { name: name.toUpperCase(), params: params.map((p) => p.toUpperCase()), value: line.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+/** Wall-clock date and time of a UTC instant in `timeZone` (IANA name;
+ *  undefined is the browser's own zone). */
+function zonedParts(ms, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(ms)).forEach(({ type, value }) => { parts[type] = value; });
+  return parts;
+}
+
+/**
+ * YYYYMMDD[THHMMSS[Z]] → { date: 'YYYY-MM-DD', midnight } or null. Dates
+ * and floating or TZID times are taken as written; a UTC time (`Z`) is
+ * moved to `timeZone` first, so 20261224T230000Z is 25 Dec in Sofia.
+ */
+function parseIcsDate(value, timeZone) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/i.exec(String(value).trim());
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (toUtcDate(date).getUTCDate() !== Number(m[3])) return null;
+  if (m[7]) {
+    const local = zonedParts(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]), timeZone);
+    return {
+      date: `${local.year}-${local.month}-${local.day}`,
+      midnight: local.hour === '00' && local.minute === '00' && local.second === '00',
+    };
+  }
+  return { date, midnight: !m[4] || (m[4] === '00' && m[5] === '00' && m[6] === '00') };
+}
+
+/**
+ * Extract VEVENTs from .ics text as calendar-date ranges.
+ *
+ * Returns { events: [{ uid, startDate, endDate, label }], skipped } where
+ * `skipped` counts VEVENTs that were cancelled or had no usable DTSTART.
+ * Recurrence rules are not expanded -only the first occurrence is read.
+ * Timed events are reduced to the calendar days they touch; UTC times are
+ * read in `options.timeZone` (IANA; default: the browser's zone).
+ */
+export function parseIcs(text, { timeZone } = {}) {
+  const lines = String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  const events = [];
+  let skipped = 0;
+  let current = null;
+
+  for (const raw of lines) {
+    const line = raw.trimEnd();
+    if (!line) continue;
+    const upper = line.toUpperCase();
+    if (upper === 'BEGIN:VEVENT') { current = {}; continue; }
+    if (upper === 'END:VEVENT') {
+      const ev = current;
+      current = null;
+      if (!ev) continue;
+      const start = ev.DTSTART && parseIcsDate(ev.DTSTART.value, timeZone);
+      if (!start || (ev.STATUS && ev.STATUS.value.toUpperCase() === 'CANCELLED')) { skipped++; continue; }
+
+      let endDate = start.date;
+      const end = ev.DTEND && parseIcsDate(ev.DTEND.value, timeZone);
+      if (end) {
+        /* DTEND is exclusive: all-day events (and timed events that end at
+         * midnight) finish on the previous calendar day. */
+        endDate = end.midnight ? addDays(end.date, -1) : end.date;
+      } else if (ev.DURATION) {
+        const d = /^P(?:(\d+)W)?(?:(\d+)D)?/.exec(ev.DURATION.value.toUpperCase());
+        const days = d ? (Number(d[1] || 0) * 7) + Number(d[2] || 0) : 0;
+        if (days > 0) endDate = addDays(start.date, days - 1);
+      }
+      if (endDate < start.date) endDate = start.date;
+
+      events.push({
+        uid: ev.UID ? ev.UID.value.trim() : '',
+        startDate: start.date,
+        endDate,
+        label: ev.SUMMARY ? unescapeText(ev.SUMMARY.value).trim() : '',
+      });
+      continue;
+    }
+    if (!current) continue;
+    const prop = splitContentLine(line);
+    if (prop && !(prop.name in current)) current[prop.name] = prop;
+  }
+  return { events, skipped };
+}
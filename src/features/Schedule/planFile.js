@@ -0,0 +1,93 @@
+/**
+ * Day-plan files -one bell set (a template slot or the default plan) as a
+ * small versioned JSON file, so a tuned plan can move between devices.
+ * Pure functions only (no DOM, no Redux); DayPlansTab does the file I/O.
+ *
+ * File layout (schemaVersion 1):
+ *   { format: 'ringy-day-plan', schemaVersion: 1, exportedAt,
+ *     name, bells: [ { hour, minute, label } ] }
+ */
+import { MAX_BELLS, BELL_LABEL_MAX_LEN, lintBells } from './bellLint.js';
+
+export const PLAN_FILE_FORMAT = 'ringy-day-plan';
+export const PLAN_FILE_SCHEMA_VERSION = 1;
+
+const byTime = (a, b) => (a.hour * 60 + a.minute) - (b.hour * 60 + b.minute);
+
+/** File contents for one plan (editor-only `_id`s dropped, bells sorted). */
+export function buildPlanFile(name, bells) {
+  return {
+    format: PLAN_FILE_FORMAT,
+    schemaVersion: PLAN_FILE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    name: name || '',
+    bells: (bells || [])
+      .map(({ hour, minute, label }) => ({ hour, minute, label: label || '' }))
+      .sort(byTime),
+  };
+}
+
+/** `ringy-plan-<name>-<date>.json`, keeping letters of any script. */
+export function planFileName(name, dateStamp) {
+  const slug = String(name || '')
+    .trim()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+  return `ringy-plan-${slug ? `${slug}-` : ''}${dateStamp}.json`;
+}
+
+/**
+ * Parse and validate plan file text against the editor's limits (valid
+ * times, at most MAX_BELLS bells, labels up to BELL_LABEL_MAX_LEN, no
+ * duplicate times). Returns { ok: true, plan: { name, bells } } or
+ * { ok: false, errorKey, params? } where errorKey is an i18n key.
+ */
+export function parsePlanFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {
+    return { ok: false, errorKey: 'schedule.planFile.errNotJson' };
+  }
+  if (!data || typeof data !== 'object' || data.format !== PLAN_FILE_FORMAT) {
+    return { ok: false, errorKey: 'schedule.planFile.errNotPlan' };
+  }
+  if (data.schemaVersion !== PLAN_FILE_SCHEMA_VERSION) {
+    return {
+      ok: false,
+      errorKey: 'schedule.planFile.errVersion',
+      params: { version: String(data.schemaVersion ?? '?') },
+    };
+  }
+  if (!Array.isArray(data.bells) || data.bells.length === 0) {
+    return { ok: false, errorKey: 'schedule.planFile.errNoBells' };
+  }
+  if (data.bells.length > MAX_BELLS) {
+    return { ok: false, errorKey: 'schedule.planFile.errTooMany', params: { count: data.bells.length, max: MAX_BELLS } };
+  }
+
+  const bells = [];
+  for (let i = 0; i < data.bells.length; i++) {
+    const b = data.bells[i];
+    const hour = Number(b?.hour);
+    const minute = Number(b?.minute);
+    const label = b?.label == null ? '' : b.label;
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23
+      || !Number.isInteger(minute) || minute < 0 || minute > 59 || typeof label !== 'string') {
+      return { ok: false, errorKey: 'schedule.planFile.errBell', params: { n: i + 1 } };
+    }
+    if (label.length > BELL_LABEL_MAX_LEN) {
+      return { ok: false, errorKey: 'schedule.planFile.errLabel', params: { n: i + 1, max: BELL_LABEL_MAX_LEN } };
+    }
+    bells.push({ hour, minute, label });
+  }
+  bells.sort(byTime);
+
+  const duplicate = lintBells(bells).issues.find((x) => x.code === 'duplicate');
+  if (duplicate) {
+    return { ok: false, errorKey: 'schedule.planFile.errDuplicate', params: duplicate.params };
+  }
+
+  return { ok: true, plan: { name: typeof data.name === 'string' ? data.name.trim() : '', bells } };
+}
@@ -0,0 +1,95 @@
+/**
+ * Pre-save diff -what a save would change on the device, computed from the
+ * local edit buffer and the last fetched store value. Pure functions only
+ * (no DOM, no Redux) so it can be unit tested under plain Node.
+ *
+ * Bell changes: { type: 'added'|'removed'|'retimed'|'relabelled', before, after }
+ * where before/after are bells ({ hour, minute, label }) or null. A bell
+ * that moved and was renamed is 'retimed'; the dialog shows both labels.
+ */
+import { PLAN_CUSTOM, PLAN_DEFAULT } from './scheduleResolver.js';
+
+const toMinutes = (b) => b.hour * 60 + b.minute;
+const labelOf = (b) => (b.label || '').trim();
+
+/**
+ * Pair old and new bells and classify the differences. Rows the editor kept
+ * carry the store's `_id`, so those pair exactly; the rest (generated or
+ * template-applied rows) pair by time first, then by label.
+ *
+ * @returns {{ changes: Array, unchanged: number }}
+ */
+export function diffBells(before, after) {
+  const oldLeft = [...(before || [])];
+  const newLeft = [...(after || [])];
+  const pairs = [];
+
+  const take = (match) => {
+    for (let i = 0; i < newLeft.length; i++) {
+      const j = oldLeft.findIndex((o) => match(o, newLeft[i]));
+      if (j < 0) continue;
+      pairs.push([oldLeft[j], newLeft[i]]);
+      oldLeft.splice(j, 1);
+      newLeft.splice(i, 1);
+      i--;
+    }
+  };
+  take((o, n) => o._id != null && o._id === n._id);
+  take((o, n) => toMinutes(o) === toMinutes(n) && labelOf(o) === labelOf(n));
+  take((o, n) => toMinutes(o) === toMinutes(n));
+  take((o, n) => labelOf(o) !== '' && labelOf(o) === labelOf(n));
+
+  const changes = [];
+  let unchanged = 0;
+  for (const [o, n] of pairs) {
+    if (toMinutes(o) !== toMinutes(n)) changes.push({ type: 'retimed', before: o, after: n });
+    else if (labelOf(o) !== labelOf(n)) changes.push({ type: 'relabelled', before: o, after: n });
+    else unchanged++;
+  }
+  oldLeft.forEach((o) => changes.push({ type: 'removed', before: o, after: null }));
+  newLeft.forEach((n) => changes.push({ type: 'added', before: null, after: n }));
+  changes.sort((a, b) => toMinutes(a.after || a.before) - toMinutes(b.after || b.before));
+  return { changes, unchanged };
+}
+
+/**
+ * Named template slots. Returns one entry per changed slot:
+ * { idx, nameBefore, nameAfter, status: 'created'|'cleared'|'changed', bells }.
+ */
+export function diffTemplates(before, after) {
+  const count = Math.max(before?.length || 0, after?.length || 0);
+  const out = [];
+  for (let idx = 0; idx < count; idx++) {
+    const o = before?.[idx] || null;
+    const n = after?.[idx] || null;
+    if (!o && !n) continue;
+    const bells = diffBells(o?.bells, n?.bells);
+    const nameBefore = o?.name || '';
+    const nameAfter = n?.name || '';
+    const status = !o ? 'created' : !n ? 'cleared' : 'changed';
+    if (status === 'changed' && nameBefore === nameAfter && bells.changes.length === 0) continue;
+    out.push({ idx, nameBefore, nameAfter, status, bells });
+  }
+  return out;
+}
+
+/**
+ * Week map (weekday plans + inline custom sets). Returns one entry per
+ * changed weekday: { day, planBefore, planAfter, bells } where `bells` is
+ * the custom-set diff when the day ends up custom (null otherwise).
+ */
+export function diffWeek(before, after) {
+  const out = [];
+  for (let day = 0; day < 7; day++) {
+    const planBefore = before.weekdayPlans?.[day] ?? PLAN_DEFAULT;
+    const planAfter = after.weekdayPlans?.[day] ?? PLAN_DEFAULT;
+    let bells = null;
+    if (planAfter === PLAN_CUSTOM) {
+      bells = diffBells(planBefore === PLAN_CUSTOM ? before.weekdayCustom?.[day]?.bells : [],
+        after.weekdayCustom?.[day]?.bells);
+    }
+    if (planBefore === planAfter && !(bells?.changes.length > 0)) continue;
+    out.push({ day, planBefore, planAfter, bells });
+  }
+  return out;
+}
@@ -0,0 +1,107 @@
+/**
+ * Optimistic concurrency for the wholesale schedule saves (templates, week
+ * map). Pure functions only (no DOM, no Redux) so it can be unit tested
+ * under plain Node.
+ *
+ * A *version* is what an editor was loaded from: { etag, hash, base }, where
+ * `base` is a snapshot -one entry per template slot / weekday, editor ids
+ * dropped and bells sorted -and `hash` its content hash. When the device
+ * sends no ETag, a save re-fetches first and compares hashes. A changed
+ * device copy is merged three ways per slot / weekday (mergeSlots).
+ */
+import { PLAN_CUSTOM, PLAN_DEFAULT } from './scheduleResolver.js';
+
+const toMinutes = (b) => b.hour * 60 + b.minute;
+const snapshotBells = (bells) =>
+  (bells || []).map(({ _id, ...rest }) => rest).sort((a, b) => toMinutes(a) - toMinutes(b));
+
+/** JSON with sorted object keys and editor `_id`s left out. */
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => k !== '_id' && value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** 32-bit FNV-1a of the stable JSON, as 8 hex digits. */
+export function contentHash(value) {
+  const text = stableStringify(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/** Template slots → [null | { name, bells, ... }]. */
+export function templatesSnapshot(templates) {
+  return (templates || []).map((tpl) => (tpl ? { ...tpl, bells: snapshotBells(tpl.bells) } : null));
+}
+
+/** Week map → 7 × { plan, bells? }; custom bells count only on custom days.
+ *  Accepts the API's raw `weekdayCustom` arrays as well as `{ bells }`. */
+export function weekSnapshot({ weekdayPlans, weekdayCustom } = {}) {
+  return Array.from({ length: 7 }, (_, day) => {
+    const plan = weekdayPlans?.[day] ?? PLAN_DEFAULT;
+    if (plan !== PLAN_CUSTOM) return { plan };
+    const entry = weekdayCustom?.[day];
+    return { plan, bells: snapshotBells(Array.isArray(entry) ? entry : entry?.bells) };
+  });
+}
+
+/** Inverse of weekSnapshot -the saveWeekFull payload. */
+export function fromWeekSnapshot(days) {
+  return {
+    weekdayPlans: days.map((d) => d.plan),
+    weekdayCustom: days.map((d) => ({ bells: d.bells || [] })),
+  };
+}
+
+/** Snapshot of one area's fetched (or sent) data. */
+export function snapshotOf(area, data) {
+  return area === 'templates' ? templatesSnapshot(data?.templates) : weekSnapshot(data);
+}
+
+/** @returns {{ etag: string|null, hash: string, base: Array }} */
+export function versionOf(area, data, etag = null) {
+  const base = snapshotOf(area, data);
+  return { etag: etag || null, hash: contentHash(base), base };
+}
+
+/** Whether the device copy moved on from `loaded` (ETag when both have one). */
+export function hasChanged(loaded, current) {
+  if (loaded.etag && current.etag) return loaded.etag !== current.etag;
+  return loaded.hash !== current.hash;
+}
+
+/**
+ * Three-way merge of two edits of the same slot list. Per index: kept if
+ * both sides agree, the side that changed wins if only one did, otherwise
+ * a conflict (merged holds "mine" until the user picks).
+ * @returns {{ merged: Array, conflicts: number[], fromTheirs: number[] }}
+ */
+export function mergeSlots(base, mine, theirs) {
+  const count = Math.max(base.length, mine.length, theirs.length);
+  const same = (a, b) => stableStringify(a) === stableStringify(b);
+  const merged = [];
+  const conflicts = [];
+  const fromTheirs = [];
+  for (let i = 0; i < count; i++) {
+    const b = base[i] ?? null;
+    const m = mine[i] ?? null;
+    const th = theirs[i] ?? null;
+    if (same(m, th) || same(th, b)) {
+      merged.push(m);
+    } else if (same(m, b)) {
+      merged.push(th);
+      fromTheirs.push(i);
+    } else {
+      merged.push(m);
+      conflicts.push(i);
+    }
+  }
+  return { merged, conflicts, fromTheirs };
+}
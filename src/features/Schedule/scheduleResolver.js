@@ -0,0 +1,143 @@
+/**
+ * Client-side mirror of the firmware's day resolution -what rings on a
+ * given date. Pure functions only (no DOM, no Redux) so the precedence can
+ * be unit tested under plain Node.
+ *
+ * Precedence, the same as GET /api/schedule/today:
+ *   1. an exception covering the date (dayOff / template / custom)
+ *   2. nothing, when the weekday is not in settings.workingDays
+ *   3. the weekday plan: -2 inline custom set, 0..4 a named template
+ *   4. the default bell set (plan -1, or a template slot with no bells)
+ *
+ * `config` uses the Redux schedule-slice shape:
+ *   { workingDays, default: { bells }, templates: [ { name, bells } | null ],
+ *     weekdayPlans: [x7], weekdayCustom: [ { bells } x7 ], exceptions: [...] }
+ * Exceptions carry custom bells as `customBells.bells` (detail endpoint) or
+ * `bells`; list-endpoint metadata without them resolves with `incomplete`.
+ */
+import { addDays, weekdayOf } from './icsCalendar.js';
+
+export const PLAN_DEFAULT = -1;
+export const PLAN_CUSTOM = -2;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (b) => b.hour * 60 + b.minute;
+
+/** Sorted copy without editor-only fields (`_id`). */
+function cleanBells(bells) {
+  return (bells || [])
+    .map(({ hour, minute, label }) => ({ hour, minute, label: label || '' }))
+    .sort((a, b) => toMinutes(a) - toMinutes(b));
+}
+
+/**
+ * Move every bell by `offsetMin` minutes. Bells pushed past midnight in
+ * either direction are dropped -the device does not carry them over.
+ */
+export function shiftBells(bells, offsetMin) {
+  const offset = Number(offsetMin) || 0;
+  if (!offset) return bells;
+  return bells
+    .map((b) => ({ b, mins: toMinutes(b) + offset }))
+    .filter(({ mins }) => mins >= 0 && mins < MINUTES_PER_DAY)
+    .map(({ b, mins }) => ({ ...b, hour: Math.floor(mins / 60), minute: mins % 60 }));
+}
+
+/** First exception (in list order) whose inclusive range covers `date`. */
+export function findException(date, exceptions) {
+  return (exceptions || []).find((ex) =>
+    ex && ex.startDate <= date && date <= (ex.endDate || ex.startDate)) || null;
+}
+
+const templateBells = (templates, idx) => {
+  const tpl = Number.isInteger(idx) ? templates?.[idx] : null;
+  return tpl?.bells?.length ? tpl : null;
+};
+
+/**
+ * Resolve one YYYY-MM-DD date.
+ *
+ * @returns {{
+ *   date: string, weekday: number,
+ *   dayType: 'working'|'off'|'exceptionWorking'|'exceptionHoliday',
+ *   source: 'exception'|'template'|'custom'|'default'|null,
+ *   bells: Array<{ hour, minute, label }>,
+ *   exception: object|null, planIdx: number|null, planName: string|null,
+ *   incomplete: boolean,
+ * }}
+ * `incomplete` is true when a custom exception's bells were not supplied.
+ */
+export function resolveDay(date, config) {
+  const weekday = weekdayOf(date);
+  const result = {
+    date,
+    weekday,
+    dayType: 'off',
+    source: null,
+    bells: [],
+    exception: null,
+    planIdx: null,
+    planName: null,
+    incomplete: false,
+  };
+  const defaultBells = config.default?.bells ?? [];
+
+  const ex = findException(date, config.exceptions);
+  if (ex) {
+    result.exception = ex;
+    result.source = 'exception';
+    if (ex.action === 'dayOff') {
+      result.dayType = 'exceptionHoliday';
+      return result;
+    }
+    result.dayType = 'exceptionWorking';
+    let bells;
+    if (ex.action === 'custom') {
+      bells = ex.customBells?.bells ?? ex.bells;
+      if (!Array.isArray(bells)) {
+        result.incomplete = true;
+        bells = [];
+      }
+    } else {
+      const tpl = templateBells(config.templates, ex.templateIdx);
+      result.planIdx = tpl ? ex.templateIdx : PLAN_DEFAULT;
+      result.planName = tpl ? (tpl.name || null) : null;
+      bells = tpl ? tpl.bells : defaultBells;
+    }
+    result.bells = cleanBells(shiftBells(bells, ex.timeOffsetMin));
+    return result;
+  }
+
+  if (!(config.workingDays || []).includes(weekday)) return result;
+
+  result.dayType = 'working';
+  const plan = config.weekdayPlans?.[weekday] ?? PLAN_DEFAULT;
+  if (plan === PLAN_CUSTOM) {
+    result.source = 'custom';
+    result.planIdx = PLAN_CUSTOM;
+    result.bells = cleanBells(config.weekdayCustom?.[weekday]?.bells);
+    return result;
+  }
+  const tpl = plan >= 0 ? templateBells(config.templates, plan) : null;
+  if (tpl) {
+    result.source = 'template';
+    result.planIdx = plan;
+    result.planName = tpl.name || null;
+    result.bells = cleanBells(tpl.bells);
+    return result;
+  }
+  result.source = 'default';
+  result.planIdx = PLAN_DEFAULT;
+  result.bells = cleanBells(defaultBells);
+  return result;
+}
+
+/** resolveDay() for every date from `from` to `to`, inclusive. */
+export function resolveRange(from, to, config) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    days.push(resolveDay(date, config));
+  }
+  return days;
+}
@@ -0,0 +1,196 @@
+/**
+ * Bell-schedule generator -turns a list of shifts into a bell set.
+ * Pure functions only (no DOM, no Redux) so it can be unit tested under
+ * plain Node; BellSetEditor owns the UI.
+ *
+ * A shift is { startHour, startMinute, lessons: [min...], breaks: [min...] }
+ * with breaks.length === lessons.length - 1: breaks[i] follows lessons[i].
+ * Every lesson rings twice (start and end), so a shift of n lessons
+ * produces 2n bells.
+ */
+import { MAX_BELLS } from './bellLint.js';
+
+/** There is no shift limit: validateShifts() bounds the total by MAX_BELLS. */
+export const GENERATOR_LIMITS = {
+  maxLessons: 20,
+  lessonMin: 5,
+  lessonMax: 120,
+  /** A 0-minute break would ring the lesson's end and the next start at once. */
+  breakMin: 1,
+  breakMax: 120,
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const fmt = (mins) => `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+
+const clamp = (v, lo, hi, fallback) => {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : fallback;
+};
+
+/**
+ * Shift with `count` lessons of `lesson` minutes and `breakMin`-minute
+ * breaks; `longBreaks` maps a lesson number (1-based) to the length of the
+ * break after it, e.g. { 3: 20 }.
+ */
+export function makeShift(startHour, startMinute, count, lesson, breakMin, longBreaks = {}) {
+  return {
+    startHour,
+    startMinute,
+    lessons: Array.from({ length: count }, () => lesson),
+    breaks: Array.from({ length: count - 1 }, (_, i) => longBreaks[i + 1] ?? breakMin),
+  };
+}
+
+/** Clamp a possibly hand-edited or stored shift into a valid one (or null). */
+export function normalizeShift(raw) {
+  if (!raw || !Array.isArray(raw.lessons) || raw.lessons.length === 0) return null;
+  const lessons = raw.lessons
+    .slice(0, GENERATOR_LIMITS.maxLessons)
+    .map((m) => clamp(m, GENERATOR_LIMITS.lessonMin, GENERATOR_LIMITS.lessonMax, 45));
+  const breaks = lessons.slice(1).map((_, i) =>
+    clamp(raw.breaks?.[i], GENERATOR_LIMITS.breakMin, GENERATOR_LIMITS.breakMax, 10));
+  return {
+    startHour: clamp(raw.startHour, 0, 23, 8),
+    startMinute: clamp(raw.startMinute, 0, 59, 0),
+    lessons,
+    breaks,
+  };
+}
+
+/** Resize a shift to `count` lessons, repeating the last lesson and break length. */
+export function setLessonCount(shift, count) {
+  const n = clamp(count, 1, GENERATOR_LIMITS.maxLessons, shift.lessons.length);
+  const lastLesson = shift.lessons[shift.lessons.length - 1] ?? 45;
+  const lastBreak = shift.breaks[shift.breaks.length - 1] ?? 10;
+  const lessons = Array.from({ length: n }, (_, i) => shift.lessons[i] ?? lastLesson);
+  const breaks = Array.from({ length: n - 1 }, (_, i) => shift.breaks[i] ?? lastBreak);
+  return { ...shift, lessons, breaks };
+}
+
+/**
+ * Start/end minute of every lesson. Ends may run past midnight (>= 1440);
+ * validateShifts() reports that instead of wrapping.
+ */
+export function lessonTimes(shift) {
+  const out = [];
+  let cursor = shift.startHour * 60 + shift.startMinute;
+  shift.lessons.forEach((len, i) => {
+    out.push({ start: cursor, end: cursor + len });
+    cursor += len + (shift.breaks[i] ?? 0);
+  });
+  return out;
+}
+
+/** { fromMin, toMin } of a shift: first lesson start to last lesson end. */
+export function shiftSpan(shift) {
+  const times = lessonTimes(shift);
+  return { fromMin: times[0]?.start ?? 0, toMin: times[times.length - 1]?.end ?? 0 };
+}
+
+/**
+ * Generate the bells for all shifts, sorted by time.
+ *
+ * @param {Array} shifts
+ * @param {(shiftIdx: number, kind: 'start'|'end', n: number) => string} labelFor
+ * @returns {Array<{ hour, minute, label }>}
+ */
+export function buildGeneratorBells(shifts, labelFor) {
+  const bells = [];
+  shifts.forEach((shift, s) => {
+    lessonTimes(shift).forEach(({ start, end }, i) => {
+      for (const [kind, mins] of [['start', start], ['end', end]]) {
+        const m = mins % MINUTES_PER_DAY;
+        bells.push({ hour: Math.floor(m / 60), minute: m % 60, label: labelFor(s, kind, i + 1) });
+      }
+    });
+  });
+  return bells.sort((a, b) => a.hour * 60 + a.minute - (b.hour * 60 + b.minute));
+}
+
+/**
+ * Problems that block generation: a shift running past midnight, shifts
+ * that overlap or touch (the shared minute would ring twice), and more
+ * bells than the firmware stores. Shift numbers in params are 1-based.
+ *
+ * @returns {Array<{ code: 'pastMidnight'|'shiftOverlap'|'tooMany', params: object }>}
+ */
+export function validateShifts(shifts) {
+  const issues = [];
+  const spans = shifts.map((shift, i) => ({ n: i + 1, ...shiftSpan(shift) }));
+  for (const span of spans) {
+    if (span.toMin >= MINUTES_PER_DAY) issues.push({ code: 'pastMidnight', params: { shift: span.n } });
+  }
+  const ordered = [...spans].sort((a, b) => a.fromMin - b.fromMin);
+  for (let i = 1; i < ordered.length; i++) {
+    const prev = ordered[i - 1];
+    const cur = ordered[i];
+    if (cur.fromMin <= prev.toMin) {
+      issues.push({
+        code: 'shiftOverlap',
+        params: { a: prev.n, b: cur.n, end: fmt(prev.toMin % MINUTES_PER_DAY) },
+      });
+    }
+  }
+  const count = shifts.reduce((sum, s) => sum + s.lessons.length * 2, 0);
+  if (count > MAX_BELLS) issues.push({ code: 'tooMany', params: { count, max: MAX_BELLS } });
+  return issues;
+}
+
+/** Preview of the combined result plus one line per shift. */
+export function previewShifts(shifts) {
+  const per = shifts.map((shift) => {
+    const { fromMin, toMin } = shiftSpan(shift);
+    return {
+      count: shift.lessons.length * 2,
+      classCount: shift.lessons.length,
+      fromMin,
+      toMin,
+      from: fmt(fromMin),
+      to: fmt(toMin % MINUTES_PER_DAY),
+    };
+  });
+  const fromMin = Math.min(...per.map((p) => p.fromMin));
+  const toMin = Math.max(...per.map((p) => p.toMin));
+  return {
+    count: per.reduce((sum, p) => sum + p.count, 0),
+    classCount: per.reduce((sum, p) => sum + p.classCount, 0),
+    from: fmt(fromMin),
+    to: fmt(toMin % MINUTES_PER_DAY),
+    shifts: per,
+  };
+}
+
+/**
+ * Presets shipped with the app; names come from `auto.preset.<id>`.
+ * User presets are stored per browser (see ScheduleSlice).
+ */
+export const BUILTIN_GENERATOR_PRESETS = [
+  {
+    id: 'singleShift',
+    shifts: [makeShift(8, 0, 7, 40, 10, { 2: 20 })],
+  },
+  {
+    id: 'fullDay',
+    shifts: [{
+      ...makeShift(8, 0, 7, 45, 10, { 2: 20, 4: 40 }),
+      lessons: [45, 45, 45, 45, 45, 45, 30],
+    }],
+  },
+  {
+    id: 'twoShifts',
+    shifts: [
+      makeShift(7, 30, 6, 40, 10, { 3: 20 }),
+      makeShift(13, 30, 6, 40, 10, { 3: 20 }),
+    ],
+  },
+  {
+    id: 'threeShifts',
+    shifts: [
+      makeShift(7, 30, 5, 40, 10, { 2: 20 }),
+      makeShift(12, 30, 5, 40, 10, { 2: 20 }),
+      makeShift(17, 0, 4, 40, 5),
+    ],
+  },
+];
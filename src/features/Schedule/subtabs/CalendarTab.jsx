@@ -0,0 +1,306 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchSettings, fetchDefault, fetchTemplates, fetchWeek,
+  createException, updateException, clearExceptionDetail,
+  clearErrorExceptions, clearSaveSuccessExceptions,
+} from '../ScheduleSlice.js';
+import ScheduleService from '../../../services/ScheduleService.js';
+import ExceptionForm, {
+  validateExceptionForm, emptyExceptionForm, mergeDetail, toExceptionPayload,
+} from '../components/ExceptionForm.jsx';
+import { resolveRange } from '../scheduleResolver.js';
+import { addDays, weekdayOf } from '../icsCalendar.js';
+import { fileDateStamp } from '../../../utils/fileDownload.js';
+import useLocale from '../../../hooks/useLocale.jsx';
+
+/** Monday-first header order; indices follow the firmware's 0=Sun..6=Sat. */
+const ORDERED_DAYS = [1, 2, 3, 4, 5, 6, 0];
+const LEGEND = ['working', 'template', 'custom', 'off', 'exceptionDayOff', 'exceptionTemplate', 'exceptionCustom'];
+
+const IconChevronLeft = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none"
+    stroke="currentColor" strokeWidth="2.4" strokeLinecap="round" strokeLinejoin="round"
+    aria-hidden="true">
+    <polyline points="15 18 9 12 15 6" />
+  </svg>
+);
+const IconChevronRight = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none"
+    stroke="currentColor" strokeWidth="2.4" strokeLinecap="round" strokeLinejoin="round"
+    aria-hidden="true">
+    <polyline points="9 18 15 12 9 6" />
+  </svg>
+);
+
+let _idSeq = 0;
+const assignIds = (bells) => (bells || []).map((b) => (
+  b._id ? b : { ...b, _id: `c-${++_idSeq}` }
+));
+
+const fmtTime = (b) => `${String(b.hour).padStart(2, '0')}:${String(b.minute).padStart(2, '0')}`;
+
+/** 'YYYY-MM' moved by `n` months. */
+function shiftMonth(month, n) {
+  const [y, m] = month.split('-').map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + n, 1));
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/** First and last date of the Monday-first grid that shows `month`. */
+function gridRange(month) {
+  const first = `${month}-01`;
+  const last = addDays(`${shiftMonth(month, 1)}-01`, -1);
+  return {
+    from: addDays(first, -((weekdayOf(first) + 6) % 7)),
+    to: addDays(last, (7 - weekdayOf(last)) % 7),
+  };
+}
+
+/** Colour class for a resolved day. A working day whose weekday plan is a
+ *  template or a custom bell set gets its own class. */
+function dayKind(day) {
+  if (day.dayType === 'exceptionHoliday') return 'exceptionDayOff';
+  if (day.dayType === 'exceptionWorking') {
+    return day.exception.action === 'custom' ? 'exceptionCustom' : 'exceptionTemplate';
+  }
+  if (day.source === 'template' || day.source === 'custom') return day.source;
+  return day.dayType;
+}
+
+function formatMonth(month, locale) {
+  const [y, m] = month.split('-').map(Number);
+  try {
+    return new Date(y, m - 1, 1).toLocaleDateString(locale === 'bg' ? 'bg-BG' : 'en-GB', {
+      month: 'long', year: 'numeric',
+    });
+  } catch {
+    return month;
+  }
+}
+
+/**
+ * CalendarTab -one month of the effective schedule, resolved client-side
+ * with the same precedence as the firmware. Clicking a day opens the
+ * exception editor for that date (edit when an exception covers it,
+ * otherwise create a one-day exception).
+ */
+export default function CalendarTab() {
+  const dispatch = useDispatch();
+  const { t, locale, bellWord } = useLocale();
+  const {
+    workingDays, default: defaultSet, templates, builtins, weekdayPlans, weekdayCustom,
+    savingExceptions, errorExceptions,
+  } = useSelector((s) => s.schedule);
+
+  const todayDate = fileDateStamp();
+  const [month, setMonth] = useState(() => todayDate.slice(0, 7));
+  const [exceptions, setExceptions] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  // Day editor: { id: number|null, form } or null when closed
+  const [editor, setEditor] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [overlapNotice, setOverlapNotice] = useState(null); // { ids: [...] }
+
+  const { from, to } = useMemo(() => gridRange(month), [month]);
+
+  useEffect(() => {
+    dispatch(fetchSettings());
+    dispatch(fetchDefault());
+    dispatch(fetchTemplates());
+    dispatch(fetchWeek());
+  }, [dispatch]);
+
+  /* The list endpoint only carries metadata -custom exceptions need their
+   * detail for the bell count and first/last bell. */
+  useEffect(() => {
+    const ctrl = new AbortController();
+    setLoadError('');
+    (async () => {
+      try {
+        const metas = await ScheduleService.getAllExceptions({ from, to }, ctrl.signal);
+        const full = [];
+        for (const meta of metas) {
+          full.push(meta.action === 'custom'
+            ? mergeDetail(meta, await ScheduleService.getExceptionById(meta.id, ctrl.signal))
+            : meta);
+        }
+        if (!ctrl.signal.aborted) setExceptions(full);
+      } catch (e) {
+        if (!ctrl.signal.aborted && e?.name !== 'AbortError') setLoadError(e?.message || String(e));
+      }
+    })();
+    return () => ctrl.abort();
+  }, [from, to, reloadKey]);
+
+  const days = useMemo(() => resolveRange(from, to, {
+    workingDays, default: defaultSet, templates, weekdayPlans, weekdayCustom,
+    exceptions: exceptions || [],
+  }), [from, to, workingDays, defaultSet, templates, weekdayPlans, weekdayCustom, exceptions]);
+
+  const openDay = (day) => {
+    setFormError('');
+    dispatch(clearErrorExceptions());
+    if (!day.exception) {
+      setEditor({ id: null, form: emptyExceptionForm(day.date) });
+      return;
+    }
+    const form = mergeDetail(day.exception, null);
+    setEditor({
+      id: day.exception.id,
+      form: { ...form, customBells: { bells: assignIds(form.customBells.bells) } },
+    });
+  };
+
+  const closeEditor = useCallback(() => {
+    if (savingExceptions) return;
+    setEditor(null);
+    dispatch(clearErrorExceptions());
+  }, [savingExceptions, dispatch]);
+
+  const handleSave = async () => {
+    const validationKey = validateExceptionForm(editor.form, templates);
+    if (validationKey) { setFormError(t(validationKey)); return; }
+    setFormError('');
+    const payload = toExceptionPayload(editor.form);
+    try {
+      const result = editor.id != null
+        ? await dispatch(updateException({ id: editor.id, data: payload })).unwrap()
+        : await dispatch(createException(payload)).unwrap();
+      if (editor.id != null) dispatch(clearExceptionDetail(editor.id));
+      dispatch(clearSaveSuccessExceptions());
+      setOverlapNotice(result?.overlapWarning ? { ids: result.overlappingIds || [] } : null);
+      setEditor(null);
+      setReloadKey((k) => k + 1);
+    } catch { /* error surfaces via errorExceptions */ }
+  };
+
+  const monthPrefix = `${month}-`;
+
+  return (
+    <div className="schedule-tab-pane calendar-tab">
+      <div className="tab-header">
+        <h2>{t('schedule.calendar.title')}</h2>
+        <div className="calendar-nav">
+          <button type="button" className="page-btn page-btn-nav"
+            onClick={() => setMonth((m) => shiftMonth(m, -1))}
+            aria-label={t('schedule.calendar.prevMonth')} title={t('schedule.calendar.prevMonth')}>
+            <IconChevronLeft />
+          </button>
+          <span className="calendar-month">{formatMonth(month, locale)}</span>
+          <button type="button" className="page-btn page-btn-nav"
+            onClick={() => setMonth((m) => shiftMonth(m, 1))}
+            aria-label={t('schedule.calendar.nextMonth')} title={t('schedule.calendar.nextMonth')}>
+            <IconChevronRight />
+          </button>
+          {month !== todayDate.slice(0, 7) && (
+            <button type="button" className="page-btn" onClick={() => setMonth(todayDate.slice(0, 7))}>
+              {t('schedule.calendar.thisMonth')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {loadError && (
+        <div className="error-message">
+          {loadError}
+          <button className="error-dismiss" onClick={() => setReloadKey((k) => k + 1)}
+            title={t('schedule.calendar.retry')}>↻</button>
+        </div>
+      )}
+
+      {overlapNotice && (
+        <div className="warning-banner">
+          {t('schedule.exceptions.overlapWarning', { ids: overlapNotice.ids.join(', ') })}
+          <button className="error-dismiss" onClick={() => setOverlapNotice(null)}>×</button>
+        </div>
+      )}
+
+      {exceptions === null && !loadError ? (
+        <p className="loading-text">{t('schedule.loading')}</p>
+      ) : (
+        <div className="calendar-grid" role="grid">
+          {ORDERED_DAYS.map((d) => (
+            <div key={d} className="calendar-weekday" role="columnheader">{t(`settings.days.${d}`)}</div>
+          ))}
+          {days.map((day) => {
+            const kind = dayKind(day);
+            const count = day.incomplete ? (day.exception.bellCount ?? 0) : day.bells.length;
+            const first = day.bells[0];
+            const last = day.bells[day.bells.length - 1];
+            const classes = [
+              'calendar-day',
+              `calendar-day-${kind}`,
+              day.date.startsWith(monthPrefix) ? '' : 'calendar-day-outside',
+              day.date === todayDate ? 'calendar-day-today' : '',
+            ].filter(Boolean).join(' ');
+            return (
+              <button
+                key={day.date}
+                type="button"
+                className={classes}
+                onClick={() => openDay(day)}
+                title={`${day.date} · ${t(`schedule.calendar.kind_${kind}`)}${day.exception?.label ? ` · ${day.exception.label}` : ''}`}
+              >
+                <span className="calendar-day-num">{Number(day.date.slice(8))}</span>
+                {count > 0 && (
+                  <span className="calendar-day-count">{count} {bellWord(count)}</span>
+                )}
+                {first && (
+                  <span className="calendar-day-range">
+                    {fmtTime(first)}{last !== first && `–${fmtTime(last)}`}
+                  </span>
+                )}
+                {day.exception?.label && (
+                  <span className="calendar-day-label">{day.exception.label}</span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="calendar-legend">
+        {LEGEND.map((kind) => (
+          <span key={kind} className="calendar-legend-item">
+            <span className={`calendar-legend-swatch calendar-day-${kind}`} aria-hidden="true" />
+            {t(`schedule.calendar.kind_${kind}`)}
+          </span>
+        ))}
+      </div>
+      <p className="hint-text">{t('schedule.calendar.hint')}</p>
+
+      {editor && (
+        <div className="confirm-modal-backdrop" role="dialog" aria-modal="true"
+          aria-labelledby="calendar-day-title"
+          onClick={(e) => { if (e.target === e.currentTarget) closeEditor(); }}>
+          <div className="confirm-modal calendar-day-dialog">
+            <h3 id="calendar-day-title">
+              {editor.id != null ? t('schedule.calendar.editTitle') : t('schedule.calendar.createTitle')}
+            </h3>
+            <ExceptionForm
+              form={editor.form}
+              onPatch={(patch) => setEditor((prev) => ({ ...prev, form: { ...prev.form, ...patch } }))}
+              templates={templates}
+              builtins={builtins}
+            />
+            {(formError || errorExceptions) && (
+              <div className="error-message">{formError || t(errorExceptions)}</div>
+            )}
+            <div className="confirm-modal-actions">
+              <button type="button" className="cancel-button" onClick={closeEditor} disabled={savingExceptions}>
+                {t('schedule.cancel')}
+              </button>
+              <button type="button"
+                className={`save-button${savingExceptions ? ' loading' : ''}`}
+                onClick={handleSave} disabled={savingExceptions}>
+                {savingExceptions ? t('schedule.saving') : t('schedule.save')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
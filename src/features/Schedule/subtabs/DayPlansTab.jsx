@@ -5,11 +5,19 @@ import {
   fetchTemplates, saveTemplates,
   clearErrorDefault, clearSaveSuccessDefault,
   clearErrorTemplates, clearSaveSuccessTemplates,
+  dismissConflict, resolveConflict,
 } from '../ScheduleSlice.js';
 import ScheduleService from '../../../services/ScheduleService.js';
 import BellSetEditor from '../components/BellSetEditor.jsx';
+import SaveDiffDialog from '../components/SaveDiffDialog.jsx';
+import PlanImportDialog from '../components/PlanImportDialog.jsx';
+import ScheduleConflictDialog from '../components/ScheduleConflictDialog.jsx';
+import { diffBells, diffTemplates } from '../scheduleDiff.js';
+import { buildPlanFile, planFileName, parsePlanFile } from '../planFile.js';
+import { downloadJson, readFileAsText, fileDateStamp } from '../../../utils/fileDownload.js';
 import useLocale from '../../../hooks/useLocale.jsx';
 import useScrollIntoViewWhen from '../../../hooks/useScrollIntoViewWhen.js';
+import useEditorDraft from '../../../hooks/useEditorDraft.js';
 
 const SLOT_COUNT = 5;
 
@@ -25,22 +33,16 @@ export default function DayPlansTab() {
   const { t, bellWord } = useLocale();
   const {
     default: defaultSet, templates: storeTemplates, builtins,
-    loading,
+    loading, loadedAt,
     savingDefault, errorDefault, saveSuccessDefault,
-    savingTemplates, errorTemplates, saveSuccessTemplates,
+    savingTemplates, errorTemplates, saveSuccessTemplates, conflict,
   } = useSelector((s) => s.schedule);
 
   // ── Default plan card ────────────────────────────────────────────────
   const [defaultBells, setDefaultBells] = useState([]);
   const [defaultOpen, setDefaultOpen] = useState(false);
 
-  useEffect(() => {
-    dispatch(fetchDefault()).then((result) => {
-      if (result.meta.requestStatus === 'fulfilled') {
-        setDefaultBells(result.payload.bells || []);
-      }
-    });
-  }, [dispatch]);
+  useEffect(() => { dispatch(fetchDefault()); }, [dispatch]);
 
   useEffect(() => { setDefaultBells(defaultSet.bells || []); }, [defaultSet.bells]);
 
@@ -52,7 +54,10 @@ export default function DayPlansTab() {
     }
   }, [saveSuccessDefault, dispatch]);
 
-  const handleSaveDefault = () => dispatch(saveDefault(defaultBells));
+  // Which save is waiting for the review dialog: 'default' | 'templates' | null
+  const [review, setReview] = useState(null);
+
+  const handleSaveDefault = () => setReview('default');
   const handleResetDefault = () => {
     if (!window.confirm(t('schedule.resetConfirm'))) return;
     dispatch(fetchDefaults()).then((result) => {
@@ -88,6 +93,25 @@ export default function DayPlansTab() {
     }
   }, [saveSuccessTemplates, dispatch]);
 
+  // ── Unsaved buffers kept across a session expiry ─────────────────────
+  const [defaultRestored, dismissDefaultRestored] = useEditorDraft('schedule.default', {
+    draft: diffBells(defaultSet.bells, defaultBells).changes.length > 0 ? { bells: defaultBells } : null,
+    ready: loadedAt.default > 0,
+    onRestore: ({ bells }) => {
+      setDefaultBells(bells);
+      setNeedsSaveDefault(true);
+      setDefaultOpen(true);
+    },
+  });
+  const [templatesRestored, dismissTemplatesRestored] = useEditorDraft('schedule.templates', {
+    draft: diffTemplates(storeTemplates, local).length > 0 ? { slots: local } : null,
+    ready: loadedAt.templates > 0,
+    onRestore: ({ slots }) => {
+      setLocal(Array.from({ length: SLOT_COUNT }, (_, i) => slots[i] ?? null));
+      setNeedsSaveTemplates(true);
+    },
+  });
+
   const toggleOpen = (idx) => setOpen((prev) => prev.map((v, i) => (i === idx ? !v : v)));
   const setAllOpen = (val) => setOpen(Array.from({ length: SLOT_COUNT }, () => val));
 
@@ -143,7 +167,91 @@ export default function DayPlansTab() {
     updateSlot(idx, { bells: copiedBells });
   };
 
-  const handleSaveTemplates = () => dispatch(saveTemplates(local));
+  const handleSaveTemplates = () => setReview('templates');
+
+  const slotName = (idx, name) => name || t('calendar.templateSlot', { n: idx + 1 });
+
+  const reviewSections = useMemo(() => {
+    if (review === 'default') {
+      const bells = diffBells(defaultSet.bells, defaultBells);
+      return bells.changes.length > 0
+        ? [{ key: 'default', heading: t('schedule.default'), bells }]
+        : [];
+    }
+    if (review === 'templates') {
+      return diffTemplates(storeTemplates, local).map((d) => ({
+        key: `slot-${d.idx}`,
+        heading: slotName(d.idx, d.nameAfter || d.nameBefore),
+        lines: [
+          d.status !== 'changed' && t(`schedule.diff.template_${d.status}`),
+          d.status === 'changed' && d.nameBefore !== d.nameAfter && t('schedule.diff.renamed', {
+            from: slotName(d.idx, d.nameBefore), to: slotName(d.idx, d.nameAfter),
+          }),
+        ].filter(Boolean),
+        bells: d.bells,
+      }));
+    }
+    return [];
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [review, defaultSet.bells, defaultBells, storeTemplates, local, t]);
+
+  // ── Plan files (export one plan / import into a chosen slot) ────────
+  const fileInputRef = React.useRef(null);
+  const [planImport, setPlanImport] = useState(null); // { plan, fileName }
+  const [planFileError, setPlanFileError] = useState('');
+
+  const exportPlan = (name, bells) =>
+    downloadJson(buildPlanFile(name, bells), planFileName(name, fileDateStamp()));
+
+  const handlePlanFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setPlanFileError('');
+    try {
+      const result = parsePlanFile(await readFileAsText(file));
+      if (!result.ok) {
+        setPlanFileError(t(result.errorKey, result.params));
+        return;
+      }
+      setPlanImport({ plan: result.plan, fileName: file.name });
+    } catch {
+      setPlanFileError(t('schedule.planFile.errRead'));
+    }
+  };
+
+  /* The imported plan lands in the edit buffer; saving goes through the
+   * same review dialog as a manual edit. */
+  const confirmPlanImport = ({ target, name }) => {
+    const { bells } = planImport.plan;
+    setPlanImport(null);
+    if (target === 'default') {
+      setDefaultBells(bells);
+      setNeedsSaveDefault(true);
+      setDefaultOpen(true);
+      setReview('default');
+    } else {
+      updateSlot(target, { name, bells });
+      setNeedsSaveTemplates(true);
+      setReview('templates');
+    }
+  };
+
+  const confirmReview = () => {
+    if (review === 'default') dispatch(saveDefault(defaultBells));
+    else if (review === 'templates') dispatch(saveTemplates(local));
+    setReview(null);
+  };
+
+  // ── Someone else saved the templates meanwhile ───────────────────────
+  const templatesConflict = conflict?.area === 'templates' ? conflict : null;
+  const describeTemplate = (tpl) => {
+    if (!tpl) return t('schedule.conflict.empty');
+    const preview = planPreview(tpl.bells);
+    return `${tpl.name || '—'} · ${preview
+      ? t('schedule.week.previewSummary', { ...preview, bellWord: bellWord(preview.count) })
+      : t('schedule.week.previewEmpty')}`;
+  };
 
   const allOpen = open.every(Boolean);
 
@@ -154,6 +262,13 @@ export default function DayPlansTab() {
         <p className="hint-text">{t('schedule.dayPlans.helper')}</p>
       </div>
 
+      {(defaultRestored || templatesRestored) && (
+        <div className="info-banner draft-restored-banner">
+          {t('schedule.draftRestored')}
+          <button className="error-dismiss" onClick={() => { dismissDefaultRestored(); dismissTemplatesRestored(); }}>×</button>
+        </div>
+      )}
+
       {loading ? (
         <p className="loading-text">{t('schedule.loading')}</p>
       ) : (
@@ -165,11 +280,11 @@ export default function DayPlansTab() {
               <div ref={defaultBannerRef} className="status-banner-anchor">
                 {errorDefault && (
                   <div className="error-message">
-                    {errorDefault}
+                    {t(errorDefault)}
                     <button className="error-dismiss" onClick={() => dispatch(clearErrorDefault())}>×</button>
                   </div>
                 )}
-                {saveSuccessDefault && <div className="success-message">{t('schedule.savedSuccess')}</div>}
+                {saveSuccessDefault && <div className="success-message">{t(saveSuccessDefault === 'queued' ? 'schedule.savedQueued' : 'schedule.savedSuccess')}</div>}
               </div>
             )}
 
@@ -206,6 +321,10 @@ export default function DayPlansTab() {
                   <button className="cancel-button" onClick={handleResetDefault}>
                     {t('schedule.resetDefaults')}
                   </button>
+                  <button className="cancel-button" onClick={() => exportPlan(t('schedule.default'), defaultBells)}
+                    disabled={defaultBells.length === 0}>
+                    {t('schedule.planFile.export')}
+                  </button>
                   <button
                     ref={defaultSaveRef}
                     className={`save-button${savingDefault ? ' loading' : ''}${needsSaveDefault ? ' needs-save' : ''}`}
@@ -264,20 +383,34 @@ export default function DayPlansTab() {
           <section className="template-section">
             <div className="section-header-row">
               <h3 className="template-section-title">{t('schedule.dayPlans.namedTitle')}</h3>
-              <button type="button" className="bulk-toggle" onClick={() => setAllOpen(!allOpen)}>
-                {allOpen ? t('schedule.collapseAll') : t('schedule.expandAll')}
-              </button>
+              <div className="section-header-actions">
+                <button type="button" className="bulk-toggle" onClick={() => fileInputRef.current?.click()}>
+                  {t('schedule.planFile.import')}
+                </button>
+                <button type="button" className="bulk-toggle" onClick={() => setAllOpen(!allOpen)}>
+                  {allOpen ? t('schedule.collapseAll') : t('schedule.expandAll')}
+                </button>
+              </div>
+              <input ref={fileInputRef} type="file" accept=".json,application/json" hidden
+                onChange={handlePlanFile} />
             </div>
 
+            {planFileError && (
+              <div className="error-message">
+                {planFileError}
+                <button className="error-dismiss" onClick={() => setPlanFileError('')}>×</button>
+              </div>
+            )}
+
             {(errorTemplates || saveSuccessTemplates) && (
               <div ref={templatesBannerRef} className="status-banner-anchor">
                 {errorTemplates && (
                   <div className="error-message">
-                    {errorTemplates}
+                    {t(errorTemplates)}
                     <button className="error-dismiss" onClick={() => dispatch(clearErrorTemplates())}>×</button>
                   </div>
                 )}
-                {saveSuccessTemplates && <div className="success-message">{t('schedule.savedSuccess')}</div>}
+                {saveSuccessTemplates && <div className="success-message">{t(saveSuccessTemplates === 'queued' ? 'schedule.savedQueued' : 'schedule.savedSuccess')}</div>}
               </div>
             )}
 
@@ -343,6 +476,14 @@ export default function DayPlansTab() {
                       >
                         {t('schedule.dayPlans.duplicateButton')}
                       </button>
+                      <button
+                        type="button"
+                        className="secondary-btn"
+                        disabled={!(slot?.bells?.length > 0)}
+                        onClick={() => exportPlan(slot.name || t('calendar.templateSlot', { n: idx + 1 }), slot.bells)}
+                      >
+                        {t('schedule.planFile.export')}
+                      </button>
                     </div>
                     <BellSetEditor
                       value={{ bells: slot?.bells || [] }}
@@ -374,6 +515,32 @@ export default function DayPlansTab() {
         </>
       )}
 
+      <PlanImportDialog
+        plan={planImport?.plan ?? null}
+        fileName={planImport?.fileName}
+        slots={local}
+        onConfirm={confirmPlanImport}
+        onCancel={() => setPlanImport(null)}
+      />
+
+      <SaveDiffDialog
+        open={review != null}
+        title={t('schedule.diff.title')}
+        sections={reviewSections}
+        onConfirm={confirmReview}
+        onCancel={() => setReview(null)}
+      />
+
+      <ScheduleConflictDialog
+        conflict={templatesConflict}
+        what={t('schedule.conflict.whatTemplates')}
+        itemLabel={(idx) => slotName(idx, templatesConflict?.mine[idx]?.name || templatesConflict?.theirs[idx]?.name)}
+        describe={describeTemplate}
+        onMerge={(merged) => dispatch(resolveConflict('merge', merged))}
+        onTakeTheirs={() => dispatch(resolveConflict('theirs'))}
+        onCancel={() => dispatch(dismissConflict())}
+      />
+
       {clearWarning && (
         <div className="confirm-modal-backdrop" role="dialog" aria-modal="true"
           onClick={(e) => { if (e.target === e.currentTarget) setClearWarning(null); }}>
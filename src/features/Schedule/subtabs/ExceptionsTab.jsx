@@ -5,29 +5,14 @@ import {
   createException, updateException, deleteException, deleteAllExceptions,
   clearErrorExceptions, clearSaveSuccessExceptions, clearExceptionDetail,
 } from '../ScheduleSlice.js';
-import BellSetEditor from '../components/BellSetEditor.jsx';
+import ExceptionForm, {
+  validateExceptionForm, emptyExceptionForm, mergeDetail, toExceptionPayload,
+} from '../components/ExceptionForm.jsx';
 import HolidayImportDialog from '../components/HolidayImportDialog.jsx';
+import IcsExportDialog from '../components/IcsExportDialog.jsx';
 import useLocale from '../../../hooks/useLocale.jsx';
 import useScrollIntoViewWhen from '../../../hooks/useScrollIntoViewWhen.js';
 
-const ACTIONS = ['dayOff', 'template', 'custom'];
-
-/** Client-side validation mirroring the firmware's own checks, so users get
- *  immediate feedback instead of a round-trip 400. Returns a translation key
- *  (or null when the form is valid). */
-function validateExceptionForm(form, templates) {
-  if (!form.startDate) return 'schedule.exceptions.errStartRequired';
-  if (form.endDate && form.endDate < form.startDate) return 'schedule.exceptions.errEndBeforeStart';
-  if (form.action === 'custom' && !(form.customBells?.bells?.length > 0)) {
-    return 'schedule.exceptions.errCustomEmpty';
-  }
-  if (form.action === 'template') {
-    const tpl = templates?.[form.templateIdx ?? 0];
-    if (!tpl || !(tpl.bells?.length > 0)) return 'schedule.exceptions.errTemplateEmpty';
-  }
-  return null;
-}
-
 /* Inline SVG icons (consistent with HolidayImportDialog) */
 const IconChevronLeft = (props) => (
   <svg width="16" height="16" viewBox="0 0 24 24" fill="none"
@@ -53,6 +38,15 @@ const IconCalendar = (props) => (
     <line x1="3" y1="10" x2="21" y2="10" />
   </svg>
 );
+const IconDownload = (props) => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="none"
+    stroke="currentColor" strokeWidth="2.2" strokeLinecap="round" strokeLinejoin="round"
+    aria-hidden="true" {...props}>
+    <path d="M12 4v12" />
+    <path d="M6 12l6 6 6-6" />
+    <path d="M5 20h14" />
+  </svg>
+);
 const IconTrash = (props) => (
   <svg width="16" height="16" viewBox="0 0 24 24" fill="none"
     stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"
@@ -65,28 +59,6 @@ const IconTrash = (props) => (
   </svg>
 );
 
-function today() {
-  return new Date().toISOString().slice(0, 10);
-}
-
-function emptyExceptionForm() {
-  return {
-    startDate: today(),
-    endDate: today(),
-    label: '',
-    action: 'dayOff',
-    templateIdx: 0,
-    customBells: { bells: [] },
-    timeOffsetMin: 0,
-  };
-}
-
-/** Merge metadata item with detail (if loaded) into an edit form */
-function mergeDetail(meta, detail) {
-  if (!detail) return { ...meta, customBells: meta.customBells ?? { bells: [] } };
-  return { ...meta, ...detail };
-}
-
 export default function ExceptionsTab() {
   const dispatch = useDispatch();
   const { t, bellWord } = useLocale();
@@ -113,6 +85,9 @@ export default function ExceptionsTab() {
   // Holiday import dialog
   const [holidayDialogOpen, setHolidayDialogOpen] = useState(false);
 
+  // Calendar (.ics) export dialog
+  const [icsDialogOpen, setIcsDialogOpen] = useState(false);
+
   // Delete-all confirmation
   const [confirmDeleteAll, setConfirmDeleteAll] = useState(false);
 
@@ -192,17 +167,7 @@ export default function ExceptionsTab() {
     const validationKey = validateExceptionForm(form, templates);
     if (validationKey) { setFormError(id, t(validationKey)); return; }
     setFormError(id, null);
-    const payload = {
-      startDate:      form.startDate,
-      endDate:        form.endDate,
-      label:          form.label,
-      action:         form.action,
-      templateIdx:    form.templateIdx ?? 0,
-      timeOffsetMin:  0,
-      customBells:    form.action === 'custom'
-                        ? { bells: (form.customBells?.bells ?? []).map(({ _id, ...b }) => b) }
-                        : undefined,
-    };
+    const payload = toExceptionPayload(form);
     try {
       const result = await dispatch(updateException({ id, data: payload })).unwrap();
       setOverlapNotice(result?.overlapWarning ? { ids: result.overlappingIds || [] } : null);
@@ -228,17 +193,7 @@ export default function ExceptionsTab() {
     const validationKey = validateExceptionForm(newDraft, templates);
     if (validationKey) { setFormError('new', t(validationKey)); return; }
     setFormError('new', null);
-    const payload = {
-      startDate:     newDraft.startDate,
-      endDate:       newDraft.endDate,
-      label:         newDraft.label,
-      action:        newDraft.action,
-      templateIdx:   newDraft.templateIdx ?? 0,
-      timeOffsetMin: 0,
-      customBells:   newDraft.action === 'custom'
-                       ? { bells: (newDraft.customBells?.bells ?? []).map(({ _id, ...b }) => b) }
-                       : undefined,
-    };
+    const payload = toExceptionPayload(newDraft);
     try {
       const result = await dispatch(createException(payload)).unwrap();
       setOverlapNotice(result?.overlapWarning ? { ids: result.overlappingIds || [] } : null);
@@ -249,64 +204,8 @@ export default function ExceptionsTab() {
 
   const actionLabel = (action) => t(`calendar.action_${action}`) || action;
 
-  const templateOptions = templates
-    .map((tpl, i) => tpl ? { idx: i, label: tpl.name || t('calendar.templateSlot', { n: i + 1 }) } : null)
-    .filter(Boolean);
-
   const renderForm = (form, onPatch) => (
-    <>
-      <div className="form-group">
-        <label className="form-label">{t('calendar.startDate')}</label>
-        <input type="date" className="form-input" value={form.startDate}
-          onChange={(e) => onPatch({ startDate: e.target.value })} />
-      </div>
-      <div className="form-group">
-        <label className="form-label">{t('calendar.endDate')}</label>
-        <input type="date" className="form-input" value={form.endDate}
-          onChange={(e) => onPatch({ endDate: e.target.value })} />
-      </div>
-      <div className="form-group">
-        <label className="form-label">{t('calendar.label')}</label>
-        <input type="text" className="form-input" value={form.label}
-          onChange={(e) => onPatch({ label: e.target.value })}
-          placeholder={t('calendar.exHolPlaceholder')} maxLength={95} />
-      </div>
-      <div className="form-group">
-        <label className="form-label">{t('calendar.action')}</label>
-        <select className="form-select" value={form.action}
-          onChange={(e) => onPatch({ action: e.target.value })}>
-          {ACTIONS.map((a) => <option key={a} value={a}>{actionLabel(a)}</option>)}
-        </select>
-      </div>
-      {form.action === 'template' && (
-        <div className="form-group">
-          <label className="form-label">{t('calendar.selectTemplate')}</label>
-          <select className="form-select" value={form.templateIdx ?? 0}
-            onChange={(e) => onPatch({ templateIdx: parseInt(e.target.value, 10) })}>
-            {templateOptions.length > 0
-              ? templateOptions.map((o) => <option key={o.idx} value={o.idx}>{o.label}</option>)
-              : <option disabled>{t('calendar.noTemplates')}</option>}
-          </select>
-        </div>
-      )}
-      {form.action === 'custom' && (
-        <div className="form-group">
-          <label className="form-label">
-            {t('calendar.customBells', {
-              count: form.customBells?.bells?.length ?? 0,
-              bellWord: bellWord(form.customBells?.bells?.length ?? 0),
-            })}
-          </label>
-          <BellSetEditor
-            value={form.customBells || { bells: [] }}
-            onChange={(bellSet) => onPatch({ customBells: bellSet })}
-            allowApplyTemplate
-            templates={templates}
-            builtins={builtins}
-          />
-        </div>
-      )}
-    </>
+    <ExceptionForm form={form} onPatch={onPatch} templates={templates} builtins={builtins} />
   );
 
   return (
@@ -328,6 +227,15 @@ export default function ExceptionsTab() {
             <IconCalendar style={{ marginRight: 6, verticalAlign: '-3px' }} />
             {t('schedule.holidayImport.openButton')}
           </button>
+          <button
+            type="button"
+            className="save-button ics-export-btn"
+            onClick={() => setIcsDialogOpen(true)}
+            title={t('schedule.icsExport.openButtonTooltip')}
+          >
+            <IconDownload style={{ marginRight: 6, verticalAlign: '-3px' }} />
+            {t('schedule.icsExport.openButton')}
+          </button>
           {items.length > 0 && (
             <button
               type="button"
@@ -347,12 +255,14 @@ export default function ExceptionsTab() {
         <div ref={statusBannerRef} className="status-banner-anchor">
           {error && (
             <div className="error-message">
-              {error}
+              {t(error)}
               <button className="error-dismiss" onClick={() => dispatch(clearErrorExceptions())}>×</button>
             </div>
           )}
           {saveSuccess && (
-            <div className="success-message">{t('schedule.savedSuccess')}</div>
+            <div className="success-message">
+              {t(saveSuccess === 'queued' ? 'schedule.savedQueued' : 'schedule.savedSuccess')}
+            </div>
           )}
         </div>
       )}
@@ -494,6 +404,8 @@ export default function ExceptionsTab() {
         }}
       />
 
+      <IcsExportDialog open={icsDialogOpen} onClose={() => setIcsDialogOpen(false)} />
+
       {confirmDeleteAll && (
         <div className="confirm-modal-backdrop" role="dialog" aria-modal="true"
           onClick={(e) => { if (e.target === e.currentTarget) setConfirmDeleteAll(false); }}>
@@ -7,12 +7,15 @@ import {
 import BellSetEditor from '../components/BellSetEditor.jsx';
 import useLocale from '../../../hooks/useLocale.jsx';
 import useScrollIntoViewWhen from '../../../hooks/useScrollIntoViewWhen.js';
+import useEditorDraft from '../../../hooks/useEditorDraft.js';
+import { diffBells } from '../scheduleDiff.js';
 
 export default function TodayTab() {
   const dispatch = useDispatch();
   const { t } = useLocale();
-  const { today, templates, builtins, loading, savingToday, errorToday, saveSuccessToday } =
-    useSelector((s) => s.schedule);
+  const {
+    today, templates, builtins, loading, loadedAt, savingToday, errorToday, saveSuccessToday,
+  } = useSelector((s) => s.schedule);
   const [editing, setEditing] = useState(false);
   const [localBells, setLocalBells] = useState([]);
   const [usePlanIdx, setUsePlanIdx] = useState('');
@@ -31,6 +34,21 @@ export default function TodayTab() {
     }
   }, [saveSuccessToday, dispatch]);
 
+  /* Today's override only makes sense on the day it was being edited. */
+  const [draftRestored, dismissDraftRestored] = useEditorDraft('schedule.today', {
+    draft: editing && diffBells(today.bells, localBells).changes.length > 0
+      ? { bells: localBells, day: new Date().toDateString() }
+      : null,
+    ready: loadedAt.today > 0,
+    onRestore: ({ bells, day }) => {
+      if (day !== new Date().toDateString()) return false;
+      setLocalBells(bells);
+      setNeedsSave(true);
+      setEditing(true);
+      return true;
+    },
+  });
+
   const startEdit = () => {
     setLocalBells([...today.bells]);
     setNeedsSave(false);
@@ -122,7 +140,7 @@ export default function TodayTab() {
         <div ref={statusBannerRef} className="status-banner-anchor">
           {errorToday && (
             <div className="error-message">
-              {errorToday}
+              {t(errorToday)}
               <button className="error-dismiss" onClick={() => dispatch(clearErrorToday())}>×</button>
             </div>
           )}
@@ -132,6 +150,13 @@ export default function TodayTab() {
         </div>
       )}
 
+      {draftRestored && (
+        <div className="info-banner draft-restored-banner">
+          {t('schedule.draftRestored')}
+          <button className="error-dismiss" onClick={dismissDraftRestored}>×</button>
+        </div>
+      )}
+
       {loading ? (
         <p className="loading-text">{t('schedule.loading')}</p>
       ) : editing ? (
@@ -1,11 +1,16 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import useLocale from '../../../hooks/useLocale.jsx';
 import useScrollIntoViewWhen from '../../../hooks/useScrollIntoViewWhen.js';
+import useEditorDraft from '../../../hooks/useEditorDraft.js';
 import BellSetEditor from '../components/BellSetEditor.jsx';
+import SaveDiffDialog from '../components/SaveDiffDialog.jsx';
+import ScheduleConflictDialog from '../components/ScheduleConflictDialog.jsx';
+import { diffWeek } from '../scheduleDiff.js';
 import {
   fetchWeek, saveWeekFull, fetchDefault, fetchTemplates,
   clearErrorWeek, clearSaveSuccessWeek, isFactoryDefaultBells,
+  dismissConflict, resolveConflict,
 } from '../ScheduleSlice.js';
 
 /** Monday-first order (Mon..Sun); day indices follow the firmware's 0=Sun..6=Sat convention. */
@@ -35,12 +40,13 @@ export default function WeekTab() {
   const {
     weekdayPlans, weekdayCustom, workingDays, templates, builtins,
     default: defaultSet,
-    loading, savingWeek, errorWeek, saveSuccessWeek,
+    loading, loadedAt, savingWeek, errorWeek, saveSuccessWeek, conflict,
   } = useSelector((s) => s.schedule);
 
   const [localPlans, setLocalPlans] = useState(weekdayPlans);
   const [localCustom, setLocalCustom] = useState(weekdayCustom || emptyCustomSlots());
   const [expandedDay, setExpandedDay] = useState(null);
+  const [reviewOpen, setReviewOpen] = useState(false);
   const statusBannerRef = useScrollIntoViewWhen(Boolean(errorWeek || saveSuccessWeek));
 
   useEffect(() => {
@@ -54,6 +60,18 @@ export default function WeekTab() {
     setLocalCustom(weekdayCustom || emptyCustomSlots());
   }, [weekdayCustom]);
 
+  const [draftRestored, dismissDraftRestored] = useEditorDraft('schedule.week', {
+    draft: diffWeek(
+      { weekdayPlans, weekdayCustom },
+      { weekdayPlans: localPlans, weekdayCustom: localCustom },
+    ).length > 0 ? { plans: localPlans, custom: localCustom } : null,
+    ready: loadedAt.week > 0,
+    onRestore: ({ plans, custom }) => {
+      setLocalPlans(plans);
+      setLocalCustom(custom.map((slot) => ({ bells: assignIds(slot?.bells) })));
+    },
+  });
+
   useEffect(() => {
     if (saveSuccessWeek) {
       setExpandedDay(null);
@@ -147,9 +165,49 @@ export default function WeekTab() {
       setExpandedDay(emptyCustom);
       return;
     }
+    setReviewOpen(true);
+  };
+
+  const planName = (value) => {
+    if (value === PLAN_DEFAULT) return t('schedule.week.defaultPlan');
+    if (value === PLAN_CUSTOM) return t('schedule.week.customPlan');
+    return templates[value]?.name || t('calendar.templateSlot', { n: value + 1 });
+  };
+
+  const reviewSections = useMemo(() => {
+    if (!reviewOpen) return [];
+    const changed = diffWeek(
+      { weekdayPlans, weekdayCustom },
+      { weekdayPlans: localPlans, weekdayCustom: localCustom },
+    );
+    return ORDERED_DAYS
+      .map((day) => changed.find((d) => d.day === day))
+      .filter(Boolean)
+      .map((d) => ({
+        key: `day-${d.day}`,
+        heading: t(`clock.days.${d.day}`),
+        lines: d.planBefore !== d.planAfter
+          ? [t('schedule.diff.planChanged', { from: planName(d.planBefore), to: planName(d.planAfter) })]
+          : [],
+        bells: d.bells,
+      }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [reviewOpen, weekdayPlans, weekdayCustom, localPlans, localCustom, templates, t]);
+
+  const confirmSave = () => {
+    setReviewOpen(false);
     dispatch(saveWeekFull({ weekdayPlans: localPlans, weekdayCustom: localCustom }));
   };
 
+  /* Someone else saved the week map meanwhile: entries are { plan, bells? }. */
+  const describeDay = (entry) => {
+    if (entry?.plan !== PLAN_CUSTOM) return planName(entry?.plan ?? PLAN_DEFAULT);
+    const preview = planPreview(entry.bells);
+    return `${planName(PLAN_CUSTOM)} · ${preview
+      ? t('schedule.week.previewSummary', { ...preview, bellWord: bellWord(preview.count) })
+      : t('schedule.week.previewEmpty')}`;
+  };
+
   const noCustomPlans = templates.every((tpl) => !tpl);
   const showGuidance = noCustomPlans && isFactoryDefaultBells(defaultSet.bells);
   const hasEmptyCustom = localPlans.some((p, i) =>
@@ -173,11 +231,18 @@ export default function WeekTab() {
         <div ref={statusBannerRef} className="status-banner-anchor">
           {errorWeek && (
             <div className="error-message">
-              {errorWeek}
+              {t(errorWeek)}
               <button className="error-dismiss" onClick={() => dispatch(clearErrorWeek())}>×</button>
             </div>
           )}
-          {saveSuccessWeek && <div className="success-message">{t('schedule.savedSuccess')}</div>}
+          {saveSuccessWeek && <div className="success-message">{t(saveSuccessWeek === 'queued' ? 'schedule.savedQueued' : 'schedule.savedSuccess')}</div>}
+        </div>
+      )}
+
+      {draftRestored && (
+        <div className="info-banner draft-restored-banner">
+          {t('schedule.draftRestored')}
+          <button className="error-dismiss" onClick={dismissDraftRestored}>×</button>
         </div>
       )}
 
@@ -262,6 +327,25 @@ export default function WeekTab() {
           <p className="hint-text">{t('schedule.week.settingsHint')}</p>
         </>
       )}
+
+      <SaveDiffDialog
+        open={reviewOpen}
+        title={t('schedule.diff.title')}
+        sections={reviewSections}
+        onConfirm={confirmSave}
+        onCancel={() => setReviewOpen(false)}
+      />
+
+      <ScheduleConflictDialog
+        conflict={conflict?.area === 'week' ? conflict : null}
+        what={t('schedule.conflict.whatWeek')}
+        itemLabel={(day) => t(`clock.days.${day}`)}
+        describe={describeDay}
+        order={ORDERED_DAYS}
+        onMerge={(merged) => dispatch(resolveConflict('merge', merged))}
+        onTakeTheirs={() => dispatch(resolveConflict('theirs'))}
+        onCancel={() => dispatch(dismissConflict())}
+      />
     </div>
   );
 }
@@ -0,0 +1,37 @@
+/**
+ * Time-zone presets offered by TimezonePicker. Pure data and helpers (no
+ * DOM, no Redux).
+ *
+ * The device keeps a POSIX TZ string (`value`); `iana` names the same zone
+ * for Intl.DateTimeFormat, which the browser needs to show or convert a
+ * time in the device's zone rather than its own.
+ */
+export const TIMEZONE_OPTIONS = [
+  { label: 'UTC (GMT+0)',                           value: 'GMT0',                           iana: 'UTC' },
+  { label: 'London (GMT / BST)',                     value: 'GMT0BST,M3.5.0/1,M10.5.0',       iana: 'Europe/London' },
+  { label: 'Paris / Berlin / Rome (CET / CEST)',     value: 'CET-1CEST,M3.5.0,M10.5.0/3',     iana: 'Europe/Paris' },
+  { label: 'Helsinki / Sofia / Athens (EET / EEST)', value: 'EET-2EEST,M3.5.0/3,M10.5.0/4',   iana: 'Europe/Sofia' },
+  { label: 'Moscow (MSK)',                           value: 'MSK-3',                          iana: 'Europe/Moscow' },
+  { label: 'Dubai (GST, +4)',                        value: 'GST-4',                          iana: 'Asia/Dubai' },
+  { label: 'Karachi (PKT, +5)',                      value: 'PKT-5',                          iana: 'Asia/Karachi' },
+  { label: 'Kolkata (IST, +5:30)',                   value: 'IST-5:30',                       iana: 'Asia/Kolkata' },
+  { label: 'Bangkok (ICT, +7)',                      value: 'ICT-7',                          iana: 'Asia/Bangkok' },
+  { label: 'Singapore / Beijing (CST, +8)',          value: 'CST-8',                          iana: 'Asia/Shanghai' },
+  { label: 'Tokyo / Seoul (JST, +9)',                value: 'JST-9',                          iana: 'Asia/Tokyo' },
+  { label: 'Sydney (AEST / AEDT)',                   value: 'AEST-10AEDT,M10.1.0,M4.1.0/3',   iana: 'Australia/Sydney' },
+  { label: 'US Eastern (EST / EDT)',                 value: 'EST5EDT,M3.2.0,M11.1.0',         iana: 'America/New_York' },
+  { label: 'US Central (CST / CDT)',                 value: 'CST6CDT,M3.2.0,M11.1.0',         iana: 'America/Chicago' },
+  { label: 'US Mountain (MST / MDT)',                value: 'MST7MDT,M3.2.0,M11.1.0',         iana: 'America/Denver' },
+  { label: 'US Pacific (PST / PDT)',                 value: 'PST8PDT,M3.2.0,M11.1.0',         iana: 'America/Los_Angeles' },
+  { label: 'São Paulo (BRT, -3)',                    value: 'BRT3',                           iana: 'America/Sao_Paulo' },
+];
+
+/**
+ * IANA zone of a device POSIX TZ string, or undefined for a custom string
+ * (callers then fall back to the browser's zone).
+ * @param {string} posix
+ * @returns {string|undefined}
+ */
+export function ianaTimeZoneOf(posix) {
+  return TIMEZONE_OPTIONS.find((o) => o.value === posix)?.iana;
+}
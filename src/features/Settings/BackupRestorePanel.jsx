@@ -0,0 +1,360 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import BackupService, { parseBackup } from '../../services/BackupService.js';
+import {
+  saveSettings, saveDefault, saveTemplates, saveWeekFull,
+  createException, deleteAllExceptions, clearAllScheduleBanners, forgetVersions,
+} from '../Schedule/ScheduleSlice.js';
+import { readFileAsText } from '../../utils/fileDownload.js';
+import useLocale from '../../hooks/useLocale.jsx';
+
+const SECTIONS = ['settings', 'default', 'templates', 'week', 'exceptions'];
+
+function formatCreatedAt(iso) {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? iso : d.toLocaleString();
+}
+
+/** One-line summary of what a backup section contains (preview table). */
+function sectionSummary(section, backup, t, bellWord) {
+  switch (section) {
+    case 'settings':
+      return t('settings.backupSummarySettings', {
+        days: backup.settings.workingDays.length,
+        sec: backup.settings.ringDurationSec,
+      });
+    case 'default':
+      return `${backup.default.bells.length} ${bellWord(backup.default.bells.length)}`;
+    case 'templates':
+      return t('settings.backupSummaryTemplates', {
+        count: backup.templates.filter(Boolean).length,
+        total: backup.templates.length,
+      });
+    case 'week':
+      return t('settings.backupSummaryWeek', {
+        count: backup.week.weekdayPlans.filter((p) => p === -2).length,
+      });
+    case 'exceptions':
+      return t('settings.backupSummaryExceptions', { count: backup.exceptions.length });
+    default:
+      return '';
+  }
+}
+
+/**
+ * Write the selected backup sections through the schedule save thunks.
+ * Sections run in dependency order (templates before the week map and the
+ * exceptions that reference them) and a failure never stops later steps -
+ * every failure is collected and returned so the user sees exactly what is
+ * still missing on the device. The one exception: when clearing the old
+ * exceptions fails, the backup's exceptions are not created on top of them.
+ * A save kept in the offline outbox is not on the device yet, so its
+ * section is reported as queued rather than restored.
+ * @returns {Promise<{ failures: Array, queued: string[] }>}
+ */
+async function restoreBackup(dispatch, backup, selected, replaceExceptions, onProgress) {
+  const failures = [];
+  const queued = new Set();
+  const exceptions = selected.has('exceptions') ? backup.exceptions : [];
+  const steps = SECTIONS.filter((s) => s !== 'exceptions' && selected.has(s));
+  const total = steps.length + exceptions.length
+    + (selected.has('exceptions') && replaceExceptions ? 1 : 0);
+  let done = 0;
+  const tick = () => onProgress({ done: ++done, total });
+
+  const run = async (section, label, thunk) => {
+    let ok = false;
+    try {
+      const result = await dispatch(thunk).unwrap();
+      if (result?.queued) queued.add(section);
+      ok = true;
+    } catch (e) {
+      failures.push({ section, label, message: e?.message || String(e) });
+    }
+    tick();
+    return ok;
+  };
+
+  onProgress({ done, total });
+  // A restore replaces templates and the week map on purpose -no conflict check
+  dispatch(forgetVersions(['templates', 'week']));
+  for (const section of steps) {
+    if (section === 'settings')  await run(section, '', saveSettings(backup.settings));
+    if (section === 'default')   await run(section, '', saveDefault(backup.default.bells));
+    if (section === 'templates') await run(section, '', saveTemplates(backup.templates));
+    if (section === 'week')      await run(section, '', saveWeekFull(backup.week));
+  }
+  if (selected.has('exceptions')) {
+    if (replaceExceptions && !(await run('exceptions', '', deleteAllExceptions()))) {
+      failures.push({ section: 'exceptions', label: '', message: 'settings.restoreExceptionsSkipped' });
+      return { failures, queued: [...queued] };
+    }
+    for (const ex of exceptions) {
+      const label = `${ex.startDate}${ex.endDate !== ex.startDate ? ` – ${ex.endDate}` : ''}`
+        + (ex.label ? ` ${ex.label}` : '');
+      await run('exceptions', label, createException(ex));
+    }
+  }
+  return { failures, queued: [...queued] };
+}
+
+/* ------------------------------------------------------------------ */
+/* BackupRestorePanel                                                  */
+/*                                                                     */
+/* Backup: reads settings, default plan, templates, week map and every */
+/* exception page into one versioned JSON file.                        */
+/* Restore: previews a chosen file, lets the user pick sections, then  */
+/* writes them back with progress and a per-item failure report.       */
+/* ------------------------------------------------------------------ */
+export default function BackupRestorePanel() {
+  const dispatch = useDispatch();
+  const { t, bellWord } = useLocale();
+
+  const [collecting, setCollecting] = useState(false);
+  const [collectStage, setCollectStage] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);          /* { ok, backup } | { ok:false, errorKey } */
+  const [selected, setSelected] = useState(new Set());
+  const [replaceExceptions, setReplaceExceptions] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+  const [progress, setProgress] = useState(null);      /* { done, total } */
+  const [failures, setFailures] = useState(null);
+  const [queuedSections, setQueuedSections] = useState([]);
+  const fileInputRef = useRef(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  /* A half-finished restore leaves the device in a mixed state; warn before
+   * the user navigates away mid-way. */
+  useEffect(() => {
+    if (!restoring) return undefined;
+    const handler = (e) => { e.preventDefault(); e.returnValue = ''; };
+    window.addEventListener('beforeunload', handler);
+    return () => window.removeEventListener('beforeunload', handler);
+  }, [restoring]);
+
+  const handleBackup = async () => {
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setCollecting(true);
+    setError('');
+    setSuccess('');
+    try {
+      const backup = await BackupService.collect(ctrl.signal, setCollectStage);
+      BackupService.download(backup);
+      setSuccess(t('settings.backupDownloaded', { count: backup.exceptions.length }));
+    } catch (e) {
+      if (e.name !== 'AbortError') setError(e.message || String(e));
+    } finally {
+      setCollecting(false);
+      setCollectStage(null);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    setError('');
+    setSuccess('');
+    setFailures(null);
+    setQueuedSections([]);
+    setProgress(null);
+    const f = e.target.files?.[0] || null;
+    setFileName(f?.name || '');
+    if (!f) { setParsed(null); return; }
+    let res;
+    try {
+      res = parseBackup(await readFileAsText(f));
+    } catch (_) {
+      res = { ok: false, errorKey: 'settings.backupErrReadFile' };
+    }
+    setParsed(res);
+    setSelected(res.ok ? new Set(SECTIONS.filter((s) => res.backup[s] != null)) : new Set());
+  };
+
+  const toggleSection = (section) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(section)) next.delete(section); else next.add(section);
+      return next;
+    });
+  };
+
+  const resetFile = () => {
+    setParsed(null);
+    setFileName('');
+    setSelected(new Set());
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleRestore = async () => {
+    if (!parsed?.ok || selected.size === 0) return;
+    if (!window.confirm(t('settings.restoreConfirm'))) return;
+    setRestoring(true);
+    setError('');
+    setSuccess('');
+    setFailures(null);
+    setQueuedSections([]);
+    const result = await restoreBackup(dispatch, parsed.backup, selected, replaceExceptions, setProgress);
+    dispatch(clearAllScheduleBanners());
+    setRestoring(false);
+    setFailures(result.failures);
+    setQueuedSections(result.queued);
+    if (result.failures.length === 0 && result.queued.length === 0) {
+      setSuccess(t('settings.restoreDone'));
+      resetFile();
+    }
+  };
+
+  const backup = parsed?.ok ? parsed.backup : null;
+  const percent = progress?.total ? Math.floor((progress.done * 100) / progress.total) : 0;
+
+  return (
+    <div className="sched-card">
+      <h3>{t('settings.backupTitle')}</h3>
+      <p className="card-desc">{t('settings.backupDesc')}</p>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      {/* Backup ---------------------------------------------------------- */}
+      <div className="settings-section">
+        <h4>{t('settings.backupCreate')}</h4>
+        <p className="card-desc">{t('settings.backupCreateDesc')}</p>
+        <button
+          type="button"
+          className={`save-button${collecting ? ' loading' : ''}`}
+          onClick={handleBackup}
+          disabled={collecting || restoring}
+        >
+          {collecting ? t('settings.backupCollecting') : t('settings.backupDownload')}
+        </button>
+        {collectStage && (
+          <p className="card-desc" style={{ marginTop: 8 }}>
+            {collectStage.stage === 'exceptions'
+              ? t('settings.backupStageExceptions', { done: collectStage.done, total: collectStage.total })
+              : t(`settings.backupStage_${collectStage.stage}`)}
+          </p>
+        )}
+      </div>
+
+      {/* Restore --------------------------------------------------------- */}
+      <div className="settings-section" style={{ borderBottom: 'none', marginBottom: 0 }}>
+        <h4>{t('settings.restoreTitle')}</h4>
+        <p className="card-desc">{t('settings.restoreDesc')}</p>
+
+        <div className="settings-row" style={{ marginTop: 8 }}>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            disabled={restoring || collecting}
+            style={{ flex: 1 }}
+            onChange={handleFileChange}
+          />
+        </div>
+
+        {parsed && !parsed.ok && (
+          <div className="error-message" style={{ marginTop: 8 }}>
+            {t(parsed.errorKey, parsed.params?.section
+              ? { section: t(`settings.backupSection_${parsed.params.section}`) }
+              : parsed.params)}
+          </div>
+        )}
+
+        {backup && (
+          <div className="backup-preview">
+            <p className="card-desc">
+              <strong>{fileName}</strong> · {t('settings.backupCreatedAt')}: {formatCreatedAt(backup.createdAt)}
+            </p>
+            <ul className="backup-sections">
+              {SECTIONS.map((section) => {
+                const present = backup[section] != null;
+                return (
+                  <li key={section} className={present ? '' : 'backup-section-missing'}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={selected.has(section)}
+                        disabled={!present || restoring}
+                        onChange={() => toggleSection(section)}
+                      />
+                      <span className="backup-section-name">{t(`settings.backupSection_${section}`)}</span>
+                    </label>
+                    <span className="backup-section-summary">
+                      {present ? sectionSummary(section, backup, t, bellWord) : t('settings.backupSectionMissing')}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+            {selected.has('exceptions') && (
+              <label className="backup-option">
+                <input
+                  type="checkbox"
+                  checked={replaceExceptions}
+                  disabled={restoring}
+                  onChange={(e) => setReplaceExceptions(e.target.checked)}
+                />
+                {t('settings.restoreReplaceExceptions')}
+              </label>
+            )}
+          </div>
+        )}
+
+        {progress && (restoring || failures?.length > 0) && (
+          <div className="fw-progress" style={{ marginTop: 12 }}>
+            <div className="fw-progress-bar">
+              <div className="fw-progress-fill" style={{ width: `${percent}%` }} />
+            </div>
+            <span className="fw-progress-label">{progress.done}/{progress.total}</span>
+          </div>
+        )}
+
+        {queuedSections.length > 0 && (
+          <div className="info-banner" style={{ marginTop: 12 }}>
+            {t('settings.restoreQueued', {
+              sections: queuedSections.map((section) => t(`settings.backupSection_${section}`)).join(', '),
+            })}
+          </div>
+        )}
+
+        {failures?.length > 0 && (
+          <div className="error-message backup-failures" style={{ marginTop: 12 }}>
+            <strong>
+              {t(queuedSections.length > 0 ? 'settings.restoreFailed' : 'settings.restorePartial',
+                { failed: failures.length, total: progress?.total ?? 0 })}
+            </strong>
+            <ul>
+              {failures.map((f, i) => (
+                <li key={i}>
+                  {t(`settings.backupSection_${f.section}`)}
+                  {f.label && <> · {f.label}</>}: {t(f.message)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {backup && (
+          <div style={{ display: 'flex', gap: 8, marginTop: 16 }}>
+            <button
+              type="button"
+              className={`save-button danger-btn action-btn${restoring ? ' loading' : ''}`}
+              onClick={handleRestore}
+              disabled={restoring || collecting || selected.size === 0}
+            >
+              {restoring ? t('settings.restoreRunning') : t('settings.restoreApply')}
+            </button>
+            <button type="button" className="refresh-btn" onClick={resetFile} disabled={restoring}>
+              {t('schedule.cancel')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
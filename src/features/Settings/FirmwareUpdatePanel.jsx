@@ -1,8 +1,9 @@
 import React, { useCallback, useEffect, useRef, useState } from 'react';
-import { useSelector } from 'react-redux';
+import { useDispatch } from 'react-redux';
 import FirmwareService from '../../services/FirmwareService.js';
-import HttpClient from '../../utils/HttpClient.js';
+import { watchDeviceRestart } from '../DeviceRestart/DeviceRestartSlice.js';
 import useLocale from '../../hooks/useLocale.jsx';
+import useCan from '../../hooks/useCan.js';
 
 /* ------------------------------------------------------------------------- */
 /* Constants                                                                  */
@@ -93,21 +94,22 @@ async function preflightBundle(file) {
 /*   2. Validate the file CLIENT-SIDE before upload (magic, header, size).    */
 /*   3. Show a prominent danger warning explaining what will happen.          */
 /*   4. POST the binary body to /api/system/update with progress.             */
-/*   5. Poll /api/health until the device returns, then reload.               */
+/*   5. Hand over to the device-restart overlay, which reloads the page once  */
+/*      the device is back on the new firmware.                               */
 /* The rollback action is intentionally NOT exposed in the UI -the           */
 /* bootloader handles automatic rollback when a new firmware fails to start.  */
 /* ------------------------------------------------------------------------- */
 export default function FirmwareUpdatePanel({ initialInfo = null, autoLoad = true, loadInfo = null }) {
+  const dispatch = useDispatch();
   const { t } = useLocale();
-  const user = useSelector((s) => s.auth.user);
-  const isService = user?.role === 'service';
+  const canUpdate = useCan()('firmware.update');
 
   const [info, setInfo]                 = useState(null);
   const [loading, setLoading]           = useState(true);
   const [error, setError]               = useState('');
   const [busy, setBusy]                 = useState(false);
   const [progress, setProgress]         = useState(0);
-  const [phase, setPhase]               = useState('idle'); /* idle | uploading | rebooting | waiting | done */
+  const [phase, setPhase]               = useState('idle'); /* idle | uploading */
   const [file, setFile]                 = useState(null);
   const [preflight, setPreflight]       = useState(null);   /* { ok, fwVersion, ... } | { ok:false, errorKey } */
   const fileInputRef                    = useRef(null);
@@ -139,7 +141,7 @@ export default function FirmwareUpdatePanel({ initialInfo = null, autoLoad = tru
    * not actually cancel the upload on the server, but would lose the UI
    * progress and make recovery confusing. */
   useEffect(() => {
-    if (phase !== 'uploading' && phase !== 'rebooting' && phase !== 'waiting') return;
+    if (phase !== 'uploading') return;
     const handler = (e) => { e.preventDefault(); e.returnValue = ''; };
     window.addEventListener('beforeunload', handler);
     return () => window.removeEventListener('beforeunload', handler);
@@ -155,58 +157,6 @@ export default function FirmwareUpdatePanel({ initialInfo = null, autoLoad = tru
     setPreflight(res);
   };
 
-  /* Watchdog for the post-reboot recovery phase.
-   * Require the device to actually go offline once before treating a
-   * successful /api/health as "back after reboot". Otherwise a missed
-   * backend reboot (commit without restart) looks like success. */
-  const waitForReboot = useCallback(async (rebootInMs = 1500) => {
-    setPhase('rebooting');
-    const settleMs = Math.max(500, Number(rebootInMs) || 1500) + 500;
-    await new Promise((r) => setTimeout(r, settleMs));
-    setPhase('waiting');
-
-    const deadline = Date.now() + 90 * 1000;
-    let sawDown = false;
-    let consecutiveOk = 0;
-
-    while (Date.now() < deadline) {
-      try {
-        const r = await HttpClient.get('/api/health', {
-          cache: 'no-store',
-          skipAuth: true,
-          priority: 'critical',
-          deduplicate: false,
-        });
-        if (r.ok) {
-          if (sawDown) {
-            consecutiveOk += 1;
-            if (consecutiveOk >= 2) {
-              setPhase('done');
-              /* Force a hard reload so the new bundle is fetched and the session
-               * (which was lost across the reboot) is re-acquired via login. */
-              setTimeout(() => window.location.reload(), 1200);
-              return;
-            }
-          } else {
-            consecutiveOk = 0;
-          }
-        } else {
-          sawDown = true;
-          consecutiveOk = 0;
-        }
-      } catch (_) {
-        sawDown = true;
-        consecutiveOk = 0;
-      }
-      await new Promise((r) => setTimeout(r, 2000));
-    }
-
-    setError(sawDown
-      ? t('settings.fwRebootTimeout')
-      : t('settings.fwRebootDidNotStart'));
-    setPhase('idle');
-  }, [t]);
-
   const handleUpload = async () => {
     if (!file || !preflight?.ok) return;
     if (!window.confirm(
@@ -222,7 +172,12 @@ export default function FirmwareUpdatePanel({ initialInfo = null, autoLoad = tru
     setPhase('uploading');
     try {
       const result = await FirmwareService.uploadBundle(file, (p) => setProgress(p.percent));
-      await waitForReboot(result?.reboot_in_ms || 1500);
+      setPhase('idle');
+      /* Settle past the announced reboot before probing /api/health */
+      await dispatch(watchDeviceRestart({
+        reason: 'firmware',
+        settleMs: Math.max(500, Number(result?.reboot_in_ms) || 1500) + 500,
+      }));
     } catch (e) {
       setError(e.message || String(e));
       setPhase('idle');
@@ -240,8 +195,7 @@ export default function FirmwareUpdatePanel({ initialInfo = null, autoLoad = tru
     } catch (e) { setError(e.message || String(e)); }
   };
 
-  /* Only the service role may upload firmware. */
-  if (!isService) return null;
+  if (!canUpdate) return null;
 
   const isPending           = !!info?.pending_verify;
   const preflightOK         = preflight?.ok === true;
@@ -355,20 +309,6 @@ export default function FirmwareUpdatePanel({ initialInfo = null, autoLoad = tru
           </div>
         )}
 
-        {(phase === 'rebooting' || phase === 'waiting') && (
-          <div className="system-action-item" style={{ marginTop: 12 }}>
-            <p className="card-desc" style={{ margin: 0 }}>
-              {phase === 'rebooting' ? t('settings.fwRebooting') : t('settings.fwWaitingOnline')}
-            </p>
-          </div>
-        )}
-
-        {phase === 'done' && (
-          <div className="success-message" style={{ marginTop: 12 }}>
-            {t('settings.fwDone')}
-          </div>
-        )}
-
         {!isPending && (
           <div style={{ display: 'flex', gap: 8, marginTop: 16 }}>
             <button
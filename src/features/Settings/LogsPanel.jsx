@@ -1,7 +1,7 @@
 import React, { useCallback, useEffect, useState } from 'react';
-import { useSelector } from 'react-redux';
 import LogsService from '../../services/LogsService.js';
 import useLocale from '../../hooks/useLocale.jsx';
+import useCan from '../../hooks/useCan.js';
 
 function formatBytes(n) {
   if (n == null) return '—';
@@ -11,8 +11,7 @@ function formatBytes(n) {
 
 export default function LogsPanel() {
   const { t } = useLocale();
-  const user = useSelector((s) => s.auth.user);
-  const isService = user?.role === 'service';
+  const canRead = useCan()('logs.read');
 
   const [info, setInfo] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -33,10 +32,10 @@ export default function LogsPanel() {
   }, []);
 
   useEffect(() => {
-    if (isService) refresh();
-  }, [isService, refresh]);
+    if (canRead) refresh();
+  }, [canRead, refresh]);
 
-  if (!isService) return null;
+  if (!canRead) return null;
 
   const handleDownload = async () => {
     setBusy(true);
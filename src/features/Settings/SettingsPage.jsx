@@ -11,6 +11,7 @@ import {
 } from './SettingsSlice.js';
 import useLocale from '../../hooks/useLocale.jsx';
 import useScrollIntoViewWhen from '../../hooks/useScrollIntoViewWhen.js';
+import useCan from '../../hooks/useCan.js';
 import GeneralTab from './subtabs/GeneralTab.jsx';
 import SoftwareTab from './subtabs/SoftwareTab.jsx';
 import UsersTab from './subtabs/UsersTab.jsx';
@@ -18,7 +19,8 @@ import SecurityTab from './subtabs/SecurityTab.jsx';
 import SystemTab from './subtabs/SystemTab.jsx';
 
 const ALL_SUBTABS = ['general', 'software', 'users', 'security', 'system'];
-const CLIENT_SUBTABS = ['general', 'software', 'security', 'system'];
+/** Sub-tabs shown only with a capability (features/Auth/capabilities.js). */
+const SUBTAB_CAPABILITY = { users: 'credentials.manage' };
 
 export default function SettingsPage() {
   const dispatch = useDispatch();
@@ -27,12 +29,11 @@ export default function SettingsPage() {
   const scheduleError = useSelector((s) => s.schedule.error);
   const saveSuccess = useSelector((s) => s.schedule.saveSuccess);
   const { error, actionSuccess, resources } = useSelector((s) => s.settings);
-  const user = useSelector((s) => s.auth.user);
-  const isService = user?.role === 'service';
+  const can = useCan();
 
   const subtabs = useMemo(
-    () => (isService ? ALL_SUBTABS : CLIENT_SUBTABS),
-    [isService],
+    () => ALL_SUBTABS.filter((id) => !SUBTAB_CAPABILITY[id] || can(SUBTAB_CAPABILITY[id])),
+    [can],
   );
   const [activeSubTab, setActiveSubTab] = useState('general');
 
@@ -100,7 +101,7 @@ export default function SettingsPage() {
         <div ref={statusBannerRef} className="status-banner-anchor">
           {combinedError && (
             <div className="error-message">
-              {combinedError}
+              {t(combinedError)}
               <button
                 type="button"
                 className="error-dismiss"
@@ -110,7 +111,7 @@ export default function SettingsPage() {
               </button>
             </div>
           )}
-          {saveSuccess && <div className="success-message">{t('settings.settingsSaved')}</div>}
+          {saveSuccess && <div className="success-message">{t(saveSuccess === 'queued' ? 'schedule.savedQueued' : 'settings.settingsSaved')}</div>}
           {actionSuccess && <div className="success-message">{actionSuccess}</div>}
         </div>
       )}
@@ -3,6 +3,8 @@ import ScheduleService from '../../services/ScheduleService.js';
 import CredentialService from '../../services/CredentialService.js';
 import httpRequestAgent from '../../utils/HttpRequestAgent.js';
 import { API_CONFIG } from '../../config/apiConfig.js';
+import { startSetup } from '../Setup/SetupSlice.js';
+import { requireCapability } from '../Auth/capabilities.js';
 
 export const fetchSettingsCore = createAsyncThunk(
   'settings/fetchSettingsCore',
@@ -36,43 +38,47 @@ export const fetchSystemInfo = createAsyncThunk(
   async (_, { signal }) => ScheduleService.getSystemInfo(signal)
 );
 
-export const testBell = createAsyncThunk(
+export const testBell = requireCapability('bell.test', createAsyncThunk(
   'settings/testBell',
   async (durationSec) => ScheduleService.testBell(durationSec)
-);
+));
 
-export const rebootDevice = createAsyncThunk(
+export const rebootDevice = requireCapability('system.reboot', createAsyncThunk(
   'settings/rebootDevice',
   async () => ScheduleService.reboot()
-);
+));
 
-export const factoryReset = createAsyncThunk(
+export const factoryReset = requireCapability('system.factoryReset', createAsyncThunk(
   'settings/factoryReset',
-  async () => ScheduleService.factoryReset()
-);
+  async (_, { dispatch }) => {
+    const result = await ScheduleService.factoryReset();
+    dispatch(startSetup('factoryReset'));
+    return result;
+  }
+));
 
-export const syncTime = createAsyncThunk(
+export const syncTime = requireCapability('system.syncTime', createAsyncThunk(
   'settings/syncTime',
   async () => ScheduleService.syncTime()
-);
+));
 
-export const savePin = createAsyncThunk(
+export const savePin = requireCapability('pin.write', createAsyncThunk(
   'settings/savePin',
   async (pin) => {
     /* Response is status-only; never echo or retain the PIN client-side. */
     await httpRequestAgent.post(API_CONFIG.ENDPOINTS.SYSTEM_PIN, { pin });
     return true;
   }
-);
+));
 
-export const fetchCredentials = createAsyncThunk(
+export const fetchCredentials = requireCapability('credentials.manage', createAsyncThunk(
   'settings/fetchCredentials',
   async () => {
     return CredentialService.getCredentials();
   }
-);
+));
 
-export const saveCredentials = createAsyncThunk(
+export const saveCredentials = requireCapability('credentials.manage', createAsyncThunk(
   'settings/saveCredentials',
   async ({ username, password }, { rejectWithValue }) => {
     try {
@@ -81,9 +87,9 @@ export const saveCredentials = createAsyncThunk(
       return rejectWithValue(err.message || 'Failed to save credentials');
     }
   }
-);
+));
 
-export const deleteCredentials = createAsyncThunk(
+export const deleteCredentials = requireCapability('credentials.manage', createAsyncThunk(
   'settings/deleteCredentials',
   async (_, { rejectWithValue }) => {
     try {
@@ -92,7 +98,7 @@ export const deleteCredentials = createAsyncThunk(
       return rejectWithValue(err.message || 'Failed to delete credentials');
     }
   }
-);
+));
 
 const settingsSlice = createSlice({
   name: 'settings',
@@ -187,8 +193,8 @@ const settingsSlice = createSlice({
       })
       .addCase(rebootDevice.pending, (state) => { state.rebooting = true; })
       .addCase(rebootDevice.fulfilled, (state) => {
-        state.rebooting = true;
-        state.actionSuccess = 'Device is rebooting… You will be redirected to login shortly.';
+        // The device-restart overlay takes over from here
+        state.rebooting = false;
       })
       .addCase(rebootDevice.rejected, (state, { error }) => {
         state.rebooting = false;
@@ -197,7 +203,7 @@ const settingsSlice = createSlice({
       .addCase(factoryReset.pending, (state) => { state.resetting = true; })
       .addCase(factoryReset.fulfilled, (state) => {
         state.resetting = false;
-        state.actionSuccess = 'Factory defaults restored. Reload the page to see changes.';
+        state.actionSuccess = 'Factory defaults restored.';
       })
       .addCase(factoryReset.rejected, (state, { error }) => {
         state.resetting = false;
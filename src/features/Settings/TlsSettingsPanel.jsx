@@ -2,14 +2,17 @@
  * TlsSettingsPanel.jsx
  *
  * Displays TLS certificate status and allows service-role admins to:
- *  • Switch web server mode (HTTP / HTTPS) and save → auto-restart
+ *  • Switch web server mode (HTTP / HTTPS) and save → auto-restart, followed
+ *    by the device-restart overlay onto the new address
  *  • Regenerate the self-signed certificate
  *  • Upload a custom PEM certificate + private key
  */
 import React, { useEffect, useState, useCallback, useRef } from 'react';
-import { useSelector } from 'react-redux';
+import { useDispatch } from 'react-redux';
 import TlsService from '../../services/TlsService.js';
+import { watchDeviceRestart } from '../DeviceRestart/DeviceRestartSlice.js';
 import useLocale from '../../hooks/useLocale.jsx';
+import useCan from '../../hooks/useCan.js';
 
 /** Format a fingerprint string: keep first 8 chars + "..." + last 8 chars */
 function truncateFp(fp) {
@@ -52,9 +55,9 @@ export default function TlsSettingsPanel({
   loadStatusOverride = null,
   enableFocusRefresh = true,
 }) {
+  const dispatch = useDispatch();
   const { t } = useLocale();
-  const user = useSelector((s) => s.auth.user);
-  const isService = user?.role === 'service';
+  const canWrite = useCan()('tls.write');
 
   const [status, setStatus]           = useState(null);
   const [loading, setLoading]         = useState(false);
@@ -131,15 +134,13 @@ export default function TlsSettingsPanel({
     setError(null);
     try {
       await TlsService.setMode(selectedMode);
-      showToast(t('settings.tlsModeSaved').replace('{mode}', selectedMode.toUpperCase()));
-      setTimeout(() => {
-        const proto = selectedMode === 'https' ? 'https:' : 'http:';
-        window.location.assign(window.location.href.replace(/^https?:/, proto));
-      }, 5000);
     } catch (e) {
       setError(e.message || t('settings.tlsModeFailed'));
       setSavingMode(false);
+      return;
     }
+    await dispatch(watchDeviceRestart({ reason: 'tlsMode', scheme: selectedMode }));
+    setSavingMode(false);
   };
 
   const handleRegenerate = async () => {
@@ -152,10 +153,8 @@ export default function TlsSettingsPanel({
       const needRestart = res?.restart_required === true;
 
       if (needRestart) {
-        showToast(t('settings.tlsRegenRestart'));
-        setTimeout(() => {
-          window.location.assign(window.location.href.replace(/^https?:/, 'https:'));
-        }, 8000);
+        await dispatch(watchDeviceRestart({ reason: 'tlsCertificate' }));
+        setRegenerating(false);
       } else {
         showToast(t('settings.tlsRegenStored'));
         await loadStatus();
@@ -196,10 +195,7 @@ export default function TlsSettingsPanel({
       setCertFile(null); setKeyFile(null);
 
       if (needRestart) {
-        showToast(t('settings.tlsUploadRestart'));
-        setTimeout(() => {
-          window.location.assign(window.location.href.replace(/^https?:/, 'https:'));
-        }, 8000);
+        await dispatch(watchDeviceRestart({ reason: 'tlsCertificate' }));
       } else {
         showToast(t('settings.tlsUploadStored'));
         await loadStatus();
@@ -243,7 +239,7 @@ export default function TlsSettingsPanel({
 
       {loading && !status && <p>{t('settings.tlsLoading')}</p>}
 
-      {isService && status && (
+      {canWrite && status && (
         <div style={{ marginBottom: 20 }}>
           <div className="form-group">
             <label className="form-label">{t('settings.tlsWebMode')}</label>
@@ -361,7 +357,7 @@ export default function TlsSettingsPanel({
         </div>
       )}
 
-      {isService && (
+      {canWrite && (
         <div style={{ marginTop: 16, display: 'flex', gap: 8, flexWrap: 'wrap' }}>
           <button
             type="button"
@@ -0,0 +1,318 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import WifiService from '../../services/WifiService.js';
+import useLocale from '../../hooks/useLocale.jsx';
+import {
+  credentialsIssue, groupNetworks, isJoined, normalizeBssid, signalLevel,
+} from './wifiNetworks.js';
+
+const EMPTY_MANUAL = { ssid: '', password: '', bssid: '' };
+
+function SignalIcon({ rssi }) {
+  const level = signalLevel(rssi);
+  return (
+    <span className="signal-icon" title={rssi != null ? `${rssi} dBm` : undefined} aria-hidden="true">
+      {[0, 1, 2, 3].map((i) => (
+        <span key={i} className={`signal-bar-segment${i < level ? ' active' : ''}`} data-level={level} />
+      ))}
+    </span>
+  );
+}
+
+/**
+ * WifiPanel -scan for networks, pick one (optionally pinning an access
+ * point by BSSID), send the credentials and follow /api/status until the
+ * device reports it has joined. Rendered in Settings → System and, with
+ * `onBack`, on the login screen for first-time setup.
+ */
+export default function WifiPanel({ onBack }) {
+  const { t } = useLocale();
+
+  const [status, setStatus] = useState(null);
+  const [networks, setNetworks] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [form, setForm] = useState({ password: '', bssid: '' });
+  const [manualOpen, setManualOpen] = useState(false);
+  const [manual, setManual] = useState(EMPTY_MANUAL);
+  const [formIssue, setFormIssue] = useState(null);
+  const [phase, setPhase] = useState('idle'); // 'idle' | 'saving' | 'waiting' | 'joined' | 'timeout'
+  const [target, setTarget] = useState(null);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+
+  const refreshStatus = useCallback(async () => {
+    try {
+      setStatus(await WifiService.getStatus());
+    } catch (_) {
+      setStatus(null);
+    }
+  }, []);
+
+  const scan = useCallback(async () => {
+    setScanning(true);
+    setError('');
+    try {
+      setNetworks(groupNetworks(await WifiService.scan()));
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setScanning(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshStatus();
+    if (onBack) scan();
+    return () => abortRef.current?.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const busy = phase === 'saving' || phase === 'waiting';
+  const currentSsid = status?.wifi?.connected ? status.wifi.ssid : null;
+
+  const toggleNetwork = (ssid) => {
+    setExpanded((prev) => (prev === ssid ? null : ssid));
+    setForm({ password: '', bssid: '' });
+    setFormIssue(null);
+  };
+
+  const connect = async (creds, { secured }) => {
+    const issue = credentialsIssue(creds, { secured });
+    setFormIssue(issue);
+    if (issue) return;
+    if (!window.confirm(t('settings.wifiConnectConfirm', { ssid: creds.ssid }))) return;
+
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const next = { ssid: creds.ssid, bssid: normalizeBssid(creds.bssid) };
+    setTarget(next);
+    setError('');
+    setPhase('saving');
+    try {
+      await WifiService.saveCredentials({ ...next, password: creds.password }, controller.signal);
+    } catch (e) {
+      if (e.name === 'AbortError') return;
+      setError(e.message || String(e));
+      setPhase('idle');
+      return;
+    }
+
+    setPhase('waiting');
+    try {
+      const joined = await WifiService.waitForStatus((s) => isJoined(s, next), { signal: controller.signal });
+      if (joined) {
+        setStatus(joined);
+        setPhase('joined');
+      } else {
+        setPhase('timeout');
+      }
+    } catch (e) {
+      if (e.name !== 'AbortError') setPhase('timeout');
+    }
+  };
+
+  const handleDone = () => {
+    setPhase('idle');
+    setExpanded(null);
+    setManual(EMPTY_MANUAL);
+    setManualOpen(false);
+    refreshStatus();
+  };
+
+  const apLabel = (ap) => [
+    ap.bssid,
+    ap.rssi != null ? `${ap.rssi} dBm` : null,
+    ap.channel ? t('settings.wifiChannel', { n: ap.channel }) : null,
+  ].filter(Boolean).join(' · ');
+
+  const renderNetwork = (net) => {
+    const open = expanded === net.ssid;
+    const pinnable = net.aps.filter((ap) => ap.bssid);
+    return (
+      <div key={net.ssid} className={`network-item${open ? ' expanded' : ''}`}>
+        <div
+          className="network-item-header"
+          role="button"
+          tabIndex={0}
+          aria-expanded={open}
+          onClick={() => toggleNetwork(net.ssid)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); toggleNetwork(net.ssid); }
+          }}
+        >
+          <span className="network-ssid">
+            {net.ssid}
+            {net.ssid === currentSsid && <span className="network-current"> · {t('settings.wifiCurrent')}</span>}
+          </span>
+          <span className="network-info">
+            {net.channel && <span className="network-channel">{t('settings.wifiChannel', { n: net.channel })}</span>}
+            <span className="network-channel">
+              {net.secured ? (net.security || t('settings.wifiSecured')) : t('settings.wifiOpen')}
+            </span>
+            {net.secured && <span className="lock-icon" aria-hidden="true">🔒</span>}
+            <SignalIcon rssi={net.rssi} />
+            <span className="network-channel">{net.rssi != null ? `${net.rssi} dBm` : ''}</span>
+            <span className="expand-arrow">{open ? '▲' : '▼'}</span>
+          </span>
+        </div>
+        {open && (
+          <form
+            className="network-item-body"
+            autoComplete="off"
+            onSubmit={(e) => {
+              e.preventDefault();
+              connect({ ssid: net.ssid, ...form }, { secured: net.secured });
+            }}
+          >
+            {net.secured && (
+              <div className="form-group">
+                <label className="form-label" htmlFor="wifi-password">{t('settings.wifiPassword')}</label>
+                <input
+                  id="wifi-password"
+                  type="password"
+                  className="form-input"
+                  value={form.password}
+                  onChange={(e) => setForm((f) => ({ ...f, password: e.target.value }))}
+                  placeholder={t('settings.wifiPasswordPlaceholder')}
+                  maxLength={64}
+                  disabled={busy}
+                />
+              </div>
+            )}
+            {pinnable.length > 0 && (
+              <div className="form-group">
+                <label className="form-label" htmlFor="wifi-ap">{t('settings.wifiAccessPoint')}</label>
+                <select
+                  id="wifi-ap"
+                  className="form-select"
+                  value={form.bssid}
+                  onChange={(e) => setForm((f) => ({ ...f, bssid: e.target.value }))}
+                  disabled={busy}
+                >
+                  <option value="">{t('settings.wifiAnyAp')}</option>
+                  {pinnable.map((ap) => (
+                    <option key={ap.bssid} value={ap.bssid}>{apLabel(ap)}</option>
+                  ))}
+                </select>
+                <p className="wifi-band-note">{t('settings.wifiPinHint')}</p>
+              </div>
+            )}
+            {formIssue && <div className="field-error">{t(formIssue)}</div>}
+            <button type="submit" className="save-button network-connect-btn" disabled={busy}>
+              {t('settings.wifiConnect')}
+            </button>
+          </form>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="sched-card wifi-panel">
+      {onBack && (
+        <button type="button" className="login-back-button" onClick={onBack} disabled={busy}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+            <polyline points="15 18 9 12 15 6" />
+          </svg>
+          {t('auth.backToLogin')}
+        </button>
+      )}
+      <h3>{t('settings.wifiTitle')}</h3>
+      <p className="card-desc">{t('settings.wifiDesc')}</p>
+
+      <p className="wifi-ap-info">
+        {status == null
+          ? t('settings.wifiStatusUnknown')
+          : currentSsid
+            ? t('settings.wifiConnectedTo', { ssid: currentSsid, rssi: status.wifi.rssi ?? '—' })
+            : t('settings.wifiNotConnected')}
+      </p>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button type="button" className="error-dismiss" onClick={() => setError('')}>×</button>
+        </div>
+      )}
+
+      {phase === 'saving' || phase === 'waiting' ? (
+        <div className="wifi-progress" role="status">
+          <div className="loading-spinner" />
+          <span>
+            {phase === 'saving'
+              ? t('settings.wifiSaving')
+              : t('settings.wifiWaiting', { ssid: target?.ssid })}
+          </span>
+        </div>
+      ) : phase === 'joined' ? (
+        <div className="success-banner">
+          <p>{t('settings.wifiJoined', { ssid: target?.ssid })}</p>
+          <p>
+            <button type="button" className="save-button" onClick={handleDone}>{t('settings.wifiDone')}</button>
+          </p>
+        </div>
+      ) : (
+        <>
+          {phase === 'timeout' && (
+            <div className="error-message">
+              {t('settings.wifiTimeout', { ssid: target?.ssid })}
+              <button type="button" className="error-dismiss" onClick={() => setPhase('idle')}>×</button>
+            </div>
+          )}
+
+          <div className="wifi-scan-bar">
+            <h4 className="wifi-section-title">{t('settings.wifiNetworks')}</h4>
+            <button type="button" className="secondary-btn" onClick={scan} disabled={scanning}>
+              {scanning ? t('settings.wifiScanning') : t('settings.wifiScan')}
+            </button>
+          </div>
+          <p className="wifi-band-note">{t('settings.wifiBandNote')}</p>
+
+          {networks && networks.length === 0 && !scanning && (
+            <p className="card-desc">{t('settings.wifiNoNetworks')}</p>
+          )}
+          {networks && networks.length > 0 && (
+            <div className="network-list">{networks.map(renderNetwork)}</div>
+          )}
+
+          <button
+            type="button"
+            className="manual-entry-toggle"
+            onClick={() => { setManualOpen((v) => !v); setFormIssue(null); setExpanded(null); }}
+            aria-expanded={manualOpen}
+          >
+            {manualOpen ? t('settings.wifiManualHide') : t('settings.wifiManual')}
+          </button>
+          {manualOpen && (
+            <form
+              className="manual-entry-form"
+              autoComplete="off"
+              onSubmit={(e) => { e.preventDefault(); connect(manual, { secured: false }); }}
+            >
+              <div className="form-group">
+                <label className="form-label" htmlFor="wifi-manual-ssid">{t('settings.wifiSsid')}</label>
+                <input id="wifi-manual-ssid" type="text" className="form-input" maxLength={32}
+                  value={manual.ssid} onChange={(e) => setManual((m) => ({ ...m, ssid: e.target.value }))} />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="wifi-manual-password">{t('settings.wifiPassword')}</label>
+                <input id="wifi-manual-password" type="password" className="form-input" maxLength={64}
+                  placeholder={t('settings.wifiManualPasswordPlaceholder')}
+                  value={manual.password} onChange={(e) => setManual((m) => ({ ...m, password: e.target.value }))} />
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="wifi-manual-bssid">{t('settings.wifiBssid')}</label>
+                <input id="wifi-manual-bssid" type="text" className="form-input" maxLength={17}
+                  placeholder="AA:BB:CC:DD:EE:FF"
+                  value={manual.bssid} onChange={(e) => setManual((m) => ({ ...m, bssid: e.target.value }))} />
+              </div>
+              {formIssue && <div className="field-error">{t(formIssue)}</div>}
+              <button type="submit" className="save-button">{t('settings.wifiConnect')}</button>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
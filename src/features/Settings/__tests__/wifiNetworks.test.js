@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  credentialsIssue, groupNetworks, isJoined, normalizeBssid, signalLevel,
+} from '../wifiNetworks.js';
+
+test('scan results group by SSID with access points strongest first', () => {
+  const groups = groupNetworks([
+    { ssid: 'School', rssi: -70, secured: true, bssid: 'aa-bb-cc-dd-ee-01', channel: 1, auth: 'WPA2_PSK' },
+    { ssid: '', rssi: -40, secured: true, bssid: 'AA:BB:CC:DD:EE:09' },
+    { ssid: 'Guest', rssi: -60, secured: false, bssid: 'AA:BB:CC:DD:EE:05', channel: 11 },
+    { ssid: 'School', rssi: -50, secured: true, bssid: 'AA:BB:CC:DD:EE:02', channel: 6, auth: 'WPA2_PSK' },
+    { ssid: 'School', rssi: -52, secured: true, bssid: 'AA:BB:CC:DD:EE:02', channel: 6 },
+  ]);
+  assert.deepEqual(groups.map((g) => g.ssid), ['School', 'Guest']);
+  assert.deepEqual(groups[0].aps.map((ap) => ap.bssid), ['AA:BB:CC:DD:EE:02', 'AA:BB:CC:DD:EE:01']);
+  assert.equal(groups[0].channel, 6);
+  assert.equal(groups[0].security, 'WPA2-PSK');
+  assert.equal(groups[1].secured, false);
+});
+
+test('signal levels and BSSIDs are normalised', () => {
+  assert.deepEqual([-45, -60, -70, -85, null].map(signalLevel), [4, 3, 2, 1, 0]);
+  assert.equal(normalizeBssid(' aa-bb-cc-dd-ee-ff '), 'AA:BB:CC:DD:EE:FF');
+  assert.equal(normalizeBssid('AA:BB:CC:DD:EE'), null);
+});
+
+test('credentials follow WPA passphrase rules', () => {
+  assert.equal(credentialsIssue({ ssid: ' ', password: 'secret123' }), 'settings.wifiErrSsid');
+  assert.equal(credentialsIssue({ ssid: 'School', password: 'short' }), 'settings.wifiErrPassword');
+  assert.equal(credentialsIssue({ ssid: 'School', password: 'z'.repeat(64) }), 'settings.wifiErrPassword');
+  assert.equal(credentialsIssue({ ssid: 'School', password: 'ab'.repeat(32) }), null);
+  assert.equal(credentialsIssue({ ssid: 'Guest', password: '' }, { secured: false }), null);
+  assert.equal(credentialsIssue({ ssid: 'School', password: 'secret123', bssid: 'nope' }), 'settings.wifiErrBssid');
+});
+
+test('the device counts as joined only on the requested network and access point', () => {
+  const status = { wifi: { connected: true, ssid: 'School', rssi: -50, bssid: 'aa:bb:cc:dd:ee:02' } };
+  assert.equal(isJoined(status, { ssid: 'School' }), true);
+  assert.equal(isJoined(status, { ssid: 'School', bssid: 'AA:BB:CC:DD:EE:02' }), true);
+  assert.equal(isJoined(status, { ssid: 'School', bssid: 'AA:BB:CC:DD:EE:01' }), false);
+  assert.equal(isJoined({ wifi: { connected: false, ssid: 'School' } }, { ssid: 'School' }), false);
+  assert.equal(isJoined(null, { ssid: 'School' }), false);
+});
@@ -1,10 +1,11 @@
 import React from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
-  saveSettings,
+  saveSettings, updateLintConfig,
   setWorkingDays, setTimezone, setRingDurationSec,
 } from '../../Schedule/ScheduleSlice.js';
 import TimezonePicker from '../../Schedule/TimezonePicker.jsx';
+import TimePicker24 from '../../Schedule/components/TimePicker24.jsx';
 import useLocale from '../../../hooks/useLocale.jsx';
 
 const ORDERED_DAYS = [1, 2, 3, 4, 5, 6, 0];
@@ -12,9 +13,12 @@ const ORDERED_DAYS = [1, 2, 3, 4, 5, 6, 0];
 export default function GeneralTab() {
   const dispatch = useDispatch();
   const { t } = useLocale();
-  const { timezone, workingDays, ringDurationSec, saving: savingSchedule } =
+  const { timezone, workingDays, ringDurationSec, lint, saving: savingSchedule } =
     useSelector((s) => s.schedule);
 
+  const toTime = (mins) => ({ hour: Math.floor(mins / 60), minute: mins % 60 });
+  const fromTime = ({ hour, minute }) => hour * 60 + minute;
+
   const toggleDay = (d) => {
     const next = workingDays.includes(d)
       ? workingDays.filter((x) => x !== d)
@@ -94,6 +98,39 @@ export default function GeneralTab() {
         </div>
       </div>
 
+      <div className="settings-section">
+        <h4>{t('settings.bellLint')}</h4>
+        <p className="card-desc">{t('settings.bellLintDesc')}</p>
+        <div className="settings-row bell-lint-settings">
+          <label className="form-label">{t('settings.bellLintDayStart')}</label>
+          <TimePicker24
+            id="lint-day-start"
+            value={toTime(lint.dayStartMin)}
+            onChange={(v) => dispatch(updateLintConfig({ dayStartMin: fromTime(v) }))}
+          />
+          <label className="form-label">{t('settings.bellLintDayEnd')}</label>
+          <TimePicker24
+            id="lint-day-end"
+            value={toTime(lint.dayEndMin)}
+            onChange={(v) => dispatch(updateLintConfig({ dayEndMin: fromTime(v) }))}
+          />
+          <label className="form-label" htmlFor="lint-min-interval">{t('settings.bellLintMinInterval')}</label>
+          <input
+            type="number"
+            className="duration-input"
+            id="lint-min-interval"
+            min={0}
+            max={60}
+            value={lint.minIntervalMin}
+            onChange={(e) => {
+              const v = parseInt(e.target.value, 10);
+              dispatch(updateLintConfig({ minIntervalMin: Number.isFinite(v) ? Math.min(60, Math.max(0, v)) : 0 }));
+            }}
+          />
+        </div>
+        <p className="hint-text">{t('settings.bellLintLocalNote')}</p>
+      </div>
+
       <button
         type="button"
         className={`save-button${savingSchedule ? ' loading' : ''}`}
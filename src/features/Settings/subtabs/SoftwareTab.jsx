@@ -5,57 +5,57 @@ import {
   fetchSettingsCore, fetchSettingsMaintenance,
 } from '../SettingsSlice.js';
 import { hydrateSettings } from '../../Schedule/ScheduleSlice.js';
-import TokenManager from '../../../utils/TokenManager.js';
+import { watchDeviceRestart } from '../../DeviceRestart/DeviceRestartSlice.js';
 import useLocale from '../../../hooks/useLocale.jsx';
+import useCan from '../../../hooks/useCan.js';
+import Can from '../../../components/Can.jsx';
 import FirmwareUpdatePanel from '../FirmwareUpdatePanel.jsx';
 
 export default function SoftwareTab({ loadMaintenancePart }) {
   const dispatch = useDispatch();
   const { t } = useLocale();
   const { rebooting, resetting, firmwareInfo } = useSelector((s) => s.settings);
-  const user = useSelector((s) => s.auth.user);
-  const isService = user?.role === 'service';
+  const can = useCan();
 
   const handleReboot = () => {
     if (!window.confirm(t('settings.rebootConfirm'))) return;
     dispatch(rebootDevice()).then((result) => {
-      if (result.meta.requestStatus === 'fulfilled') {
-        TokenManager.clearStoredToken();
-        setTimeout(() => window.location.reload(), 3000);
-      }
+      if (result.meta.requestStatus === 'fulfilled') dispatch(watchDeviceRestart({ reason: 'reboot' }));
     });
   };
 
-  const handleFactoryReset = () => {
+  const handleFactoryReset = async () => {
     if (!window.confirm(t('settings.factoryResetConfirm'))) return;
-    dispatch(factoryReset()).then((result) => {
-      if (result.meta.requestStatus === 'fulfilled') {
-        dispatch(fetchSettingsCore({ force: true })).then((refresh) => {
-          if (refresh.meta.requestStatus === 'fulfilled') {
-            dispatch(hydrateSettings(refresh.payload.scheduleSettings));
-          }
-        });
-        if (isService) dispatch(fetchSettingsMaintenance({ force: true }));
+    const result = await dispatch(factoryReset());
+    if (result.meta.requestStatus !== 'fulfilled') return;
+    const watch = await dispatch(watchDeviceRestart({ reason: 'factoryReset' }));
+    // The reset may end the session -then the login page shows instead
+    if (!watch.payload?.authenticated) return;
+    dispatch(fetchSettingsCore({ force: true })).then((refresh) => {
+      if (refresh.meta.requestStatus === 'fulfilled') {
+        dispatch(hydrateSettings(refresh.payload.scheduleSettings));
       }
     });
+    if (can('firmware.update')) dispatch(fetchSettingsMaintenance({ force: true }));
   };
 
   return (
     <>
-      {isService && (
+      <Can
+        capability="firmware.update"
+        fallback={(
+          <div className="sched-card">
+            <h3>{t('settings.softwareTitle')}</h3>
+            <p className="card-desc">{t('settings.softwareClientHint')}</p>
+          </div>
+        )}
+      >
         <FirmwareUpdatePanel
           initialInfo={firmwareInfo}
           autoLoad={false}
           loadInfo={() => loadMaintenancePart('firmware')}
         />
-      )}
-
-      {!isService && (
-        <div className="sched-card">
-          <h3>{t('settings.softwareTitle')}</h3>
-          <p className="card-desc">{t('settings.softwareClientHint')}</p>
-        </div>
-      )}
+      </Can>
 
       <div className="sched-card">
         <h3>{t('settings.systemActions')}</h3>
@@ -2,8 +2,12 @@ import React from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { syncTime, fetchSettingsCore } from '../SettingsSlice.js';
 import { hydrateSettings } from '../../Schedule/ScheduleSlice.js';
+import { watchDeviceRestart } from '../../DeviceRestart/DeviceRestartSlice.js';
 import useLocale from '../../../hooks/useLocale.jsx';
+import Can from '../../../components/Can.jsx';
 import LogsPanel from '../LogsPanel.jsx';
+import BackupRestorePanel from '../BackupRestorePanel.jsx';
+import WifiPanel from '../WifiPanel.jsx';
 
 function formatUptime(sec) {
   if (sec == null || Number.isNaN(sec)) return '—';
@@ -29,16 +33,19 @@ export default function SystemTab() {
   const dispatch = useDispatch();
   const { t } = useLocale();
   const { systemInfo, syncing } = useSelector((s) => s.settings);
-  const user = useSelector((s) => s.auth.user);
-  const isService = user?.role === 'service';
 
-  const handleSync = () => {
-    dispatch(syncTime()).then(() =>
-      dispatch(fetchSettingsCore({ force: true })).then((refresh) => {
-        if (refresh.meta.requestStatus === 'fulfilled') {
-          dispatch(hydrateSettings(refresh.payload.scheduleSettings));
-        }
-      }));
+  const handleSync = async () => {
+    const result = await dispatch(syncTime());
+    // The device may drop off the network while it syncs
+    if (result.meta.requestStatus === 'fulfilled') {
+      const watch = await dispatch(watchDeviceRestart({ reason: 'timeSync' }));
+      if (!watch.payload?.authenticated) return;
+    }
+    dispatch(fetchSettingsCore({ force: true })).then((refresh) => {
+      if (refresh.meta.requestStatus === 'fulfilled') {
+        dispatch(hydrateSettings(refresh.payload.scheduleSettings));
+      }
+    });
   };
 
   return (
@@ -96,7 +103,11 @@ export default function SystemTab() {
         <p className="card-desc" style={{ marginTop: 8 }}>{t('settings.syncNowHint')}</p>
       </div>
 
-      {isService && <LogsPanel />}
+      <WifiPanel />
+
+      <BackupRestorePanel />
+
+      <Can capability="logs.read"><LogsPanel /></Can>
     </>
   );
 }
@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { saveCredentials, deleteCredentials } from '../SettingsSlice.js';
 import useLocale from '../../../hooks/useLocale.jsx';
+import PasswordStrengthMeter from '../../../components/PasswordStrengthMeter.jsx';
+import { checkPasswordPolicy } from '../../../utils/formValidation.js';
 
 export default function UsersTab() {
   const dispatch = useDispatch();
@@ -21,8 +23,8 @@ export default function UsersTab() {
       setCredentialError(t('settings.credUsernameInvalid'));
       return;
     }
-    if (clientPassword.length < 8) {
-      setCredentialError(t('settings.credPasswordMin'));
+    if (!checkPasswordPolicy(clientPassword, { username: clientUsername }).isValid) {
+      setCredentialError(t('settings.credPasswordWeak'));
       return;
     }
     if (clientPassword !== clientConfirmPassword) {
@@ -102,6 +104,7 @@ export default function UsersTab() {
             disabled={credentialsSaving}
           />
         </div>
+        <PasswordStrengthMeter password={clientPassword} username={clientUsername} />
         <div className="settings-row">
           <label className="form-label">{t('settings.credConfirmPassword')}</label>
           <input
@@ -0,0 +1,89 @@
+/**
+ * Wi-Fi scan helpers -turn the raw `/api/wifi/scan` list into one row per
+ * SSID with its access points, and decide from `/api/status` whether the
+ * device has joined the network it was given. Pure functions only.
+ *
+ * Scan entries: { ssid, rssi, secured, bssid, channel?, auth? }
+ * (`channel` and `auth`, e.g. "WPA2_PSK", are optional on older firmware.)
+ */
+
+const BSSID_RE = /^([0-9A-F]{2}[:-]){5}[0-9A-F]{2}$/i;
+
+/** 0 (unknown) to 4 bars, matching the `.signal-bar-segment` levels. */
+export function signalLevel(rssi) {
+  const v = Number(rssi);
+  if (rssi == null || !Number.isFinite(v)) return 0;
+  if (v >= -55) return 4;
+  if (v >= -67) return 3;
+  if (v >= -75) return 2;
+  return 1;
+}
+
+/** `aa-bb-cc-dd-ee-ff` → `AA:BB:CC:DD:EE:FF`, or null when not a MAC. */
+export function normalizeBssid(value) {
+  const s = String(value || '').trim();
+  if (!BSSID_RE.test(s)) return null;
+  return s.replace(/-/g, ':').toUpperCase();
+}
+
+function toAccessPoint(n) {
+  const auth = typeof n.auth === 'string' ? n.auth.trim().toUpperCase() : '';
+  const channel = Number(n.channel);
+  return {
+    bssid: normalizeBssid(n.bssid),
+    rssi: Number.isFinite(Number(n.rssi)) ? Number(n.rssi) : null,
+    channel: Number.isInteger(channel) && channel > 0 ? channel : null,
+    secured: n.secured != null ? Boolean(n.secured) : Boolean(auth && auth !== 'OPEN'),
+    security: auth && auth !== 'OPEN' ? auth.replace(/_/g, '-') : '',
+  };
+}
+
+/**
+ * Group scan results by SSID, strongest first. Hidden networks (empty SSID)
+ * are dropped -they can only be joined through manual entry. Each group
+ * carries the fields of its strongest access point plus the full `aps` list
+ * for BSSID pinning.
+ */
+export function groupNetworks(list) {
+  const groups = new Map();
+  for (const raw of Array.isArray(list) ? list : []) {
+    const ssid = typeof raw?.ssid === 'string' ? raw.ssid : '';
+    if (!ssid) continue;
+    const ap = toAccessPoint(raw);
+    if (!groups.has(ssid)) groups.set(ssid, []);
+    const aps = groups.get(ssid);
+    if (!ap.bssid || !aps.some((x) => x.bssid === ap.bssid)) aps.push(ap);
+  }
+  const byRssi = (a, b) => (b.rssi ?? -999) - (a.rssi ?? -999);
+  return [...groups.entries()]
+    .map(([ssid, aps]) => {
+      aps.sort(byRssi);
+      return { ssid, ...aps[0], aps };
+    })
+    .sort(byRssi);
+}
+
+/**
+ * True once `/api/status` reports the device connected to `ssid` (and to
+ * `bssid` when one was pinned and the firmware reports it).
+ */
+export function isJoined(status, { ssid, bssid } = {}) {
+  const wifi = status?.wifi;
+  if (!wifi?.connected || wifi.ssid !== ssid) return false;
+  if (!bssid || !wifi.bssid) return true;
+  return normalizeBssid(wifi.bssid) === normalizeBssid(bssid);
+}
+
+/**
+ * First problem with a credentials form as an i18n key, or null. WPA
+ * passphrases are 8–63 characters (or a 64-digit hex key); open networks
+ * take no password.
+ */
+export function credentialsIssue({ ssid, password, bssid }, { secured = true } = {}) {
+  if (!String(ssid || '').trim()) return 'settings.wifiErrSsid';
+  const pw = password || '';
+  const hexKey = /^[0-9a-f]{64}$/i.test(pw);
+  if ((secured || pw) && !hexKey && (pw.length < 8 || pw.length > 63)) return 'settings.wifiErrPassword';
+  if (bssid && !normalizeBssid(bssid)) return 'settings.wifiErrBssid';
+  return null;
+}
@@ -0,0 +1,61 @@
+import { createSlice } from '@reduxjs/toolkit';
+import {
+  SETUP_STEPS, newSetupProgress, parseSetupProgress, completeStep,
+} from './setupProgress.js';
+
+/* Wizard progress outlives the tab (resume after the browser was closed),
+ * so it lives in localStorage next to the other per-browser preferences. */
+const SETUP_STORAGE_KEY = 'setupWizard';
+
+function loadSetupProgress() {
+  try {
+    return parseSetupProgress(localStorage.getItem(SETUP_STORAGE_KEY));
+  } catch { /* unavailable storage -no wizard in progress */ }
+  return null;
+}
+
+const setupSlice = createSlice({
+  name: 'setup',
+  initialState: () => ({ progress: loadSetupProgress() }),
+  reducers: {
+    setSetupProgress(state, { payload }) { state.progress = payload; },
+  },
+});
+
+export const { setSetupProgress } = setupSlice.actions;
+
+const persistSetupProgress = (dispatch, progress) => {
+  dispatch(setSetupProgress(progress));
+  try {
+    if (progress) localStorage.setItem(SETUP_STORAGE_KEY, JSON.stringify(progress));
+    else localStorage.removeItem(SETUP_STORAGE_KEY);
+  } catch { /* storage unavailable -progress kept for this tab only */ }
+};
+
+/** Start (or restart) the wizard after a claim or factory reset. */
+export const startSetup = (reason) => (dispatch) => {
+  persistSetupProgress(dispatch, newSetupProgress(reason));
+};
+
+/** Mark the current step saved, or skipped, and advance. */
+export const completeSetupStep = (stepId, options) => (dispatch, getState) => {
+  const { progress } = getState().setup;
+  if (progress) persistSetupProgress(dispatch, completeStep(progress, stepId, options));
+};
+
+export const goToSetupStep = (stepId) => (dispatch, getState) => {
+  const { progress } = getState().setup;
+  if (progress && SETUP_STEPS.includes(stepId)) persistSetupProgress(dispatch, { ...progress, step: stepId });
+};
+
+/** "Finish later" hides the wizard behind a resume banner; resuming shows it again. */
+export const pauseSetup = (paused) => (dispatch, getState) => {
+  const { progress } = getState().setup;
+  if (progress) persistSetupProgress(dispatch, { ...progress, paused });
+};
+
+export const endSetup = () => (dispatch) => {
+  persistSetupProgress(dispatch, null);
+};
+
+export default setupSlice.reducer;
@@ -0,0 +1,126 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchDefault, fetchTemplates, fetchWeek, hydrateSettings,
+} from '../Schedule/ScheduleSlice.js';
+import { fetchSettingsCore } from '../Settings/SettingsSlice.js';
+import useLocale from '../../hooks/useLocale.jsx';
+import {
+  completeSetupStep, goToSetupStep, pauseSetup, endSetup,
+} from './SetupSlice.js';
+import {
+  SETUP_STEPS, SETUP_DONE, previousStep, stepStatus,
+} from './setupProgress.js';
+import { TimezoneStep, WorkingDaysStep, RingDurationStep } from './steps/GeneralSteps.jsx';
+import DefaultScheduleStep from './steps/DefaultScheduleStep.jsx';
+import WeekPlanStep from './steps/WeekPlanStep.jsx';
+import HolidaysStep from './steps/HolidaysStep.jsx';
+import PinStep from './steps/PinStep.jsx';
+
+const STEP_COMPONENTS = {
+  timezone: TimezoneStep,
+  workingDays: WorkingDaysStep,
+  ringDuration: RingDurationStep,
+  defaultSchedule: DefaultScheduleStep,
+  weekPlan: WeekPlanStep,
+  holidays: HolidaysStep,
+  pin: PinStep,
+};
+
+/**
+ * First-run setup wizard, shown by AuthGuard instead of the tab pages after
+ * a claim or factory reset. Each step saves through the thunks the regular
+ * tabs use; progress is persisted by SetupSlice so a closed browser resumes
+ * on the same step.
+ */
+export default function SetupWizard() {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const progress = useSelector((s) => s.setup.progress);
+
+  useEffect(() => {
+    dispatch(fetchSettingsCore()).then((result) => {
+      if (result.meta.requestStatus === 'fulfilled') {
+        dispatch(hydrateSettings(result.payload.scheduleSettings));
+      }
+    });
+    dispatch(fetchDefault());
+    dispatch(fetchTemplates());
+    dispatch(fetchWeek());
+  }, [dispatch]);
+
+  if (!progress) return null;
+
+  const { step } = progress;
+  const StepComponent = STEP_COMPONENTS[step];
+  const frame = {
+    stepId: step,
+    isFirst: step === SETUP_STEPS[0],
+    onBack: () => dispatch(goToSetupStep(previousStep(progress))),
+    onSkip: () => dispatch(completeSetupStep(step, { skipped: true })),
+    onDone: () => dispatch(completeSetupStep(step)),
+  };
+
+  return (
+    <div className="sched-card setup-wizard">
+      <div className="setup-wizard-header">
+        <div>
+          <h2>{t('setup.title')}</h2>
+          <p className="card-desc">{t(`setup.intro.${progress.reason}`)}</p>
+        </div>
+        {step !== SETUP_DONE && (
+          <button type="button" className="cancel-button" onClick={() => dispatch(pauseSetup(true))}>
+            {t('setup.finishLater')}
+          </button>
+        )}
+      </div>
+
+      <ol className="setup-steps">
+        {SETUP_STEPS.map((id, i) => {
+          const status = stepStatus(progress, id);
+          const reachable = status === 'saved' || status === 'skipped';
+          return (
+            <li key={id} className={`setup-steps-item setup-steps-${status}`}>
+              <button
+                type="button"
+                onClick={() => dispatch(goToSetupStep(id))}
+                disabled={!reachable}
+                aria-current={status === 'current' ? 'step' : undefined}
+                title={t(`setup.status.${status}`)}
+              >
+                <span className="setup-steps-num">{status === 'saved' ? '✓' : i + 1}</span>
+                <span className="setup-steps-label">{t(`setup.step.${id}`)}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+
+      {StepComponent ? (
+        <StepComponent key={step} {...frame} />
+      ) : (
+        <section className="setup-step">
+          <h3>{t('setup.doneTitle')}</h3>
+          <ul className="setup-summary">
+            {SETUP_STEPS.map((id) => (
+              <li key={id} className={`setup-summary-${stepStatus(progress, id)}`}>
+                {t(`setup.step.${id}`)} —{' '}
+                {t(`setup.status.${stepStatus(progress, id)}`)}
+              </li>
+            ))}
+          </ul>
+          <p className="card-desc">{t('setup.doneDesc')}</p>
+          <div className="setup-step-actions">
+            <button type="button" className="cancel-button" onClick={frame.onBack}>
+              {t('setup.back')}
+            </button>
+            <span className="setup-step-spacer" />
+            <button type="button" className="save-button" onClick={() => dispatch(endSetup())}>
+              {t('setup.finish')}
+            </button>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SETUP_STEPS, SETUP_DONE, newSetupProgress, parseSetupProgress, completeStep, previousStep, stepStatus,
+} from '../setupProgress.js';
+
+test('a new wizard starts on the first step', () => {
+  const progress = newSetupProgress('factoryReset', '2026-10-19T08:00:00.000Z');
+  assert.equal(progress.step, SETUP_STEPS[0]);
+  assert.equal(progress.reason, 'factoryReset');
+  assert.equal(newSetupProgress('other').reason, 'claim');
+});
+
+test('saving or skipping a step advances and records it once', () => {
+  let progress = newSetupProgress('claim');
+  progress = completeStep(progress, 'timezone');
+  progress = completeStep(progress, 'workingDays', { skipped: true });
+  assert.equal(progress.step, 'ringDuration');
+  assert.deepEqual(progress.saved, ['timezone']);
+  assert.deepEqual(progress.skipped, ['workingDays']);
+
+  /* Going back and saving a skipped step moves it to saved. */
+  progress = completeStep({ ...progress, step: 'workingDays' }, 'workingDays');
+  assert.deepEqual(progress.saved, ['timezone', 'workingDays']);
+  assert.deepEqual(progress.skipped, []);
+  assert.equal(stepStatus(progress, 'ringDuration'), 'current');
+
+  const last = completeStep({ ...progress, step: 'pin' }, 'pin');
+  assert.equal(last.step, SETUP_DONE);
+  assert.equal(previousStep(last), 'pin');
+  assert.equal(previousStep(newSetupProgress('claim')), SETUP_STEPS[0]);
+});
+
+test('stored progress resumes only when it is usable', () => {
+  const stored = JSON.stringify({
+    reason: 'claim', step: 'weekPlan', saved: ['timezone', 'bogus', 'timezone'], skipped: 'x', paused: 1,
+  });
+  assert.deepEqual(parseSetupProgress(stored), {
+    reason: 'claim', step: 'weekPlan', saved: ['timezone'], skipped: [], paused: true, startedAt: '',
+  });
+  assert.equal(parseSetupProgress('{"step":"nope"}'), null);
+  assert.equal(parseSetupProgress('not json'), null);
+  assert.equal(parseSetupProgress(null), null);
+});
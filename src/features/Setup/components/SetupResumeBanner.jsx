@@ -0,0 +1,34 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import useLocale from '../../../hooks/useLocale.jsx';
+import { pauseSetup, endSetup } from '../SetupSlice.js';
+import { SETUP_STEPS } from '../setupProgress.js';
+
+/** Shown above the pages while a paused setup wizard is waiting to be resumed. */
+export default function SetupResumeBanner() {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const progress = useSelector((s) => s.setup.progress);
+
+  if (!progress?.paused) return null;
+
+  const done = progress.saved.length + progress.skipped.length;
+
+  return (
+    <div className="info-banner setup-resume-banner">
+      <span>{t('setup.resumeText', { done, total: SETUP_STEPS.length })}</span>
+      <span className="setup-resume-actions">
+        <button type="button" className="save-button" onClick={() => dispatch(pauseSetup(false))}>
+          {t('setup.resume')}
+        </button>
+        <button
+          type="button"
+          className="cancel-button"
+          onClick={() => { if (window.confirm(t('setup.dismissConfirm'))) dispatch(endSetup()); }}
+        >
+          {t('setup.dismiss')}
+        </button>
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import useLocale from '../../../hooks/useLocale.jsx';
+
+/**
+ * SetupStepFrame -heading, error banner and Back / Skip / Save & continue
+ * bar shared by every wizard step. `onSave` runs the step's existing save
+ * thunk (`dispatch(thunk).unwrap()`); the wizard only advances once it
+ * resolves. A rejection is shown in the frame, through `t()` so i18n-key
+ * errors (bell lint, PIN format) are localized.
+ *
+ * Props:
+ *   stepId, title, desc, children
+ *   onSave     -async () => void, optional (no save: the button just continues)
+ *   canSave    -enables the primary button (default true)
+ *   saveLabel  -primary button text (default "Save and continue")
+ *   isFirst    -disables Back
+ *   onBack, onSkip, onDone -wizard navigation supplied by SetupWizard
+ */
+export default function SetupStepFrame({
+  stepId, title, desc, children, onSave, canSave = true, saveLabel,
+  isFirst, onBack, onSkip, onDone,
+}) {
+  const { t } = useLocale();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      if (onSave) await onSave();
+      onDone();
+    } catch (e) {
+      setError(typeof e === 'string' ? e : (e?.message || String(e)));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="setup-step" aria-labelledby={`setup-step-${stepId}`}>
+      <h3 id={`setup-step-${stepId}`}>{title}</h3>
+      {desc && <p className="card-desc">{desc}</p>}
+
+      {error && (
+        <div className="error-message">
+          {t(error)}
+          <button type="button" className="error-dismiss" onClick={() => setError('')}>×</button>
+        </div>
+      )}
+
+      <div className="setup-step-body">{children}</div>
+
+      <div className="setup-step-actions">
+        <button type="button" className="cancel-button" onClick={onBack} disabled={busy || isFirst}>
+          {t('setup.back')}
+        </button>
+        <span className="setup-step-spacer" />
+        <button type="button" className="secondary-btn" onClick={onSkip} disabled={busy}>
+          {t('setup.skip')}
+        </button>
+        <button
+          type="button"
+          className={`save-button${busy ? ' loading' : ''}`}
+          onClick={handleSave}
+          disabled={busy || !canSave}
+        >
+          {busy ? t('setup.saving') : (saveLabel || t('setup.saveContinue'))}
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,84 @@
+/**
+ * First-run setup progress -which wizard step the owner is on and which
+ * steps were saved or skipped. Kept in localStorage so closing the browser
+ * part-way resumes at the same step. Pure functions only; SetupSlice does
+ * the storage I/O.
+ *
+ * Shape: { reason: 'claim' | 'factoryReset', step: <step id> | 'done',
+ *          saved: [stepId], skipped: [stepId], paused: boolean, startedAt }
+ */
+
+export const SETUP_STEPS = [
+  'timezone',
+  'workingDays',
+  'ringDuration',
+  'defaultSchedule',
+  'weekPlan',
+  'holidays',
+  'pin',
+];
+
+export const SETUP_DONE = 'done';
+export const SETUP_REASONS = ['claim', 'factoryReset'];
+
+export function newSetupProgress(reason, startedAt = new Date().toISOString()) {
+  return {
+    reason: SETUP_REASONS.includes(reason) ? reason : 'claim',
+    step: SETUP_STEPS[0],
+    saved: [],
+    skipped: [],
+    paused: false,
+    startedAt,
+  };
+}
+
+const knownSteps = (list) => (Array.isArray(list) ? list : [])
+  .filter((id, i, arr) => SETUP_STEPS.includes(id) && arr.indexOf(id) === i);
+
+/** Sanitise stored progress; null when missing or unusable. */
+export function parseSetupProgress(raw) {
+  let data = raw;
+  if (typeof raw === 'string') {
+    try { data = JSON.parse(raw); } catch { return null; }
+  }
+  if (!data || typeof data !== 'object') return null;
+  const step = data.step === SETUP_DONE || SETUP_STEPS.includes(data.step) ? data.step : null;
+  if (!step) return null;
+  return {
+    reason: SETUP_REASONS.includes(data.reason) ? data.reason : 'claim',
+    step,
+    saved: knownSteps(data.saved),
+    skipped: knownSteps(data.skipped),
+    paused: Boolean(data.paused),
+    startedAt: typeof data.startedAt === 'string' ? data.startedAt : '',
+  };
+}
+
+/** Record `stepId` as saved (or skipped) and move past it. */
+export function completeStep(progress, stepId, { skipped = false } = {}) {
+  const saved = progress.saved.filter((id) => id !== stepId);
+  const skippedList = progress.skipped.filter((id) => id !== stepId);
+  (skipped ? skippedList : saved).push(stepId);
+  const idx = SETUP_STEPS.indexOf(stepId);
+  return {
+    ...progress,
+    saved,
+    skipped: skippedList,
+    step: idx >= 0 && idx < SETUP_STEPS.length - 1 ? SETUP_STEPS[idx + 1] : SETUP_DONE,
+  };
+}
+
+/** The step before the current one (the last step when already done). */
+export function previousStep(progress) {
+  if (progress.step === SETUP_DONE) return SETUP_STEPS[SETUP_STEPS.length - 1];
+  const idx = SETUP_STEPS.indexOf(progress.step);
+  return idx > 0 ? SETUP_STEPS[idx - 1] : progress.step;
+}
+
+/** 'saved' | 'skipped' | 'current' | 'pending' for the step indicator. */
+export function stepStatus(progress, stepId) {
+  if (progress.step === stepId) return 'current';
+  if (progress.saved.includes(stepId)) return 'saved';
+  if (progress.skipped.includes(stepId)) return 'skipped';
+  return 'pending';
+}
@@ -0,0 +1,33 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { saveDefault } from '../../Schedule/ScheduleSlice.js';
+import BellSetEditor from '../../Schedule/components/BellSetEditor.jsx';
+import useLocale from '../../../hooks/useLocale.jsx';
+import SetupStepFrame from '../components/SetupStepFrame.jsx';
+
+/** Default plan: generate from shifts, start from a built-in, or edit by hand. */
+export default function DefaultScheduleStep(frame) {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const { default: defaultSet, templates, builtins } = useSelector((s) => s.schedule);
+  const [bells, setBells] = useState(defaultSet.bells);
+  const edited = useRef(false);
+
+  /* Follow the fetched default until the user starts editing. */
+  useEffect(() => {
+    if (!edited.current) setBells(defaultSet.bells);
+  }, [defaultSet.bells]);
+
+  return (
+    <SetupStepFrame {...frame} title={t('setup.defaultTitle')} desc={t('setup.defaultDesc')}
+      onSave={() => dispatch(saveDefault(bells)).unwrap()} canSave={bells.length > 0}>
+      <BellSetEditor
+        value={{ bells }}
+        onChange={({ bells: next }) => { edited.current = true; setBells(next); }}
+        allowApplyTemplate
+        templates={templates}
+        builtins={builtins}
+      />
+    </SetupStepFrame>
+  );
+}
@@ -0,0 +1,111 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  saveSettings, setWorkingDays, setTimezone, setRingDurationSec,
+} from '../../Schedule/ScheduleSlice.js';
+import { testBell } from '../../Settings/SettingsSlice.js';
+import TimezonePicker from '../../Schedule/TimezonePicker.jsx';
+import useLocale from '../../../hooks/useLocale.jsx';
+import SetupStepFrame from '../components/SetupStepFrame.jsx';
+
+const ORDERED_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+/* The three general settings share one save, exactly like Settings → General:
+ * edits go straight into the schedule slice and saveSettings sends all three. */
+function useSaveGeneral() {
+  const dispatch = useDispatch();
+  const { timezone, workingDays, ringDurationSec } = useSelector((s) => s.schedule);
+  return () => dispatch(saveSettings({ timezone, workingDays, ringDurationSec })).unwrap();
+}
+
+export function TimezoneStep(frame) {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const timezone = useSelector((s) => s.schedule.timezone);
+  const save = useSaveGeneral();
+
+  return (
+    <SetupStepFrame {...frame} title={t('settings.timezone')} desc={t('setup.timezoneDesc')}
+      onSave={save} canSave={Boolean(timezone)}>
+      <div className="settings-row">
+        <TimezonePicker value={timezone} onChange={(tz) => dispatch(setTimezone(tz))} />
+      </div>
+    </SetupStepFrame>
+  );
+}
+
+export function WorkingDaysStep(frame) {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const workingDays = useSelector((s) => s.schedule.workingDays);
+  const save = useSaveGeneral();
+
+  const toggleDay = (d) => {
+    const next = workingDays.includes(d)
+      ? workingDays.filter((x) => x !== d)
+      : [...workingDays, d].sort();
+    dispatch(setWorkingDays(next));
+  };
+
+  return (
+    <SetupStepFrame {...frame} title={t('settings.workingDays')} desc={t('settings.workingDaysDesc')}
+      onSave={save}>
+      <div className="day-picker">
+        {ORDERED_DAYS.map((idx) => (
+          <button
+            key={idx}
+            type="button"
+            className={`day-btn ${workingDays.includes(idx) ? 'active' : ''}`}
+            onClick={() => toggleDay(idx)}
+          >
+            {t(`settings.days.${idx}`)}
+          </button>
+        ))}
+      </div>
+    </SetupStepFrame>
+  );
+}
+
+export function RingDurationStep(frame) {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const ringDurationSec = useSelector((s) => s.schedule.ringDurationSec);
+  const testingBell = useSelector((s) => s.settings.testingBell);
+  const save = useSaveGeneral();
+
+  return (
+    <SetupStepFrame {...frame} title={t('settings.ringDuration')} desc={t('settings.ringDurationDesc')}
+      onSave={save}>
+      <div className="duration-picker">
+        <input
+          type="range"
+          className="duration-slider"
+          aria-label={t('settings.ringDurationSec')}
+          min={1}
+          max={30}
+          value={ringDurationSec}
+          onChange={(e) => dispatch(setRingDurationSec(parseInt(e.target.value, 10) || 1))}
+        />
+        <div className="duration-value-row">
+          <input
+            type="number"
+            className="duration-input"
+            min={1}
+            max={30}
+            value={ringDurationSec}
+            onChange={(e) => dispatch(setRingDurationSec(parseInt(e.target.value, 10) || 1))}
+          />
+          <span className="duration-display">{ringDurationSec}s</span>
+          <button
+            type="button"
+            className="secondary-btn"
+            onClick={() => dispatch(testBell(ringDurationSec))}
+            disabled={testingBell}
+          >
+            {testingBell ? t('dashboard.bellRinging') : t('setup.testRing')}
+          </button>
+        </div>
+      </div>
+    </SetupStepFrame>
+  );
+}
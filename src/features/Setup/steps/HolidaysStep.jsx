@@ -0,0 +1,28 @@
+import React, { useState } from 'react';
+import HolidayImportDialog from '../../Schedule/components/HolidayImportDialog.jsx';
+import useLocale from '../../../hooks/useLocale.jsx';
+import SetupStepFrame from '../components/SetupStepFrame.jsx';
+
+/** Optional: run the regular holiday import; the dialog saves on its own. */
+export default function HolidaysStep(frame) {
+  const { t } = useLocale();
+  const [open, setOpen] = useState(false);
+  const [imported, setImported] = useState(false);
+
+  return (
+    <SetupStepFrame {...frame} title={t('setup.holidaysTitle')} desc={t('setup.holidaysDesc')}
+      canSave={imported} saveLabel={t('setup.continue')}>
+      <button type="button" className="secondary-btn" onClick={() => setOpen(true)}>
+        {t('setup.holidaysOpen')}
+      </button>
+      {imported && <div className="success-message setup-step-note">{t('setup.holidaysImported')}</div>}
+      <HolidayImportDialog
+        open={open}
+        onClose={(didApply) => {
+          setOpen(false);
+          if (didApply) setImported(true);
+        }}
+      />
+    </SetupStepFrame>
+  );
+}
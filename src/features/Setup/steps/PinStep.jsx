@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { savePin, clearActionSuccess } from '../../Settings/SettingsSlice.js';
+import useLocale from '../../../hooks/useLocale.jsx';
+import SetupStepFrame from '../components/SetupStepFrame.jsx';
+
+/** Touchscreen PIN, same rules as Settings → Security. */
+export default function PinStep(frame) {
+  const dispatch = useDispatch();
+  const { t } = useLocale();
+  const [pin, setPin] = useState('');
+  const [confirm, setConfirm] = useState('');
+
+  const save = async () => {
+    if (!/^\d{4,6}$/.test(pin)) throw new Error('settings.pinInvalidFormat');
+    if (pin !== confirm) throw new Error('settings.pinMismatch');
+    await dispatch(savePin(pin)).unwrap();
+    /* The wizard confirms by moving on; don't leave the Settings banner queued. */
+    dispatch(clearActionSuccess());
+  };
+
+  const digits = (value) => value.replace(/\D/g, '').slice(0, 6);
+
+  return (
+    <SetupStepFrame {...frame} title={t('settings.pinTitle')} desc={t('settings.pinDesc')}
+      onSave={save} canSave={pin.length >= 4 && confirm.length >= 4}>
+      <div className="settings-row">
+        <label className="form-label" htmlFor="setup-pin">{t('settings.pinNew')}</label>
+        <input
+          id="setup-pin"
+          type="password"
+          className="form-input"
+          inputMode="numeric"
+          autoComplete="new-password"
+          maxLength={6}
+          value={pin}
+          onChange={(e) => setPin(digits(e.target.value))}
+          placeholder={t('settings.pinPlaceholder')}
+        />
+      </div>
+      <div className="settings-row">
+        <label className="form-label" htmlFor="setup-pin-confirm">{t('settings.pinConfirm')}</label>
+        <input
+          id="setup-pin-confirm"
+          type="password"
+          className="form-input"
+          inputMode="numeric"
+          autoComplete="new-password"
+          maxLength={6}
+          value={confirm}
+          onChange={(e) => setConfirm(digits(e.target.value))}
+          placeholder={t('settings.pinPlaceholder')}
+        />
+      </div>
+    </SetupStepFrame>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { saveWeekFull } from '../../Schedule/ScheduleSlice.js';
+import { PLAN_DEFAULT, PLAN_CUSTOM } from '../../Schedule/scheduleResolver.js';
+import useLocale from '../../../hooks/useLocale.jsx';
+import SetupStepFrame from '../components/SetupStepFrame.jsx';
+
+const ORDERED_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+const copyBells = (bells) => (bells || []).map(({ _id, ...rest }) => ({ ...rest }));
+
+function summary(bells) {
+  if (!bells || bells.length === 0) return null;
+  const mins = bells.map((b) => b.hour * 60 + b.minute).sort((a, b) => a - b);
+  const fmt = (m) => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+  return { count: bells.length, from: fmt(mins[0]), to: fmt(mins[mins.length - 1]) };
+}
+
+/**
+ * Weekday plan: pick, per working day, the default plan or a copy of a
+ * saved / built-in template (stored as that day's custom bells, the same
+ * way the Week tab applies templates). Saved with saveWeekFull.
+ */
+export default function WeekPlanStep(frame) {
+  const dispatch = useDispatch();
+  const { t, bellWord } = useLocale();
+  const {
+    workingDays, weekdayPlans, weekdayCustom, templates, builtins,
+    default: defaultSet,
+  } = useSelector((s) => s.schedule);
+
+  const initialChoice = () => Object.fromEntries(ORDERED_DAYS.map((d) => [
+    d, weekdayPlans[d] === PLAN_CUSTOM ? 'keep' : 'default',
+  ]));
+  const [choice, setChoice] = useState(initialChoice);
+
+  useEffect(() => { setChoice(initialChoice()); }, [weekdayPlans]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const sources = [
+    ...templates.map((tpl, i) => (tpl?.bells?.length
+      ? { value: `tpl-${i}`, label: tpl.name || t('calendar.templateSlot', { n: i + 1 }), bells: tpl.bells }
+      : null)),
+    ...(builtins || []).map((b, i) => (b?.bells?.length
+      ? { value: `builtin-${i}`, label: b.name, bells: b.bells }
+      : null)),
+  ].filter(Boolean);
+
+  const bellsFor = (day) => {
+    const value = choice[day];
+    if (value === 'default') return defaultSet.bells;
+    if (value === 'keep') return weekdayCustom[day]?.bells;
+    return sources.find((s) => s.value === value)?.bells;
+  };
+
+  const save = () => {
+    const plans = [...weekdayPlans];
+    const custom = weekdayCustom.map((slot) => ({ bells: slot?.bells || [] }));
+    workingDays.forEach((day) => {
+      const value = choice[day];
+      if (value === 'keep') return;
+      if (value === 'default') {
+        plans[day] = PLAN_DEFAULT;
+        return;
+      }
+      plans[day] = PLAN_CUSTOM;
+      custom[day] = { bells: copyBells(bellsFor(day)) };
+    });
+    return dispatch(saveWeekFull({ weekdayPlans: plans, weekdayCustom: custom })).unwrap();
+  };
+
+  return (
+    <SetupStepFrame {...frame} title={t('setup.weekTitle')} desc={t('setup.weekDesc')} onSave={save}
+      canSave={workingDays.length > 0}>
+      {workingDays.length === 0 ? (
+        <p className="hint-text">{t('setup.weekNoWorkingDays')}</p>
+      ) : (
+        <div className="week-rows">
+          {ORDERED_DAYS.filter((d) => workingDays.includes(d)).map((day) => {
+            const preview = summary(bellsFor(day));
+            return (
+              <div key={day} className="week-row">
+                <div className="week-row-main">
+                  <span className="week-row-day">{t(`clock.days.${day}`)}</span>
+                  <select
+                    className="form-select week-row-select"
+                    value={choice[day]}
+                    onChange={(e) => setChoice((prev) => ({ ...prev, [day]: e.target.value }))}
+                  >
+                    <option value="default">{t('schedule.week.defaultPlan')}</option>
+                    {weekdayPlans[day] === PLAN_CUSTOM && (
+                      <option value="keep">{t('setup.weekKeepCustom')}</option>
+                    )}
+                    {sources.map((s) => (
+                      <option key={s.value} value={s.value}>{s.label}</option>
+                    ))}
+                  </select>
+                  <span className="week-row-preview">
+                    {preview
+                      ? t('schedule.week.previewSummary', { ...preview, bellWord: bellWord(preview.count) })
+                      : t('schedule.week.previewEmpty')}
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </SetupStepFrame>
+  );
+}
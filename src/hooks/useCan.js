@@ -0,0 +1,12 @@
+import { useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import { can } from '../features/Auth/capabilities.js';
+
+/**
+ * Capability check for the signed-in user (features/Auth/capabilities.js).
+ * Returns `can(capability) => boolean`.
+ */
+export default function useCan() {
+  const role = useSelector((s) => s.auth.user?.role);
+  return useCallback((capability) => can(role, capability), [role]);
+}
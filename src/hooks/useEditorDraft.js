@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { registerDraftSource, takeDraft } from '../utils/editorDrafts.js';
+
+/**
+ * Keeps an editor's unsaved buffer across a forced sign-out (utils/editorDrafts.js).
+ *
+ * `draft` is the current unsaved buffer, or null when there is nothing to
+ * keep. Once `ready` is true (the store copy has been fetched), a stashed
+ * draft for this editor is handed to `onRestore` exactly once; `onRestore`
+ * may return false to drop a draft that no longer applies. Call this
+ * after the effects that sync the buffer from the store, so the restored
+ * draft wins over the freshly fetched value.
+ *
+ * Returns `[restored, dismissRestored]` for the "edits restored" notice.
+ */
+export default function useEditorDraft(key, { draft, ready, onRestore }) {
+  const owner = useSelector((s) => s.auth.user?.username || '');
+  const [restored, setRestored] = useState(false);
+  const draftRef = useRef(draft);
+  const restoreRef = useRef(onRestore);
+  const checkedRef = useRef(false);
+  draftRef.current = draft;
+  restoreRef.current = onRestore;
+
+  useEffect(() => registerDraftSource(key, () => draftRef.current), [key]);
+
+  useEffect(() => {
+    if (!ready || checkedRef.current) return;
+    checkedRef.current = true;
+    const stashed = takeDraft(key, owner);
+    if (stashed != null && restoreRef.current(stashed) !== false) setRestored(true);
+  }, [key, owner, ready]);
+
+  return [restored, () => setRestored(false)];
+}
@@ -1,19 +1,10 @@
 import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
-import en from '../i18n/en.js';
-import bg from '../i18n/bg.js';
-
-const dictionaries = { en, bg };
-
-function getInitialLocale() {
-  const stored = localStorage.getItem('locale');
-  if (stored === 'en' || stored === 'bg') return stored;
-  return navigator.language.startsWith('bg') ? 'bg' : 'en';
-}
+import { currentLocale, translate } from '../i18n/translate.js';
 
 const LocaleContext = createContext();
 
 export function LocaleProvider({ children }) {
-  const [locale, setLocaleState] = useState(getInitialLocale);
+  const [locale, setLocaleState] = useState(currentLocale);
 
   useEffect(() => {
     document.documentElement.setAttribute('lang', locale);
@@ -28,16 +19,7 @@ export function LocaleProvider({ children }) {
     setLocaleState((prev) => (prev === 'en' ? 'bg' : 'en'));
   }, []);
 
-  const t = useCallback((key, params) => {
-    const dict = dictionaries[locale] || en;
-    let str = dict[key] ?? en[key] ?? key;
-    if (params) {
-      Object.entries(params).forEach(([k, v]) => {
-        str = str.replace(new RegExp(`\\{${k}\\}`, 'g'), v);
-      });
-    }
-    return str;
-  }, [locale]);
+  const t = useCallback((key, params) => translate(key, params, locale), [locale]);
 
   /** Singular/plural noun for "bell" — BG: 1 звънец, 2+ звънеца. */
   const bellWord = useCallback((n) => {
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import LoginRateLimit from '../utils/LoginRateLimit.js';
+
+/**
+ * Live login/claim rate-limit status (utils/LoginRateLimit.js).
+ * Re-reads every second while attempts are counted or a block runs, so the
+ * countdown and the remaining-attempts hint stay current.
+ * @returns {{ remaining: number, retryInMs: number, used: number }}
+ */
+export default function useLoginRateLimit() {
+  const [status, setStatus] = useState(() => LoginRateLimit.status());
+
+  useEffect(() => LoginRateLimit.subscribe(() => setStatus(LoginRateLimit.status())), []);
+
+  const active = status.used > 0 || status.retryInMs > 0;
+  useEffect(() => {
+    if (!active) return undefined;
+    const id = setInterval(() => setStatus(LoginRateLimit.status()), 1000);
+    return () => clearInterval(id);
+  }, [active]);
+
+  return status;
+}
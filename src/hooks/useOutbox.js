@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+import Outbox from '../utils/Outbox.js';
+
+/**
+ * Items waiting in (or refused from) the offline outbox (utils/Outbox.js).
+ * @returns {Object[]} items in replay order
+ */
+export default function useOutbox() {
+  const [items, setItems] = useState(() => Outbox.items);
+
+  useEffect(() => {
+    const unsubscribe = Outbox.subscribe(setItems);
+    Outbox.load().then(() => setItems(Outbox.items));
+    return unsubscribe;
+  }, []);
+
+  return items;
+}
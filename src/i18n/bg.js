@@ -26,14 +26,42 @@ const bg = {
   'auth.createAccount': 'Създай акаунт',
   'auth.creatingAccount': 'Създаване...',
   'auth.backToLogin': 'Обратно към вход',
+  'auth.wifiSetup': 'Настройка на Wi-Fi',
+  'auth.sessionExpiringTitle': 'Още ли сте тук?',
+  'auth.sessionExpiringText': 'Сесията ви на устройството изтича след {time}. Незапазените промени ще бъдат съхранени, но ще трябва да влезете отново.',
+  'auth.staySignedIn': 'Остани в системата',
+  'auth.sessionRefreshing': 'Удължаване…',
+  'auth.sessionRefreshFailed': 'Няма връзка с устройството за удължаване на сесията — опитайте отново.',
+  'auth.sessionExpired': 'Сесията ви вече е изтекла.',
+  'auth.sessionEnded.expired': 'Сесията ви изтече. Моля, влезте отново.',
+  'auth.sessionEnded.elsewhere': 'Този раздел беше изведен от системата, защото някой влезе от друг браузър или устройство.',
+  'auth.sessionEnded.otherTab': 'Излязохте от системата в друг раздел.',
+  'auth.sessionDraftsKept': 'Незапазените промени по разписанието са съхранени — влезте отново, за да продължите оттам, докъдето стигнахте.',
+  'auth.elsewhereTitle': 'Вход от друго място',
+  'auth.elsewhereText': 'Контролерът на звънеца позволява само една сесия. Някой влезе от друг браузър или устройство, или устройството се рестартира, затова този раздел беше изведен от системата.',
+  'auth.elsewhereSignIn': 'Влез отново тук',
+  'auth.notPermitted': 'Профилът ви няма право да извърши това действие.',
   'auth.orDivider': 'или',
   'auth.confirmPassword': 'Потвърдете паролата',
   'auth.enterConfirmPassword': 'Въведете паролата отново',
-  'auth.passwordMinLength': 'Паролата трябва да е поне 8 символа',
   'auth.passwordMismatch': 'Паролите не съвпадат',
-  'auth.passwordHint': 'Използвайте поне 8 символа',
+  'auth.rateLimited': 'Твърде много опити за вход — опитайте отново след {time}.',
+  'auth.retryIn': 'Опитайте след {time}',
+  'auth.attemptsLeft': 'Остават {count} от {limit} опита за тази минута',
   'auth.deviceAlreadyClaimed': 'Устройството вече има акаунт. Моля, влезте.',
 
+  // Password policy (utils/formValidation.js checkPasswordPolicy)
+  'password.strength.1': 'Слаба',
+  'password.strength.2': 'Средна',
+  'password.strength.3': 'Добра',
+  'password.strength.4': 'Силна',
+  'password.tooShort': 'Използвайте поне 8 символа',
+  'password.tooLong': 'Използвайте най-много 200 символа',
+  'password.matchesUsername': 'Не трябва да съвпада с потребителското име',
+  'password.common': 'Твърде разпространена — лесна за отгатване',
+  'password.fewClasses': 'Смесете поне два вида: малки букви, главни букви, цифри, символи',
+  'password.strongerHint': '12+ символа или смесване на три вида символи я прави по-силна',
+
   // Language toggle
   'lang.toggle': 'EN',
   'lang.title': 'Switch to English',
@@ -56,6 +84,16 @@ const bg = {
   'dashboard.bellRinging': 'Звъни...',
   'dashboard.bellActivated': 'Звънецът е активиран успешно!',
   'dashboard.bellError': 'Грешка при активиране на звънеца. Опитайте отново.',
+  'dashboard.timelineTitle': 'Днешните звънци',
+  'dashboard.timelineLesson': 'Час {n}',
+  'dashboard.timelineBreak': 'Междучасие',
+  'dashboard.timelineLeft': '{name} · остават {time}',
+  'dashboard.timelineStartsIn': 'Първият звънец е след {time}',
+  'dashboard.timelineOver': 'Няма повече звънци днес',
+  'dashboard.timelineEmpty': 'Днес няма звънци',
+  'dashboard.timelineSourceException': 'Изключение: {label}',
+  'dashboard.timelineSourceTemplate': 'Шаблон: {name}',
+  'dashboard.timelineSourceCustom': 'Собствен план за този ден от седмицата',
 
   // Day types (firmware: off | working | exceptionWorking | exceptionHoliday)
   'dayType.off': 'Неучебен ден',
@@ -103,6 +141,7 @@ const bg = {
   // Schedule sub-tabs
   'schedule.subtab.today': 'Днес',
   'schedule.subtab.week': 'Седмица',
+  'schedule.subtab.calendar': 'Календар',
   'schedule.subtab.dayPlans': 'Шаблони',
   'schedule.subtab.exceptions': 'Изключения',
 
@@ -147,6 +186,12 @@ const bg = {
   'settings.ringDuration': 'Продължителност на звънене',
   'settings.ringDurationDesc': 'Колко секунди звъни звънецът при всяко насрочено звънене. Важи за всички звънци.',
   'settings.ringDurationSec': 'Продължителност (1–30 с)',
+  'settings.bellLint': 'Проверки на звънците',
+  'settings.bellLintDesc': 'Редакторите на звънци отбелязват звънци извън учебното време и часове или междучасия, по-кратки от минимума по-долу.',
+  'settings.bellLintDayStart': 'Начало на учебния ден',
+  'settings.bellLintDayEnd': 'Край на учебния ден',
+  'settings.bellLintMinInterval': 'Най-кратък час / междучасие (мин)',
+  'settings.bellLintLocalNote': 'Запазва се само в този браузър; промените важат веднага.',
 
   // Schedule
   'schedule.hideAutoGen': 'Скрий генератор',
@@ -157,7 +202,17 @@ const bg = {
   'schedule.label': 'Описание',
   'schedule.labelPlaceholder': 'напр. Първи час',
   'schedule.removeBell': 'Премахни този звънец',
+  'schedule.lint.duplicate': 'Дублиран: друг звънец също бие в {time}.',
+  'schedule.lint.shortInterval': 'Само {gap} мин след звънеца от {prev} (минимум {min} мин).',
+  'schedule.lint.outsideHours': 'Извън учебното време ({from}–{to}).',
+  'schedule.lint.nearLimit': 'Използвани са {count} от {max} звънеца — устройството не може да съхрани повече от {max}.',
+  'schedule.lint.tooMany': '{count} звънеца — устройството съхранява най-много {max}. Премахнете някои преди запис.',
+  'schedule.lint.saveBlocked': 'Не е записано: първо поправете дублираните или застъпващите се звънци, маркирани в редактора.',
   'schedule.addBell': '+ Добави звънец',
+  'schedule.undo': 'Отмени',
+  'schedule.redo': 'Върни',
+  'schedule.undoHint': 'Отмени последната промяна на звънците (Ctrl+Z)',
+  'schedule.redoHint': 'Върни отмененото (Ctrl+Shift+Z)',
   'schedule.noBells': 'Няма конфигурирани звънци. Добавете звънец за начало.',
   'schedule.saveBells': 'Запази звънците',
   'schedule.expandAll': 'Разгъни всички',
@@ -171,21 +226,38 @@ const bg = {
   'schedule.deleteAllTitle': 'Да се изтрият ли всички изключения?',
   'schedule.deleteAllConfirm': 'Това ще премахне безвъзвратно всички изключения, включително импортираните празници. Това действие не може да бъде отменено.',
   'schedule.savedSuccess': 'Успешно запазено',
+  'schedule.savedQueued': 'Запазено в браузъра — контролерът е недостъпен и промяната ще бъде изпратена, щом се върне.',
+  'schedule.draftRestored': 'Незапазените промени отпреди изтичането на сесията са възстановени. Прегледайте ги и запазете.',
   'schedule.loading': 'Зареждане на разписание...',
 
   // Автоматичен генератор (концепция при настройка - „1-ва/2-ра смяна“ не е фиксираният модел на фърмуера)
-  'auto.firstShift': 'Първа смяна',
-  'auto.secondShift': 'Втора смяна',
-  'auto.secondShiftToggle': 'Добави втора смяна',
+  'auto.shiftN': 'Смяна {n}',
+  'auto.addShift': '+ Добави смяна',
+  'auto.removeShift': 'Премахни смяната',
+  'auto.allClasses': 'Всички часове',
+  'auto.allBreaks': 'Всички междучасия',
+  'auto.lessonN': 'Час {n}',
+  'auto.breakN': 'Междучасие след час {n}',
+  'auto.presets': 'Шаблон',
+  'auto.presetsBuiltin': 'Вградени',
+  'auto.presetsSaved': 'Запазени в този браузър',
+  'auto.presetLoad': 'Зареди',
+  'auto.presetDelete': 'Изтрий',
+  'auto.presetSave': 'Запази като шаблон',
+  'auto.presetNamePlaceholder': 'Име на шаблона',
+  'auto.preset.singleShift': 'Една смяна, 7 часа',
+  'auto.preset.fullDay': 'Цял ден с обедна почивка',
+  'auto.preset.twoShifts': 'Две смени',
+  'auto.preset.threeShifts': 'Три смени (с вечерна)',
+  'auto.previewShift': '{shift}: {from} → {to} · {count} звънения',
+  'auto.issue.pastMidnight': 'Смяна {shift} продължава след полунощ — скъсете я или започнете по-рано.',
+  'auto.issue.shiftOverlap': 'Смяна {b} трябва да започва след края на смяна {a} ({end}).',
+  'auto.issue.tooMany': '{count} звънеца — устройството съхранява най-много {max}.',
   'auto.startTime': 'Начален час',
   'auto.numClasses': 'Брой часове',
   'auto.preview': 'Преглед:',
   'auto.chip.bells': 'звънения',
   'auto.chip.classes': 'учебни часа',
-  'auto.classDuration': 'Учебен час',
-  'auto.breakDuration': 'Междучасие',
-  'auto.bigBreakDuration': 'Голямо междучасие',
-  'auto.bigBreakAfterClass': 'Голямо след час',
   'auto.generateApply': 'Генерирай',
   'auto.generateSaveHint': 'Само преглед — натиснете „Запази“ по-долу, за да запишете на устройството.',
   'auto.preBellToggle': 'Предупредителен звънец преди началото на всеки час',
@@ -284,11 +356,6 @@ const bg = {
   'settings.fwUpload': 'Качи и инсталирай',
   'settings.fwUploading': 'Качване…',
   'settings.fwAbort': 'Прекъсни',
-  'settings.fwRebooting': 'Актуализацията е приета. Устройството записва промените и се рестартира…',
-  'settings.fwWaitingOnline': 'Изчакване устройството да се върне онлайн…',
-  'settings.fwDone': 'Актуализацията е завършена. Страницата се презарежда…',
-  'settings.fwRebootTimeout': 'Устройството не се върна онлайн в рамките на 90 секунди. Проверете го ръчно.',
-  'settings.fwRebootDidNotStart': 'Актуализацията е приета, но устройството не се рестартира. Изключете и включете захранването веднъж, за да завърши инсталацията, след което отворете тази страница отново.',
   'settings.fwUploadConfirm': 'Инсталиране на софтуер v{version}?\n\nФайл: {name} ({size})\n\nТова ще замени софтуера и уеб интерфейса. Устройството ще се рестартира и ще бъде недостъпно около 30 секунди. Продължаване?',
   // Грешки от локалната проверка
   'settings.fwErrNoFile':         'Не е избран файл.',
@@ -315,6 +382,179 @@ const bg = {
   'settings.logsClearConfirm': 'Да се изчистят ли всички запазени логове на устройството?',
   'settings.logsCleared': 'Логът е изчистен',
   'settings.logsEmpty': 'Все още няма записи в лога.',
+  'settings.wifiTitle': 'Wi-Fi',
+  'settings.wifiDesc': 'Изберете мрежата, към която се свързва звънецът. Докато превключва, устройството за кратко излиза от текущата мрежа.',
+  'settings.wifiStatusUnknown': 'Състоянието на връзката не е налично',
+  'settings.wifiConnectedTo': 'Свързано към {ssid} ({rssi} dBm)',
+  'settings.wifiNotConnected': 'Не е свързано към мрежа',
+  'settings.wifiNetworks': 'Мрежи наблизо',
+  'settings.wifiScan': 'Търси мрежи',
+  'settings.wifiScanning': 'Търсене…',
+  'settings.wifiBandNote': 'Показват се само мрежи на 2,4 GHz — устройството няма 5 GHz радио.',
+  'settings.wifiNoNetworks': 'Не са открити мрежи. Приближете се до точката за достъп и потърсете отново.',
+  'settings.wifiCurrent': 'текуща',
+  'settings.wifiChannel': 'канал {n}',
+  'settings.wifiSecured': 'Защитена',
+  'settings.wifiOpen': 'Отворена',
+  'settings.wifiPassword': 'Парола',
+  'settings.wifiPasswordPlaceholder': 'Парола за мрежата',
+  'settings.wifiManualPasswordPlaceholder': 'Оставете празно за отворена мрежа',
+  'settings.wifiAccessPoint': 'Точка за достъп',
+  'settings.wifiAnyAp': 'Която и да е (най-силен сигнал)',
+  'settings.wifiPinHint': 'Закрепете точка за достъп, когато няколко имат същото име и звънецът се свързва към грешната.',
+  'settings.wifiConnect': 'Свържи',
+  'settings.wifiConnectConfirm': 'Да се превключи ли звънецът към „{ssid}“? Той ще излезе от текущата мрежа, докато се свърже отново.',
+  'settings.wifiManual': 'Скрита мрежа или ръчно въвеждане…',
+  'settings.wifiManualHide': 'Скрий ръчното въвеждане',
+  'settings.wifiSsid': 'Име на мрежата (SSID)',
+  'settings.wifiBssid': 'BSSID (по избор)',
+  'settings.wifiErrSsid': 'Въведете името на мрежата.',
+  'settings.wifiErrPassword': 'Паролите за Wi-Fi са от 8 до 63 знака.',
+  'settings.wifiErrBssid': 'Въведете BSSID във вида AA:BB:CC:DD:EE:FF.',
+  'settings.wifiSaving': 'Изпращане на данните за вход…',
+  'settings.wifiWaiting': 'Изчакване звънецът да се свърже към {ssid}…',
+  'settings.wifiJoined': 'Звънецът е свързан към {ssid}.',
+  'settings.wifiTimeout': 'Звънецът не потвърди връзка към {ssid} в рамките на минута. Ако е преминал в друга мрежа, отворете го на новия му адрес; иначе проверете паролата и опитайте отново.',
+  'settings.wifiDone': 'Готово',
+
+  // First-run setup wizard
+  'setup.title': 'Настройка на училищния звънец',
+  'setup.intro.claim': 'Добре дошли! Няколко кратки стъпки и звънецът ще бие по разписанието на училището. Всяка стъпка се записва директно в устройството; пропуснете това, което искате да настроите по-късно от Настройки или Разписание.',
+  'setup.intro.factoryReset': 'Устройството беше върнато към фабрични настройки. Минете през тези стъпки, за да възстановите разписанието на училището.',
+  'setup.finishLater': 'Довърши по-късно',
+  'setup.step.timezone': 'Часова зона',
+  'setup.step.workingDays': 'Работни дни',
+  'setup.step.ringDuration': 'Продължителност',
+  'setup.step.defaultSchedule': 'Основно разписание',
+  'setup.step.weekPlan': 'Дни от седмицата',
+  'setup.step.holidays': 'Празници',
+  'setup.step.pin': 'ПИН',
+  'setup.status.saved': 'записано',
+  'setup.status.skipped': 'пропуснато',
+  'setup.status.current': 'текуща стъпка',
+  'setup.status.pending': 'предстои',
+  'setup.back': 'Назад',
+  'setup.skip': 'Пропусни',
+  'setup.saving': 'Записване…',
+  'setup.saveContinue': 'Запиши и продължи',
+  'setup.continue': 'Продължи',
+  'setup.timezoneDesc': 'Звънецът бие по часовника на устройството, затова изберете зоната на училището. Лятното часово време се отчита автоматично.',
+  'setup.testRing': 'Пробно звънене',
+  'setup.defaultTitle': 'Основно разписание',
+  'setup.defaultDesc': 'Тези звънци бият във всеки работен ден, освен ако план за деня или изключение не казва друго. Генерирайте ги по смени, започнете от вграден шаблон или ги въведете ръчно.',
+  'setup.weekTitle': 'Планове по дни',
+  'setup.weekDesc': 'Изберете какво бие във всеки работен ден. Шаблонът се копира в деня, така че по-късни промени в шаблона не го засягат.',
+  'setup.weekNoWorkingDays': 'Няма избрани работни дни, така че няма какво да се планира. Върнете се, за да ги изберете, или пропуснете тази стъпка.',
+  'setup.weekKeepCustom': 'Запази собствените звънци за деня',
+  'setup.holidaysTitle': 'Празници (по избор)',
+  'setup.holidaysDesc': 'Импортирайте официалните и училищните празници като почивни дни — онлайн или от файл с календар. Можете да го направите и по-късно от Разписание → Изключения.',
+  'setup.holidaysOpen': 'Импортирай празници…',
+  'setup.holidaysImported': 'Празниците са импортирани.',
+  'setup.doneTitle': 'Готово',
+  'setup.doneDesc': 'Всичко това може да се промени по-късно от Настройки и Разписание.',
+  'setup.finish': 'Към таблото',
+  'setup.resumeText': 'Настройката не е завършена — направени са {done} от {total} стъпки.',
+  'setup.resume': 'Продължи настройката',
+  'setup.dismiss': 'Затвори',
+  'setup.dismissConfirm': 'Да се прекрати ли съветникът за настройка? Вече записаното остава в устройството.',
+
+  // Резервно копие / възстановяване на разписанието
+  'settings.backupTitle': 'Резервно копие и възстановяване',
+  'settings.backupDesc': 'Запазете цялата конфигурация на разписанието в един файл или я заредете обратно, например след подмяна или нулиране на устройството.',
+  'settings.backupCreate': 'Създаване на резервно копие',
+  'settings.backupCreateDesc': 'Включва общите настройки на разписанието, разписанието по подразбиране, всички шаблони, седмичния план и всички изключения.',
+  'settings.backupDownload': 'Изтегляне на резервно копие',
+  'settings.backupCollecting': 'Четене на разписанието…',
+  'settings.backupStage_settings': 'Четене на настройките…',
+  'settings.backupStage_default': 'Четене на разписанието по подразбиране…',
+  'settings.backupStage_templates': 'Четене на шаблоните…',
+  'settings.backupStage_week': 'Четене на седмичния план…',
+  'settings.backupStageExceptions': 'Четене на изключенията… {done}/{total}',
+  'settings.backupDownloaded': 'Резервното копие е изтеглено ({count} изключение(я)).',
+  'settings.backupCreatedAt': 'Създадено',
+  'settings.backupSection_settings': 'Общи настройки',
+  'settings.backupSection_default': 'Разписание по подразбиране',
+  'settings.backupSection_templates': 'Шаблони',
+  'settings.backupSection_week': 'Седмичен план',
+  'settings.backupSection_exceptions': 'Изключения',
+  'settings.backupSectionMissing': 'Липсва във файла',
+  'settings.backupSummarySettings': '{days} работни дни, звънене {sec} сек.',
+  'settings.backupSummaryTemplates': '{count} от {total} заети слота',
+  'settings.backupSummaryWeek': '7 дни, {count} с персонализирани звънци',
+  'settings.backupSummaryExceptions': '{count} изключение(я)',
+  'settings.backupErrReadFile': 'Избраният файл не може да бъде прочетен.',
+  'settings.backupErrNotJson': 'Файлът не е валиден JSON.',
+  'settings.backupErrNotBackup': 'Файлът не е резервно копие на разписание на Ringy.',
+  'settings.backupErrVersion': 'Неподдържана версия на резервното копие ({version}). Обновете софтуера и опитайте отново.',
+  'settings.backupErrSection': 'Частта „{section}“ на резервното копие е повредена.',
+  'settings.restoreTitle': 'Възстановяване от резервно копие',
+  'settings.restoreDesc': 'Изберете файл с резервно копие, за да прегледате съдържанието му, след което изберете какво да се запише на устройството.',
+  'settings.restoreReplaceExceptions': 'Изтриване на текущите изключения преди възстановяване',
+  'settings.restoreApply': 'Възстановяване на избраното',
+  'settings.restoreRunning': 'Възстановяване…',
+  'settings.restoreConfirm': 'Да се презапишат ли избраните части от разписанието на устройството със съдържанието на резервното копие?',
+  'settings.restoreDone': 'Резервното копие е възстановено успешно.',
+  'settings.restorePartial': '{failed} от {total} стъпки не бяха изпълнени. Всичко останало е възстановено:',
+  'settings.restoreQueued': 'Устройството е недостъпно, затова тези части още не са възстановени. Те чакат в браузъра и ще бъдат изпратени, щом то се върне: {sections}.',
+  'settings.restoreFailed': '{failed} от {total} стъпки не бяха изпълнени:',
+  'settings.restoreExceptionsSkipped': 'Текущите изключения не можаха да бъдат изтрити, затова изключенията от резервното копие не бяха създадени.',
+
+  // Offline outbox (utils/Outbox.js)
+  'outbox.title': 'Промени, чакащи устройството',
+  'outbox.desc': 'Тези промени са направени, докато контролерът беше недостъпен. Изпращат се по ред веднага щом отговори отново.',
+  'outbox.pending': '{count} чакащи',
+  'outbox.waiting': 'Чака устройството',
+  'outbox.refused': 'Отказано от устройството: {error}',
+  'outbox.conflict': 'Не е изпратено: някой е променил това на устройството, след като сте го отворили. Откажете промяната и я направете отново върху текущата версия.',
+  'outbox.held': 'Задържано — добавено от {owner}',
+  'outbox.heldNotice': '{count} промени са добавени от {owner}, а не от вас. Няма да бъдат изпратени, освен ако не ги поемете.',
+  'outbox.adopt': 'Изпрати ги като {user}',
+  'outbox.unknownOwner': 'предишна сесия',
+  'outbox.details': 'Заявка',
+  'outbox.discard': 'Откажи',
+  'outbox.discardAll': 'Откажи всички',
+  'outbox.discardAllConfirm': 'Да се откажат ли всички чакащи промени? Те няма да бъдат изпратени към устройството.',
+  'outbox.close': 'Затвори',
+  'outbox.sendNow': 'Изпрати сега',
+  'outbox.sending': 'Изпращане...',
+  'outbox.stillOffline': 'Устройството все още е недостъпно — промените остават на опашката.',
+  'outbox.item.settings': 'Настройки на графика',
+  'outbox.item.default': 'Основен дневен план',
+  'outbox.item.week': 'Седмичен план',
+  'outbox.item.weekday': 'План за ден от седмицата',
+  'outbox.item.templates': 'Шаблони на дневни планове',
+  'outbox.item.exceptionUpdate': 'Промяна на изключение',
+  'outbox.item.exceptionDelete': 'Изтриване на изключение',
+  'outbox.item.other': 'Промяна',
+
+  // Response schema check (utils/responseSchema.js)
+  'api.incompatibleFirmware': 'Софтуерът на устройството не съвпада с уеб приложението: {endpoint} върна неочаквано „{field}“ (очаквано {expected}, получено {received}). Актуализирайте софтуера на устройството или презаредете страницата.',
+
+  // Device restart overlay (features/DeviceRestart)
+  'restart.title.reboot': 'Рестартиране на устройството',
+  'restart.title.factoryReset': 'Възстановяване на фабричните настройки',
+  'restart.title.timeSync': 'Синхронизиране на часовника',
+  'restart.title.tlsMode': 'Смяна на типа връзка',
+  'restart.title.tlsCertificate': 'Прилагане на новия сертификат',
+  'restart.title.firmware': 'Инсталиране на софтуерната актуализация',
+  'restart.phase.restarting': 'Устройството записва промените и се рестартира…',
+  'restart.phase.offline': 'Изчакване устройството да се върне онлайн… (проверка {attempt})',
+  'restart.phase.starting': 'Устройството отговаря отново и довършва стартирането…',
+  'restart.phase.revalidating': 'Проверка на сесията…',
+  'restart.phase.redirecting': 'Отваряне на устройството на {url}…',
+  'restart.phase.reloading': 'Готово. Страницата се презарежда…',
+  'restart.timeoutTitle': 'Устройството не се върна',
+  'restart.timeoutText': 'Не отговаря по-дълго от очакваното. Проверете следното, след което изчакайте още или презаредете страницата:',
+  'restart.notRestartedTitle': 'Устройството не се рестартира',
+  'restart.notRestartedText': 'Заявката е приета, но устройството продължи да работи, без да се рестартира. Изключете и включете захранването веднъж, за да се приложи промяната.',
+  'restart.tipPower': 'Устройството има захранване и екранът му свети.',
+  'restart.tipNetwork': 'Този компютър е в същата мрежа като устройството (същата Wi-Fi мрежа или кабел).',
+  'restart.tipAddress': 'След смяна на типа връзка устройството отговаря на {url}. С вградения сертификат браузърът показва предупреждение за сигурност при първото посещение.',
+  'restart.tipPowerCycle': 'Ако все още не отговаря, изключете устройството от захранването за 10 секунди и го включете отново.',
+  'restart.openAddress': 'Отвори {url}',
+  'restart.keepWaiting': 'Изчакай още',
+  'restart.reload': 'Презареди страницата',
+  'restart.dismiss': 'Затвори',
 
   // Touchscreen PIN
   'settings.pinTitle': 'ПИН за тъчскрийн',
@@ -345,7 +585,7 @@ const bg = {
   'settings.credDeleting': 'Изтриване...',
   'settings.credDeleteConfirm': 'Да се изтрие ли потребителският акаунт? Персоналът вече няма да може да влиза с него.',
   'settings.credUsernameInvalid': 'Потребителското име трябва да е от 1 до 31 символа.',
-  'settings.credPasswordMin': 'Паролата трябва да е поне 8 символа.',
+  'settings.credPasswordWeak': 'Изберете по-силна парола — вижте подсказките под полето.',
   'settings.credPasswordMismatch': 'Паролите не съвпадат.',
 
   // TLS / HTTPS
@@ -359,7 +599,6 @@ const bg = {
   'settings.tlsSavingMode': 'Запазване…',
   'settings.tlsUnsavedHint': '(незаписано — устройството ще се рестартира при запазване)',
   'settings.tlsModeConfirm': 'Превключване към {mode}? Устройството ще се рестартира.',
-  'settings.tlsModeSaved': 'Превключено към {mode}. Рестартиране — повторно свързване след няколко секунди…',
   'settings.tlsModeFailed': 'Типът на връзката не може да бъде променен.',
   'settings.tlsNoCertBeforeHttps': 'Все още няма сертификат на устройството. Създайте или качете такъв по-долу, преди да включите HTTPS.',
   'settings.tlsActiveMode': 'Текуща връзка',
@@ -380,7 +619,6 @@ const bg = {
   'settings.tlsRegenerate': 'Създай нов сертификат',
   'settings.tlsRegenerating': 'Създаване…',
   'settings.tlsRegenConfirm': 'Да се създаде нов сертификат? Текущият ще бъде заменен.',
-  'settings.tlsRegenRestart': 'Сертификатът е създаден. Устройството се рестартира — свързване след малко…',
   'settings.tlsRegenStored': 'Сертификатът е създаден. Превключете към HTTPS, за да го използвате.',
   'settings.tlsRegenFailed': 'Сертификатът не може да бъде създаден.',
   'settings.tlsUpload': 'Качи сертификат',
@@ -392,7 +630,6 @@ const bg = {
   'settings.tlsInstall': 'Инсталирай',
   'settings.tlsUploading': 'Качване…',
   'settings.tlsUploadNeedBoth': 'Изберете и сертификата, и частния ключ.',
-  'settings.tlsUploadRestart': 'Сертификатът е инсталиран. Устройството се рестартира — свързване след малко…',
   'settings.tlsUploadStored': 'Сертификатът е инсталиран. Превключете към HTTPS, за да го използвате.',
   'settings.tlsUploadFailed': 'Качването не бе успешно.',
   'settings.tlsTamper': 'Сертификатът е променен неочаквано. Проверете устройството и създайте или качете нов сертификат при нужда.',
@@ -494,6 +731,8 @@ const bg = {
   'schedule.holidayImport.sourcePublic': 'Официален',
   'schedule.holidayImport.sourceSchool': 'Училищен',
   'schedule.holidayImport.sourceOther': 'Друг',
+  'schedule.holidayImport.sourceIcs': 'Календарен файл',
+  'schedule.holidayImport.sourceCsv': 'CSV файл',
   'schedule.holidayImport.statusImported': 'Вече добавен',
   'schedule.holidayImport.statusConflict': 'Конфликт',
   'schedule.holidayImport.statusNew': 'Нов',
@@ -512,6 +751,78 @@ const bg = {
   'schedule.holidayImport.bannerSubtitle': '{count} автоматично заредени празника очакват преглед.',
   'schedule.holidayImport.bannerReview': 'Прегледай',
   'schedule.holidayImport.bannerDismiss': 'Отхвърли',
+  'schedule.holidayImport.source_online': 'OpenHolidaysAPI',
+  'schedule.holidayImport.source_file': 'От файл',
+  'schedule.holidayImport.fileSubtitle': 'Импортирайте дни за изпити, екскурзии или общински календар от .ics или CSV файл.',
+  'schedule.holidayImport.fileHelp': 'Изберете .ics файл (Google Calendar, Outlook) или CSV файл с начална дата, незадължителна крайна дата и описание на всеки ред.',
+  'schedule.holidayImport.chooseFile': 'Избор на файл...',
+  'schedule.holidayImport.readingFile': 'Четене на файла...',
+  'schedule.holidayImport.checkingExisting': 'Сравняване със съществуващите изключения...',
+  'schedule.holidayImport.fileSkipped': '{n} ред(а) без валидна дата са пропуснати.',
+  'schedule.holidayImport.errFileRead': 'Файлът не може да бъде прочетен.',
+  'schedule.holidayImport.errFileFormat': 'Неподдържан файл. Изберете .ics или .csv файл.',
+  'schedule.holidayImport.errFileEmpty': 'Във файла не са намерени събития с валидна дата.',
+  'schedule.holidayImport.errFileRows': '{n} ред(а) не можаха да бъдат записани:',
+
+  // ===== Преглед преди запис (разлики) =====
+  'schedule.diff.title': 'Преглед на промените преди запис',
+  'schedule.diff.noChanges': 'Няма разлики спрямо последно заредените от устройството данни. Да се запише ли все пак?',
+  'schedule.diff.confirm': 'Запиши на устройството',
+  'schedule.diff.added': 'Добавен',
+  'schedule.diff.removed': 'Премахнат',
+  'schedule.diff.retimed': 'Преместен',
+  'schedule.diff.relabelled': 'Преименуван',
+  'schedule.diff.noLabel': '(без етикет)',
+  'schedule.diff.unchanged': '{count} звънеца без промяна',
+  'schedule.diff.template_created': 'Нов шаблон',
+  'schedule.diff.template_cleared': 'Шаблонът ще бъде изтрит',
+  'schedule.diff.renamed': 'Преименуван: {from} → {to}',
+  'schedule.diff.planChanged': 'План: {from} → {to}',
+  'schedule.conflict.changed': 'Данните бяха променени на устройството, след като ги отворихте — прегледайте конфликта, преди да запишете отново.',
+  'schedule.conflict.title': 'Променено на устройството междувременно',
+  'schedule.conflict.desc': 'Някой е записал {what}, след като отворихте тази страница. Промените, които не се застъпват, се обединяват; за всеки елемент, променен и от двама ви, изберете коя версия да остане.',
+  'schedule.conflict.whatTemplates': 'дневните планове',
+  'schedule.conflict.whatWeek': 'седмичния график',
+  'schedule.conflict.keptTheirs': 'Запазено от устройството: {items}',
+  'schedule.conflict.noOverlap': 'Вашите промени не се застъпват с техните — записът запазва и двете.',
+  'schedule.conflict.base': 'При отваряне',
+  'schedule.conflict.mine': 'Вашата версия',
+  'schedule.conflict.theirs': 'На устройството сега',
+  'schedule.conflict.empty': '(празен)',
+  'schedule.conflict.back': 'Обратно към редакцията',
+  'schedule.conflict.takeTheirs': 'Откажи моите промени',
+  'schedule.conflict.saveMerged': 'Запиши обединеното',
+
+  // ===== Календар (месечен изглед) =====
+  'schedule.calendar.title': 'Календар',
+  'schedule.calendar.prevMonth': 'Предишен месец',
+  'schedule.calendar.nextMonth': 'Следващ месец',
+  'schedule.calendar.thisMonth': 'Текущ месец',
+  'schedule.calendar.retry': 'Опитай отново',
+  'schedule.calendar.kind_working': 'Работен ден',
+  'schedule.calendar.kind_template': 'Работен ден: шаблон',
+  'schedule.calendar.kind_custom': 'Работен ден: собствени звънци',
+  'schedule.calendar.kind_off': 'Почивен ден',
+  'schedule.calendar.kind_exceptionDayOff': 'Изключение: почивен ден',
+  'schedule.calendar.kind_exceptionTemplate': 'Изключение: шаблон',
+  'schedule.calendar.kind_exceptionCustom': 'Изключение: собствени звънци',
+  'schedule.calendar.hint': 'Дните се определят както на устройството: изключение, после седмичен план, после основно разписание. Щракнете върху ден, за да добавите или редактирате изключение.',
+  'schedule.calendar.createTitle': 'Ново изключение',
+  'schedule.calendar.editTitle': 'Редактиране на изключение',
+
+  // ===== Експорт в календар (.ics) =====
+  'schedule.icsExport.openButton': 'Експорт .ics',
+  'schedule.icsExport.openButtonTooltip': 'Изтеглете изключенията като календарен файл за Google Calendar, Outlook или Apple Calendar.',
+  'schedule.icsExport.title': 'Експорт в календар (.ics)',
+  'schedule.icsExport.desc': 'Всяко изключение става целодневно събитие. Изключенията за няколко дни обхващат всичките си дни.',
+  'schedule.icsExport.includeBells': 'Добави и събитие за всеки звънец в период от дати',
+  'schedule.icsExport.bellsHint': 'Звънците се определят както на устройството: изключение, след това седмичен план, след това разписание по подразбиране. До {max} дни.',
+  'schedule.icsExport.errRangeRequired': 'Изберете начална и крайна дата за събитията на звънците.',
+  'schedule.icsExport.errRangeTooLong': 'Периодът за звънците може да обхваща най-много {max} дни.',
+  'schedule.icsExport.download': 'Изтегли .ics',
+  'schedule.icsExport.exporting': 'Подготовка…',
+  'schedule.icsExport.calendarName': 'Училищен звънец',
+  'schedule.icsExport.bellEvent': 'Звънец',
 
   // Раздел „Седмица“
   'schedule.week.defaultPlan': 'Разписание по подразбиране',
@@ -537,6 +848,24 @@ const bg = {
   'schedule.dayPlans.clearConfirmTitle': 'Да се изчисти ли този шаблон?',
   'schedule.dayPlans.clearWarnExceptions': 'Използва се от {count} изключение(я).',
   'schedule.dayPlans.clearConfirmAction': 'Изчисти шаблона',
+  'schedule.planFile.export': 'Експорт във файл',
+  'schedule.planFile.import': 'Импорт от файл…',
+  'schedule.planFile.importTitle': 'Импорт на дневен план',
+  'schedule.planFile.importSummary': '{name}: {count} {bellWord}, {from}–{to}.',
+  'schedule.planFile.target': 'Импортирай в',
+  'schedule.planFile.name': 'Име на шаблона',
+  'schedule.planFile.emptySlot': 'празен',
+  'schedule.planFile.replaceWarning': 'Това заменя {name} в редактора. Нищо не се записва на устройството, докато не потвърдите прегледа.',
+  'schedule.planFile.importContinue': 'Преглед и запис',
+  'schedule.planFile.errRead': 'Файлът не може да бъде прочетен.',
+  'schedule.planFile.errNotJson': 'Файлът не е валиден JSON.',
+  'schedule.planFile.errNotPlan': 'Това не е файл с дневен план, експортиран от това приложение.',
+  'schedule.planFile.errVersion': 'Неподдържана версия на файла с дневен план ({version}).',
+  'schedule.planFile.errNoBells': 'Файлът не съдържа звънци.',
+  'schedule.planFile.errTooMany': 'Файлът съдържа {count} звънеца — устройството съхранява най-много {max}.',
+  'schedule.planFile.errBell': 'Звънец {n} във файла е с невалиден час.',
+  'schedule.planFile.errLabel': 'Етикетът на звънец {n} е по-дълъг от {max} знака.',
+  'schedule.planFile.errDuplicate': 'Файлът съдържа два звънеца в {time}.',
 
   // Изключения - клиентска проверка и потвърждения
   'schedule.exceptions.overlapWarning': 'Това се пресича със съществуващо(и) изключение(я): {ids}',
@@ -26,14 +26,42 @@ const en = {
   'auth.createAccount': 'Create account',
   'auth.creatingAccount': 'Creating account...',
   'auth.backToLogin': 'Back to login',
+  'auth.wifiSetup': 'Wi-Fi setup',
+  'auth.sessionExpiringTitle': 'Still there?',
+  'auth.sessionExpiringText': 'Your session on the device ends in {time}. Unsaved changes are kept if it does, but you will have to sign in again.',
+  'auth.staySignedIn': 'Stay signed in',
+  'auth.sessionRefreshing': 'Extending…',
+  'auth.sessionRefreshFailed': 'Could not reach the device to extend the session — try again.',
+  'auth.sessionExpired': 'Your session has already ended.',
+  'auth.sessionEnded.expired': 'Your session ended. Please sign in again.',
+  'auth.sessionEnded.elsewhere': 'This tab was signed out because someone signed in from another browser or device.',
+  'auth.sessionEnded.otherTab': 'You signed out in another tab.',
+  'auth.sessionDraftsKept': 'Your unsaved schedule edits were kept — sign in again to continue where you left off.',
+  'auth.elsewhereTitle': 'Signed in elsewhere',
+  'auth.elsewhereText': 'The bell controller allows one session at a time. Someone signed in from another browser or device, or the device restarted, so this tab was signed out.',
+  'auth.elsewhereSignIn': 'Sign in here again',
+  'auth.notPermitted': 'Your account is not allowed to do this.',
   'auth.orDivider': 'or',
   'auth.confirmPassword': 'Confirm password',
   'auth.enterConfirmPassword': 'Re-enter password',
-  'auth.passwordMinLength': 'Password must be at least 8 characters',
   'auth.passwordMismatch': 'Passwords do not match',
-  'auth.passwordHint': 'Use at least 8 characters',
+  'auth.rateLimited': 'Too many sign-in attempts — try again in {time}.',
+  'auth.retryIn': 'Try again in {time}',
+  'auth.attemptsLeft': '{count} of {limit} attempts left this minute',
   'auth.deviceAlreadyClaimed': 'This device already has an account. Please log in.',
 
+  // Password policy (utils/formValidation.js checkPasswordPolicy)
+  'password.strength.1': 'Weak',
+  'password.strength.2': 'Fair',
+  'password.strength.3': 'Good',
+  'password.strength.4': 'Strong',
+  'password.tooShort': 'Use at least 8 characters',
+  'password.tooLong': 'Use no more than 200 characters',
+  'password.matchesUsername': 'Must not be the same as the username',
+  'password.common': 'Too common — easy to guess',
+  'password.fewClasses': 'Mix at least two of: lowercase, uppercase, digits, symbols',
+  'password.strongerHint': '12+ characters or a mix of three character types makes it stronger',
+
   // Language toggle
   'lang.toggle': 'BG',
   'lang.title': 'Switch to Bulgarian',
@@ -57,6 +85,16 @@ const en = {
   'dashboard.bellRinging': 'Ringing...',
   'dashboard.bellActivated': 'Bell activated successfully!',
   'dashboard.bellError': 'Failed to activate bell. Please try again.',
+  'dashboard.timelineTitle': "Today's Bells",
+  'dashboard.timelineLesson': 'Lesson {n}',
+  'dashboard.timelineBreak': 'Break',
+  'dashboard.timelineLeft': '{name} · {time} left',
+  'dashboard.timelineStartsIn': 'First bell in {time}',
+  'dashboard.timelineOver': 'No more bells today',
+  'dashboard.timelineEmpty': 'No bells today',
+  'dashboard.timelineSourceException': 'Exception: {label}',
+  'dashboard.timelineSourceTemplate': 'Template: {name}',
+  'dashboard.timelineSourceCustom': 'Custom plan for this weekday',
 
   // Day types (firmware: off | working | exceptionWorking | exceptionHoliday)
   'dayType.off': 'Day Off',
@@ -104,6 +142,7 @@ const en = {
   // Schedule sub-tabs
   'schedule.subtab.today': 'Today',
   'schedule.subtab.week': 'Week',
+  'schedule.subtab.calendar': 'Calendar',
   'schedule.subtab.dayPlans': 'Templates',
   'schedule.subtab.exceptions': 'Exceptions',
 
@@ -148,6 +187,12 @@ const en = {
   'settings.ringDuration': 'Bell Ring Duration',
   'settings.ringDurationDesc': 'How long the bell rings each time a scheduled event fires. Applies to all bells.',
   'settings.ringDurationSec': 'Duration (1–30 s)',
+  'settings.bellLint': 'Bell checks',
+  'settings.bellLintDesc': 'Bell editors flag bells outside school hours and lessons or breaks shorter than the minimum below.',
+  'settings.bellLintDayStart': 'School day starts',
+  'settings.bellLintDayEnd': 'School day ends',
+  'settings.bellLintMinInterval': 'Shortest lesson / break (min)',
+  'settings.bellLintLocalNote': 'Saved in this browser only; changes apply immediately.',
 
   // Schedule
   'schedule.hideAutoGen': 'Hide Auto Generate',
@@ -158,7 +203,17 @@ const en = {
   'schedule.label': 'Label',
   'schedule.labelPlaceholder': 'e.g. First Period',
   'schedule.removeBell': 'Remove this bell',
+  'schedule.lint.duplicate': 'Duplicate: another bell also rings at {time}.',
+  'schedule.lint.shortInterval': 'Only {gap} min after the {prev} bell (minimum {min} min).',
+  'schedule.lint.outsideHours': 'Outside school hours ({from}–{to}).',
+  'schedule.lint.nearLimit': '{count} of {max} bells used — the device cannot store more than {max}.',
+  'schedule.lint.tooMany': '{count} bells — the device stores at most {max}. Remove some before saving.',
+  'schedule.lint.saveBlocked': 'Not saved: fix the duplicate or overlapping bells highlighted in the editor first.',
   'schedule.addBell': '+ Add Bell',
+  'schedule.undo': 'Undo',
+  'schedule.redo': 'Redo',
+  'schedule.undoHint': 'Undo the last bell change (Ctrl+Z)',
+  'schedule.redoHint': 'Redo (Ctrl+Shift+Z)',
   'schedule.noBells': 'No bells configured. Add a bell to get started.',
   'schedule.saveBells': 'Save Bells',
   'schedule.expandAll': 'Expand all',
@@ -172,21 +227,38 @@ const en = {
   'schedule.deleteAllTitle': 'Delete all exceptions?',
   'schedule.deleteAllConfirm': 'This will permanently remove every exception, including holidays you have imported. This action cannot be undone.',
   'schedule.savedSuccess': 'Saved successfully',
+  'schedule.savedQueued': 'Saved in this browser — the bell controller is unreachable, so the change will be sent when it is back.',
+  'schedule.draftRestored': 'Unsaved edits from before your session ended were restored. Review them and save.',
   'schedule.loading': 'Loading schedule...',
 
   // Auto Generate (setup-time concept - "1st/2nd shift" refers to two daily sessions, not the old firmware shift model)
-  'auto.firstShift': '1st Shift',
-  'auto.secondShift': '2nd Shift',
-  'auto.secondShiftToggle': 'Add a second shift',
+  'auto.shiftN': 'Shift {n}',
+  'auto.addShift': '+ Add shift',
+  'auto.removeShift': 'Remove shift',
+  'auto.allClasses': 'All classes',
+  'auto.allBreaks': 'All breaks',
+  'auto.lessonN': 'Class {n}',
+  'auto.breakN': 'Break after class {n}',
+  'auto.presets': 'Preset',
+  'auto.presetsBuiltin': 'Built-in',
+  'auto.presetsSaved': 'Saved in this browser',
+  'auto.presetLoad': 'Load',
+  'auto.presetDelete': 'Delete',
+  'auto.presetSave': 'Save as preset',
+  'auto.presetNamePlaceholder': 'Preset name',
+  'auto.preset.singleShift': 'Single shift, 7 classes',
+  'auto.preset.fullDay': 'Full day with lunch break',
+  'auto.preset.twoShifts': 'Two shifts',
+  'auto.preset.threeShifts': 'Three shifts (with evening)',
+  'auto.previewShift': '{shift}: {from} → {to} · {count} rings',
+  'auto.issue.pastMidnight': 'Shift {shift} runs past midnight — shorten it or start earlier.',
+  'auto.issue.shiftOverlap': 'Shift {b} must start after shift {a} ends at {end}.',
+  'auto.issue.tooMany': '{count} bells — the device stores at most {max}.',
   'auto.startTime': 'Start Time',
   'auto.numClasses': 'Number of Classes',
   'auto.preview': 'Preview:',
   'auto.chip.bells': 'rings',
   'auto.chip.classes': 'classes',
-  'auto.classDuration': 'Class Duration',
-  'auto.breakDuration': 'Break',
-  'auto.bigBreakDuration': 'Big Break',
-  'auto.bigBreakAfterClass': 'Big Break After',
   'auto.generateApply': 'Generate',
   'auto.generateSaveHint': 'Preview only - click Save below to store this on the device.',
   'auto.preBellToggle': 'Warning bell before each class starts',
@@ -285,11 +357,6 @@ const en = {
   'settings.fwUpload': 'Upload & Install',
   'settings.fwUploading': 'Uploading…',
   'settings.fwAbort': 'Abort',
-  'settings.fwRebooting': 'Update accepted. The device is saving changes and restarting…',
-  'settings.fwWaitingOnline': 'Waiting for the device to come back online…',
-  'settings.fwDone': 'Software update complete. Reloading page…',
-  'settings.fwRebootTimeout': 'The device did not come back online within 90 seconds. Check the device manually.',
-  'settings.fwRebootDidNotStart': 'The update was accepted, but the device did not restart. Power-cycle the device once to finish installing, then open this page again.',
   'settings.fwUploadConfirm': 'Install software v{version}?\n\nFile: {name} ({size})\n\nThis replaces the software and web interface. The device will restart and be unavailable for up to about 30 seconds. Continue?',
   // Client-side preflight errors
   'settings.fwErrNoFile':         'No file selected.',
@@ -316,6 +383,179 @@ const en = {
   'settings.logsClearConfirm': 'Clear all stored error logs on the device?',
   'settings.logsCleared': 'Log cleared',
   'settings.logsEmpty': 'No log entries yet.',
+  'settings.wifiTitle': 'Wi-Fi',
+  'settings.wifiDesc': 'Choose the network the bell joins. While it switches, the device briefly drops off its current network.',
+  'settings.wifiStatusUnknown': 'Connection status unavailable',
+  'settings.wifiConnectedTo': 'Connected to {ssid} ({rssi} dBm)',
+  'settings.wifiNotConnected': 'Not connected to a network',
+  'settings.wifiNetworks': 'Nearby networks',
+  'settings.wifiScan': 'Scan networks',
+  'settings.wifiScanning': 'Scanning…',
+  'settings.wifiBandNote': 'Only 2.4 GHz networks are listed — the device has no 5 GHz radio.',
+  'settings.wifiNoNetworks': 'No networks found. Move closer to the access point and scan again.',
+  'settings.wifiCurrent': 'current',
+  'settings.wifiChannel': 'ch {n}',
+  'settings.wifiSecured': 'Secured',
+  'settings.wifiOpen': 'Open',
+  'settings.wifiPassword': 'Password',
+  'settings.wifiPasswordPlaceholder': 'Network password',
+  'settings.wifiManualPasswordPlaceholder': 'Leave empty for an open network',
+  'settings.wifiAccessPoint': 'Access point',
+  'settings.wifiAnyAp': 'Any (strongest signal)',
+  'settings.wifiPinHint': 'Pin an access point when several share this name and the bell keeps joining the wrong one.',
+  'settings.wifiConnect': 'Connect',
+  'settings.wifiConnectConfirm': 'Switch the bell to "{ssid}"? It will drop off its current network while it reconnects.',
+  'settings.wifiManual': 'Hidden network or manual entry…',
+  'settings.wifiManualHide': 'Hide manual entry',
+  'settings.wifiSsid': 'Network name (SSID)',
+  'settings.wifiBssid': 'BSSID (optional)',
+  'settings.wifiErrSsid': 'Enter the network name.',
+  'settings.wifiErrPassword': 'Wi-Fi passwords are 8 to 63 characters.',
+  'settings.wifiErrBssid': 'Enter the BSSID as AA:BB:CC:DD:EE:FF.',
+  'settings.wifiSaving': 'Sending the credentials…',
+  'settings.wifiWaiting': 'Waiting for the bell to join {ssid}…',
+  'settings.wifiJoined': 'The bell is connected to {ssid}.',
+  'settings.wifiTimeout': 'The bell did not report joining {ssid} within a minute. If it moved to a different network, open it at its new address; otherwise check the password and try again.',
+  'settings.wifiDone': 'Done',
+
+  // First-run setup wizard
+  'setup.title': 'Set up your school bell',
+  'setup.intro.claim': 'Welcome! A few short steps get the bell ringing on your school’s timetable. Each step saves straight to the device; skip anything you want to set later in Settings or Schedule.',
+  'setup.intro.factoryReset': 'The device was reset to factory settings. Walk through these steps to put your school’s timetable back.',
+  'setup.finishLater': 'Finish later',
+  'setup.step.timezone': 'Time zone',
+  'setup.step.workingDays': 'Working days',
+  'setup.step.ringDuration': 'Ring length',
+  'setup.step.defaultSchedule': 'Default schedule',
+  'setup.step.weekPlan': 'Weekdays',
+  'setup.step.holidays': 'Holidays',
+  'setup.step.pin': 'PIN',
+  'setup.status.saved': 'saved',
+  'setup.status.skipped': 'skipped',
+  'setup.status.current': 'current step',
+  'setup.status.pending': 'not done yet',
+  'setup.back': 'Back',
+  'setup.skip': 'Skip',
+  'setup.saving': 'Saving…',
+  'setup.saveContinue': 'Save and continue',
+  'setup.continue': 'Continue',
+  'setup.timezoneDesc': 'Bells ring on the device clock, so pick the zone the school is in. Daylight saving time is handled automatically.',
+  'setup.testRing': 'Test ring',
+  'setup.defaultTitle': 'Default schedule',
+  'setup.defaultDesc': 'These bells ring on every working day unless a weekday plan or an exception says otherwise. Generate them from your shifts, start from a built-in timetable, or enter them by hand.',
+  'setup.weekTitle': 'Weekday plans',
+  'setup.weekDesc': 'Choose what each working day rings. A template is copied into that day, so later edits to the template do not change it.',
+  'setup.weekNoWorkingDays': 'No working days are selected, so there is nothing to plan. Go back to choose them, or skip this step.',
+  'setup.weekKeepCustom': 'Keep this day’s custom bells',
+  'setup.holidaysTitle': 'Holidays (optional)',
+  'setup.holidaysDesc': 'Import public and school holidays as days off, online or from a calendar file. You can also do this later from Schedule → Exceptions.',
+  'setup.holidaysOpen': 'Import holidays…',
+  'setup.holidaysImported': 'Holidays imported.',
+  'setup.doneTitle': 'All set',
+  'setup.doneDesc': 'You can change any of these later in Settings and Schedule.',
+  'setup.finish': 'Go to the dashboard',
+  'setup.resumeText': 'Setup is not finished — {done} of {total} steps done.',
+  'setup.resume': 'Resume setup',
+  'setup.dismiss': 'Dismiss',
+  'setup.dismissConfirm': 'Stop the setup wizard? Anything already saved stays on the device.',
+
+  // Schedule backup / restore
+  'settings.backupTitle': 'Backup & Restore',
+  'settings.backupDesc': 'Save the whole schedule configuration to one file, or load it back, for example after replacing or resetting the device.',
+  'settings.backupCreate': 'Create backup',
+  'settings.backupCreateDesc': 'Includes general schedule settings, the default plan, all template slots, the weekday plan and every exception.',
+  'settings.backupDownload': 'Download backup',
+  'settings.backupCollecting': 'Reading schedule…',
+  'settings.backupStage_settings': 'Reading settings…',
+  'settings.backupStage_default': 'Reading default plan…',
+  'settings.backupStage_templates': 'Reading templates…',
+  'settings.backupStage_week': 'Reading weekday plan…',
+  'settings.backupStageExceptions': 'Reading exceptions… {done}/{total}',
+  'settings.backupDownloaded': 'Backup downloaded ({count} exception(s) included).',
+  'settings.backupCreatedAt': 'Created',
+  'settings.backupSection_settings': 'General settings',
+  'settings.backupSection_default': 'Default plan',
+  'settings.backupSection_templates': 'Templates',
+  'settings.backupSection_week': 'Weekday plan',
+  'settings.backupSection_exceptions': 'Exceptions',
+  'settings.backupSectionMissing': 'Not in this file',
+  'settings.backupSummarySettings': '{days} working day(s), ring {sec}s',
+  'settings.backupSummaryTemplates': '{count} of {total} slots used',
+  'settings.backupSummaryWeek': '7 days, {count} with custom bells',
+  'settings.backupSummaryExceptions': '{count} exception(s)',
+  'settings.backupErrReadFile': 'Could not read the selected file.',
+  'settings.backupErrNotJson': 'This file is not valid JSON.',
+  'settings.backupErrNotBackup': 'This file is not a Ringy schedule backup.',
+  'settings.backupErrVersion': 'Unsupported backup version ({version}). Update the software and try again.',
+  'settings.backupErrSection': 'The "{section}" part of this backup is damaged.',
+  'settings.restoreTitle': 'Restore from backup',
+  'settings.restoreDesc': 'Choose a backup file to preview its contents, then pick what to write to the device.',
+  'settings.restoreReplaceExceptions': 'Delete existing exceptions before restoring',
+  'settings.restoreApply': 'Restore selected',
+  'settings.restoreRunning': 'Restoring…',
+  'settings.restoreConfirm': 'Overwrite the selected parts of the schedule on this device with the backup contents?',
+  'settings.restoreDone': 'Backup restored successfully.',
+  'settings.restorePartial': '{failed} of {total} step(s) failed. Everything else was restored:',
+  'settings.restoreQueued': 'The device is unreachable, so these parts are not restored yet. They are waiting in this browser and will be sent when it is back: {sections}.',
+  'settings.restoreFailed': '{failed} of {total} step(s) failed:',
+  'settings.restoreExceptionsSkipped': 'The existing exceptions could not be deleted, so the backup\'s exceptions were not created.',
+
+  // Offline outbox (utils/Outbox.js)
+  'outbox.title': 'Changes waiting for the device',
+  'outbox.desc': 'These saves were made while the bell controller was unreachable. They are sent in order as soon as it answers again.',
+  'outbox.pending': '{count} pending',
+  'outbox.waiting': 'Waiting for the device',
+  'outbox.refused': 'Refused by the device: {error}',
+  'outbox.conflict': 'Not sent: someone changed this on the device after you opened it. Discard it and make the change again on the current version.',
+  'outbox.held': 'Held — queued by {owner}',
+  'outbox.heldNotice': '{count} change(s) were queued by {owner}, not by you. They are not sent unless you take them over.',
+  'outbox.adopt': 'Send them as {user}',
+  'outbox.unknownOwner': 'an earlier session',
+  'outbox.details': 'Request',
+  'outbox.discard': 'Discard',
+  'outbox.discardAll': 'Discard all',
+  'outbox.discardAllConfirm': 'Discard every queued change? They will not be sent to the device.',
+  'outbox.close': 'Close',
+  'outbox.sendNow': 'Send now',
+  'outbox.sending': 'Sending...',
+  'outbox.stillOffline': 'The device is still unreachable — the changes stay queued.',
+  'outbox.item.settings': 'Schedule settings',
+  'outbox.item.default': 'Default day plan',
+  'outbox.item.week': 'Week plan',
+  'outbox.item.weekday': 'Weekday plan',
+  'outbox.item.templates': 'Day-plan templates',
+  'outbox.item.exceptionUpdate': 'Exception change',
+  'outbox.item.exceptionDelete': 'Exception deletion',
+  'outbox.item.other': 'Change',
+
+  // Response schema check (utils/responseSchema.js)
+  'api.incompatibleFirmware': 'The device software does not match this web app: {endpoint} returned an unexpected "{field}" (expected {expected}, got {received}). Update the device software or reload the page.',
+
+  // Device restart overlay (features/DeviceRestart)
+  'restart.title.reboot': 'Restarting the device',
+  'restart.title.factoryReset': 'Restoring factory settings',
+  'restart.title.timeSync': 'Synchronizing the clock',
+  'restart.title.tlsMode': 'Switching the connection type',
+  'restart.title.tlsCertificate': 'Applying the new certificate',
+  'restart.title.firmware': 'Installing the software update',
+  'restart.phase.restarting': 'The device is saving changes and restarting…',
+  'restart.phase.offline': 'Waiting for the device to come back online… (check {attempt})',
+  'restart.phase.starting': 'The device is answering again and finishing start-up…',
+  'restart.phase.revalidating': 'Checking your session…',
+  'restart.phase.redirecting': 'Opening the device at {url}…',
+  'restart.phase.reloading': 'Done. Reloading the page…',
+  'restart.timeoutTitle': 'The device has not come back',
+  'restart.timeoutText': 'It has not answered for longer than expected. Check the following, then keep waiting or reload the page:',
+  'restart.notRestartedTitle': 'The device did not restart',
+  'restart.notRestartedText': 'The request was accepted, but the device kept running without restarting. Switch its power off and on once to apply the change.',
+  'restart.tipPower': 'The device has power and its display is on.',
+  'restart.tipNetwork': 'This computer is on the same network as the device (the same Wi-Fi or cable).',
+  'restart.tipAddress': 'After a connection type change the device answers at {url}. With the built-in certificate, the browser shows a security warning on the first visit.',
+  'restart.tipPowerCycle': 'If it still does not answer, unplug the device for 10 seconds and plug it back in.',
+  'restart.openAddress': 'Open {url}',
+  'restart.keepWaiting': 'Keep waiting',
+  'restart.reload': 'Reload page',
+  'restart.dismiss': 'Close',
 
   // Touchscreen PIN
   'settings.pinTitle': 'Touchscreen PIN',
@@ -346,7 +586,7 @@ const en = {
   'settings.credDeleting': 'Deleting...',
   'settings.credDeleteConfirm': 'Delete the user account? Staff will no longer be able to sign in with it.',
   'settings.credUsernameInvalid': 'Username must be 1–31 characters.',
-  'settings.credPasswordMin': 'Password must be at least 8 characters.',
+  'settings.credPasswordWeak': 'Choose a stronger password — see the hints below the field.',
   'settings.credPasswordMismatch': 'Passwords do not match.',
 
   // TLS / HTTPS
@@ -360,7 +600,6 @@ const en = {
   'settings.tlsSavingMode': 'Saving…',
   'settings.tlsUnsavedHint': '(unsaved — device will restart when saved)',
   'settings.tlsModeConfirm': 'Switch to {mode}? The device will restart.',
-  'settings.tlsModeSaved': 'Switched to {mode}. Restarting — reconnecting in a few seconds…',
   'settings.tlsModeFailed': 'Could not change connection type.',
   'settings.tlsNoCertBeforeHttps': 'No certificate on the device yet. Create or upload one below before enabling HTTPS.',
   'settings.tlsActiveMode': 'Current connection',
@@ -381,7 +620,6 @@ const en = {
   'settings.tlsRegenerate': 'Create New Certificate',
   'settings.tlsRegenerating': 'Creating…',
   'settings.tlsRegenConfirm': 'Create a new certificate? The current one will be replaced.',
-  'settings.tlsRegenRestart': 'Certificate created. Device is restarting — reconnecting shortly…',
   'settings.tlsRegenStored': 'Certificate created. Switch to HTTPS to start using it.',
   'settings.tlsRegenFailed': 'Could not create the certificate.',
   'settings.tlsUpload': 'Upload Certificate',
@@ -393,7 +631,6 @@ const en = {
   'settings.tlsInstall': 'Install',
   'settings.tlsUploading': 'Uploading…',
   'settings.tlsUploadNeedBoth': 'Select both the certificate and the private key.',
-  'settings.tlsUploadRestart': 'Certificate installed. Device is restarting — reconnecting shortly…',
   'settings.tlsUploadStored': 'Certificate installed. Switch to HTTPS to start using it.',
   'settings.tlsUploadFailed': 'Upload failed.',
   'settings.tlsTamper': 'The certificate changed unexpectedly. Check the device and create or upload a new certificate if needed.',
@@ -494,6 +731,8 @@ const en = {
   'schedule.holidayImport.sourcePublic': 'Public',
   'schedule.holidayImport.sourceSchool': 'School',
   'schedule.holidayImport.sourceOther': 'Other',
+  'schedule.holidayImport.sourceIcs': 'Calendar file',
+  'schedule.holidayImport.sourceCsv': 'CSV file',
   'schedule.holidayImport.statusImported': 'Already imported',
   'schedule.holidayImport.statusConflict': 'Conflict',
   'schedule.holidayImport.statusNew': 'New',
@@ -512,6 +751,78 @@ const en = {
   'schedule.holidayImport.bannerSubtitle': '{count} auto-fetched holidays awaiting review.',
   'schedule.holidayImport.bannerReview': 'Review',
   'schedule.holidayImport.bannerDismiss': 'Dismiss',
+  'schedule.holidayImport.source_online': 'OpenHolidaysAPI',
+  'schedule.holidayImport.source_file': 'From file',
+  'schedule.holidayImport.fileSubtitle': 'Import exam days, trips or a municipality calendar from an .ics or CSV file.',
+  'schedule.holidayImport.fileHelp': 'Choose an .ics file (Google Calendar, Outlook) or a CSV file with a start date, an optional end date and a description in each row.',
+  'schedule.holidayImport.chooseFile': 'Choose file...',
+  'schedule.holidayImport.readingFile': 'Reading file...',
+  'schedule.holidayImport.checkingExisting': 'Comparing with the existing exceptions...',
+  'schedule.holidayImport.fileSkipped': '{n} row(s) without a usable date were skipped.',
+  'schedule.holidayImport.errFileRead': 'The file could not be read.',
+  'schedule.holidayImport.errFileFormat': 'Unsupported file. Choose an .ics or .csv file.',
+  'schedule.holidayImport.errFileEmpty': 'No events with a usable date were found in the file.',
+  'schedule.holidayImport.errFileRows': '{n} row(s) could not be saved:',
+
+  // ===== Save review (diff) =====
+  'schedule.diff.title': 'Review changes before saving',
+  'schedule.diff.noChanges': 'Nothing differs from what was last loaded from the device. Save anyway?',
+  'schedule.diff.confirm': 'Save to device',
+  'schedule.diff.added': 'Added',
+  'schedule.diff.removed': 'Removed',
+  'schedule.diff.retimed': 'Retimed',
+  'schedule.diff.relabelled': 'Relabelled',
+  'schedule.diff.noLabel': '(no label)',
+  'schedule.diff.unchanged': '{count} bell(s) unchanged',
+  'schedule.diff.template_created': 'New template',
+  'schedule.diff.template_cleared': 'Template will be deleted',
+  'schedule.diff.renamed': 'Renamed: {from} → {to}',
+  'schedule.diff.planChanged': 'Plan: {from} → {to}',
+  'schedule.conflict.changed': 'This was changed on the device after you opened it — review the conflict before saving again.',
+  'schedule.conflict.title': 'Changed on the device meanwhile',
+  'schedule.conflict.desc': 'Someone saved {what} after you opened this page. Changes that do not overlap are combined; for each item you both changed, choose which version to keep.',
+  'schedule.conflict.whatTemplates': 'the day plans',
+  'schedule.conflict.whatWeek': 'the weekly schedule',
+  'schedule.conflict.keptTheirs': 'Kept from the device: {items}',
+  'schedule.conflict.noOverlap': 'None of your changes overlap theirs — saving keeps both.',
+  'schedule.conflict.base': 'When you opened it',
+  'schedule.conflict.mine': 'Your version',
+  'schedule.conflict.theirs': 'On the device now',
+  'schedule.conflict.empty': '(empty)',
+  'schedule.conflict.back': 'Back to editing',
+  'schedule.conflict.takeTheirs': 'Discard my changes',
+  'schedule.conflict.saveMerged': 'Save combined',
+
+  // ===== Calendar (month view) =====
+  'schedule.calendar.title': 'Calendar',
+  'schedule.calendar.prevMonth': 'Previous month',
+  'schedule.calendar.nextMonth': 'Next month',
+  'schedule.calendar.thisMonth': 'This month',
+  'schedule.calendar.retry': 'Retry',
+  'schedule.calendar.kind_working': 'Working day',
+  'schedule.calendar.kind_template': 'Working day: template',
+  'schedule.calendar.kind_custom': 'Working day: custom bells',
+  'schedule.calendar.kind_off': 'Day off',
+  'schedule.calendar.kind_exceptionDayOff': 'Exception: day off',
+  'schedule.calendar.kind_exceptionTemplate': 'Exception: template',
+  'schedule.calendar.kind_exceptionCustom': 'Exception: custom bells',
+  'schedule.calendar.hint': 'Days are resolved the same way the device does: exception, then weekday plan, then default schedule. Click a day to add or edit its exception.',
+  'schedule.calendar.createTitle': 'New exception',
+  'schedule.calendar.editTitle': 'Edit exception',
+
+  // ===== Calendar (.ics) export =====
+  'schedule.icsExport.openButton': 'Export .ics',
+  'schedule.icsExport.openButtonTooltip': 'Download the exceptions as a calendar file for Google Calendar, Outlook or Apple Calendar.',
+  'schedule.icsExport.title': 'Export to calendar (.ics)',
+  'schedule.icsExport.desc': 'Every exception becomes an all-day event. Multi-day exceptions span all of their days.',
+  'schedule.icsExport.includeBells': 'Also add an event for every bell in a date range',
+  'schedule.icsExport.bellsHint': 'Bells are resolved the same way the device does: exception, then weekday plan, then default schedule. Up to {max} days.',
+  'schedule.icsExport.errRangeRequired': 'Choose a start and end date for the bell events.',
+  'schedule.icsExport.errRangeTooLong': 'The bell range can cover at most {max} days.',
+  'schedule.icsExport.download': 'Download .ics',
+  'schedule.icsExport.exporting': 'Preparing…',
+  'schedule.icsExport.calendarName': 'School bell',
+  'schedule.icsExport.bellEvent': 'Bell',
 
   // Week tab
   'schedule.week.defaultPlan': 'Default schedule',
@@ -537,6 +848,24 @@ const en = {
   'schedule.dayPlans.clearConfirmTitle': 'Clear this template?',
   'schedule.dayPlans.clearWarnExceptions': 'It is referenced by {count} exception(s).',
   'schedule.dayPlans.clearConfirmAction': 'Clear template',
+  'schedule.planFile.export': 'Export to file',
+  'schedule.planFile.import': 'Import from file…',
+  'schedule.planFile.importTitle': 'Import day plan',
+  'schedule.planFile.importSummary': '{name}: {count} {bellWord}, {from}–{to}.',
+  'schedule.planFile.target': 'Import into',
+  'schedule.planFile.name': 'Template name',
+  'schedule.planFile.emptySlot': 'empty',
+  'schedule.planFile.replaceWarning': 'This replaces {name} in the editor. Nothing is written to the device until you confirm the review.',
+  'schedule.planFile.importContinue': 'Review and save',
+  'schedule.planFile.errRead': 'The file could not be read.',
+  'schedule.planFile.errNotJson': 'The file is not valid JSON.',
+  'schedule.planFile.errNotPlan': 'This is not a day-plan file exported from this app.',
+  'schedule.planFile.errVersion': 'Unsupported day-plan file version ({version}).',
+  'schedule.planFile.errNoBells': 'The file contains no bells.',
+  'schedule.planFile.errTooMany': 'The file has {count} bells — the device stores at most {max}.',
+  'schedule.planFile.errBell': 'Bell {n} in the file has an invalid time.',
+  'schedule.planFile.errLabel': 'The label of bell {n} is longer than {max} characters.',
+  'schedule.planFile.errDuplicate': 'The file has two bells at {time}.',
 
   // Exceptions - client validation & confirmations
   'schedule.exceptions.overlapWarning': 'This overlaps existing exception(s): {ids}',
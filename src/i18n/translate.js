@@ -0,0 +1,39 @@
+// src/i18n/translate.js
+import en from './en.js';
+import bg from './bg.js';
+
+export const dictionaries = { en, bg };
+
+/**
+ * Locale saved by the language switch, else the browser's.
+ * @returns {'en'|'bg'}
+ */
+export function currentLocale() {
+  try {
+    const stored = globalThis.localStorage?.getItem('locale');
+    if (stored === 'en' || stored === 'bg') return stored;
+  } catch {
+    /* storage blocked -fall back to the browser language */
+  }
+  return globalThis.navigator?.language?.startsWith('bg') ? 'bg' : 'en';
+}
+
+/**
+ * Look up `key` and fill in `{param}` placeholders. useLocale's `t` is this
+ * bound to the active locale; code outside React (utils, services) calls it
+ * directly and gets the locale the user last picked.
+ * @param {string} key
+ * @param {Object} [params]
+ * @param {string} [locale]
+ * @returns {string} The translation, the English one, or the key itself
+ */
+export function translate(key, params, locale = currentLocale()) {
+  const dict = dictionaries[locale] || en;
+  let str = dict[key] ?? en[key] ?? key;
+  if (params) {
+    Object.entries(params).forEach(([k, v]) => {
+      str = str.replace(new RegExp(`\\{${k}\\}`, 'g'), v);
+    });
+  }
+  return str;
+}
@@ -1,5 +1,6 @@
 // src/middleware/authMiddleware.js
-import { clearAuthToken } from '../features/Auth/AuthSlice.js';
+import { clearAuthToken, expireSession } from '../features/Auth/AuthSlice.js';
+import { SESSION_TTL_MS, sessionEndReason } from '../features/Auth/sessionTiming.js';
 import TokenManager from '../utils/TokenManager.js';
 
 /**
@@ -13,11 +14,12 @@ export const authMiddleware = (store) => (next) => (action) => {
     // Set up auth error listener if not already set
     if (!window.__authErrorListenerSet) {
       window.addEventListener('auth-error', (event) => {
-        const { status } = event.detail;
+        const { status, sessionAge } = event.detail;
         
-        // Clear auth state on 401/403 errors
-        if (status === 401 || status === 403) {
-          store.dispatch(clearAuthToken());
+        // Clear auth state on 401/403 errors, keeping unsaved editor buffers.
+        // Not while the device restarts -the overlay re-validates afterwards
+        if ((status === 401 || status === 403) && !store.getState().deviceRestart.reason) {
+          store.dispatch(expireSession(sessionEndReason(status, sessionAge)));
         }
       });
       
@@ -43,10 +45,8 @@ export const tokenValidationMiddleware = (store) => (next) => (action) => {
   ];
   
   if (actionsToCheck.includes(action.type)) {
-    // Check if client-side session metadata is too old (1 hour)
-    const maxAge = 1 * 60 * 60 * 1000; // 1 hour in milliseconds
-    
-    if (TokenManager.isSessionExpired(maxAge)) {
+    // Check if client-side session metadata is older than the firmware session
+    if (TokenManager.isSessionExpired(SESSION_TTL_MS)) {
       console.warn('Session metadata is expired, clearing auth state');
       store.dispatch(clearAuthToken());
     }
@@ -0,0 +1,23 @@
+// src/middleware/capabilityMiddleware.js
+import { can } from '../features/Auth/capabilities.js';
+
+/**
+ * Refuses thunks marked with requireCapability() when the signed-in role
+ * lacks the capability: the thunk's rejected action (error message
+ * `auth.notPermitted`) is dispatched instead and no request is sent.
+ * The return value mimics a thunk promise so `.unwrap()` callers still work.
+ */
+export const capabilityMiddleware = (store) => (next) => (action) => {
+  if (typeof action !== 'function' || !action.capability) return next(action);
+  if (can(store.getState().auth.user, action.capability)) return next(action);
+
+  const rejected = action.refused();
+  console.warn(`Refused ${rejected.type}: missing capability ${action.capability}`);
+  store.dispatch(rejected);
+  return Object.assign(Promise.resolve(rejected), {
+    arg: rejected.meta.arg,
+    requestId: rejected.meta.requestId,
+    abort: () => {},
+    unwrap: () => Promise.reject(rejected.error),
+  });
+};
@@ -0,0 +1,51 @@
+// src/middleware/liveUpdatesMiddleware.js
+import LiveUpdates from '../utils/LiveUpdates.js';
+import { IDENTITY_CHANGE_ACTIONS } from '../app/identityActions.js';
+import { fetchBellStatus, liveConnection, statusPushed } from '../features/Dashboard/DashboardSlice.js';
+import { markStale } from '../features/Schedule/ScheduleSlice.js';
+
+/** Every ScheduleSlice cache -what a reconnect may have missed. */
+const ALL_AREAS = ['settings', 'today', 'default', 'templates', 'exceptions', 'week'];
+
+/**
+ * Runs the device push channel (utils/LiveUpdates.js) while signed in and
+ * feeds it into the store. Bell, panic and time events patch the dashboard;
+ * "schedule changed" marks the named caches stale like a save in another
+ * tab does (open editors keep their edits -the conflict check covers the
+ * save). After every (re)connect the bell status is refetched and all
+ * caches are marked stale, since events may have been missed meanwhile.
+ */
+export const liveUpdatesMiddleware = (store) => {
+  LiveUpdates.subscribe(({ type, data }) => {
+    switch (type) {
+      case 'connection':
+        store.dispatch(liveConnection(data));
+        break;
+      case 'bell':
+      case 'panic':
+      case 'time':
+        store.dispatch(statusPushed(data));
+        break;
+      case 'schedule':
+        store.dispatch(markStale(data.areas));
+        if (data.areas.includes('today')) store.dispatch(fetchBellStatus());
+        break;
+      case 'resync':
+        store.dispatch(markStale(ALL_AREAS));
+        store.dispatch(fetchBellStatus());
+        break;
+      default:
+        break;
+    }
+  });
+
+  return (next) => (action) => {
+    const result = next(action);
+    if (IDENTITY_CHANGE_ACTIONS.has(action.type) || action.type === 'auth/initializeAuth/fulfilled') {
+      // A new identity needs a new stream (the old one belongs to the old cookie)
+      LiveUpdates.stop();
+      if (store.getState().auth.isAuthenticated) LiveUpdates.start();
+    }
+    return result;
+  };
+};
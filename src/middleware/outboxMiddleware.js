@@ -0,0 +1,59 @@
+// src/middleware/outboxMiddleware.js
+import Outbox from '../utils/Outbox.js';
+import TabChannel from '../utils/TabChannel.js';
+import { IDENTITY_CHANGE_ACTIONS } from '../app/identityActions.js';
+import { markStale, fetchVersion } from '../features/Schedule/ScheduleSlice.js';
+import { hasChanged } from '../features/Schedule/scheduleMerge.js';
+import { factoryReset } from '../features/Settings/SettingsSlice.js';
+
+/** Actions after which a session exists again and queued saves may go out. */
+const REPLAY_AFTER = new Set([
+  'auth/loginUser/fulfilled',
+  'auth/claimAccount/fulfilled',
+  'auth/initializeAuth/fulfilled',
+  'auth/refreshSession/fulfilled',
+]);
+
+/**
+ * Connects the offline outbox (utils/Outbox.js) to the store. Items left
+ * from an earlier visit are loaded at startup and replayed once a session
+ * exists; every replayed save marks its schedule caches stale here and in
+ * the other tabs, so the editors refetch what the device now holds.
+ * The tabs share one queue: a tab that changes it tells the others to
+ * re-read it, and Outbox itself lets only one tab replay at a time.
+ *
+ * Items belong to the user who queued them: after a change of identity
+ * another account's items are held until the user adopts or discards them
+ * (OutboxIndicator). A queued wholesale save (templates, week map) is
+ * replayed only if the device still holds the version it was based on;
+ * otherwise Outbox marks it as a conflict. A factory reset drops the queue -those saves targeted
+ * a configuration that no longer exists and would overwrite the setup
+ * wizard's result.
+ */
+export const outboxMiddleware = (store) => {
+  Outbox.configure({
+    owner: () => store.getState().auth.user?.username ?? null,
+    onPersist: () => TabChannel.post({ kind: 'outbox' }),
+    verify: async ({ version }) => {
+      const current = await fetchVersion(version.area);
+      return current && !hasChanged(version, current);
+    },
+  });
+  Outbox.load();
+  TabChannel.subscribe((message) => {
+    if (message.kind === 'outbox') Outbox.reload();
+  });
+  Outbox.onReplayed((item) => {
+    if (!item.areas?.length) return;
+    store.dispatch(markStale(item.areas));
+    TabChannel.post({ kind: 'stale', areas: item.areas });
+  });
+
+  return (next) => (action) => {
+    const result = next(action);
+    if (factoryReset.fulfilled.match(action)) Outbox.discardAll();
+    else if (IDENTITY_CHANGE_ACTIONS.has(action.type) || REPLAY_AFTER.has(action.type)) Outbox.changed();
+    if (REPLAY_AFTER.has(action.type)) Outbox.replay();
+    return result;
+  };
+};
@@ -0,0 +1,100 @@
+// src/middleware/tabSyncMiddleware.js
+import TabChannel from '../utils/TabChannel.js';
+import TokenManager from '../utils/TokenManager.js';
+import { IDENTITY_CHANGE_ACTIONS } from '../app/identityActions.js';
+import { expireSession, sessionAdopted } from '../features/Auth/AuthSlice.js';
+import { markStale } from '../features/Schedule/ScheduleSlice.js';
+
+/** Schedule areas (ScheduleSlice `loadedAt` keys) each save invalidates. */
+const STALE_AFTER = {
+  'schedule/saveSettings/fulfilled': ['settings', 'week', 'today'],
+  'schedule/saveToday/fulfilled': ['today'],
+  'schedule/cancelToday/fulfilled': ['today'],
+  'schedule/saveDefault/fulfilled': ['default', 'today'],
+  'schedule/saveTemplates/fulfilled': ['templates', 'today'],
+  'schedule/saveWeek/fulfilled': ['week', 'today'],
+  'schedule/saveWeekday/fulfilled': ['week', 'today'],
+  'schedule/saveWeekFull/fulfilled': ['week', 'today'],
+  'schedule/createException/fulfilled': ['exceptions', 'today'],
+  'schedule/updateException/fulfilled': ['exceptions', 'today'],
+  'schedule/deleteException/fulfilled': ['exceptions', 'today'],
+  'schedule/deleteAllExceptions/fulfilled': ['exceptions', 'today'],
+  'settings/factoryReset/fulfilled': ['settings', 'today', 'default', 'templates', 'exceptions', 'week'],
+};
+
+/** Message for the other tabs about a local action, or null. */
+function messageFor(action) {
+  if (IDENTITY_CHANGE_ACTIONS.has(action.type)) {
+    switch (action.type) {
+      case 'auth/loginUser/fulfilled':
+      case 'auth/claimAccount/fulfilled':
+        return { kind: 'signedIn', user: action.payload?.user || null };
+      case 'auth/logoutUser/fulfilled':
+      case 'auth/logoutUser/rejected':
+        return { kind: 'signedOut' };
+      case 'auth/clearAuthToken':
+        /* Only a refused or expired session concerns the other tabs; the
+         * cookie is shared, so theirs has ended as well. */
+        return action.payload?.reason ? { kind: 'sessionEnded', reason: action.payload.reason } : null;
+      default:
+        return null;
+    }
+  }
+  if (action.type === 'auth/refreshSession/fulfilled') return { kind: 'refreshed' };
+  if (STALE_AFTER[action.type]) return { kind: 'stale', areas: STALE_AFTER[action.type] };
+  return null;
+}
+
+/**
+ * Keeps open tabs in step. The session cookie is shared by every tab of the
+ * browser, but session metadata (TokenManager) and Redux state are per tab:
+ * a login, logout or ended session in one tab is replayed in the others, and
+ * schedule saves mark the other tabs' caches stale so they refetch.
+ */
+export const tabSyncMiddleware = (store) => {
+  let applyingRemote = false;
+
+  const apply = (message) => {
+    const { auth } = store.getState();
+    switch (message.kind) {
+      case 'signedIn': {
+        TokenManager.markAuthenticated();
+        const sameUser = auth.isAuthenticated && auth.user?.username === message.user?.username;
+        if (!sameUser) store.dispatch(sessionAdopted({ user: message.user }));
+        break;
+      }
+      case 'refreshed':
+        if (auth.isAuthenticated) TokenManager.markAuthenticated();
+        break;
+      case 'signedOut':
+        store.dispatch(expireSession('otherTab'));
+        break;
+      case 'sessionEnded':
+        store.dispatch(expireSession(message.reason));
+        break;
+      case 'stale':
+        store.dispatch(markStale(message.areas));
+        break;
+      default:
+        break;
+    }
+  };
+
+  TabChannel.subscribe((message) => {
+    applyingRemote = true;
+    try {
+      apply(message);
+    } finally {
+      applyingRemote = false;
+    }
+  });
+
+  return (next) => (action) => {
+    const result = next(action);
+    if (!applyingRemote) {
+      const message = messageFor(action);
+      if (message) TabChannel.post(message);
+    }
+    return result;
+  };
+};
@@ -0,0 +1,218 @@
+import ScheduleService from './ScheduleService.js';
+import { downloadJson, fileDateStamp } from '../utils/fileDownload.js';
+
+/**
+ * BackupService -whole-device schedule backup as one versioned JSON file.
+ *
+ * File layout (schemaVersion 1):
+ *   { format: 'ringy-schedule-backup', schemaVersion: 1, createdAt,
+ *     settings:   { timezone, workingDays, ringDurationSec },
+ *     default:    { bells },
+ *     templates:  [ { name, bells } | null  x5 ],
+ *     week:       { weekdayPlans: [x7], weekdayCustom: [ { bells } x7 ] },
+ *     exceptions: [ { startDate, endDate, label, action, templateIdx,
+ *                     timeOffsetMin, customBells? } ] }
+ *
+ * Restoring is done by the caller through the schedule save thunks so the
+ * Redux state stays in sync with what was written.
+ */
+export const BACKUP_FORMAT = 'ringy-schedule-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+
+const TEMPLATE_COUNT = 5;
+const EXCEPTION_LABEL_MAX_LEN = 95;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ── Normalisation (shared by collect + parse) ─────────────────────── */
+
+function cleanBells(list) {
+  if (!Array.isArray(list)) return null;
+  const out = [];
+  for (const b of list) {
+    const hour = Number(b?.hour);
+    const minute = Number(b?.minute);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) return null;
+    if (!Number.isInteger(minute) || minute < 0 || minute > 59) return null;
+    out.push({ hour, minute, label: typeof b.label === 'string' ? b.label : '' });
+  }
+  return out;
+}
+
+function cleanSettings(s) {
+  if (!s || typeof s !== 'object') return null;
+  const ring = Number(s.ringDurationSec);
+  const days = Array.isArray(s.workingDays) ? s.workingDays.map(Number) : null;
+  if (typeof s.timezone !== 'string') return null;
+  if (!days || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) return null;
+  if (!Number.isInteger(ring) || ring < 1 || ring > 30) return null;
+  return { timezone: s.timezone, workingDays: days, ringDurationSec: ring };
+}
+
+function cleanTemplates(list) {
+  if (!Array.isArray(list) || list.length > TEMPLATE_COUNT) return null;
+  const out = Array.from({ length: TEMPLATE_COUNT }, () => null);
+  for (let i = 0; i < list.length; i++) {
+    const tpl = list[i];
+    if (tpl == null) continue;
+    const bells = cleanBells(tpl.bells);
+    if (!bells) return null;
+    out[i] = { name: typeof tpl.name === 'string' ? tpl.name : '', bells };
+  }
+  return out;
+}
+
+function cleanWeek(w) {
+  if (!w || !Array.isArray(w.weekdayPlans) || w.weekdayPlans.length !== 7) return null;
+  const weekdayPlans = w.weekdayPlans.map(Number);
+  if (weekdayPlans.some((p) => !Number.isInteger(p) || p < -2 || p >= TEMPLATE_COUNT)) return null;
+  const rawCustom = Array.isArray(w.weekdayCustom) ? w.weekdayCustom : [];
+  const weekdayCustom = [];
+  for (let day = 0; day < 7; day++) {
+    const entry = rawCustom[day];
+    const bells = cleanBells(Array.isArray(entry) ? entry : (entry?.bells ?? []));
+    if (!bells) return null;
+    if (weekdayPlans[day] === -2 && bells.length === 0) return null;
+    weekdayCustom.push({ bells });
+  }
+  return { weekdayPlans, weekdayCustom };
+}
+
+function cleanException(ex) {
+  if (!ex || !DATE_RE.test(ex.startDate || '')) return null;
+  const endDate = ex.endDate || ex.startDate;
+  if (!DATE_RE.test(endDate) || endDate < ex.startDate) return null;
+  if (!['dayOff', 'template', 'custom'].includes(ex.action)) return null;
+  const out = {
+    startDate: ex.startDate,
+    endDate,
+    label: String(ex.label ?? '').slice(0, EXCEPTION_LABEL_MAX_LEN),
+    action: ex.action,
+    templateIdx: Number.isInteger(ex.templateIdx) ? ex.templateIdx : 0,
+    timeOffsetMin: Number.isInteger(ex.timeOffsetMin) ? ex.timeOffsetMin : 0,
+  };
+  if (ex.action === 'custom') {
+    const bells = cleanBells(ex.customBells?.bells ?? ex.bells);
+    if (!bells || bells.length === 0) return null;
+    out.customBells = { bells };
+  }
+  return out;
+}
+
+/**
+ * Validate a parsed backup object. Returns { ok: true, backup } with every
+ * section normalised, or { ok: false, errorKey, params? } where errorKey is
+ * an i18n key. Sections missing from the file are returned as null.
+ */
+export function validateBackup(data) {
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+    return { ok: false, errorKey: 'settings.backupErrNotBackup' };
+  }
+  if (data.schemaVersion !== BACKUP_SCHEMA_VERSION) {
+    return {
+      ok: false,
+      errorKey: 'settings.backupErrVersion',
+      params: { version: String(data.schemaVersion ?? '?') },
+    };
+  }
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    createdAt: typeof data.createdAt === 'string' ? data.createdAt : null,
+    settings: null,
+    default: null,
+    templates: null,
+    week: null,
+    exceptions: null,
+  };
+
+  const checks = [
+    ['settings',  () => cleanSettings(data.settings)],
+    ['default',   () => { const b = cleanBells(data.default?.bells); return b && { bells: b }; }],
+    ['templates', () => cleanTemplates(data.templates)],
+    ['week',      () => cleanWeek(data.week)],
+    ['exceptions', () => {
+      if (!Array.isArray(data.exceptions)) return null;
+      const list = data.exceptions.map(cleanException);
+      return list.every(Boolean) ? list : null;
+    }],
+  ];
+  for (const [section, clean] of checks) {
+    if (data[section] == null) continue;
+    const value = clean();
+    if (!value) return { ok: false, errorKey: 'settings.backupErrSection', params: { section } };
+    backup[section] = value;
+  }
+  return { ok: true, backup };
+}
+
+/** Parse backup file text. Same result shape as validateBackup(). */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {
+    return { ok: false, errorKey: 'settings.backupErrNotJson' };
+  }
+  return validateBackup(data);
+}
+
+/* ── Device access ─────────────────────────────────────────────────── */
+
+/** Load every exception, including the bells of custom ones (the list
+ *  endpoint only carries metadata). */
+async function collectExceptions(signal, onProgress) {
+  const metas = await ScheduleService.getAllExceptions({}, signal, ({ done, total }) =>
+    onProgress?.({ stage: 'exceptions', done, total }));
+
+  const out = [];
+  for (const meta of metas) {
+    const full = meta.action === 'custom'
+      ? await ScheduleService.getExceptionById(meta.id, signal)
+      : meta;
+    const cleaned = cleanException(full);
+    if (cleaned) out.push(cleaned);
+  }
+  return out;
+}
+
+const BackupService = {
+  /**
+   * Read the full schedule configuration from the device.
+   * @param {AbortSignal} [signal]
+   * @param {(p: { stage: string, done?: number, total?: number }) => void} [onProgress]
+   */
+  async collect(signal, onProgress) {
+    onProgress?.({ stage: 'settings' });
+    const settings = await ScheduleService.getSettings(signal);
+    onProgress?.({ stage: 'default' });
+    const def = await ScheduleService.getDefault(signal);
+    onProgress?.({ stage: 'templates' });
+    const tpl = await ScheduleService.getTemplates(signal);
+    onProgress?.({ stage: 'week' });
+    const week = await ScheduleService.getWeek(signal);
+    const exceptions = await collectExceptions(signal, onProgress);
+
+    const result = validateBackup({
+      format: BACKUP_FORMAT,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      settings,
+      default: { bells: def?.bells ?? [] },
+      templates: tpl?.templates ?? [],
+      week: { weekdayPlans: week?.weekdayPlans, weekdayCustom: week?.weekdayCustom },
+      exceptions,
+    });
+    if (!result.ok) {
+      throw new Error(`Device returned unexpected ${result.params?.section || 'schedule'} data`);
+    }
+    return result.backup;
+  },
+
+  /** Save a collected backup as ringy-backup-YYYY-MM-DD.json. */
+  download(backup) {
+    downloadJson(backup, `ringy-backup-${fileDateStamp()}.json`);
+  },
+};
+
+export default BackupService;
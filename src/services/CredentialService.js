@@ -30,7 +30,7 @@ const CredentialService = {
       const data = await response.json().catch(() => ({}));
       throw new Error(data.error || `Delete failed (${response.status})`);
     }
-    return response.json();
+    return httpRequestAgent.checkResponse('DELETE', API_CONFIG.ENDPOINTS.SYSTEM_CREDENTIALS, await response.json());
   },
 };
 
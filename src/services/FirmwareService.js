@@ -83,7 +83,16 @@ const FirmwareService = {
         let body = null;
         try { body = JSON.parse(xhr.responseText); } catch (_) { /* ignore */ }
         if (xhr.status >= 200 && xhr.status < 300) {
-          resolve(body || { success: true });
+          try {
+            resolve(httpRequestAgent.checkResponse(
+              'POST',
+              API_CONFIG.ENDPOINTS.SYSTEM_UPDATE,
+              body || { success: true },
+            ));
+          } catch (error) {
+            HttpDiagnostics.error(diagnostic, error);
+            reject(error);
+          }
         } else {
           const error = new Error(
             (body && body.error) || `Upload failed (HTTP ${xhr.status})`,
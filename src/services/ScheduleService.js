@@ -3,25 +3,40 @@ import { API_CONFIG } from '../config/apiConfig.js';
 
 const agent = HttpRequestAgent;
 
+/** Request options that keep a save in the offline outbox (utils/Outbox.js)
+ *  while the device is unreachable. `label` is the i18n key shown in the
+ *  pending-changes list; `areas` are the ScheduleSlice caches to refetch
+ *  once it has been replayed; `coalesce` lets a newer full-state save
+ *  replace a waiting one. `guard` ({ version, batch }) is what a wholesale
+ *  save was based on -checked again before the queued save is replayed. */
+const offline = (signal, label, areas, coalesce = false, guard = null) => ({
+  signal,
+  outbox: { label, areas, coalesce, ...guard },
+});
+
 const ScheduleService = {
   // Settings (includes timezone, workingDays, ringDurationSec)
   getSettings: (signal) =>
     agent.get(API_CONFIG.ENDPOINTS.SCHEDULE_SETTINGS, signal),
 
   saveSettings: (data, signal) =>
-    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_SETTINGS, data, signal),
+    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_SETTINGS, data,
+      offline(signal, 'outbox.item.settings', ['settings', 'week', 'today'], true)),
 
   // Default BellSet
   getDefault: (signal) =>
     agent.get(API_CONFIG.ENDPOINTS.SCHEDULE_DEFAULT, signal),
 
   saveDefault: (bells, signal) =>
-    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_DEFAULT, { bells }, signal),
+    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_DEFAULT, { bells },
+      offline(signal, 'outbox.item.default', ['default', 'today'], true)),
 
   // Today's effective schedule
   getToday: (signal) =>
     agent.get(API_CONFIG.ENDPOINTS.SCHEDULE_TODAY, signal),
 
+  /** Not queued offline (nor cancelToday): the device applies it to its own
+   *  "today", which may be another day by the time a queued save is replayed. */
   saveToday: (payload, signal) =>
     agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_TODAY, payload, signal),
 
@@ -33,14 +48,21 @@ const ScheduleService = {
   getWeek: (signal) =>
     agent.get(API_CONFIG.ENDPOINTS.SCHEDULE_WEEK, signal),
 
-  saveWeek: (payload, signal) =>
-    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_WEEK, payload, signal),
+  /** getWeek with the response ETag → { data, etag } (etag null when the
+   *  firmware sends none). */
+  getWeekVersioned: (options) =>
+    agent.getVersioned(API_CONFIG.ENDPOINTS.SCHEDULE_WEEK, options),
+
+  saveWeek: (payload, signal, guard = null) =>
+    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_WEEK, payload,
+      offline(signal, 'outbox.item.week', ['week', 'today'], true, guard)),
 
   /** POST /api/schedule/weekday -set a single weekday's plan atomically.
    *  payload: { day: 0..6, action: 'default'|'template'|'custom',
    *             templateIdx?, customBells?: { bells: [...] } } */
-  saveWeekday: (payload, signal) =>
-    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_WEEKDAY, payload, signal),
+  saveWeekday: (payload, signal, guard = null) =>
+    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_WEEKDAY, payload,
+      offline(signal, 'outbox.item.weekday', ['week', 'today'], false, guard)),
 
   // Exceptions -granular CRUD + paginated list
   /** GET /api/schedule/exceptions?offset=&limit=&from=&to= */
@@ -51,21 +73,40 @@ const ScheduleService = {
     return agent.get(url, signal);
   },
 
+  /** Walk every page of /api/schedule/exceptions and return all items
+   *  (metadata only). `onPage({ done, total })` reports progress. */
+  getAllExceptions: async ({ from, to, pageSize = 10 } = {}, signal, onPage) => {
+    const all = [];
+    let offset = 0;
+    for (;;) {
+      const page = await ScheduleService.getExceptions({ offset, limit: pageSize, from, to }, signal);
+      const items = page?.items ?? [];
+      all.push(...items);
+      onPage?.({ done: all.length, total: page?.total ?? all.length });
+      if (!page?.hasMore || items.length === 0) return all;
+      offset += items.length;
+    }
+  },
+
   /** GET /api/schedule/exceptions/:id */
   getExceptionById: (id, signal) =>
     agent.get(`${API_CONFIG.ENDPOINTS.SCHEDULE_EXCEPTIONS}/${id}`, signal),
 
-  /** POST /api/schedule/exceptions → 201 { status, id } */
+  /** POST /api/schedule/exceptions → 201 { status, id }
+   *  Not queued offline: every call creates a record, so replaying a POST
+   *  whose response was lost would duplicate the exception. */
   createException: (exceptionData, signal) =>
     agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_EXCEPTIONS, exceptionData, signal),
 
   /** PUT /api/schedule/exceptions/:id */
   updateException: (id, exceptionData, signal) =>
-    agent.put(`${API_CONFIG.ENDPOINTS.SCHEDULE_EXCEPTIONS}/${id}`, exceptionData, signal),
+    agent.put(`${API_CONFIG.ENDPOINTS.SCHEDULE_EXCEPTIONS}/${id}`, exceptionData,
+      offline(signal, 'outbox.item.exceptionUpdate', ['exceptions', 'today'], true)),
 
   /** DELETE /api/schedule/exceptions/:id */
   deleteException: (id, signal) =>
-    agent.delete(`${API_CONFIG.ENDPOINTS.SCHEDULE_EXCEPTIONS}/${id}`, signal),
+    agent.delete(`${API_CONFIG.ENDPOINTS.SCHEDULE_EXCEPTIONS}/${id}`,
+      offline(signal, 'outbox.item.exceptionDelete', ['exceptions', 'today'])),
   /** DELETE /api/schedule/exceptions  -clear-all */
   deleteAllExceptions: (signal) =>
     agent.delete(API_CONFIG.ENDPOINTS.SCHEDULE_EXCEPTIONS, signal),
@@ -102,8 +143,19 @@ const ScheduleService = {
   getTemplates: (signal) =>
     agent.get(API_CONFIG.ENDPOINTS.SCHEDULE_TEMPLATES, signal),
 
-  saveTemplates: (templates, signal) =>
-    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_TEMPLATES, { templates }, signal),
+  /** getTemplates with the response ETag → { data, etag } */
+  getTemplatesVersioned: (options) =>
+    agent.getVersioned(API_CONFIG.ENDPOINTS.SCHEDULE_TEMPLATES, options),
+
+  /** `loaded` ({ etag, hash } from getTemplatesVersioned) makes the save
+   *  conditional: with an ETag the device answers 412 when its templates
+   *  changed since; without one a queued save re-checks the hash first. */
+  saveTemplates: (templates, signal, loaded = null) =>
+    agent.post(API_CONFIG.ENDPOINTS.SCHEDULE_TEMPLATES, { templates }, {
+      ...offline(signal, 'outbox.item.templates', ['templates', 'today'], true,
+        loaded && !loaded.etag ? { version: { area: 'templates', hash: loaded.hash } } : null),
+      ifMatch: loaded?.etag,
+    }),
 
   // Bell status & panic
   getBellStatus: (signal) =>
@@ -0,0 +1,74 @@
+// src/services/WifiService.js
+import httpRequestAgent from '../utils/HttpRequestAgent.js';
+import { API_CONFIG } from '../config/apiConfig.js';
+
+/**
+ * WifiService -wraps the /api/wifi/* endpoints. Both are public so the
+ * setup screen can use them before an account exists.
+ *
+ * GET  /api/wifi/scan        → { networks: [{ ssid, rssi, secured, bssid, channel?, auth? }] }
+ * POST /api/wifi/credentials → { success: true }   body { ssid, password, bssid? }
+ * GET  /api/status           → { wifi: { connected, ssid, rssi }, … }
+ */
+const PUBLIC = { skipAuth: true, skipAuthErrorHandling: true };
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+const WifiService = {
+  /** A scan takes a few seconds on the device; results are never deduplicated. */
+  async scan(signal) {
+    const data = await httpRequestAgent.get(API_CONFIG.ENDPOINTS.WIFI_SCAN, {
+      ...PUBLIC, signal, priority: 'critical', deduplicate: false,
+    });
+    return Array.isArray(data?.networks) ? data.networks : [];
+  },
+
+  async saveCredentials({ ssid, password, bssid }, signal) {
+    const body = { ssid, password: password || '' };
+    if (bssid) body.bssid = bssid;
+    return httpRequestAgent.post(API_CONFIG.ENDPOINTS.WIFI_CREDENTIALS, body, { ...PUBLIC, signal });
+  },
+
+  async getStatus(signal) {
+    return httpRequestAgent.get(API_CONFIG.ENDPOINTS.STATUS, {
+      ...PUBLIC, signal, cache: 'no-store', deduplicate: false,
+    });
+  },
+
+  /**
+   * Poll /api/status until `until(status)` holds. The device drops its
+   * current link while switching networks, so failed polls are expected and
+   * simply retried. Resolves with the matching status, or null on timeout;
+   * rejects with AbortError when `signal` fires.
+   */
+  async waitForStatus(until, {
+    timeoutMs = 60000, intervalMs = 2000, settleMs = 3000, signal,
+  } = {}) {
+    await sleep(settleMs, signal);
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      try {
+        const status = await WifiService.getStatus(signal);
+        if (until(status)) return status;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+      }
+      await sleep(intervalMs, signal);
+    }
+    return null;
+  },
+};
+
+export default WifiService;
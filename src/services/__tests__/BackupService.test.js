@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBackup, validateBackup, BACKUP_FORMAT, BACKUP_SCHEMA_VERSION } from '../BackupService.js';
+
+const bells = [{ hour: 8, minute: 0, label: 'Start' }, { hour: 8, minute: 45 }];
+
+/** A complete, valid backup; `overrides` replace whole sections. */
+function backup(overrides = {}) {
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    createdAt: '2026-09-01T07:00:00.000Z',
+    settings: { timezone: 'Europe/Sofia', workingDays: [1, 2, 3, 4, 5], ringDurationSec: 3 },
+    default: { bells },
+    templates: [{ name: 'Short', bells }, null],
+    week: { weekdayPlans: [-1, -1, 0, -2, -1, -1, -1], weekdayCustom: [[], [], [], bells, [], [], []] },
+    exceptions: [
+      { startDate: '2026-12-24', endDate: '2026-12-31', label: 'Winter break', action: 'dayOff' },
+      { startDate: '2026-10-05', action: 'custom', customBells: { bells } },
+    ],
+    ...overrides,
+  };
+}
+
+test('a valid backup is normalised section by section', () => {
+  const result = parseBackup(JSON.stringify(backup()));
+  assert.equal(result.ok, true);
+  const { backup: out } = result;
+  assert.deepEqual(out.default.bells[1], { hour: 8, minute: 45, label: '' });
+  assert.equal(out.templates.length, 5);
+  assert.deepEqual(out.templates.slice(1), [null, null, null, null]);
+  assert.deepEqual(out.week.weekdayCustom[3], { bells: out.default.bells });
+  assert.deepEqual(out.week.weekdayCustom[0], { bells: [] });
+  assert.equal(out.exceptions[1].endDate, '2026-10-05');
+  assert.deepEqual([out.exceptions[1].templateIdx, out.exceptions[1].timeOffsetMin], [0, 0]);
+});
+
+test('missing sections come back as null and are not an error', () => {
+  const { exceptions, templates, ...partial } = backup();
+  const result = validateBackup(partial);
+  assert.equal(result.ok, true);
+  assert.equal(result.backup.exceptions, null);
+  assert.equal(result.backup.templates, null);
+  assert.notEqual(result.backup.settings, null);
+});
+
+test('rejects text that is not JSON, or not one of our backups', () => {
+  assert.deepEqual(parseBackup('{ "format": '), { ok: false, errorKey: 'settings.backupErrNotJson' });
+  assert.deepEqual(parseBackup('null'), { ok: false, errorKey: 'settings.backupErrNotBackup' });
+  assert.deepEqual(parseBackup('[1, 2]'), { ok: false, errorKey: 'settings.backupErrNotBackup' });
+  assert.deepEqual(validateBackup(backup({ format: 'other-app' })), { ok: false, errorKey: 'settings.backupErrNotBackup' });
+});
+
+test('rejects another schema version, naming it', () => {
+  assert.deepEqual(validateBackup(backup({ schemaVersion: 2 })), {
+    ok: false, errorKey: 'settings.backupErrVersion', params: { version: '2' },
+  });
+  assert.deepEqual(validateBackup(backup({ schemaVersion: undefined })).params, { version: '?' });
+});
+
+test('names the first invalid section', () => {
+  const invalid = {
+    settings: { timezone: 'Europe/Sofia', workingDays: [1, 7], ringDurationSec: 3 },
+    default: { bells: [{ hour: 24, minute: 0 }] },
+    templates: Array.from({ length: 6 }, () => null),
+    week: { weekdayPlans: [-2, -1, -1, -1, -1, -1, -1], weekdayCustom: [] },
+    exceptions: [{ startDate: '2026-12-31', endDate: '2026-12-24', action: 'dayOff' }],
+  };
+  for (const [section, value] of Object.entries(invalid)) {
+    assert.deepEqual(validateBackup(backup({ [section]: value })), {
+      ok: false, errorKey: 'settings.backupErrSection', params: { section },
+    }, section);
+  }
+  assert.equal(validateBackup(backup({ exceptions: [{ startDate: '2026-10-05', action: 'custom' }] })).params.section, 'exceptions');
+  assert.equal(validateBackup(backup({ settings: { ...backup().settings, ringDurationSec: 31 } })).params.section, 'settings');
+});
@@ -9,6 +9,9 @@
  * @property {boolean} isInitializing - For app startup session check
  * @property {string|null} error - Authentication error messages
  * @property {UserInfo|null} user - User information from login response
+ * @property {{reason: 'expired'|'elsewhere'|'otherTab', keptDrafts: number, acknowledged: boolean}|null} sessionEnded
+ *   Set when the session ended without a sign-out in this tab; `keptDrafts`
+ *   editors await restore
  */
 
 /**
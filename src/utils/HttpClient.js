@@ -2,6 +2,7 @@
 import TokenManager from './TokenManager.js';
 import HttpDiagnostics from './HttpDiagnostics.js';
 import RequestScheduler from './RequestScheduler.js';
+import LoginRateLimit, { parseRetryAfter } from './LoginRateLimit.js';
 import { isPublicEndpoint, API_CONFIG } from '../config/apiConfig.js';
 
 /**
@@ -43,11 +44,11 @@ class HttpClient {
     return this.request(url, {
       method: 'POST',
       body: JSON.stringify(data),
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
     });
   }
 
@@ -62,11 +63,11 @@ class HttpClient {
     return this.request(url, {
       method: 'PUT',
       body: JSON.stringify(data),
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
     });
   }
 
@@ -79,11 +80,11 @@ class HttpClient {
   async delete(url, options = {}) {
     return this.request(url, {
       method: 'DELETE',
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
     });
   }
 
@@ -150,6 +151,8 @@ class HttpClient {
           HttpDiagnostics.error(diagnostic, error);
           lastError = error;
           if (!(error instanceof TypeError) || attempt + 1 >= attempts) throw error;
+          // A struggling device gets no extra load from retries
+          if (RequestScheduler.congested()) throw error;
           const delay = 250 + Math.floor(Math.random() * 251);
           HttpDiagnostics.event(method, url, 'retry', { retryAttempt: attempt + 1, delayMs: delay });
           await new Promise((resolve) => setTimeout(resolve, delay));
@@ -173,6 +176,7 @@ class HttpClient {
         key,
         signal: fetchOptions.signal,
         exclusive,
+        endpoint: this.endpointOf(normalizedUrl),
         onQueued: () => HttpDiagnostics.event(method, url, 'queued', {
           queuedAt,
           priority: requestPriority,
@@ -186,10 +190,19 @@ class HttpClient {
         },
       });
 
+      // Login and claim share the firmware's attempt budget; 429 carries Retry-After
+      if (LoginRateLimit.covers(url)) {
+        const retryAfterMs = response.status === 429
+          ? parseRetryAfter(response.headers.get('Retry-After'))
+          : null;
+        LoginRateLimit.record(response.status, retryAfterMs);
+      }
+
       if (!skipAuthErrorHandling && (response.status === 401 || response.status === 403)) {
+        const sessionAge = TokenManager.getSessionAge();
         TokenManager.clearAuthSession();
         window.dispatchEvent(new CustomEvent('auth-error', {
-          detail: { status: response.status, url }
+          detail: { status: response.status, url, sessionAge }
         }));
         throw new Error(`Authentication failed: ${response.status}`);
       }
@@ -198,6 +211,16 @@ class HttpClient {
     } catch (error) { throw error; }
   }
 
+  /**
+   * Circuit-breaker key for a URL: the path, with numeric ids folded so
+   * `/api/schedule/exceptions/7` and `/8` share one breaker.
+   * @param {string} url - Absolute URL
+   * @returns {string}
+   */
+  endpointOf(url) {
+    return new URL(url).pathname.replace(/\/\d+(?=\/|$)/g, '/:id');
+  }
+
   /**
    * Check if URL is a login request
    * @param {string} url - Request URL
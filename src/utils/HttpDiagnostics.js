@@ -1,3 +1,5 @@
+import RequestScheduler from './RequestScheduler.js';
+
 const STORAGE_KEY = 'ringy.httpDebug';
 const MAX_EVENTS = 200;
 
@@ -15,8 +17,11 @@ class HttpDiagnostics {
         disable: () => this.setEnabled(false),
         clear: () => { this.events = []; },
         snapshot: () => this.snapshot(),
+        scheduler: () => RequestScheduler.state(),
       };
     }
+
+    RequestScheduler.subscribe((event) => this.scheduler(event));
   }
 
   _readEnabled() {
@@ -136,6 +141,21 @@ class HttpDiagnostics {
     );
   }
 
+  /** Adaptive limit changes and circuit-breaker transitions (RequestScheduler). */
+  scheduler(event) {
+    const entry = this._record({ phase: event.type, ...event, scheduler: RequestScheduler.state() });
+    if (event.type === 'breaker' && event.state === 'open') {
+      console.warn(`[HTTP DIAG] breaker OPEN ${event.endpoint} -holding background requests`, entry);
+    } else if (this.enabled) {
+      console.debug(
+        event.type === 'limit'
+          ? `[HTTP DIAG] concurrency limit ${event.limit} (${event.reason})`
+          : `[HTTP DIAG] breaker ${event.state.toUpperCase()} ${event.endpoint}`,
+        entry,
+      );
+    }
+  }
+
   finish(context) {
     this.active = Math.max(0, this.active - 1);
     if (this.enabled) {
@@ -151,6 +171,7 @@ class HttpDiagnostics {
       enabled: this.enabled,
       active: this.active,
       peakActive: this.peakActive,
+      scheduler: RequestScheduler.state(),
       events: [...this.events],
     };
   }
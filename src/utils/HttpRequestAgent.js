@@ -1,7 +1,14 @@
 // src/utils/HttpRequestAgent.js
 import HttpClient from './HttpClient.js';
+import RequestScheduler from './RequestScheduler.js';
 import TokenManager from './TokenManager.js';
+import Outbox, { isNetworkError } from './Outbox.js';
+import { validate, IncompatibleFirmwareError } from './responseSchema.js';
 import { API_CONFIG, getApiUrl, isPublicEndpoint, getErrorMessage } from '../config/apiConfig.js';
+import { findApiSchema } from '../config/apiSchemas.js';
+
+/** Errors the wrappers below pass through untouched. */
+const passThrough = (error) => error.name === 'AbortError' || error instanceof IncompatibleFirmwareError;
 
 /**
  * HTTP Request Agent that follows existing ESP32 patterns
@@ -11,6 +18,14 @@ class HttpRequestAgent {
   constructor() {
     this.httpClient = HttpClient;
     this.tokenManager = TokenManager;
+    this.outbox = Outbox;
+    this.outbox.configure({
+      send: (item) => this._sendQueued(item),
+      checkHealth: () => this.httpClient
+        .get(API_CONFIG.ENDPOINTS.HEALTH, { skipAuth: true, skipAuthErrorHandling: true, priority: 'background' })
+        .then((response) => response.ok, () => false),
+      canReplay: () => this.tokenManager.hasAuthSession(),
+    });
   }
 
   /**
@@ -25,63 +40,119 @@ class HttpRequestAgent {
         ? { signal: signalOrOptions }
         : (signalOrOptions || {});
       const response = await this.httpClient.get(endpoint, options);
-      return this._parseResponse(response);
+      return this._parseResponse(response, { method: 'GET', endpoint });
     } catch (error) {
-      if (error.name === 'AbortError') {
+      if (passThrough(error)) {
         throw error;
       }
       throw new Error(error.message || 'GET request failed');
     }
   }
 
+  /**
+   * GET that also reports the response's ETag, for saves that must not
+   * overwrite someone else's change (see `ifMatch` on post()).
+   * @param {string} endpoint - API endpoint
+   * @param {Object} [options] - Request options (signal, priority)
+   * @returns {Promise<{ data: any, etag: string|null }>}
+   */
+  async getVersioned(endpoint, options = {}) {
+    try {
+      const response = await this.httpClient.get(endpoint, { ...options, deduplicate: false });
+      const etag = response.headers.get('ETag');
+      return { data: await this._parseResponse(response, { method: 'GET', endpoint }), etag };
+    } catch (error) {
+      if (passThrough(error)) throw error;
+      throw new Error(error.message || 'GET request failed');
+    }
+  }
+
   /**
    * Make an authenticated POST request following ESP32 patterns
    * @param {string} endpoint - API endpoint
    * @param {any} data - Request payload
-   * @param {AbortSignal} [signal] - Abort signal for cancellation
+   * @param {AbortSignal|Object} [signalOrOptions] - Abort signal or request
+   *   options. `outbox: { label, areas, coalesce }` keeps the mutation in the
+   *   offline outbox when the device is unreachable; the call then resolves
+   *   with `{ queued: true, outboxId }` instead of failing. `ifMatch: etag`
+   *   sends `If-Match`; a device that has moved on answers 412 and the error
+   *   carries `status: 412`. A queued save keeps its `If-Match` for the replay.
    * @returns {Promise<any>} Parsed JSON response
    */
   async post(endpoint, data, signalOrOptions = null) {
+    const { outbox, ifMatch, ...options } = typeof AbortSignal !== 'undefined' && signalOrOptions instanceof AbortSignal
+      ? { signal: signalOrOptions }
+      : (signalOrOptions || {});
+    if (ifMatch) options.headers = { ...options.headers, 'If-Match': ifMatch };
+    if (outbox && this.outbox.hasWaiting()) return this._queue('POST', endpoint, data, { ...outbox, ifMatch });
+    this._checkRequest('POST', endpoint, data);
     try {
-      const options = typeof AbortSignal !== 'undefined' && signalOrOptions instanceof AbortSignal
-        ? { signal: signalOrOptions }
-        : (signalOrOptions || {});
       const response = await this.httpClient.post(endpoint, data, options);
-      return this._parseResponse(response);
+      return this._parseResponse(response, { method: 'POST', endpoint });
     } catch (error) {
-      if (error.name === 'AbortError') {
+      if (passThrough(error) || error.status) {
         throw error;
       }
+      if (outbox && isNetworkError(error)) return this._queue('POST', endpoint, data, { ...outbox, ifMatch });
       throw new Error(error.message || 'POST request failed');
     }
   }
 
   async put(endpoint, data, signalOrOptions = null) {
+    const { outbox, ...options } = typeof AbortSignal !== 'undefined' && signalOrOptions instanceof AbortSignal
+      ? { signal: signalOrOptions }
+      : (signalOrOptions || {});
+    if (outbox && this.outbox.hasWaiting()) return this._queue('PUT', endpoint, data, outbox);
+    this._checkRequest('PUT', endpoint, data);
     try {
-      const options = typeof AbortSignal !== 'undefined' && signalOrOptions instanceof AbortSignal
-        ? { signal: signalOrOptions }
-        : (signalOrOptions || {});
       const response = await this.httpClient.put(endpoint, data, options);
-      return this._parseResponse(response);
+      return this._parseResponse(response, { method: 'PUT', endpoint });
     } catch (error) {
-      if (error.name === 'AbortError') throw error;
+      if (passThrough(error) || error.status) throw error;
+      if (outbox && isNetworkError(error)) return this._queue('PUT', endpoint, data, outbox);
       throw new Error(error.message || 'PUT request failed');
     }
   }
 
   async delete(endpoint, signalOrOptions = null) {
+    const { outbox, ...options } = typeof AbortSignal !== 'undefined' && signalOrOptions instanceof AbortSignal
+      ? { signal: signalOrOptions }
+      : (signalOrOptions || {});
+    if (outbox && this.outbox.hasWaiting()) return this._queue('DELETE', endpoint, undefined, outbox);
     try {
-      const options = typeof AbortSignal !== 'undefined' && signalOrOptions instanceof AbortSignal
-        ? { signal: signalOrOptions }
-        : (signalOrOptions || {});
       const response = await this.httpClient.delete(endpoint, options);
-      return this._parseResponse(response);
+      return this._parseResponse(response, { method: 'DELETE', endpoint });
     } catch (error) {
-      if (error.name === 'AbortError') throw error;
+      if (passThrough(error) || error.status) throw error;
+      if (outbox && isNetworkError(error)) return this._queue('DELETE', endpoint, undefined, outbox);
       throw new Error(error.message || 'DELETE request failed');
     }
   }
 
+  /**
+   * Keep a mutation in the outbox instead of failing it (utils/Outbox.js).
+   * @returns {Promise<{ queued: true, outboxId: string }>}
+   * @private
+   */
+  async _queue(method, endpoint, data, outbox) {
+    const item = await this.outbox.enqueue({ method, endpoint, data, ...outbox });
+    return { queued: true, outboxId: item.id };
+  }
+
+  /**
+   * Replay one outbox item (without the outbox option, so failures surface).
+   * A save queued with `If-Match` is sent with it again.
+   * @private
+   */
+  _sendQueued(item) {
+    const options = { priority: 'critical', ...(item.ifMatch && { ifMatch: item.ifMatch }) };
+    switch (item.method) {
+      case 'PUT': return this.put(item.endpoint, item.data, options);
+      case 'DELETE': return this.delete(item.endpoint, options);
+      default: return this.post(item.endpoint, item.data, options);
+    }
+  }
+
   /**
    * Make a login request (unauthenticated)
    * The server responds with a Set-Cookie header containing the HttpOnly session cookie.
@@ -160,7 +231,8 @@ class HttpRequestAgent {
       }
       
       const data = await this._parseResponseBody(response);
-      this.tokenManager.markAuthenticated();
+      // Keep the original login time on reload so the expiry countdown stays true
+      if (!this.tokenManager.hasAuthSession()) this.tokenManager.markAuthenticated();
       return { valid: true, user: data.user };
     } catch (error) {
       console.warn('Token validation failed:', error.message);
@@ -169,6 +241,30 @@ class HttpRequestAgent {
     }
   }
 
+  /**
+   * Extend the current session by another full lifetime.
+   * The server re-issues the HttpOnly cookie; on success the client-side
+   * session age restarts from now.
+   * @returns {Promise<boolean>} True if the session was extended, false if it
+   *   has already expired (401/403)
+   * @throws {Error} On network or other server errors
+   */
+  async refreshSession() {
+    const response = await this.httpClient.post(API_CONFIG.ENDPOINTS.REFRESH_TOKEN, {}, {
+      timeout: 5000,
+      skipAuthErrorHandling: true,
+    });
+
+    if (response.status === 401 || response.status === 403) return false;
+    if (!response.ok) {
+      const errorData = await this._parseResponseBody(response).catch(() => ({}));
+      throw new Error(getErrorMessage(response.status, errorData.message));
+    }
+
+    this.tokenManager.markAuthenticated();
+    return true;
+  }
+
   /**
    * Check if user is currently authenticated (client-side hint)
    * @returns {boolean}
@@ -200,14 +296,55 @@ class HttpRequestAgent {
     return new AbortController();
   }
 
+  /**
+   * Check a parsed response body against the declared shape for the
+   * request (config/apiSchemas.js). Services that bypass get/post/… (XHR
+   * uploads, raw HttpClient calls) call this themselves.
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint as requested
+   * @param {any} data - Parsed response body
+   * @returns {any} `data`, when it fits or nothing is declared
+   * @throws {IncompatibleFirmwareError} Naming the endpoint and first bad field
+   */
+  checkResponse(method, endpoint, data) {
+    const schema = findApiSchema(method, endpoint);
+    if (!schema?.response) return data;
+    const mismatch = validate(schema.response, data);
+    if (!mismatch) return data;
+    const error = new IncompatibleFirmwareError({
+      ...mismatch,
+      endpoint: `${schema.method} ${schema.endpoint}`,
+      operation: schema.operation,
+    });
+    console.error(`${schema.operation}: ${error.field} is ${error.received}, expected ${error.expected}`, data);
+    throw error;
+  }
+
+  /**
+   * Development builds warn when the UI sends a body its own declaration
+   * does not allow -the firmware would most likely answer 400.
+   * @private
+   */
+  _checkRequest(method, endpoint, data) {
+    if (!import.meta.env?.DEV) return;
+    const schema = findApiSchema(method, endpoint);
+    const mismatch = schema?.request && validate(schema.request, data);
+    if (mismatch) {
+      console.warn(`${schema.operation} request: ${mismatch.field} is ${mismatch.received}, expected ${mismatch.expected}`, data);
+    }
+  }
+
   /**
    * Parse HTTP response with proper error handling
-   * Handles JSON responses, empty responses (204), and content-type validation
+   * Handles JSON responses, empty responses (204), and content-type validation.
+   * With `request`, a successful body is checked against its declared shape.
    * @param {Response} response - Fetch Response object
+   * @param {{ method: string, endpoint: string }} [request] - What was asked
    * @returns {Promise<any>} Parsed response data
+   * @throws {IncompatibleFirmwareError} When the body does not fit the schema
    * @private
    */
-  async _parseResponse(response) {
+  async _parseResponse(response, request = null) {
     if (!response.ok) {
       let message = `HTTP ${response.status}`;
       try {
@@ -224,10 +361,13 @@ class HttpRequestAgent {
       } catch {
         /* ignore body read failures */
       }
-      throw new Error(message);
+      const error = new Error(message);
+      error.status = response.status;
+      throw error;
     }
 
-    return this._parseResponseBody(response);
+    const data = await this._parseResponseBody(response);
+    return request ? this.checkResponse(request.method, request.endpoint, data) : data;
   }
 
   /**
@@ -317,11 +457,13 @@ class HttpRequestAgent {
       } catch (error) {
         lastError = error;
         
-        // Don't retry on auth errors or if this is the last attempt
+        // Don't retry on auth errors, on the last attempt, or while the
+        // scheduler is backing off a struggling device
         if (error.message.includes('Authentication failed') || 
             error.message.includes('401') || 
             error.message.includes('403') ||
-            attempt === maxRetries) {
+            attempt === maxRetries ||
+            RequestScheduler.congested()) {
           throw error;
         }
         
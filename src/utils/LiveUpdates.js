@@ -0,0 +1,289 @@
+/**
+ * Push channel from the device: Server-Sent Events on /api/events, else a
+ * WebSocket on /api/ws. While neither is connected `state.connected` is
+ * false and screens keep polling as before.
+ *
+ * Listeners receive `{ type, data }`: the device events declared in
+ * config/apiSchemas.js LIVE_EVENTS (bell, panic, time, schedule), plus
+ *  - `connection` `{ transport, connected }` whenever that changes
+ *  - `resync` after every (re)connect -events may have been missed
+ *
+ * Reconnects back off exponentially with jitter. A transport that fails
+ * twice without opening is skipped; once all are skipped the channel stays
+ * on polling and tries again after the longest delay. The stream is closed
+ * while the page is hidden and reopened when it is shown again or the
+ * browser comes back online.
+ */
+import { validate } from './responseSchema.js';
+import { API_CONFIG, getApiUrl } from '../config/apiConfig.js';
+import { LIVE_EVENTS } from '../config/apiSchemas.js';
+
+const FAILURES_BEFORE_SKIP = 2;
+
+const IDLE = { transport: null, connected: false };
+const POLLING = { transport: 'poll', connected: false };
+
+class LiveUpdates {
+  /**
+   * @param {Object} [env] - injectable globals and timings (tests)
+   * @param {typeof EventSource|null} [env.EventSource]
+   * @param {typeof WebSocket|null} [env.WebSocket]
+   * @param {Document|null} [env.document] - visibilityState + visibilitychange
+   * @param {EventTarget|null} [env.target] - receives `online`
+   * @param {{ protocol: string, host: string }} [env.location]
+   * @param {Function} [env.setTimeout]
+   * @param {Function} [env.clearTimeout]
+   * @param {() => number} [env.random]
+   * @param {number} [env.minDelayMs=1000] - first reconnect delay
+   * @param {number} [env.maxDelayMs=60000] - backoff cap, and the retry
+   *   interval once every transport has been skipped
+   * @param {number} [env.silenceMs=75000] - the device sends `time` every
+   *   30 s; this long without any event means the stream is dead
+   */
+  constructor(env = {}) {
+    this.env = env;
+    this.listeners = new Set();
+    this.state = IDLE;
+    this.running = false;
+    this.paused = false;
+    this.socket = null;
+    this.socketTransport = null;
+    this.transportIdx = 0;
+    this.failures = 0;
+    this.attempt = 0;
+    this.retryTimer = null;
+    this.silenceTimer = null;
+    this.onVisibility = this.onVisibility.bind(this);
+    this.onOnline = this.onOnline.bind(this);
+  }
+
+  get transports() {
+    const EventSourceImpl = 'EventSource' in this.env
+      ? this.env.EventSource
+      : (typeof EventSource !== 'undefined' ? EventSource : null);
+    const WebSocketImpl = 'WebSocket' in this.env
+      ? this.env.WebSocket
+      : (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    return [
+      EventSourceImpl && { name: 'sse', open: () => this.openEventSource(EventSourceImpl) },
+      WebSocketImpl && { name: 'ws', open: () => this.openWebSocket(WebSocketImpl) },
+    ].filter(Boolean);
+  }
+
+  get document() {
+    if ('document' in this.env) return this.env.document;
+    return typeof document !== 'undefined' ? document : null;
+  }
+
+  get target() {
+    if ('target' in this.env) return this.env.target;
+    return typeof window !== 'undefined' ? window : null;
+  }
+
+  get location() {
+    if ('location' in this.env) return this.env.location;
+    return typeof window !== 'undefined' ? window.location : null;
+  }
+
+  setTimer(fn, ms) {
+    return (this.env.setTimeout || setTimeout)(fn, ms);
+  }
+
+  clearTimer(id) {
+    if (id != null) (this.env.clearTimeout || clearTimeout)(id);
+  }
+
+  /**
+   * @param {(event: { type: string, data: any }) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn('Live update listener failed:', error);
+      }
+    });
+  }
+
+  setState(next) {
+    if (next.transport === this.state.transport && next.connected === this.state.connected) return;
+    this.state = next;
+    this.emit({ type: 'connection', data: next });
+  }
+
+  /** Connect (after login). Calling it again while running does nothing. */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.document?.addEventListener('visibilitychange', this.onVisibility);
+    this.target?.addEventListener('online', this.onOnline);
+    this.paused = this.document?.visibilityState === 'hidden';
+    this.setState(POLLING);
+    this.connect();
+  }
+
+  /** Disconnect for good (logout, ended session). */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    this.document?.removeEventListener('visibilitychange', this.onVisibility);
+    this.target?.removeEventListener('online', this.onOnline);
+    this.close();
+    this.clearTimer(this.retryTimer);
+    this.retryTimer = null;
+    this.transportIdx = 0;
+    this.failures = 0;
+    this.attempt = 0;
+    this.setState(IDLE);
+  }
+
+  connect() {
+    this.clearTimer(this.retryTimer);
+    this.retryTimer = null;
+    if (!this.running || this.paused || this.socket) return;
+    const transport = this.transports[this.transportIdx];
+    if (!transport) return;
+    try {
+      this.socket = transport.open();
+    } catch (error) {
+      console.warn(`Live updates: ${transport.name} unavailable:`, error);
+      this.transportIdx += 1;
+      this.connect();
+      return;
+    }
+    this.socketTransport = transport.name;
+    this.armSilence(this.socket);
+  }
+
+  openEventSource(EventSourceImpl) {
+    const source = new EventSourceImpl(getApiUrl(API_CONFIG.ENDPOINTS.LIVE_EVENTS));
+    source.onopen = () => this.opened(source);
+    source.onerror = () => this.failed(source);
+    [...Object.keys(LIVE_EVENTS), 'ping'].forEach((type) => {
+      source.addEventListener(type, (event) => {
+        let data = null;
+        try {
+          data = event.data ? JSON.parse(event.data) : null;
+        } catch {
+          /* malformed -validate() reports it */
+        }
+        this.receive(source, type, data);
+      });
+    });
+    return source;
+  }
+
+  openWebSocket(WebSocketImpl) {
+    const { protocol, host } = this.location || {};
+    const scheme = protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocketImpl(`${scheme}//${host}${API_CONFIG.ENDPOINTS.LIVE_SOCKET}`);
+    socket.onopen = () => this.opened(socket);
+    socket.onclose = () => this.failed(socket);
+    socket.onmessage = (event) => {
+      let message = null;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      this.receive(socket, message?.type, message?.data);
+    };
+    return socket;
+  }
+
+  opened(socket) {
+    if (socket !== this.socket) return;
+    this.failures = 0;
+    this.attempt = 0;
+    this.armSilence(socket);
+    this.setState({ transport: this.socketTransport, connected: true });
+    this.emit({ type: 'resync', data: null });
+  }
+
+  receive(socket, type, data) {
+    if (socket !== this.socket) return;
+    this.armSilence(socket);
+    const schema = LIVE_EVENTS[type];
+    if (!schema) return; // ping, or an event this version does not know
+    const mismatch = validate(schema, data);
+    if (mismatch) {
+      console.warn(`Live event "${type}": ${mismatch.field} is ${mismatch.received}, expected ${mismatch.expected}`);
+      return;
+    }
+    this.emit({ type, data });
+  }
+
+  /** The socket closed, errored or went silent: back off and retry. */
+  failed(socket) {
+    if (socket !== this.socket) return;
+    const wasOpen = this.state.connected;
+    this.close();
+    this.setState(POLLING);
+    if (!this.running || this.paused) return;
+
+    if (!wasOpen && ++this.failures >= FAILURES_BEFORE_SKIP) {
+      this.failures = 0;
+      this.transportIdx += 1;
+    }
+    const { minDelayMs = 1000, maxDelayMs = 60000 } = this.env;
+    let delay;
+    if (this.transportIdx >= this.transports.length) {
+      this.transportIdx = 0;
+      delay = maxDelayMs;
+    } else {
+      const ceiling = Math.min(maxDelayMs, minDelayMs * 2 ** this.attempt);
+      this.attempt += 1;
+      delay = ceiling / 2 + (this.env.random || Math.random)() * (ceiling / 2);
+    }
+    this.retryTimer = this.setTimer(() => this.connect(), delay);
+  }
+
+  armSilence(socket) {
+    this.clearTimer(this.silenceTimer);
+    const { silenceMs = 75000 } = this.env;
+    this.silenceTimer = this.setTimer(() => this.failed(socket), silenceMs);
+  }
+
+  close() {
+    this.clearTimer(this.silenceTimer);
+    this.silenceTimer = null;
+    const socket = this.socket;
+    this.socket = null;
+    if (!socket) return;
+    socket.onopen = null;
+    socket.onerror = null;
+    socket.onclose = null;
+    socket.onmessage = null;
+    socket.close();
+  }
+
+  onVisibility() {
+    if (this.document?.visibilityState === 'hidden') {
+      this.paused = true;
+      this.close();
+      this.clearTimer(this.retryTimer);
+      this.retryTimer = null;
+      this.setState(POLLING);
+    } else if (this.paused) {
+      this.paused = false;
+      this.attempt = 0;
+      this.connect();
+    }
+  }
+
+  onOnline() {
+    if (this.state.connected || this.socket) return;
+    this.attempt = 0;
+    this.connect();
+  }
+}
+
+export default new LiveUpdates();
+export { LiveUpdates };
@@ -0,0 +1,136 @@
+/**
+ * Client-side view of the firmware's login rate limit.
+ *
+ * `/api/login` and `/api/setup/claim` share one budget of 5 attempts per
+ * 60 seconds. HttpClient reports every response from those endpoints here;
+ * a 429 blocks further attempts until its `Retry-After` has passed, or -if
+ * the header is missing -until the client-tracked window ends.
+ *
+ * Stored in localStorage: the limit is per device address, so every tab
+ * of this browser shares it.
+ */
+
+export const LOGIN_ATTEMPT_LIMIT = 5;
+export const LOGIN_WINDOW_MS = 60 * 1000;
+
+const STORAGE_KEY = 'esp32_login_rate_limit';
+
+/**
+ * Milliseconds to wait from a `Retry-After` header value (delta-seconds or
+ * HTTP date).
+ * @param {string|null} value
+ * @param {number} [now]
+ * @returns {number|null} null when absent or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const at = Date.parse(text);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+class LoginRateLimit {
+  /**
+   * @param {Object} [env] - injectable globals (tests)
+   * @param {Storage|null} [env.storage]
+   * @param {() => number} [env.now]
+   */
+  constructor(env = {}) {
+    this.env = env;
+    this.listeners = new Set();
+    this.memory = { attempts: [], blockedUntil: 0 };
+  }
+
+  get storage() {
+    if ('storage' in this.env) return this.env.storage;
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch {
+      return null;
+    }
+  }
+
+  now() {
+    return this.env.now ? this.env.now() : Date.now();
+  }
+
+  /**
+   * Whether requests to this URL count against the limit.
+   * @param {string} url
+   * @returns {boolean}
+   */
+  covers(url) {
+    const path = String(url).split('?')[0];
+    return path.endsWith('/api/login') || path.endsWith('/api/setup/claim');
+  }
+
+  read() {
+    const storage = this.storage;
+    if (!storage) return this.memory;
+    try {
+      const parsed = JSON.parse(storage.getItem(STORAGE_KEY));
+      if (parsed && Array.isArray(parsed.attempts)) return parsed;
+    } catch {
+      /* corrupt entry -start over */
+    }
+    return { attempts: [], blockedUntil: 0 };
+  }
+
+  write(state) {
+    this.memory = state;
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      /* storage unavailable -the in-memory copy still applies to this tab */
+    }
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Record a response from a covered endpoint.
+   * @param {number} status - HTTP status
+   * @param {number|null} [retryAfterMs] - parsed `Retry-After`
+   */
+  record(status, retryAfterMs = null) {
+    const now = this.now();
+    const state = this.read();
+    const attempts = state.attempts.filter((at) => now - at < LOGIN_WINDOW_MS);
+    if (status === 429) {
+      const windowEnd = attempts.length ? attempts[0] + LOGIN_WINDOW_MS : now + LOGIN_WINDOW_MS;
+      const until = retryAfterMs != null ? now + retryAfterMs : windowEnd;
+      /* The server's count is authoritative: once this block ends its window is fresh. */
+      this.write({ attempts: [], blockedUntil: Math.max(until, state.blockedUntil || 0) });
+      return;
+    }
+    this.write({ attempts: [...attempts, now], blockedUntil: state.blockedUntil || 0 });
+  }
+
+  /**
+   * Where the current window stands.
+   * @returns {{ remaining: number, retryInMs: number, used: number }}
+   *   `retryInMs` > 0 means no attempt should be made yet
+   */
+  status() {
+    const now = this.now();
+    const state = this.read();
+    const attempts = state.attempts.filter((at) => now - at < LOGIN_WINDOW_MS);
+    const remaining = Math.max(0, LOGIN_ATTEMPT_LIMIT - attempts.length);
+    let retryInMs = Math.max(0, (state.blockedUntil || 0) - now);
+    if (remaining === 0) retryInMs = Math.max(retryInMs, attempts[0] + LOGIN_WINDOW_MS - now);
+    return { remaining: retryInMs > 0 ? 0 : remaining, retryInMs, used: attempts.length };
+  }
+
+  /**
+   * Be told when an attempt or a 429 is recorded.
+   * @param {() => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export default new LoginRateLimit();
+export { LoginRateLimit };
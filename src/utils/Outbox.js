@@ -0,0 +1,363 @@
+/**
+ * Outbox for mutations made while the device is unreachable.
+ *
+ * The controller drops off school Wi-Fi for a few seconds at a time. A
+ * mutation sent with the `outbox` option (HttpRequestAgent) that fails with
+ * a network error is stored here -in IndexedDB, so a reload keeps it -and
+ * replayed in order once `/api/health` answers again. While anything is
+ * waiting, further outbox mutations join the queue instead of overtaking it.
+ *
+ * The queue is shared by every open tab (same IndexedDB store), but only
+ * one tab replays at a time -a Web Lock -and it re-reads the store first,
+ * so each item goes out once and items queued in other tabs are included.
+ *
+ * Items are scoped to the account that made them: an item whose `owner` is
+ * not the signed-in user is *held* -never replayed until the user adopts it
+ * (sends it as themselves) or discards it.
+ *
+ * Saves that must not overwrite someone else's edits carry what they were
+ * based on: `ifMatch` (sent again on replay; 412 refuses it) or `version`
+ * (checked with `env.verify` first). Such a refusal marks the item
+ * `conflict`, and every later item of the same `batch` with it.
+ *
+ * Items: { id, order, method, endpoint, data, label, areas, owner, ifMatch,
+ *          version, batch, queuedAt, error, conflict } -`error` is set when
+ * the device refused the replay; such items stay for the user to inspect
+ * and discard.
+ */
+
+const DB_NAME = 'esp32-bell';
+const STORE_NAME = 'outbox';
+const LOCK_NAME = 'esp32-bell-outbox';
+const HEALTH_POLL_MS = 5000;
+
+/** Whether a request failed before reaching the device. Only fetch's own
+ *  failure messages count -any other TypeError is a bug, not an outage, and
+ *  queueing it would replay it forever. */
+export function isNetworkError(error) {
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message || '');
+}
+
+/** In-memory item store (tests, and browsers without IndexedDB). */
+export function createMemoryStore() {
+  const items = new Map();
+  return {
+    getAll: async () => [...items.values()],
+    put: async (item) => { items.set(item.id, item); },
+    delete: async (id) => { items.delete(id); },
+    clear: async () => { items.clear(); },
+  };
+}
+
+/** IndexedDB item store; null when IndexedDB is unavailable. */
+export function createIndexedDbStore(idb = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+  if (!idb) return null;
+  let dbPromise = null;
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = idb.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+  const run = async (mode, work) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = work(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+  return {
+    getAll: () => run('readonly', (store) => store.getAll()),
+    put: (item) => run('readwrite', (store) => store.put(item)),
+    delete: (id) => run('readwrite', (store) => store.delete(id)),
+    clear: () => run('readwrite', (store) => store.clear()),
+  };
+}
+
+class Outbox {
+  /**
+   * @param {Object} [env]
+   * @param {Object} [env.store] - item store (see createMemoryStore)
+   * @param {(item: Object) => Promise<any>} [env.send] - replay one item
+   * @param {() => Promise<boolean>} [env.checkHealth] - is the device reachable?
+   * @param {() => boolean} [env.canReplay] - e.g. "is there a session?"
+   * @param {() => string|null} [env.owner] - the signed-in username; without
+   *   it every item counts as the current user's
+   * @param {(work: () => Promise<any>) => Promise<any>} [env.lock] - run
+   *   `work` unless another tab is replaying (resolves null then); defaults
+   *   to navigator.locks
+   * @param {() => void} [env.onPersist] - this tab changed the stored queue
+   *   (e.g. tell the other tabs to reload())
+   * @param {(item: Object) => Promise<boolean|null>} [env.verify] - whether
+   *   the device still holds `item.version` (null: unreachable)
+   * @param {boolean} [env.poll] - false disables the health poll (tests)
+   */
+  constructor(env = {}) {
+    this.env = env;
+    this.items = [];
+    this.loaded = null;
+    this.replaying = null;
+    this.timer = null;
+    this.sequence = 0;
+    this.listeners = new Set();
+    this.replayListeners = new Set();
+  }
+
+  /** Wire the transport once (HttpRequestAgent does this). */
+  configure(env) {
+    Object.assign(this.env, env);
+  }
+
+  get store() {
+    if (!this.env.store) this.env.store = createIndexedDbStore() || createMemoryStore();
+    return this.env.store;
+  }
+
+  /** Load persisted items (once). */
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.store.getAll()
+        .catch((error) => {
+          console.warn('Outbox unavailable:', error);
+          return [];
+        })
+        .then((items) => {
+          this.items = items.sort((a, b) => a.order - b.order);
+          this.sequence = Math.max(this.sequence, ...this.items.map((item) => item.order), 0);
+          this.changed();
+        });
+    }
+    return this.loaded;
+  }
+
+  /** Re-read the persisted items (another tab changed them). */
+  reload() {
+    this.loaded = null;
+    return this.load();
+  }
+
+  persisted() {
+    if (this.env.onPersist) this.env.onPersist();
+  }
+
+  changed() {
+    this.listeners.forEach((listener) => listener(this.items));
+    if (this.waiting().length > 0) this.watch();
+    else this.unwatch();
+  }
+
+  /** Whether `item` was queued by the signed-in user. */
+  isOwn(item) {
+    return !this.env.owner || item.owner === this.env.owner();
+  }
+
+  /** The signed-in user's items still to be sent (not refused by the device). */
+  waiting() {
+    return this.items.filter((item) => !item.error && this.isOwn(item));
+  }
+
+  /** Unsent items queued under another account (or before sign-in). */
+  held() {
+    return this.items.filter((item) => !item.error && !this.isOwn(item));
+  }
+
+  /** Whether new outbox mutations must queue behind earlier ones. */
+  hasWaiting() {
+    return this.waiting().length > 0;
+  }
+
+  /**
+   * Store a mutation for replay.
+   * @param {{ method: string, endpoint: string, data?: any, label?: string,
+   *           areas?: string[], coalesce?: boolean }} entry
+   *   `coalesce` replaces a waiting item for the same method + endpoint
+   *   (full-state saves: only the latest matters)
+   * @returns {Promise<Object>} the stored item
+   */
+  async enqueue(entry) {
+    await this.load();
+    const { coalesce = false, ...rest } = entry;
+    if (coalesce) {
+      const stale = this.waiting().filter((item) =>
+        item.method === rest.method && item.endpoint === rest.endpoint);
+      await Promise.all(stale.map((item) => this.store.delete(item.id).catch(() => {})));
+      this.items = this.items.filter((item) => !stale.includes(item));
+    }
+    this.sequence += 1;
+    const item = {
+      ...rest,
+      id: `${Date.now().toString(36)}-${this.sequence}-${Math.random().toString(36).slice(2, 6)}`,
+      order: this.sequence,
+      owner: this.env.owner ? this.env.owner() : null,
+      queuedAt: Date.now(),
+      error: null,
+    };
+    this.items = [...this.items, item];
+    await this.store.put(item).catch((error) => console.warn('Outbox write failed:', error));
+    this.changed();
+    this.persisted();
+    return item;
+  }
+
+  /** Drop one item without sending it. */
+  async discard(id) {
+    await this.load();
+    this.items = this.items.filter((item) => item.id !== id);
+    await this.store.delete(id).catch(() => {});
+    this.changed();
+    this.persisted();
+  }
+
+  /**
+   * Take over the held items: they become the signed-in user's and go out
+   * with the next replay. Only after the user has confirmed it.
+   */
+  async adopt() {
+    await this.load();
+    const owner = this.env.owner ? this.env.owner() : null;
+    const adopted = this.held().map((item) => ({ ...item, owner }));
+    if (!adopted.length) return;
+    this.items = this.items.map((item) => adopted.find((entry) => entry.id === item.id) || item);
+    await Promise.all(adopted.map((item) => this.store.put(item).catch(() => {})));
+    this.changed();
+    this.persisted();
+    this.replay();
+  }
+
+  /** Drop every item. */
+  async discardAll() {
+    await this.load();
+    this.items = [];
+    await this.store.clear().catch(() => {});
+    this.changed();
+    this.persisted();
+  }
+
+  /**
+   * Send waiting items in order while the device accepts them. Stops at the
+   * first network failure (the item stays first in line); an item the
+   * device refuses is kept with its error and the rest continue. Does
+   * nothing while another tab is replaying.
+   * @returns {Promise<{ sent: number, refused: number, remaining: number }>}
+   */
+  replay() {
+    if (!this.replaying) {
+      this.replaying = this.runReplay().finally(() => { this.replaying = null; });
+    }
+    return this.replaying;
+  }
+
+  async runReplay() {
+    await this.load();
+    const result = { sent: 0, refused: 0, remaining: this.waiting().length };
+    if (!this.env.send) return result;
+    if (this.env.canReplay && !this.env.canReplay()) return result;
+    await this.exclusive(() => this.sendWaiting(result));
+    result.remaining = this.waiting().length;
+    return result;
+  }
+
+  /** Run `work` unless another tab holds the replay lock. */
+  exclusive(work) {
+    if (this.env.lock) return this.env.lock(work);
+    const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+    if (!locks) return work();
+    return locks.request(LOCK_NAME, { ifAvailable: true }, (lock) => (lock ? work() : null));
+  }
+
+  /** The replay proper, under the lock; counts into `result`. */
+  async sendWaiting(result) {
+    await this.reload();
+    if (!this.waiting().length) return;
+    if (this.env.checkHealth && !(await this.env.checkHealth().catch(() => false))) return;
+
+    const conflicted = new Set();
+    const refuse = async (item, error, conflict) => {
+      const refused = { ...item, error, conflict };
+      if (conflict && item.batch) conflicted.add(item.batch);
+      this.items = this.items.map((entry) => (entry.id === item.id ? refused : entry));
+      await this.store.put(refused).catch(() => {});
+      result.refused += 1;
+      this.changed();
+      this.persisted();
+    };
+
+    for (const item of this.waiting()) {
+      if (!this.items.some((entry) => entry.id === item.id)) continue; // discarded meanwhile
+      if (!this.isOwn(item)) break; // signed out or switched accounts meanwhile
+      if (item.batch && conflicted.has(item.batch)) {
+        await refuse(item, 'Changed on the device', true);
+        continue;
+      }
+      try {
+        if (item.version && this.env.verify) {
+          const unchanged = await this.env.verify(item);
+          if (unchanged === null) break;
+          if (!unchanged) {
+            await refuse(item, 'Changed on the device', true);
+            continue;
+          }
+        }
+        await this.env.send(item);
+      } catch (error) {
+        if (isNetworkError(error) || /Authentication/.test(error?.message || '')) break;
+        await refuse(item, error?.message || 'Request failed', error?.status === 412);
+        continue;
+      }
+      this.items = this.items.filter((entry) => entry.id !== item.id);
+      await this.store.delete(item.id).catch(() => {});
+      result.sent += 1;
+      this.changed();
+      this.persisted();
+      this.replayListeners.forEach((listener) => listener(item));
+    }
+  }
+
+  /** Poll for the device while items wait (and retry when the browser is back online). */
+  watch() {
+    if (this.timer || this.env.poll === false) return;
+    this.timer = setInterval(() => this.replay(), HEALTH_POLL_MS);
+    this.onOnline = () => this.replay();
+    if (typeof window !== 'undefined') window.addEventListener('online', this.onOnline);
+  }
+
+  unwatch() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    if (typeof window !== 'undefined') window.removeEventListener('online', this.onOnline);
+  }
+
+  /**
+   * Be told whenever the item list changes.
+   * @param {(items: Object[]) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Be told about each item the device accepted on replay.
+   * @param {(item: Object) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  onReplayed(listener) {
+    this.replayListeners.add(listener);
+    return () => this.replayListeners.delete(listener);
+  }
+}
+
+export default new Outbox();
+export { Outbox };
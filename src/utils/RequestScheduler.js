@@ -5,16 +5,53 @@ const PRIORITY = {
   background: 3,
 };
 
+/** Priorities a circuit breaker holds back (polls, prefetches). */
+const HOLDABLE = PRIORITY.supporting;
+
+const DEFAULTS = {
+  minConcurrent: 1,
+  slowMs: 2500,
+  failureThreshold: 3,
+  openMs: 10000,
+  maxOpenMs: 60000,
+};
+
 const abortError = () => new DOMException('The request was aborted', 'AbortError');
 
+/** 'failure' for answers that mean "the device is overloaded", else 'success'. */
+const outcomeOf = (value) => (
+  typeof value?.status === 'number' && (value.status >= 500 || value.status === 429)
+    ? 'failure'
+    : 'success'
+);
+
+/**
+ * Priority queue in front of fetch. The concurrency limit adapts AIMD-style:
+ * it grows by one after `limit` quick successes (up to `maxConcurrent`) and
+ * halves on a failure or a response slower than `slowMs`. Per endpoint, a
+ * circuit breaker opens after `failureThreshold` failures in a row and holds
+ * `supporting`/`background` jobs for that endpoint until a single probe gets
+ * through; `critical`/`visible` jobs are never held.
+ */
 class RequestScheduler {
-  constructor(maxConcurrent = 3) {
+  /**
+   * @param {number} [maxConcurrent=3] - concurrency ceiling
+   * @param {Object} [options] - overrides for DEFAULTS, plus `now` (tests)
+   */
+  constructor(maxConcurrent = 3, options = {}) {
     this.maxConcurrent = maxConcurrent;
+    this.options = { ...DEFAULTS, ...options };
+    this.now = options.now || (() => Date.now());
+    this.limit = maxConcurrent;
+    this.successes = 0;
+    this.lastDecreaseAt = -Infinity;
     this.active = 0;
     this.sequence = 0;
     this.queue = [];
     this.inFlight = new Map();
     this.exclusivePending = false;
+    this.breakers = new Map();
+    this.listeners = new Set();
   }
 
   schedule(task, options = {}) {
@@ -23,6 +60,7 @@ class RequestScheduler {
       key = null,
       signal = null,
       exclusive = false,
+      endpoint = null,
       onQueued = null,
       onStarted = null,
     } = options;
@@ -46,6 +84,7 @@ class RequestScheduler {
       sequence: ++this.sequence,
       signal,
       exclusive,
+      endpoint,
       onStarted,
       resolve: resolveJob,
       reject: rejectJob,
@@ -79,7 +118,7 @@ class RequestScheduler {
   }
 
   _drain() {
-    if (this.active >= this.maxConcurrent || this.queue.length === 0) return;
+    if (this.active >= this.limit || this.queue.length === 0) return;
 
     const exclusiveIndex = this.queue.findIndex((job) => job.exclusive);
     if (exclusiveIndex >= 0) {
@@ -90,12 +129,25 @@ class RequestScheduler {
     }
     if (this.exclusivePending) return;
 
-    while (this.active < this.maxConcurrent && this.queue.length > 0) {
-      const job = this.queue.shift();
+    while (this.active < this.limit) {
+      const index = this.queue.findIndex((job) => this._admit(job));
+      if (index < 0) return;
+      const [job] = this.queue.splice(index, 1);
       this._start(job);
     }
   }
 
+  /** Whether the endpoint's breaker lets this job run now (claims the probe). */
+  _admit(job) {
+    if (job.priority < HOLDABLE || !job.endpoint) return true;
+    const breaker = this.breakers.get(job.endpoint);
+    if (!breaker || breaker.state === 'closed') return true;
+    if (breaker.state === 'open' || breaker.probing) return false;
+    breaker.probing = true;
+    job.probe = true;
+    return true;
+  }
+
   _start(job) {
     if (job.signal?.aborted) {
       job.reject(abortError());
@@ -106,11 +158,18 @@ class RequestScheduler {
       job.signal.removeEventListener('abort', job.abortHandler);
     }
     this.active += 1;
+    job.startedAt = this.now();
     job.onStarted?.();
 
     Promise.resolve()
       .then(job.task)
-      .then(job.resolve, job.reject)
+      .then((value) => {
+        this._observe(job, outcomeOf(value));
+        job.resolve(value);
+      }, (error) => {
+        this._observe(job, error?.name === 'AbortError' ? null : 'failure');
+        job.reject(error);
+      })
       .finally(() => {
         this.active = Math.max(0, this.active - 1);
         if (job.exclusive) {
@@ -119,6 +178,112 @@ class RequestScheduler {
         this._drain();
       });
   }
+
+  /** Feed one finished job into the limit and its endpoint's breaker. */
+  _observe(job, outcome) {
+    if (job.probe) this.breakers.get(job.endpoint).probing = false;
+    if (!outcome) return;
+    const slow = !job.exclusive && this.now() - job.startedAt > this.options.slowMs;
+    if (outcome === 'failure' || slow) this._decrease(job.startedAt, outcome === 'failure' ? 'failure' : 'slow');
+    else this._increase();
+    if (job.endpoint) this._track(job.endpoint, outcome === 'failure');
+  }
+
+  _increase() {
+    if (this.limit >= this.maxConcurrent) return;
+    this.successes += 1;
+    if (this.successes < this.limit) return;
+    this.successes = 0;
+    this.limit += 1;
+    this._emit({ type: 'limit', limit: this.limit, reason: 'recovered' });
+  }
+
+  /* Jobs already running when the limit was cut carry no news -one halving
+   * per congestion episode. */
+  _decrease(startedAt, reason) {
+    this.successes = 0;
+    if (startedAt < this.lastDecreaseAt) return;
+    this.lastDecreaseAt = this.now();
+    const next = Math.max(this.options.minConcurrent, Math.floor(this.limit / 2));
+    if (next === this.limit) return;
+    this.limit = next;
+    this._emit({ type: 'limit', limit: this.limit, reason });
+  }
+
+  _track(endpoint, failed) {
+    let breaker = this.breakers.get(endpoint);
+    if (!failed) {
+      if (!breaker) return;
+      breaker.failures = 0;
+      if (breaker.state !== 'closed') {
+        clearTimeout(breaker.timer);
+        Object.assign(breaker, { state: 'closed', probing: false, openUntil: 0, cooldownMs: this.options.openMs });
+        this._emit({ type: 'breaker', endpoint, state: 'closed' });
+      }
+      return;
+    }
+    if (!breaker) {
+      breaker = { state: 'closed', failures: 0, probing: false, openUntil: 0, cooldownMs: this.options.openMs, timer: null };
+      this.breakers.set(endpoint, breaker);
+    }
+    breaker.failures += 1;
+    if (breaker.state === 'half-open') {
+      breaker.cooldownMs = Math.min(this.options.maxOpenMs, breaker.cooldownMs * 2);
+      this._open(endpoint, breaker);
+    } else if (breaker.state === 'closed' && breaker.failures >= this.options.failureThreshold) {
+      this._open(endpoint, breaker);
+    }
+  }
+
+  _open(endpoint, breaker) {
+    clearTimeout(breaker.timer);
+    breaker.state = 'open';
+    breaker.probing = false;
+    breaker.openUntil = this.now() + breaker.cooldownMs;
+    breaker.timer = setTimeout(() => {
+      breaker.state = 'half-open';
+      this._emit({ type: 'breaker', endpoint, state: 'half-open' });
+      this._drain();
+    }, breaker.cooldownMs);
+    this._emit({ type: 'breaker', endpoint, state: 'open', retryInMs: breaker.cooldownMs });
+  }
+
+  /** Whether the device is being spared (limit cut or a breaker open);
+   *  retry loops should give up instead of adding load. */
+  congested() {
+    return this.limit < this.maxConcurrent
+      || [...this.breakers.values()].some((breaker) => breaker.state === 'open');
+  }
+
+  /** Current limit, queue and breaker states (HttpDiagnostics). */
+  state() {
+    const breakers = {};
+    this.breakers.forEach((breaker, endpoint) => {
+      if (breaker.state === 'closed' && breaker.failures === 0) return;
+      breakers[endpoint] = { state: breaker.state, failures: breaker.failures, openUntil: breaker.openUntil || null };
+    });
+    return {
+      limit: this.limit,
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      queued: this.queue.length,
+      breakers,
+    };
+  }
+
+  /**
+   * Be told about limit changes ({ type: 'limit', limit, reason }) and
+   * breaker transitions ({ type: 'breaker', endpoint, state }).
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
 }
 
 export default new RequestScheduler(3);
@@ -0,0 +1,158 @@
+/**
+ * Follows the device through a restart (reboot, factory reset, time sync,
+ * TLS change, firmware update): waits until `/api/health` stops answering,
+ * then until it answers twice in a row again. Probes run every second
+ * until the drop is seen, then back off to 5 s.
+ *
+ * Requiring the drop first means a restart that never happened (request
+ * accepted, device kept running) is reported as `notRestarted` instead of
+ * looking like success.
+ *
+ * After an HTTP↔HTTPS switch the device comes back on the other scheme,
+ * where this page cannot follow, and the outcome is `moved` with the address
+ * to open. Probing the new origin rarely settles it: an HTTPS page may not
+ * probe an HTTP address (mixed content), and a probe to HTTPS fails on the
+ * device's self-signed certificate until the user has accepted it. So both
+ * directions move on once the device has been gone for `blindMoveMs`; an
+ * HTTP page still probes HTTPS with a no-cors request (an opaque answer is
+ * enough) to move sooner when the certificate is already trusted.
+ */
+import HttpClient from './HttpClient.js';
+import { API_CONFIG } from '../config/apiConfig.js';
+
+/** Consecutive answers that count as "back" -the first may still be booting. */
+const ANSWERS_TO_BE_BACK = 2;
+
+class RestartWatcher {
+  /**
+   * @param {Object} [env] - injectable globals and timings (tests)
+   * @param {() => Promise<boolean>} [env.checkHealth] - does this origin answer?
+   * @param {(origin: string) => Promise<boolean>} [env.probeOrigin] - does another origin answer?
+   * @param {{ protocol: string, host: string }} [env.location]
+   * @param {(ms: number) => Promise<void>} [env.sleep]
+   * @param {() => number} [env.now]
+   * @param {number} [env.minDelayMs=1000]
+   * @param {number} [env.maxDelayMs=5000]
+   * @param {number} [env.downWithinMs=30000] - a restart that has not begun by
+   *   then is not coming
+   * @param {number} [env.blindMoveMs=15000]
+   */
+  constructor(env = {}) {
+    this.env = env;
+  }
+
+  get location() {
+    if ('location' in this.env) return this.env.location;
+    return typeof window !== 'undefined' ? window.location : null;
+  }
+
+  now() {
+    return (this.env.now || Date.now)();
+  }
+
+  sleep(ms, signal) {
+    if (this.env.sleep) return this.env.sleep(ms);
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  checkHealth() {
+    if (this.env.checkHealth) return this.env.checkHealth().catch(() => false);
+    return HttpClient.get(API_CONFIG.ENDPOINTS.HEALTH, {
+      cache: 'no-store',
+      skipAuth: true,
+      skipAuthErrorHandling: true,
+      priority: 'critical',
+      deduplicate: false,
+    }).then((response) => response.ok, () => false);
+  }
+
+  probeOrigin(origin) {
+    if (this.env.probeOrigin) return this.env.probeOrigin(origin).catch(() => false);
+    return fetch(`${origin}${API_CONFIG.ENDPOINTS.HEALTH}`, { mode: 'no-cors', cache: 'no-store' })
+      .then(() => true, () => false);
+  }
+
+  /**
+   * Where the device will answer after switching to `scheme`, or null when
+   * that is this page's own origin.
+   * @param {'http'|'https'|null} scheme
+   * @returns {string|null}
+   */
+  targetOrigin(scheme) {
+    const { protocol, host } = this.location || {};
+    if (!scheme || !host || protocol === `${scheme}:`) return null;
+    return `${scheme}://${host}`;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.settleMs=1500] - announced restart delay; nothing
+   *   is probed before it has passed
+   * @param {boolean} [options.expectDown=true] - false when the device may
+   *   also stay up (time sync, factory reset)
+   * @param {'http'|'https'|null} [options.scheme] - scheme it comes back on
+   * @param {number} [options.timeoutMs=90000]
+   * @param {(progress: { phase: 'offline'|'starting', attempt: number }) => void} [options.onProgress]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{ outcome: 'back'|'moved'|'notRestarted'|'timeout'|'aborted', url?: string }>}
+   */
+  async wait({
+    settleMs = 1500, expectDown = true, scheme = null, timeoutMs = 90000, onProgress, signal,
+  } = {}) {
+    const {
+      minDelayMs = 1000, maxDelayMs = 5000, downWithinMs = 30000, blindMoveMs = 15000,
+    } = this.env;
+    const target = this.targetOrigin(scheme);
+    const canProbeTarget = Boolean(target) && !(this.location?.protocol === 'https:' && scheme === 'http');
+
+    await this.sleep(settleMs, signal);
+    const started = this.now();
+    let downSince = expectDown ? null : started;
+    let answers = 0;
+    let delay = minDelayMs;
+
+    for (let attempt = 1; this.now() - started < timeoutMs; attempt += 1) {
+      if (signal?.aborted) return { outcome: 'aborted' };
+
+      if (target && downSince !== null) {
+        if (this.now() - downSince >= blindMoveMs || (canProbeTarget && await this.probeOrigin(target))) {
+          return { outcome: 'moved', url: `${target}/` };
+        }
+      }
+
+      if (await this.checkHealth()) {
+        if (downSince === null) {
+          if (this.now() - started >= downWithinMs) return { outcome: 'notRestarted' };
+        } else if (++answers >= ANSWERS_TO_BE_BACK) {
+          return { outcome: 'back' };
+        } else {
+          onProgress?.({ phase: 'starting', attempt });
+        }
+      } else {
+        if (downSince === null) downSince = this.now();
+        answers = 0;
+        onProgress?.({ phase: 'offline', attempt });
+      }
+
+      /* Probe at the fastest rate until the drop has been seen -a short
+       * reboot could otherwise fall between two probes -and back off only
+       * while waiting for the device to return. */
+      if (downSince === null) {
+        await this.sleep(minDelayMs, signal);
+      } else {
+        await this.sleep(delay, signal);
+        delay = Math.min(maxDelayMs, delay * 1.5);
+      }
+    }
+    return { outcome: 'timeout' };
+  }
+}
+
+export default new RestartWatcher();
+export { RestartWatcher };
@@ -0,0 +1,120 @@
+/**
+ * Message bus between open tabs of the UI (same origin).
+ *
+ * Uses BroadcastChannel where available and falls back to the `storage`
+ * event: a message is written to localStorage and removed again, which
+ * other tabs observe. Neither path delivers a message back to its sender.
+ */
+class TabChannel {
+  /**
+   * @param {string} name - channel name / localStorage key suffix
+   * @param {Object} [env] - injectable globals (tests)
+   * @param {typeof BroadcastChannel|null} [env.BroadcastChannel]
+   * @param {Storage|null} [env.storage]
+   * @param {EventTarget|null} [env.target] - receives `storage` events
+   */
+  constructor(name, env = {}) {
+    this.name = name;
+    this.storageKey = `esp32_tab_sync_${name}`;
+    this.env = env;
+    this.tabId = Math.random().toString(36).slice(2, 10);
+    this.handlers = new Set();
+    this.channel = null;
+    this.opened = false;
+    this.onStorage = this.onStorage.bind(this);
+  }
+
+  get BroadcastChannelImpl() {
+    if ('BroadcastChannel' in this.env) return this.env.BroadcastChannel;
+    return typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null;
+  }
+
+  get storage() {
+    if ('storage' in this.env) return this.env.storage;
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch {
+      return null;
+    }
+  }
+
+  get target() {
+    if ('target' in this.env) return this.env.target;
+    return typeof window !== 'undefined' ? window : null;
+  }
+
+  open() {
+    if (this.opened) return;
+    this.opened = true;
+    const Impl = this.BroadcastChannelImpl;
+    if (Impl) {
+      this.channel = new Impl(this.name);
+      this.channel.onmessage = (event) => this.deliver(event.data);
+    } else {
+      this.target?.addEventListener('storage', this.onStorage);
+    }
+  }
+
+  onStorage(event) {
+    if (event.key !== this.storageKey || !event.newValue) return;
+    try {
+      this.deliver(JSON.parse(event.newValue));
+    } catch {
+      /* not one of ours */
+    }
+  }
+
+  deliver(envelope) {
+    if (!envelope || envelope.from === this.tabId || !envelope.message) return;
+    this.handlers.forEach((handler) => {
+      try {
+        handler(envelope.message);
+      } catch (error) {
+        console.warn('Tab sync handler failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Send a JSON-serialisable message to every other open tab.
+   * @param {Object} message
+   */
+  post(message) {
+    this.open();
+    const envelope = { from: this.tabId, at: Date.now(), message };
+    if (this.channel) {
+      this.channel.postMessage(envelope);
+      return;
+    }
+    const storage = this.storage;
+    if (!storage) return;
+    try {
+      storage.setItem(this.storageKey, JSON.stringify(envelope));
+      storage.removeItem(this.storageKey);
+    } catch {
+      /* storage unavailable -other tabs find out on their next request */
+    }
+  }
+
+  /**
+   * Receive messages from other tabs.
+   * @param {(message: Object) => void} handler
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(handler) {
+    this.open();
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+
+  close() {
+    this.channel?.close();
+    this.channel = null;
+    this.target?.removeEventListener('storage', this.onStorage);
+    this.handlers.clear();
+    this.opened = false;
+  }
+}
+
+export default new TabChannel('esp32-bell');
+export { TabChannel };
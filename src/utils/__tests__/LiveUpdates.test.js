@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LiveUpdates } from '../LiveUpdates.js';
+
+/** Fake sockets and timers; `sockets` records every opened connection. */
+function harness({ webSocket = true } = {}) {
+  const sockets = [];
+  const timers = new Map();
+  let nextTimer = 1;
+  const listeners = {};
+  const document = {
+    visibilityState: 'visible',
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    removeEventListener: (type) => { delete listeners[type]; },
+  };
+
+  class FakeEventSource {
+    constructor(url) {
+      this.kind = 'sse';
+      this.url = url;
+      this.handlers = {};
+      this.closed = false;
+      sockets.push(this);
+    }
+    addEventListener(type, fn) { this.handlers[type] = fn; }
+    close() { this.closed = true; }
+    send(type, data) { this.handlers[type]({ data: JSON.stringify(data) }); }
+  }
+
+  class FakeWebSocket {
+    constructor(url) {
+      this.kind = 'ws';
+      this.url = url;
+      this.closed = false;
+      sockets.push(this);
+    }
+    close() { this.closed = true; }
+    send(type, data) { this.onmessage({ data: JSON.stringify({ type, data }) }); }
+  }
+
+  const live = new LiveUpdates({
+    EventSource: FakeEventSource,
+    WebSocket: webSocket ? FakeWebSocket : null,
+    document,
+    target: null,
+    location: { protocol: 'https:', host: 'bell.local' },
+    setTimeout: (fn, ms) => {
+      timers.set(nextTimer, { fn, ms });
+      return nextTimer++;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    random: () => 1,
+    minDelayMs: 1000,
+    maxDelayMs: 8000,
+    silenceMs: 75000,
+  });
+  const events = [];
+  live.subscribe((event) => events.push(event));
+
+  return {
+    live,
+    sockets,
+    events,
+    last: () => sockets[sockets.length - 1],
+    /** Delays of the pending timers other than the silence watchdog. */
+    retries: () => [...timers.values()].map(({ ms }) => ms).filter((ms) => ms !== 75000),
+    /** Fire the pending timer with this delay. */
+    fire(ms) {
+      const [id, timer] = [...timers.entries()].find(([, t]) => t.ms === ms);
+      timers.delete(id);
+      timer.fn();
+    },
+    setVisible(visible) {
+      document.visibilityState = visible ? 'visible' : 'hidden';
+      listeners.visibilitychange();
+    },
+  };
+}
+
+test('connects over SSE, re-syncs on open and passes validated events on', () => {
+  const h = harness();
+  h.live.start();
+  assert.equal(h.last().url, '/api/events');
+  assert.deepEqual(h.live.state, { transport: 'poll', connected: false });
+
+  h.last().onopen();
+  assert.deepEqual(h.live.state, { transport: 'sse', connected: true });
+  assert.deepEqual(h.events.map((e) => e.type), ['connection', 'connection', 'resync']);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    h.last().send('panic', { panicMode: 'yes' });
+  } finally {
+    console.warn = warn;
+  }
+  h.last().send('ping', null);
+  h.last().send('schedule', { areas: ['week'] });
+  assert.deepEqual(h.events.slice(3), [{ type: 'schedule', data: { areas: ['week'] } }]);
+});
+
+test('falls back from SSE to WebSocket to polling with backoff', () => {
+  const h = harness();
+  h.live.start();
+  h.last().onerror();
+  assert.deepEqual(h.retries(), [1000]);
+  h.fire(1000);
+  assert.equal(h.last().kind, 'sse');
+  h.last().onerror();
+  h.fire(2000);
+
+  const socket = h.last();
+  assert.equal(socket.kind, 'ws');
+  assert.equal(socket.url, 'wss://bell.local/api/ws');
+  socket.onopen();
+  assert.deepEqual(h.live.state, { transport: 'ws', connected: true });
+  socket.send('time', { currentTime: '08:00:00' });
+  assert.deepEqual(h.events.at(-1), { type: 'time', data: { currentTime: '08:00:00' } });
+
+  // A drop after a good connection retries the same transport from the first delay
+  socket.onclose();
+  assert.deepEqual(h.live.state, { transport: 'poll', connected: false });
+  h.fire(1000);
+  assert.equal(h.last().kind, 'ws');
+  h.last().onclose();
+  h.fire(2000);
+  h.last().onclose();
+
+  // Both transports skipped: stay on polling, retry from SSE after the cap
+  assert.deepEqual(h.retries(), [8000]);
+  h.fire(8000);
+  assert.equal(h.last().kind, 'sse');
+});
+
+test('a silent stream counts as dropped', () => {
+  const h = harness({ webSocket: false });
+  h.live.start();
+  h.last().onopen();
+  h.fire(75000);
+  assert.equal(h.sockets[0].closed, true);
+  assert.equal(h.live.state.connected, false);
+  h.fire(1000);
+  assert.equal(h.sockets.length, 2);
+});
+
+test('pauses while hidden and re-syncs when shown again', () => {
+  const h = harness();
+  h.live.start();
+  h.last().onopen();
+  h.setVisible(false);
+  assert.equal(h.sockets[0].closed, true);
+  assert.deepEqual(h.retries(), []);
+  assert.equal(h.live.state.connected, false);
+
+  h.setVisible(true);
+  assert.equal(h.sockets.length, 2);
+  h.last().onopen();
+  assert.equal(h.events.filter((e) => e.type === 'resync').length, 2);
+
+  h.live.stop();
+  assert.equal(h.sockets[1].closed, true);
+  assert.deepEqual(h.live.state, { transport: null, connected: false });
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LoginRateLimit, parseRetryAfter, LOGIN_ATTEMPT_LIMIT, LOGIN_WINDOW_MS,
+} from '../LoginRateLimit.js';
+
+function limiter(start = 1_000_000) {
+  let now = start;
+  const tracker = new LoginRateLimit({ storage: null, now: () => now });
+  return { tracker, advance: (ms) => { now += ms; } };
+}
+
+test('Retry-After accepts seconds and HTTP dates', () => {
+  const now = Date.parse('2026-01-01T10:00:00Z');
+  assert.equal(parseRetryAfter('30', now), 30000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 10:00:45 GMT', now), 45000);
+  assert.equal(parseRetryAfter(null, now), null);
+  assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('only login and claim count against the limit', () => {
+  const { tracker } = limiter();
+  assert.equal(tracker.covers('/api/login'), true);
+  assert.equal(tracker.covers('/api/setup/claim'), true);
+  assert.equal(tracker.covers('/api/setup/claim-status'), false);
+});
+
+test('attempts age out of the window and the last one blocks until it ends', () => {
+  const { tracker, advance } = limiter();
+  tracker.record(401);
+  advance(10_000);
+  for (let i = 1; i < LOGIN_ATTEMPT_LIMIT; i += 1) tracker.record(401);
+  assert.deepEqual(tracker.status(), { remaining: 0, retryInMs: LOGIN_WINDOW_MS - 10_000, used: 5 });
+  advance(LOGIN_WINDOW_MS - 10_000);
+  assert.equal(tracker.status().remaining, 1);
+  assert.equal(tracker.status().retryInMs, 0);
+});
+
+test('429 blocks for Retry-After, or for the client window without it', () => {
+  const { tracker, advance } = limiter();
+  tracker.record(429, 20_000);
+  assert.equal(tracker.status().retryInMs, 20_000);
+  advance(20_000);
+  assert.deepEqual(tracker.status(), { remaining: LOGIN_ATTEMPT_LIMIT, retryInMs: 0, used: 0 });
+
+  tracker.record(401);
+  advance(15_000);
+  tracker.record(429, null);
+  assert.equal(tracker.status().retryInMs, LOGIN_WINDOW_MS - 15_000);
+});
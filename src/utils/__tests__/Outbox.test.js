@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Outbox, createMemoryStore, isNetworkError } from '../Outbox.js';
+
+function outbox({ send, healthy = () => true, store = createMemoryStore(), owner, lock, verify } = {}) {
+  return new Outbox({
+    store,
+    send,
+    checkHealth: async () => healthy(),
+    poll: false,
+    ...(owner && { owner }),
+    ...(lock && { lock }),
+    ...(verify && { verify }),
+  });
+}
+
+/** A Web Lock stand-in shared by several "tabs": `ifAvailable` semantics. */
+function sharedLock() {
+  let held = false;
+  return async (work) => {
+    if (held) return null;
+    held = true;
+    try {
+      return await work();
+    } finally {
+      held = false;
+    }
+  };
+}
+
+test('replays in order and stops at the first network failure', async () => {
+  const sent = [];
+  let online = false;
+  const box = outbox({
+    send: async (item) => {
+      if (!online) throw new TypeError('Failed to fetch');
+      sent.push(item.endpoint);
+    },
+  });
+  await box.enqueue({ method: 'POST', endpoint: '/a' });
+  await box.enqueue({ method: 'POST', endpoint: '/b' });
+
+  assert.deepEqual(await box.replay(), { sent: 0, refused: 0, remaining: 2 });
+  online = true;
+  assert.deepEqual(await box.replay(), { sent: 2, refused: 0, remaining: 0 });
+  assert.deepEqual(sent, ['/a', '/b']);
+  assert.equal(box.hasWaiting(), false);
+});
+
+test('waits while the device is unhealthy and keeps refused items', async () => {
+  let healthy = false;
+  const replayed = [];
+  const box = outbox({
+    healthy: () => healthy,
+    send: async (item) => {
+      if (item.endpoint === '/bad') throw new Error('Invalid bells');
+    },
+  });
+  box.onReplayed((item) => replayed.push(item.endpoint));
+  await box.enqueue({ method: 'PUT', endpoint: '/bad' });
+  await box.enqueue({ method: 'DELETE', endpoint: '/ok' });
+
+  assert.equal((await box.replay()).sent, 0);
+  healthy = true;
+  assert.deepEqual(await box.replay(), { sent: 1, refused: 1, remaining: 0 });
+  assert.deepEqual(replayed, ['/ok']);
+  assert.equal(box.items.length, 1);
+  assert.equal(box.items[0].error, 'Invalid bells');
+  assert.equal(box.hasWaiting(), false);
+
+  await box.discard(box.items[0].id);
+  assert.equal(box.items.length, 0);
+});
+
+test('a coalescing save replaces the waiting one and moves to the back', async () => {
+  const store = createMemoryStore();
+  const box = outbox({ store, send: async () => {} });
+  await box.enqueue({ method: 'POST', endpoint: '/default', data: { v: 1 }, coalesce: true });
+  await box.enqueue({ method: 'POST', endpoint: '/weekday', data: { day: 1 } });
+  await box.enqueue({ method: 'POST', endpoint: '/default', data: { v: 2 }, coalesce: true });
+  assert.deepEqual(box.items.map((item) => item.endpoint), ['/weekday', '/default']);
+  assert.deepEqual(box.items[1].data, { v: 2 });
+
+  /* A fresh instance (next page load) finds the same queue. */
+  const reloaded = outbox({ store, send: async () => {} });
+  await reloaded.load();
+  assert.deepEqual(reloaded.items.map((item) => item.data), [{ day: 1 }, { v: 2 }]);
+});
+
+test('holds another account\'s items until they are adopted', async () => {
+  const store = createMemoryStore();
+  const sent = [];
+  let user = 'alice';
+  const box = outbox({ store, owner: () => user, send: async (item) => { sent.push(item.endpoint); } });
+  await box.enqueue({ method: 'POST', endpoint: '/default', data: { v: 1 }, coalesce: true });
+  assert.equal(box.items[0].owner, 'alice');
+
+  user = 'bob';
+  assert.equal(box.hasWaiting(), false);
+  assert.equal(box.held().length, 1);
+  /* Bob's own save neither replaces Alice's nor waits behind it. */
+  await box.enqueue({ method: 'POST', endpoint: '/default', data: { v: 2 }, coalesce: true });
+  assert.equal(box.items.length, 2);
+  assert.deepEqual(await box.replay(), { sent: 1, refused: 0, remaining: 0 });
+  assert.deepEqual(box.items.map((item) => item.owner), ['alice']);
+
+  await box.adopt();
+  await box.replay();
+  assert.deepEqual(sent, ['/default', '/default']);
+  assert.equal(box.items.length, 0);
+});
+
+test('two tabs on one store send each item once, including items queued after loading', async () => {
+  const store = createMemoryStore();
+  const lock = sharedLock();
+  const sent = [];
+  const send = async (item) => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    sent.push(item.endpoint);
+  };
+  const tabA = outbox({ store, lock, send });
+  const tabB = outbox({ store, lock, send });
+  await tabA.load();
+  await tabB.load();
+  await tabA.enqueue({ method: 'POST', endpoint: '/a' });
+
+  await Promise.all([tabA.replay(), tabB.replay()]);
+  assert.deepEqual(sent, ['/a']);
+
+  await tabA.enqueue({ method: 'POST', endpoint: '/b' });
+  assert.deepEqual(await tabB.replay(), { sent: 1, refused: 0, remaining: 0 });
+  assert.deepEqual(sent, ['/a', '/b']);
+});
+
+test('a save based on an outdated version is refused as a conflict, with the rest of its batch', async () => {
+  let deviceHash = 'aaaa';
+  const sent = [];
+  const box = outbox({
+    verify: async (item) => item.version.hash === deviceHash,
+    send: async (item) => {
+      if (item.ifMatch && item.ifMatch !== '"v1"') {
+        throw Object.assign(new Error('HTTP 412'), { status: 412 });
+      }
+      sent.push(item.endpoint);
+    },
+  });
+  await box.enqueue({ method: 'POST', endpoint: '/weekday', batch: 'w1', version: { area: 'week', hash: 'aaaa' } });
+  await box.enqueue({ method: 'POST', endpoint: '/week', batch: 'w1' });
+  await box.enqueue({ method: 'POST', endpoint: '/templates', ifMatch: '"v0"' });
+  await box.enqueue({ method: 'POST', endpoint: '/default' });
+
+  deviceHash = 'bbbb';
+  assert.deepEqual(await box.replay(), { sent: 1, refused: 3, remaining: 0 });
+  assert.deepEqual(sent, ['/default']);
+  assert.deepEqual(box.items.map((item) => [item.endpoint, item.conflict]), [
+    ['/weekday', true], ['/week', true], ['/templates', true],
+  ]);
+});
+
+test('network errors are told apart from device refusals', () => {
+  assert.equal(isNetworkError(new TypeError('Failed to fetch')), true);
+  assert.equal(isNetworkError(new Error('Failed to fetch')), true);
+  assert.equal(isNetworkError(new Error('HTTP 400')), false);
+  assert.equal(isNetworkError(new TypeError("Cannot read properties of undefined (reading 'bells')")), false);
+});
+
+test('a programming error fails the save instead of being queued', async () => {
+  const sent = [];
+  const box = outbox({
+    send: async (item) => {
+      if (item.endpoint === '/bad') throw new TypeError('Converting circular structure to JSON');
+      sent.push(item.endpoint);
+    },
+  });
+  await box.enqueue({ method: 'POST', endpoint: '/bad' });
+  await box.enqueue({ method: 'POST', endpoint: '/ok' });
+  const result = await box.replay();
+  assert.deepEqual(result, { sent: 1, refused: 1, remaining: 0 });
+  assert.deepEqual(sent, ['/ok']);
+  assert.match(box.items[0].error, /circular/);
+});
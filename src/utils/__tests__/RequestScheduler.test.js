@@ -52,3 +52,55 @@ test('deduplicates jobs with the same key', async () => {
   assert.equal(calls, 1);
   assert.deepEqual(values, ['shared', 'shared']);
 });
+
+test('halves the limit on failure and grows it back after quick successes', async () => {
+  const scheduler = new RequestScheduler(4);
+  const events = [];
+  scheduler.subscribe((event) => events.push(event));
+  await scheduler.schedule(async () => ({ status: 503 }));
+  assert.equal(scheduler.limit, 2);
+  assert.equal(scheduler.congested(), true);
+
+  for (let i = 0; i < 2; i++) await scheduler.schedule(async () => ({ status: 200 }));
+  assert.equal(scheduler.limit, 3);
+  for (let i = 0; i < 3; i++) await scheduler.schedule(async () => ({ status: 200 }));
+  assert.equal(scheduler.limit, 4);
+  assert.equal(scheduler.congested(), false);
+  assert.deepEqual(events.map((event) => event.limit), [2, 3, 4]);
+});
+
+test('jobs started before a cut do not cut the limit again', async () => {
+  const scheduler = new RequestScheduler(4);
+  const gates = Array.from({ length: 3 }, deferred);
+  const jobs = gates.map((gate) => scheduler.schedule(async () => {
+    await gate.promise;
+    throw new TypeError('Failed to fetch');
+  }).catch(() => {}));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  gates.forEach((gate) => gate.resolve());
+  await Promise.all(jobs);
+  assert.equal(scheduler.limit, 2);
+});
+
+test('an open breaker holds background jobs for its endpoint until a probe succeeds', async () => {
+  const scheduler = new RequestScheduler(3, { failureThreshold: 2, openMs: 20 });
+  const endpoint = '/api/bell/status';
+  const fail = () => scheduler.schedule(async () => ({ status: 500 }), { endpoint, priority: 'background' });
+  await fail();
+  await fail();
+  assert.equal(scheduler.state().breakers[endpoint].state, 'open');
+
+  const order = [];
+  const held = scheduler.schedule(async () => { order.push('background'); return { status: 200 }; },
+    { endpoint, priority: 'background' });
+  const other = scheduler.schedule(async () => { order.push('other endpoint'); return { status: 200 }; },
+    { endpoint: '/api/mode', priority: 'background' });
+  const visible = scheduler.schedule(async () => { order.push('visible'); return { status: 200 }; },
+    { endpoint: '/api/schedule/today', priority: 'visible' });
+  await Promise.all([other, visible]);
+  assert.deepEqual(order, ['other endpoint', 'visible']);
+
+  await held;
+  assert.equal(order.at(-1), 'background');
+  assert.equal(scheduler.state().breakers[endpoint], undefined);
+});
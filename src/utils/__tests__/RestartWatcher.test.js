@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RestartWatcher } from '../RestartWatcher.js';
+
+/**
+ * A watcher on a fake clock. `health` and `origin` answer each probe from
+ * the current time, so scripts read as "down from 2 s to 9 s".
+ */
+function watcher({ health, origin = () => false, protocol = 'http:' }) {
+  let clock = 0;
+  const probes = [];
+  const sleeps = [];
+  const watch = new RestartWatcher({
+    checkHealth: async () => health(clock),
+    probeOrigin: async (url) => {
+      probes.push(url);
+      return origin(clock);
+    },
+    location: { protocol, host: 'bell.local' },
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      clock += ms;
+    },
+    now: () => clock,
+  });
+  return { watch, probes, sleeps, time: () => clock };
+}
+
+test('waits for the drop, then for two answers in a row', async () => {
+  const { watch, sleeps } = watcher({ health: (t) => t < 3000 || t > 9000 });
+  const phases = [];
+  const result = await watch.wait({ onProgress: ({ phase }) => phases.push(phase) });
+
+  assert.deepEqual(result, { outcome: 'back' });
+  assert.equal(sleeps[0], 1500); // settle
+  /* Every second until the drop at 3 s, then backing off */
+  assert.deepEqual(sleeps.slice(1, 7), [1000, 1000, 1000, 1500, 2250, 3375]);
+  assert.ok(sleeps.every((ms) => ms <= 5000));
+  assert.deepEqual([phases[0], phases.at(-1)], ['offline', 'starting']);
+});
+
+test('a short reboot that starts late is still seen', async () => {
+  const { watch } = watcher({ health: (t) => t < 10000 || t > 13000 });
+  assert.deepEqual(await watch.wait(), { outcome: 'back' });
+});
+
+test('a device that never drops off did not restart; one that never returns times out', async () => {
+  const up = watcher({ health: () => true });
+  assert.deepEqual(await up.watch.wait(), { outcome: 'notRestarted' });
+  assert.ok(up.time() >= 30000);
+
+  const down = watcher({ health: () => false });
+  assert.deepEqual(await down.watch.wait({ timeoutMs: 20000 }), { outcome: 'timeout' });
+
+  // Time sync and factory reset may keep the device up
+  assert.deepEqual(await watcher({ health: () => true }).watch.wait({ expectDown: false }), { outcome: 'back' });
+});
+
+test('follows an HTTP → HTTPS switch to the new origin', async () => {
+  const { watch, probes } = watcher({ health: (t) => t < 3000, origin: (t) => t > 6000 });
+  assert.equal(watch.targetOrigin('http'), null);
+  assert.deepEqual(await watch.wait({ scheme: 'https' }), { outcome: 'moved', url: 'https://bell.local/' });
+  assert.equal(probes[0], 'https://bell.local');
+});
+
+test('an untrusted HTTPS certificate fails every probe, so it still moves once the device has been gone a while', async () => {
+  const { watch, probes, time } = watcher({ health: (t) => t < 3000 });
+  assert.deepEqual(await watch.wait({ scheme: 'https' }), { outcome: 'moved', url: 'https://bell.local/' });
+  assert.ok(probes.length > 0);
+  assert.ok(time() >= 15000 + 3000);
+});
+
+test('an HTTPS page cannot probe HTTP, so it moves once the device has been gone a while', async () => {
+  const { watch, probes, time } = watcher({ health: (t) => t < 3000, protocol: 'https:' });
+  assert.deepEqual(await watch.wait({ scheme: 'http' }), { outcome: 'moved', url: 'http://bell.local/' });
+  assert.deepEqual(probes, []);
+  assert.ok(time() >= 15000 + 3000);
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TabChannel } from '../TabChannel.js';
+
+/* Two tabs sharing one localStorage: a write in one fires `storage` in the other. */
+function sharedStorage(targets) {
+  const data = new Map();
+  return (writer) => ({
+    setItem(key, value) {
+      data.set(key, value);
+      targets.filter((t) => t !== writer).forEach((t) => {
+        const event = new Event('storage');
+        Object.assign(event, { key, newValue: value });
+        t.dispatchEvent(event);
+      });
+    },
+    removeItem(key) {
+      data.delete(key);
+      targets.filter((t) => t !== writer).forEach((t) => {
+        const event = new Event('storage');
+        Object.assign(event, { key, newValue: null });
+        t.dispatchEvent(event);
+      });
+    },
+  });
+}
+
+test('falls back to storage events and skips the sender', () => {
+  const targets = [new EventTarget(), new EventTarget()];
+  const storageFor = sharedStorage(targets);
+  const [a, b] = targets.map((target) => new TabChannel('t', {
+    BroadcastChannel: null, storage: storageFor(target), target,
+  }));
+  const gotA = [];
+  const gotB = [];
+  a.subscribe((m) => gotA.push(m));
+  b.subscribe((m) => gotB.push(m));
+
+  a.post({ kind: 'signedOut' });
+  assert.deepEqual(gotB, [{ kind: 'signedOut' }]);
+  assert.deepEqual(gotA, []);
+  a.close();
+  b.close();
+});
+
+test('uses BroadcastChannel when available', async () => {
+  const a = new TabChannel('bc-test', { BroadcastChannel });
+  const b = new TabChannel('bc-test', { BroadcastChannel });
+  const received = new Promise((resolve) => b.subscribe(resolve));
+  a.post({ kind: 'stale', areas: ['week'] });
+  assert.deepEqual(await received, { kind: 'stale', areas: ['week'] });
+  a.close();
+  b.close();
+});
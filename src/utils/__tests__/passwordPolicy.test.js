@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPasswordPolicy, PASSWORD_POLICY } from '../formValidation.js';
+
+test('short, single-class, common and username passwords are refused', () => {
+  assert.deepEqual(checkPasswordPolicy('').problems, ['tooShort']);
+  assert.deepEqual(checkPasswordPolicy('ab1').problems, ['tooShort']);
+  assert.deepEqual(checkPasswordPolicy('correcthorse').problems, ['fewClasses']);
+  assert.ok(checkPasswordPolicy('Password1!').problems.includes('common'));
+  assert.ok(checkPasswordPolicy('qwerty123').problems.includes('common'));
+  // Listed digit-only and symbol passwords with trailing symbols added
+  assert.deepEqual(checkPasswordPolicy('12345678!').problems, ['common']);
+  assert.deepEqual(checkPasswordPolicy('123456789.').problems, ['common']);
+  assert.deepEqual(checkPasswordPolicy('P@ssw0rd!!').problems, ['common']);
+  assert.deepEqual(
+    checkPasswordPolicy('Ivanova42', { username: 'ivanova42' }).problems,
+    ['matchesUsername'],
+  );
+  assert.deepEqual(checkPasswordPolicy('a1'.repeat(PASSWORD_POLICY.maxLength)).problems, ['tooLong']);
+});
+
+test('score grows with length and character classes', () => {
+  assert.equal(checkPasswordPolicy('ab1').score, 1);
+  assert.equal(checkPasswordPolicy('bellring7').score, 2);
+  assert.equal(checkPasswordPolicy('bellringtower7').score, 3);
+  assert.equal(checkPasswordPolicy('Bellring7').score, 3);
+  const strong = checkPasswordPolicy('Bell-Ring-Tower7');
+  assert.equal(strong.score, 4);
+  assert.equal(strong.isValid, true);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  string, integer, boolean, oneOf, array, object, anyOf, nullable, optional, validate, IncompatibleFirmwareError,
+} from '../responseSchema.js';
+import { findApiSchema } from '../../config/apiSchemas.js';
+import { translate } from '../../i18n/translate.js';
+
+const bell = object({ hour: integer, minute: integer, label: optional(string) });
+const today = object({ bells: array(bell), planName: optional(nullable(string)), source: oneOf('default', 'template') });
+
+test('validate reports the first mismatching field by path', () => {
+  assert.equal(validate(today, { bells: [{ hour: 8, minute: 0 }], source: 'default', extra: 1 }), null);
+  assert.deepEqual(validate(today, { bells: [{ hour: 8, minute: 0 }, { hour: '9', minute: 0 }], source: 'default' }),
+    { field: 'bells[1].hour', expected: 'integer', received: '"9"' });
+  assert.deepEqual(validate(today, { items: [], source: 'default' }),
+    { field: 'bells', expected: 'array', received: 'nothing' });
+  assert.deepEqual(validate(today, { bells: [], planName: 3, source: 'default' }),
+    { field: 'planName', expected: 'string or null', received: '3' });
+  assert.equal(validate(today, { bells: [], planName: null, source: 'exception' }).expected, '"default" | "template"');
+  assert.deepEqual(validate(today, null), { field: '(response)', expected: 'object', received: 'null' });
+});
+
+test('anyOf accepts either format and reports the union', () => {
+  const day = anyOf(array(bell), object({ bells: array(bell) }));
+  assert.equal(validate(array(day), [[{ hour: 8, minute: 0 }], { bells: [] }]), null);
+  assert.deepEqual(validate(object({ days: array(day) }), { days: [[], true] }),
+    { field: 'days[1]', expected: 'array or object', received: 'true' });
+  assert.equal(validate(optional(boolean), undefined), null);
+});
+
+test('endpoints resolve to their declaring service method', () => {
+  assert.equal(findApiSchema('get', '/api/schedule/exceptions?offset=0&limit=10').operation, 'ScheduleService.getExceptions');
+  assert.equal(findApiSchema('GET', '/api/schedule/exceptions/17').operation, 'ScheduleService.getExceptionById');
+  assert.equal(findApiSchema('PUT', '/api/system/tls/mode').operation, 'TlsService.setMode');
+  assert.equal(findApiSchema('GET', '/api/system/logs/download').response, null);
+  assert.equal(findApiSchema('POST', '/api/login'), null);
+});
+
+test('the incompatible-firmware error names endpoint and field in the chosen language', () => {
+  const details = { endpoint: 'GET /api/system/tls', field: 'days_remaining', expected: 'number or null', received: '"12"' };
+  const error = new IncompatibleFirmwareError(details);
+  assert.ok(error instanceof Error);
+  assert.equal(error.code, 'INCOMPATIBLE_FIRMWARE');
+  assert.equal(error.field, 'days_remaining');
+  assert.match(error.message, /GET \/api\/system\/tls.*"days_remaining"/);
+  assert.equal(error.message, translate('api.incompatibleFirmware', details, 'en'));
+  assert.match(translate('api.incompatibleFirmware', details, 'bg'), /^Софтуерът.*„days_remaining“/);
+});
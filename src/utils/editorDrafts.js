@@ -0,0 +1,96 @@
+/**
+ * Unsaved editor buffers kept across a forced sign-out.
+ *
+ * Editors register a getter for their current unsaved buffer (null when
+ * clean). When the session ends without the user asking for it, the auth
+ * layer calls `stashDrafts` *before* clearing auth state, while the editors
+ * are still mounted. After the same user signs in again each editor takes
+ * its own draft back with `takeDraft` (see hooks/useEditorDraft.js).
+ *
+ * Stored in sessionStorage: drafts belong to this tab, like the session.
+ */
+
+const STORAGE_KEY = 'esp32_editor_drafts';
+const sources = new Map();
+
+function read() {
+  try {
+    const parsed = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return parsed && typeof parsed.drafts === 'object' && parsed.drafts ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function write(stash) {
+  try {
+    if (!stash || Object.keys(stash.drafts).length === 0) {
+      sessionStorage.removeItem(STORAGE_KEY);
+    } else {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(stash));
+    }
+  } catch {
+    /* storage full or unavailable -the drafts are lost, as before */
+  }
+}
+
+/**
+ * Register an editor buffer. Returns the unregister function.
+ * @param {string} key - stable editor id, e.g. 'schedule.default'
+ * @param {() => any} getDraft - current unsaved buffer, or null when clean
+ */
+export function registerDraftSource(key, getDraft) {
+  sources.set(key, getDraft);
+  return () => {
+    if (sources.get(key) === getDraft) sources.delete(key);
+  };
+}
+
+/**
+ * Save every registered unsaved buffer for `owner` (the signed-in username).
+ * @returns {number} how many editors had unsaved changes
+ */
+export function stashDrafts(owner) {
+  const drafts = {};
+  sources.forEach((getDraft, key) => {
+    try {
+      const draft = getDraft();
+      if (draft != null) drafts[key] = draft;
+    } catch {
+      /* one broken editor must not stop the others from being kept */
+    }
+  });
+  const count = Object.keys(drafts).length;
+  if (count > 0) write({ owner: owner || '', savedAt: Date.now(), drafts });
+  return count;
+}
+
+/** Number of drafts waiting to be restored. */
+export function stashedDraftCount() {
+  return Object.keys(read()?.drafts || {}).length;
+}
+
+/**
+ * Remove and return the draft for `key`. Drafts stashed for a different
+ * user are discarded instead -never restore someone else's edits.
+ * @returns {any|null}
+ */
+export function takeDraft(key, owner) {
+  const stash = read();
+  if (!stash) return null;
+  if (stash.owner !== (owner || '')) {
+    write(null);
+    return null;
+  }
+  const draft = stash.drafts[key] ?? null;
+  if (draft != null) {
+    delete stash.drafts[key];
+    write(stash);
+  }
+  return draft;
+}
+
+/** Drop all stashed drafts (explicit sign-out). */
+export function discardDrafts() {
+  write(null);
+}
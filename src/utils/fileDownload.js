@@ -0,0 +1,42 @@
+/**
+ * Browser helpers for client-generated files (backups, calendar exports…).
+ * Device-served downloads (logs, certificate) stream through their own
+ * services; these helpers only deal with data already held in memory.
+ */
+
+/** Trigger a browser download for an in-memory Blob. */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/** Serialize `data` as pretty-printed JSON and download it. */
+export function downloadJson(data, filename) {
+  const blob = new Blob([`${JSON.stringify(data, null, 2)}\n`], { type: 'application/json' });
+  downloadBlob(blob, filename);
+}
+
+/** Read a user-picked File as UTF-8 text. */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
+}
+
+/** Local calendar date as YYYY-MM-DD (for file names). */
+export function fileDateStamp(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
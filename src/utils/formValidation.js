@@ -18,6 +18,79 @@ export const VALIDATION_RULES = {
   },
 };
 
+/**
+ * Password policy for accounts created from the UI (claim, client account).
+ * The firmware only enforces the minimum length; the rest is checked here.
+ */
+export const PASSWORD_POLICY = {
+  minLength: 8,
+  maxLength: VALIDATION_RULES.password.maxLength,
+  /** Character classes (lower, upper, digit, symbol) a password must mix. */
+  minClasses: 2,
+  /** Length from which a password counts as long. */
+  strongLength: 12,
+};
+
+/**
+ * Passwords that appear at the top of every leaked-password list, plus the
+ * ones a school bell invites. Matched case-insensitively, also with trailing
+ * digits/symbols removed ("password1!" is still "password").
+ */
+export const COMMON_PASSWORDS = new Set([
+  '123456', '1234567', '12345678', '123456789', '1234567890', '0123456789',
+  '111111', '11111111', '000000', '00000000', '654321', '87654321', '123123',
+  'password', 'passw0rd', 'p@ssw0rd', 'pass', 'qwerty', 'qwertyui', 'qwertyuiop',
+  'asdfghjk', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r', '1qaz2wsx', 'qazwsx', 'abc123',
+  'abcd1234', 'abcdefgh', 'iloveyou', 'letmein', 'welcome', 'monkey', 'dragon',
+  'sunshine', 'princess', 'football', 'baseball', 'superman', 'starwars',
+  'trustno1', 'master', 'shadow', 'admin', 'administrator', 'root', 'toor',
+  'changeme', 'default', 'secret', 'test', 'guest', 'user', 'login', 'access',
+  'computer', 'internet', 'whatever', 'freedom', 'hello', 'charlie', 'michael',
+  'school', 'teacher', 'student', 'classroom', 'bell', 'schoolbell', 'esp32',
+  'parola', 'uchilishte', 'uchitel', 'zvanets', 'zvunec', 'bulgaria', 'sofia',
+]);
+
+const PASSWORD_CLASSES = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z0-9]/];
+
+/**
+ * Check a new password against PASSWORD_POLICY.
+ *
+ * `problems` are stable ids (UI text lives under `password.<id>` in i18n):
+ * tooShort, tooLong, matchesUsername, common, fewClasses. Any problem makes
+ * the password unacceptable. `score` drives the strength meter:
+ * 0 empty, 1 weak (has problems), 2 fair, 3 good, 4 strong.
+ *
+ * @param {string} password
+ * @param {{ username?: string }} [context]
+ * @returns {{ isValid: boolean, score: 0|1|2|3|4, problems: string[], classes: number }}
+ */
+export function checkPasswordPolicy(password, { username = '' } = {}) {
+  const value = typeof password === 'string' ? password : '';
+  if (!value) return { isValid: false, score: 0, problems: ['tooShort'], classes: 0 };
+
+  const classes = PASSWORD_CLASSES.filter((re) => re.test(value)).length;
+  const lower = value.toLowerCase();
+  /* Decorated variants of a listed password count as that password:
+   * trailing symbols ("12345678!") or any trailing non-letters ("password1!"). */
+  const bases = [lower, lower.replace(/[^a-z0-9]+$/, ''), lower.replace(/[^a-z]+$/, '')];
+  const problems = [];
+
+  if (value.length < PASSWORD_POLICY.minLength) problems.push('tooShort');
+  if (value.length > PASSWORD_POLICY.maxLength) problems.push('tooLong');
+  if (username.trim() && lower === username.trim().toLowerCase()) problems.push('matchesUsername');
+  if (bases.some((base) => base && COMMON_PASSWORDS.has(base))) problems.push('common');
+  if (classes < PASSWORD_POLICY.minClasses) problems.push('fewClasses');
+
+  let score = 1;
+  if (problems.length === 0) {
+    score = 2;
+    if (value.length >= PASSWORD_POLICY.strongLength) score += 1;
+    if (classes >= 3) score += 1;
+  }
+
+  return { isValid: problems.length === 0, score, problems, classes };
+}
+
 /**
  * Validate a single field
  * @param {string} field - Field name
@@ -220,5 +293,7 @@ export default {
   createFormState,
   updateFormField,
   touchFormField,
+  checkPasswordPolicy,
   VALIDATION_RULES,
+  PASSWORD_POLICY,
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+// src/utils/responseSchema.js
+//
+// A small shape checker for device responses. Schemas are declared per
+// service method in config/apiSchemas.js; HttpRequestAgent checks every
+// parsed body against them, so a firmware that renamed or retyped a field
+// fails at the request with the field's path -not later as an `undefined`
+// deep inside a component.
+//
+// Only declared fields are checked; extra fields pass, so a firmware that
+// adds data stays compatible.
+import { translate } from '../i18n/translate.js';
+
+const rule = (expected, test) => ({ expected, test });
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+export const any = rule('any value', () => true);
+export const string = rule('string', (value) => typeof value === 'string');
+export const number = rule('number', (value) => typeof value === 'number' && Number.isFinite(value));
+export const integer = rule('integer', Number.isInteger);
+export const boolean = rule('boolean', (value) => typeof value === 'boolean');
+
+/** One of the listed literal values. */
+export const oneOf = (...values) =>
+  rule(values.map((v) => JSON.stringify(v)).join(' | '), (value) => values.includes(value));
+
+/** Array whose every element matches `item`. */
+export const array = (item = any) => ({ ...rule('array', Array.isArray), items: item });
+
+/** Object with (at least) these fields; `object()` accepts any object. */
+export const object = (fields = {}) => ({ ...rule('object', isObject), fields });
+
+/** Matches if any of the schemas does (older and newer firmware formats). */
+export const anyOf = (...schemas) => ({
+  ...rule(schemas.map((s) => s.expected).join(' or '), () => true),
+  variants: schemas,
+});
+
+/** Also accept null. */
+export const nullable = (schema) => ({ ...schema, nullable: true, expected: `${schema.expected} or null` });
+
+/** The field may be absent. */
+export const optional = (schema) => ({ ...schema, optional: true });
+
+/** What was found, for the error message. */
+function describe(value) {
+  if (value === undefined) return 'nothing';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'string') return JSON.stringify(value.length > 24 ? `${value.slice(0, 24)}…` : value);
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return typeof value;
+}
+
+/**
+ * Check `value` against `schema`.
+ * @param {Object} schema - built with the helpers above
+ * @param {any} value
+ * @param {string} [path] - path of `value` in the response, for nested calls
+ * @returns {{ field: string, expected: string, received: string }|null}
+ *   The first mismatch (e.g. field `bells[2].hour`), or null when it fits
+ */
+export function validate(schema, value, path = '') {
+  const mismatch = () => ({ field: path || '(response)', expected: schema.expected, received: describe(value) });
+  if (value === undefined) return schema.optional ? null : mismatch();
+  if (value === null) return schema.nullable ? null : mismatch();
+  if (!schema.test(value)) return mismatch();
+  if (schema.variants) {
+    return schema.variants.some((variant) => !validate(variant, value, path)) ? null : mismatch();
+  }
+
+  if (schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const found = validate(schema.items, value[i], `${path}[${i}]`);
+      if (found) return found;
+    }
+  }
+  if (schema.fields) {
+    for (const [key, field] of Object.entries(schema.fields)) {
+      const found = validate(field, value[key], path ? `${path}.${key}` : key);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * The device answered with a body this app cannot use -usually firmware
+ * and web app from different releases. The message is already translated
+ * (it ends up in slice `error` fields, which render as given); `code`
+ * lets callers tell it apart from transport errors.
+ */
+export class IncompatibleFirmwareError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.endpoint - e.g. 'GET /api/schedule/today'
+   * @param {string} details.field - path of the offending field
+   * @param {string} details.expected
+   * @param {string} details.received
+   * @param {string} [details.operation] - declaring method, e.g. 'ScheduleService.getToday'
+   */
+  constructor({ endpoint, field, expected, received, operation = null }) {
+    super(translate('api.incompatibleFirmware', { endpoint, field, expected, received }));
+    this.name = 'IncompatibleFirmwareError';
+    this.code = 'INCOMPATIBLE_FIRMWARE';
+    this.endpoint = endpoint;
+    this.field = field;
+    this.expected = expected;
+    this.received = received;
+    this.operation = operation;
+  }
+}
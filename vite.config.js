@@ -1,23 +1,44 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react-swc'
 import path from 'path'
+import { createMockDevice } from './scripts/mock-device/server.js'
 
-const deviceIP = 'ringy.local/' // replace with your ESP32's IP address
+// ESP32 to proxy /api/* to; DEVICE_HOST overrides it (an IP, or
+// localhost:8787 for a mock started with `npm run mock`).
+const deviceHost = process.env.DEVICE_HOST || 'ringy.local'
 
-export default defineConfig({
-  plugins: [react()],
+// `vite --mode mock` (npm run start:mock) answers /api/* from an in-process
+// mock device instead of proxying -see scripts/mock-device/server.js.
+function mockDevice() {
+  return {
+    name: 'ringy-mock-device',
+    configureServer(server) {
+      const device = createMockDevice({ pendingHolidays: new Date().getFullYear() + 1 })
+      server.middlewares.use((req, res, next) => {
+        if (req.url.startsWith('/api/')) device.handle(req, res)
+        else next()
+      })
+      const { service, client } = device.state.accounts
+      server.config.logger.info(`  Mock device: ${service.username} / ${service.password}`
+        + (client ? `, ${client.username} / ${client.password}` : ''))
+    },
+  }
+}
+
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), ...(mode === 'mock' ? [mockDevice()] : [])],
   resolve: { alias: { "@": path.resolve(__dirname, "./src") } },
   server: {
     host: true, // allow LAN access if you want to open dev server from other devices
     port: 5173,
-    proxy: {
+    proxy: mode === 'mock' ? undefined : {
       // forward /api/* to the ESP32
       '/api': {
-        target: `http://${deviceIP}`,
+        target: `http://${deviceHost}`,
         changeOrigin: true,
         secure: false,
-        ws: false,
+        ws: true, // /api/ws live updates
       }
     }
   }
-})
\ No newline at end of file
+}))